@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "closedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "GroupStatusEvent" (
+    "id" TEXT NOT NULL,
+    "fromStatus" TEXT NOT NULL,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "previousEndTime" TIMESTAMP(3),
+    "newEndTime" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actorId" TEXT,
+    "groupId" TEXT NOT NULL,
+
+    CONSTRAINT "GroupStatusEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GroupStatusEvent_groupId_createdAt_idx" ON "GroupStatusEvent"("groupId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "GroupStatusEvent" ADD CONSTRAINT "GroupStatusEvent_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "UserOrder" ADD COLUMN     "options" JSONB;
+
+-- CreateTable
+CREATE TABLE "MenuOptionGroup" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "multiSelect" BOOLEAN NOT NULL DEFAULT false,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "menuId" TEXT NOT NULL,
+
+    CONSTRAINT "MenuOptionGroup_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MenuOption" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "priceDelta" INTEGER NOT NULL DEFAULT 0,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "optionGroupId" TEXT NOT NULL,
+
+    CONSTRAINT "MenuOption_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "MenuOptionGroup" ADD CONSTRAINT "MenuOptionGroup_menuId_fkey" FOREIGN KEY ("menuId") REFERENCES "GroupMenu"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MenuOption" ADD CONSTRAINT "MenuOption_optionGroupId_fkey" FOREIGN KEY ("optionGroupId") REFERENCES "MenuOptionGroup"("id") ON DELETE CASCADE ON UPDATE CASCADE;
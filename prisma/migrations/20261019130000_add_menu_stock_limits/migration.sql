@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "GroupMenu" ADD COLUMN     "maxPerUser" INTEGER,
+ADD COLUMN     "stock" INTEGER;
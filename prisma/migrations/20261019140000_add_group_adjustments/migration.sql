@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "GroupAdjustment" (
+    "id" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "amount" INTEGER,
+    "percent" DOUBLE PRECISION,
+    "minSubtotal" INTEGER,
+    "menuId" TEXT,
+    "buyQuantity" INTEGER,
+    "freeQuantity" INTEGER,
+    "splitRule" TEXT NOT NULL DEFAULT 'EQUAL',
+    "assignedUserIds" TEXT[],
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "groupId" TEXT NOT NULL,
+
+    CONSTRAINT "GroupAdjustment_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "GroupAdjustment" ADD CONSTRAINT "GroupAdjustment_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "note" TEXT,
+    "paidAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "recordedById" TEXT NOT NULL,
+    "groupOrderId" TEXT NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_groupOrderId_idx" ON "Payment"("groupOrderId");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_groupOrderId_fkey" FOREIGN KEY ("groupOrderId") REFERENCES "GroupOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: orders previously marked PAID get one ledger entry for their item total,
+-- recorded by the group creator, so the derived status stays PAID.
+INSERT INTO "Payment" ("id", "amount", "method", "note", "paidAt", "recordedById", "groupOrderId")
+SELECT gen_random_uuid()::text, SUM(u."price" * u."quantity"), 'OTHER', 'Migrated from PAID status', go."updatedAt", g."creatorId", go."id"
+FROM "GroupOrder" go
+JOIN "Group" g ON g."id" = go."groupId"
+JOIN "UserOrder" u ON u."groupOrderId" = go."id"
+WHERE go."paymentStatus" = 'PAID' AND go."userId" <> g."creatorId"
+GROUP BY go."id", go."updatedAt", g."creatorId"
+HAVING SUM(u."price" * u."quantity") > 0;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "PaymentClaim" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "amount" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "reference" TEXT,
+    "note" TEXT,
+    "rejectReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedById" TEXT,
+    "paymentId" TEXT,
+    "groupOrderId" TEXT NOT NULL,
+
+    CONSTRAINT "PaymentClaim_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentClaim_paymentId_key" ON "PaymentClaim"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "PaymentClaim_groupOrderId_status_idx" ON "PaymentClaim"("groupOrderId", "status");
+
+-- AddForeignKey
+ALTER TABLE "PaymentClaim" ADD CONSTRAINT "PaymentClaim_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentClaim" ADD CONSTRAINT "PaymentClaim_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentClaim" ADD CONSTRAINT "PaymentClaim_groupOrderId_fkey" FOREIGN KEY ("groupOrderId") REFERENCES "GroupOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
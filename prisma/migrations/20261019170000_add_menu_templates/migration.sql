@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "MenuTemplate" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ownerId" TEXT NOT NULL,
+
+    CONSTRAINT "MenuTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MenuTemplateItem" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "price" INTEGER NOT NULL,
+    "stock" INTEGER,
+    "maxPerUser" INTEGER,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "optionGroups" JSONB,
+    "templateId" TEXT NOT NULL,
+
+    CONSTRAINT "MenuTemplateItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MenuTemplateShare" (
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "templateId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "MenuTemplateShare_pkey" PRIMARY KEY ("templateId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "MenuTemplate_ownerId_idx" ON "MenuTemplate"("ownerId");
+
+-- CreateIndex
+CREATE INDEX "MenuTemplateShare_userId_idx" ON "MenuTemplateShare"("userId");
+
+-- AddForeignKey
+ALTER TABLE "MenuTemplate" ADD CONSTRAINT "MenuTemplate_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MenuTemplateItem" ADD CONSTRAINT "MenuTemplateItem_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "MenuTemplate"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MenuTemplateShare" ADD CONSTRAINT "MenuTemplateShare_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "MenuTemplate"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MenuTemplateShare" ADD CONSTRAINT "MenuTemplateShare_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
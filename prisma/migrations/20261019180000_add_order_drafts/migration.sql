@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "GroupOrder" ADD COLUMN     "draftItems" JSONB;
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "occurrenceDate" TEXT,
+ADD COLUMN     "scheduleId" TEXT;
+
+-- CreateTable
+CREATE TABLE "GroupSchedule" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "frequency" TEXT NOT NULL,
+    "weekdays" INTEGER[],
+    "monthWeek" INTEGER,
+    "monthWeekday" INTEGER,
+    "startTimeOfDay" TEXT NOT NULL,
+    "endTimeOfDay" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL DEFAULT 'Asia/Taipei',
+    "startsOn" TEXT,
+    "endsOn" TEXT,
+    "skipDates" TEXT[],
+    "createAheadHours" INTEGER NOT NULL DEFAULT 24,
+    "products" JSONB NOT NULL,
+    "invitedUserIds" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "creatorId" TEXT NOT NULL,
+
+    CONSTRAINT "GroupSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GroupSchedule_status_idx" ON "GroupSchedule"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Group_scheduleId_occurrenceDate_key" ON "Group"("scheduleId", "occurrenceDate");
+
+-- AddForeignKey
+ALTER TABLE "Group" ADD CONSTRAINT "Group_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "GroupSchedule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupSchedule" ADD CONSTRAINT "GroupSchedule_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "GroupOrder" ADD COLUMN     "joinedViaInviteId" TEXT;
+
+-- CreateTable
+CREATE TABLE "GroupInvite" (
+    "id" TEXT NOT NULL,
+    "label" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "useCount" INTEGER NOT NULL DEFAULT 0,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" TEXT NOT NULL,
+    "groupId" TEXT NOT NULL,
+
+    CONSTRAINT "GroupInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GroupInvite_groupId_idx" ON "GroupInvite"("groupId");
+
+-- AddForeignKey
+ALTER TABLE "GroupInvite" ADD CONSTRAINT "GroupInvite_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupInvite" ADD CONSTRAINT "GroupInvite_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupOrder" ADD CONSTRAINT "GroupOrder_joinedViaInviteId_fkey" FOREIGN KEY ("joinedViaInviteId") REFERENCES "GroupInvite"("id") ON DELETE SET NULL ON UPDATE CASCADE;
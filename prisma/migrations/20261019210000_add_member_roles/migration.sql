@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "GroupOrder" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'PARTICIPANT';
+
+-- Existing creators own their groups
+UPDATE "GroupOrder" o SET "role" = 'OWNER'
+FROM "Group" g
+WHERE o."groupId" = g."id" AND o."userId" = g."creatorId";
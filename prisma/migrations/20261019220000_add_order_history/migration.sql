@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "OrderHistoryEvent" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "version" INTEGER,
+    "items" JSONB,
+    "changes" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "actorId" TEXT,
+    "userId" TEXT,
+    "groupOrderId" TEXT,
+    "groupId" TEXT NOT NULL,
+
+    CONSTRAINT "OrderHistoryEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderHistoryEvent_groupId_createdAt_idx" ON "OrderHistoryEvent"("groupId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "OrderHistoryEvent_groupOrderId_version_idx" ON "OrderHistoryEvent"("groupOrderId", "version");
+
+-- AddForeignKey
+ALTER TABLE "OrderHistoryEvent" ADD CONSTRAINT "OrderHistoryEvent_groupOrderId_fkey" FOREIGN KEY ("groupOrderId") REFERENCES "GroupOrder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderHistoryEvent" ADD CONSTRAINT "OrderHistoryEvent_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "email" TEXT;
+
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "autoRemindedAt" TIMESTAMP(3),
+ADD COLUMN     "reminderAfterHours" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PaymentReminder" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "balanceDue" INTEGER NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentById" TEXT,
+    "userId" TEXT NOT NULL,
+    "groupOrderId" TEXT NOT NULL,
+    "groupId" TEXT NOT NULL,
+
+    CONSTRAINT "PaymentReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+
+-- CreateIndex
+CREATE INDEX "PaymentReminder_groupOrderId_createdAt_idx" ON "PaymentReminder"("groupOrderId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PaymentReminder_userId_createdAt_idx" ON "PaymentReminder"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PaymentReminder" ADD CONSTRAINT "PaymentReminder_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentReminder" ADD CONSTRAINT "PaymentReminder_groupOrderId_fkey" FOREIGN KEY ("groupOrderId") REFERENCES "GroupOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentReminder" ADD CONSTRAINT "PaymentReminder_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
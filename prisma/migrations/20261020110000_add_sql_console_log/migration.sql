@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "SqlConsoleLog" (
+    "id" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "statement" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "rowCount" INTEGER,
+    "durationMs" INTEGER,
+    "error" TEXT,
+    "ipAddress" TEXT,
+    "userId" TEXT NOT NULL,
+    "username" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SqlConsoleLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SqlConsoleLog_createdAt_idx" ON "SqlConsoleLog"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "SqlConsoleLog_userId_createdAt_idx" ON "SqlConsoleLog"("userId", "createdAt");
+
+-- Append-only: rows can be inserted but never changed or removed, not even from the console itself
+CREATE FUNCTION "SqlConsoleLog_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'SqlConsoleLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "SqlConsoleLog_no_update_or_delete"
+BEFORE UPDATE OR DELETE ON "SqlConsoleLog"
+FOR EACH ROW EXECUTE FUNCTION "SqlConsoleLog_append_only"();
+
+CREATE TRIGGER "SqlConsoleLog_no_truncate"
+BEFORE TRUNCATE ON "SqlConsoleLog"
+FOR EACH STATEMENT EXECUTE FUNCTION "SqlConsoleLog_append_only"();
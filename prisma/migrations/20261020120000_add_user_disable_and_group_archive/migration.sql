@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "disabledAt" TIMESTAMP(3),
+ADD COLUMN     "disabledReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "archivedAt" TIMESTAMP(3);
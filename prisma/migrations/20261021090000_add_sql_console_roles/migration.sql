@@ -0,0 +1,79 @@
+-- CreateTable
+CREATE TABLE "SqlConsoleConfirmation" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SqlConsoleConfirmation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SqlConsoleConfirmation_expiresAt_idx" ON "SqlConsoleConfirmation"("expiresAt");
+
+-- The admin SQL console connects as its own roles instead of the app's user (SQL_CONSOLE_DATABASE_URL
+-- and SQL_CONSOLE_WRITE_DATABASE_URL). They can only reach the views below, which leave out
+-- credentials (User.password, Session.refreshTokenHash) and the console's own confirmation nonces.
+-- The roles are created without LOGIN; give them one with
+--   ALTER ROLE sql_console_reader WITH LOGIN PASSWORD '...';
+--   ALTER ROLE sql_console_writer WITH LOGIN PASSWORD '...';
+-- Views copy the table's columns when they are created: a migration that adds a column the console
+-- should see has to recreate the view, and a table or column holding secrets must never be added.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = 'sql_console_reader') THEN
+        CREATE ROLE sql_console_reader NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = 'sql_console_writer') THEN
+        CREATE ROLE sql_console_writer NOLOGIN;
+    END IF;
+END
+$$;
+
+CREATE SCHEMA "sql_console";
+
+CREATE VIEW "sql_console"."User" AS
+    SELECT "id", "username", "name", "email", "role", "disabledAt", "disabledReason",
+           "failedLoginCount", "lockedUntil", "deletedAt", "createdAt"
+    FROM "public"."User";
+
+CREATE VIEW "sql_console"."Session" AS
+    SELECT "id", "userAgent", "ipAddress", "createdAt", "lastUsedAt", "expiresAt", "revokedAt", "userId"
+    FROM "public"."Session";
+
+CREATE VIEW "sql_console"."_UserFriends" AS SELECT * FROM "public"."_UserFriends";
+CREATE VIEW "sql_console"."FriendRequest" AS SELECT * FROM "public"."FriendRequest";
+CREATE VIEW "sql_console"."UserBlock" AS SELECT * FROM "public"."UserBlock";
+CREATE VIEW "sql_console"."Group" AS SELECT * FROM "public"."Group";
+CREATE VIEW "sql_console"."GroupInvite" AS SELECT * FROM "public"."GroupInvite";
+CREATE VIEW "sql_console"."GroupSchedule" AS SELECT * FROM "public"."GroupSchedule";
+CREATE VIEW "sql_console"."GroupAdjustment" AS SELECT * FROM "public"."GroupAdjustment";
+CREATE VIEW "sql_console"."GroupStatusEvent" AS SELECT * FROM "public"."GroupStatusEvent";
+CREATE VIEW "sql_console"."GroupMenu" AS SELECT * FROM "public"."GroupMenu";
+CREATE VIEW "sql_console"."MenuOptionGroup" AS SELECT * FROM "public"."MenuOptionGroup";
+CREATE VIEW "sql_console"."MenuOption" AS SELECT * FROM "public"."MenuOption";
+CREATE VIEW "sql_console"."MenuTemplate" AS SELECT * FROM "public"."MenuTemplate";
+CREATE VIEW "sql_console"."MenuTemplateItem" AS SELECT * FROM "public"."MenuTemplateItem";
+CREATE VIEW "sql_console"."MenuTemplateShare" AS SELECT * FROM "public"."MenuTemplateShare";
+CREATE VIEW "sql_console"."GroupOrder" AS SELECT * FROM "public"."GroupOrder";
+CREATE VIEW "sql_console"."UserOrder" AS SELECT * FROM "public"."UserOrder";
+CREATE VIEW "sql_console"."Payment" AS SELECT * FROM "public"."Payment";
+CREATE VIEW "sql_console"."PaymentClaim" AS SELECT * FROM "public"."PaymentClaim";
+CREATE VIEW "sql_console"."PaymentReminder" AS SELECT * FROM "public"."PaymentReminder";
+CREATE VIEW "sql_console"."OrderHistoryEvent" AS SELECT * FROM "public"."OrderHistoryEvent";
+CREATE VIEW "sql_console"."Notification" AS SELECT * FROM "public"."Notification";
+CREATE VIEW "sql_console"."NotificationPreference" AS SELECT * FROM "public"."NotificationPreference";
+CREATE VIEW "sql_console"."AdminAuditLog" AS SELECT * FROM "public"."AdminAuditLog";
+CREATE VIEW "sql_console"."SqlConsoleLog" AS SELECT * FROM "public"."SqlConsoleLog";
+
+-- Reader: SELECT on the views only (the tables in public are not granted to either role)
+GRANT USAGE ON SCHEMA "sql_console" TO sql_console_reader, sql_console_writer;
+GRANT SELECT ON ALL TABLES IN SCHEMA "sql_console" TO sql_console_reader;
+ALTER ROLE sql_console_reader SET search_path = "sql_console";
+ALTER ROLE sql_console_reader SET default_transaction_read_only = on;
+
+-- Writer: rows can also be changed through the (simple, hence updatable) views, except the logs
+GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA "sql_console" TO sql_console_writer;
+REVOKE INSERT, UPDATE, DELETE ON "sql_console"."AdminAuditLog", "sql_console"."SqlConsoleLog" FROM sql_console_writer;
+ALTER ROLE sql_console_writer SET search_path = "sql_console";
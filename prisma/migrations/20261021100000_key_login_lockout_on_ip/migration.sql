@@ -0,0 +1,30 @@
+-- Login lockout moves from the account to (username, IP): the sql_console view copies User's
+-- columns, so it is recreated without the dropped ones
+DROP VIEW "sql_console"."User";
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "failedLoginCount",
+DROP COLUMN "lockedUntil";
+
+CREATE VIEW "sql_console"."User" AS
+    SELECT "id", "username", "name", "email", "role", "disabledAt", "disabledReason", "deletedAt", "createdAt"
+    FROM "public"."User";
+
+-- CreateTable
+CREATE TABLE "LoginThrottle" (
+    "username" TEXT NOT NULL,
+    "ipAddress" TEXT NOT NULL,
+    "failedCount" INTEGER NOT NULL,
+    "lastFailedAt" TIMESTAMP(3) NOT NULL,
+    "lockedUntil" TIMESTAMP(3),
+
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("username","ipAddress")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginThrottle_lastFailedAt_idx" ON "LoginThrottle"("lastFailedAt");
+
+CREATE VIEW "sql_console"."LoginThrottle" AS SELECT * FROM "public"."LoginThrottle";
+
+GRANT SELECT ON "sql_console"."User", "sql_console"."LoginThrottle" TO sql_console_reader;
+GRANT SELECT, INSERT, UPDATE, DELETE ON "sql_console"."User", "sql_console"."LoginThrottle" TO sql_console_writer;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "GroupMenu" ADD COLUMN "scheduleProductKey" TEXT;
+
+-- Give every product of existing schedules a stable key
+UPDATE "GroupSchedule" AS s
+SET "products" = (
+    SELECT COALESCE(jsonb_agg(p || jsonb_build_object('key', gen_random_uuid()::text) ORDER BY i), '[]'::jsonb)
+    FROM jsonb_array_elements(s."products") WITH ORDINALITY AS e(p, i)
+)
+WHERE jsonb_typeof(s."products") = 'array';
+
+-- Link the menu items of groups generated so far, by name (the only link they had until now)
+UPDATE "GroupMenu" AS m
+SET "scheduleProductKey" = p->>'key'
+FROM "Group" AS g
+JOIN "GroupSchedule" AS s ON s."id" = g."scheduleId"
+CROSS JOIN LATERAL jsonb_array_elements(s."products") AS p
+WHERE m."groupId" = g."id" AND p->>'name' = m."name";
+
+-- Keep the SQL console view in step with the table
+CREATE OR REPLACE VIEW "sql_console"."GroupMenu" AS SELECT * FROM "public"."GroupMenu";
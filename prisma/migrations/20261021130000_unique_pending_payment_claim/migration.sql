@@ -0,0 +1,14 @@
+-- At most one PENDING claim per order, so two claims sent at the same moment cannot both be created.
+-- Older duplicates are withdrawn first, keeping the most recent one.
+UPDATE "PaymentClaim" AS c
+SET "status" = 'WITHDRAWN'
+WHERE c."status" = 'PENDING'
+  AND EXISTS (
+      SELECT 1 FROM "PaymentClaim" AS newer
+      WHERE newer."groupOrderId" = c."groupOrderId"
+        AND newer."status" = 'PENDING'
+        AND (newer."createdAt", newer."id") > (c."createdAt", c."id")
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentClaim_groupOrderId_pending_key" ON "PaymentClaim"("groupOrderId") WHERE "status" = 'PENDING';
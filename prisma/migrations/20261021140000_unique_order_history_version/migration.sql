@@ -0,0 +1,15 @@
+-- Renumber item versions that were recorded twice by concurrent updates, in the order they were written
+UPDATE "OrderHistoryEvent" AS e
+SET "version" = numbered."version"
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "groupOrderId" ORDER BY "createdAt", "id")::INTEGER AS "version"
+    FROM "OrderHistoryEvent"
+    WHERE "type" = 'ITEMS_UPDATED' AND "groupOrderId" IS NOT NULL
+) AS numbered
+WHERE e."id" = numbered."id" AND e."version" IS DISTINCT FROM numbered."version";
+
+-- DropIndex
+DROP INDEX "OrderHistoryEvent_groupOrderId_version_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderHistoryEvent_groupOrderId_version_key" ON "OrderHistoryEvent"("groupOrderId", "version");
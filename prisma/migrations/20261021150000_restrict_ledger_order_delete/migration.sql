@@ -0,0 +1,7 @@
+-- Payments and payment claims no longer disappear with their order: an order with a ledger
+-- cannot be deleted, and deleting a settled group removes its ledger explicitly
+ALTER TABLE "Payment" DROP CONSTRAINT "Payment_groupOrderId_fkey";
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_groupOrderId_fkey" FOREIGN KEY ("groupOrderId") REFERENCES "GroupOrder"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "PaymentClaim" DROP CONSTRAINT "PaymentClaim_groupOrderId_fkey";
+ALTER TABLE "PaymentClaim" ADD CONSTRAINT "PaymentClaim_groupOrderId_fkey" FOREIGN KEY ("groupOrderId") REFERENCES "GroupOrder"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- Members who got a second order in the same group (e.g. by redeeming an invite link twice at once)
+-- keep their first one; items, payments and reminders of the others move to it
+CREATE TEMP TABLE "_DuplicateGroupOrder" AS
+SELECT "id", "keepId", "joinedViaInviteId"
+FROM (
+    SELECT "id", "joinedViaInviteId",
+           FIRST_VALUE("id") OVER (PARTITION BY "groupId", "userId" ORDER BY "createdAt", "id") AS "keepId"
+    FROM "GroupOrder"
+) AS ranked
+WHERE "id" <> "keepId";
+
+-- Only one pending claim per order is allowed; members can claim again on the order they keep
+UPDATE "PaymentClaim" AS c SET "status" = 'WITHDRAWN'
+FROM "_DuplicateGroupOrder" AS d
+WHERE c."groupOrderId" = d."id" AND c."status" = 'PENDING';
+
+UPDATE "UserOrder" AS x SET "groupOrderId" = d."keepId" FROM "_DuplicateGroupOrder" AS d WHERE x."groupOrderId" = d."id";
+UPDATE "Payment" AS x SET "groupOrderId" = d."keepId" FROM "_DuplicateGroupOrder" AS d WHERE x."groupOrderId" = d."id";
+UPDATE "PaymentClaim" AS x SET "groupOrderId" = d."keepId" FROM "_DuplicateGroupOrder" AS d WHERE x."groupOrderId" = d."id";
+UPDATE "PaymentReminder" AS x SET "groupOrderId" = d."keepId" FROM "_DuplicateGroupOrder" AS d WHERE x."groupOrderId" = d."id";
+
+-- The extra joins did not really use the invite
+UPDATE "GroupInvite" AS i SET "useCount" = GREATEST(i."useCount" - d."count", 0)
+FROM (
+    SELECT "joinedViaInviteId", COUNT(*)::INTEGER AS "count"
+    FROM "_DuplicateGroupOrder"
+    WHERE "joinedViaInviteId" IS NOT NULL
+    GROUP BY "joinedViaInviteId"
+) AS d
+WHERE i."id" = d."joinedViaInviteId";
+
+-- Their order history stays with the group (the link to the order is cleared)
+DELETE FROM "GroupOrder" WHERE "id" IN (SELECT "id" FROM "_DuplicateGroupOrder");
+
+DROP TABLE "_DuplicateGroupOrder";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GroupOrder_groupId_userId_key" ON "GroupOrder"("groupId", "userId");
@@ -0,0 +1,16 @@
+-- At most one PENDING friend request between two users, whichever of them sent it, so requests
+-- sent at the same moment (twice, or by both users to each other) cannot both be created.
+-- Later duplicates are cancelled first, keeping the oldest one.
+UPDATE "FriendRequest" AS r
+SET "status" = 'CANCELLED', "respondedAt" = NOW()
+WHERE r."status" = 'PENDING'
+  AND EXISTS (
+      SELECT 1 FROM "FriendRequest" AS older
+      WHERE LEAST(older."senderId", older."receiverId") = LEAST(r."senderId", r."receiverId")
+        AND GREATEST(older."senderId", older."receiverId") = GREATEST(r."senderId", r."receiverId")
+        AND older."status" = 'PENDING'
+        AND (older."createdAt", older."id") < (r."createdAt", r."id")
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FriendRequest_pair_pending_key" ON "FriendRequest"(LEAST("senderId", "receiverId"), GREATEST("senderId", "receiverId")) WHERE "status" = 'PENDING';
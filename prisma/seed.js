@@ -7,6 +7,7 @@ async function main() {
     await prisma.userOrder.deleteMany();
     await prisma.groupOrder.deleteMany();
     await prisma.group.deleteMany();
+    await prisma.session.deleteMany();
     await prisma.user.deleteMany();
 
     // Create Users
@@ -1,38 +1,222 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const adminService = require('../services/adminService');
+const adminAuditService = require('../services/adminAuditService');
+const sqlConsoleService = require('../services/sqlConsoleService');
 
+const getClientMeta = (req) => ({ ipAddress: req.ip });
+
+// Body: { query, mode: "read" (default) | "write", confirmationToken }
+// Write mode first returns a confirmationToken; send the same query again with it to run the statement
 exports.executeSql = async (req, res) => {
     try {
-        const { username } = req.user;
-        const { query } = req.body;
-
-        // Strict Access Control
-        // Strict Access Control
-        if (!['OmegaAdmin', 'SupremeAdmin'].includes(username)) {
-            console.warn(`Unauthorized SQL execution attempt by user: ${username}`);
-            return res.status(403).json({ error: 'Access denied: Admin only' });
-        }
+        const { query, mode, confirmationToken } = req.body;
 
         if (!query) {
             return res.status(400).json({ error: 'Query is required' });
         }
 
-        console.log(`Executing SQL by Admin: ${query}`);
+        const result = await sqlConsoleService.run(req.user, { query, mode, confirmationToken }, getClientMeta(req));
 
-        // Execute raw SQL using Prisma
-        // $queryRawUnsafe is risky but necessary for a terminal-like feature
-        const result = await prisma.$queryRawUnsafe(query);
+        res.json(result);
+    } catch (error) {
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Access denied: write mode requires the WRITE_SQL permission' });
+        if (error.message.startsWith('SQL console is not configured')) return res.status(503).json({ error: error.message });
+        if (error.message.startsWith('Invalid') || error.message.startsWith('Query failed')) return res.status(400).json({ error: error.message });
+        console.error('SQL Execution Error:', error);
+        res.status(500).json({ error: 'SQL execution failed' });
+    }
+};
+
+// Query: userId, status, limit, before
+exports.getSqlLog = async (req, res) => {
+    try {
+        const log = await sqlConsoleService.getLog(req.query);
+        res.json(log);
+    } catch (error) {
+        console.error('Get SQL log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
 
-        // Handle BigInt serialization if necessary (Prisma returns BigInt for some types)
-        const serializedResult = JSON.parse(JSON.stringify(result, (key, value) =>
-            typeof value === 'bigint'
-                ? value.toString()
-                : value // return everything else unchanged
-        ));
+// Body: { token } (must match ADMIN_BOOTSTRAP_TOKEN; only while no admin exists)
+exports.bootstrapAdmin = async (req, res) => {
+    try {
+        const user = await adminService.bootstrapAdmin(req.user.userId, req.body.token, getClientMeta(req));
+        res.json({ message: 'You are now an admin', user });
+    } catch (error) {
+        if (error.message === 'Admin bootstrap is disabled') return res.status(404).json({ error: error.message });
+        if (error.message === 'Invalid bootstrap token') return res.status(403).json({ error: error.message });
+        if (error.message === 'An admin already exists') return res.status(409).json({ error: error.message });
+        console.error('Admin bootstrap error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
 
-        res.json({ result: serializedResult });
+// Body: { role: USER | SUPPORT | ADMIN }
+exports.setUserRole = async (req, res) => {
+    try {
+        const user = await adminService.setRole(req.user.userId, req.params.userId, req.body.role, getClientMeta(req));
+        res.json(user);
     } catch (error) {
-        console.error('SQL Execution Error:', error);
-        res.status(500).json({ error: error.message || 'SQL execution failed' });
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message.startsWith('Invalid role')) return res.status(400).json({ error: error.message });
+        console.error('Set user role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Revoking a role makes the user a regular USER again
+exports.revokeUserRole = async (req, res) => {
+    try {
+        const user = await adminService.setRole(req.user.userId, req.params.userId, 'USER', getClientMeta(req));
+        res.json(user);
+    } catch (error) {
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message.startsWith('Invalid role')) return res.status(400).json({ error: error.message });
+        console.error('Revoke user role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.getStaff = async (req, res) => {
+    try {
+        const users = await adminService.getStaff();
+        res.json(users);
+    } catch (error) {
+        console.error('Get staff error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Query: action, actorId, targetId, limit, before
+exports.getAuditLog = async (req, res) => {
+    try {
+        const log = await adminAuditService.getAuditLog(req.query);
+        res.json(log);
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Query: q, role, disabled ("true" | "false"), limit, before
+exports.listUsers = async (req, res) => {
+    try {
+        const users = await adminService.listUsers(req.query);
+        res.json(users);
+    } catch (error) {
+        console.error('List users error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Body: { password }
+exports.resetUserPassword = async (req, res) => {
+    try {
+        const result = await adminService.resetPassword(req.user.userId, req.params.userId, req.body.password, getClientMeta(req));
+        res.json({ message: 'Password reset, the user has been signed out everywhere', ...result });
+    } catch (error) {
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message.startsWith('Invalid password')) return res.status(400).json({ error: error.message });
+        console.error('Reset user password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Body: { reason } (optional)
+const setUserDisabled = (disabled, label) => async (req, res) => {
+    try {
+        const user = await adminService.setDisabled(req.user.userId, req.params.userId, disabled, req.body && req.body.reason, getClientMeta(req));
+        res.json(user);
+    } catch (error) {
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message.startsWith('Invalid request')) return res.status(400).json({ error: error.message });
+        console.error(`${label} user error:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+exports.disableUser = setUserDisabled(true, 'Disable');
+exports.enableUser = setUserDisabled(false, 'Enable');
+
+// Lifts a lock caused by too many failed logins
+exports.unlockUser = async (req, res) => {
+    try {
+        const user = await adminService.unlockUser(req.user.userId, req.params.userId, getClientMeta(req));
+        res.json(user);
+    } catch (error) {
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        console.error('Unlock user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Query: q, status, archived ("true" | "false"), limit, before
+exports.listGroups = async (req, res) => {
+    try {
+        const groups = await adminService.listGroups(req.query);
+        res.json(groups);
+    } catch (error) {
+        console.error('List groups error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const handleGroupError = (res, error, label) => {
+    if (error.message === 'Group not found') return res.status(404).json({ error: error.message });
+    if (error.message.startsWith('Invalid creator')) return res.status(400).json({ error: error.message });
+    if (error.message === 'Group status changed, please retry') return res.status(409).json({ error: error.message });
+    console.error(`${label} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+exports.forceCloseGroup = async (req, res) => {
+    try {
+        const group = await adminService.forceCloseGroup(req.user.userId, req.params.groupId, getClientMeta(req));
+        res.json(group);
+    } catch (error) {
+        handleGroupError(res, error, 'Force close group');
+    }
+};
+
+exports.archiveGroup = async (req, res) => {
+    try {
+        const group = await adminService.setArchived(req.user.userId, req.params.groupId, true, getClientMeta(req));
+        res.json(group);
+    } catch (error) {
+        handleGroupError(res, error, 'Archive group');
+    }
+};
+
+exports.unarchiveGroup = async (req, res) => {
+    try {
+        const group = await adminService.setArchived(req.user.userId, req.params.groupId, false, getClientMeta(req));
+        res.json(group);
+    } catch (error) {
+        handleGroupError(res, error, 'Unarchive group');
+    }
+};
+
+// Body: { userId } (must already be a member of the group)
+exports.reassignGroupCreator = async (req, res) => {
+    try {
+        if (!req.body.userId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const group = await adminService.reassignCreator(req.user.userId, req.params.groupId, String(req.body.userId), getClientMeta(req));
+        res.json(group);
+    } catch (error) {
+        handleGroupError(res, error, 'Reassign group creator');
+    }
+};
+
+// Query: days (orders-per-day period, default 14)
+exports.getStats = async (req, res) => {
+    try {
+        const stats = await adminService.getStats(req.query);
+        res.json(stats);
+    } catch (error) {
+        console.error('Get platform stats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 };
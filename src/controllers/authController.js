@@ -1,10 +1,19 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const authService = require('../services/authService');
+const userService = require('../services/userService');
 
 // Prisma v7 客戶端初始化
 const prisma = new PrismaClient();
-const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_key';
+
+const getClientMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip,
+});
+
+// Compared against when the username does not exist, so that takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
 
 exports.register = async (req, res) => {
   try {
@@ -14,6 +23,14 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: 'Username, password and name are required' });
     }
 
+    // Optional, used for payment reminders
+    let email;
+    try {
+      email = userService.normalizeEmail(req.body.email);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     const existingUser = await prisma.user.findUnique({
       where: { username },
     });
@@ -22,6 +39,10 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: 'Username already exists' });
     }
 
+    if (email && await prisma.user.findUnique({ where: { email } })) {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
     const user = await prisma.user.create({
@@ -32,13 +53,36 @@ exports.register = async (req, res) => {
       },
     });
 
-    res.status(201).json({ message: 'User registered successfully', userId: user.id });
+    // The address is only used once its owner opens the verification link sent to it
+    let pendingEmail = null;
+    if (email) {
+      try {
+        ({ pendingEmail } = await userService.updateEmail(user.id, email));
+      } catch (error) {
+        console.error('Registration email error:', error);
+      }
+    }
+
+    res.status(201).json({ message: 'User registered successfully', userId: user.id, pendingEmail });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
+// Body: { token } from the link in the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await userService.verifyEmail(req.body.token);
+    res.json(user);
+  } catch (error) {
+    if (error.message === 'Invalid or expired verification link') return res.status(400).json({ error: error.message });
+    if (error.message === 'Email already in use') return res.status(409).json({ error: error.message });
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 exports.login = async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -47,26 +91,116 @@ exports.login = async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
+    const loginName = String(username);
+    const ipAddress = req.ip || 'unknown';
+
+    // Locked per username and client address, so nobody can lock an account out for everyone else.
+    // Unknown usernames are counted and locked too, so the responses do not reveal which accounts exist.
+    const lockedFor = await authService.loginLockedForSeconds(loginName, ipAddress);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({ error: 'Too many failed logins, please try again later', retryAfter: lockedFor });
+    }
+
     const user = await prisma.user.findUnique({
-      where: { username },
+      where: { username: loginName },
     });
 
-    if (!user) {
+    const isMatch = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !isMatch) {
+      await authService.recordFailedLogin(loginName, ipAddress);
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid username or password' });
+    // Only told after the password matched, so the account status does not leak
+    if (user.disabledAt) {
+      return res.status(403).json({ error: 'Account disabled' });
     }
 
-    const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, {
-      expiresIn: '1h',
+    await authService.clearFailedLogins(loginName, ipAddress);
+
+    const { accessToken, refreshToken } = await authService.createSession(user, getClientMeta(req));
+
+    res.json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      user: { id: user.id, username: user.username, name: user.name, role: user.role }
     });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await authService.refreshSession(refreshToken, getClientMeta(req));
 
-    res.json({ message: 'Login successful', token, user: { id: user.id, username: user.username, name: user.name } });
+    res.json({ token: result.accessToken, refreshToken: result.refreshToken, user: result.user });
   } catch (error) {
+    if (error.message === 'Invalid refresh token' || error.message === 'Refresh token expired') {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message === 'Account disabled') {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Log out the current session
+exports.logout = async (req, res) => {
+  try {
+    await authService.revokeSession(req.user.userId, req.user.sessionId);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Log out every device of the current user
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await authService.revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await authService.getSessions(req.user.userId, req.user.sessionId);
+    res.json(sessions);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    await authService.revokeSession(req.user.userId, req.params.sessionId);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error.message === 'Session not found') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: 'Internal server error' });
   }
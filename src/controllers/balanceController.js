@@ -0,0 +1,70 @@
+const balanceService = require('../services/balanceService');
+
+// Balances with everyone the user has unsettled orders with, plus a settlement plan among friends
+const getBalances = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const balances = await balanceService.getBalances(userId);
+
+        res.json(balances);
+
+    } catch (error) {
+        console.error("Error fetching balances:", error);
+        res.status(500).json({ error: 'Failed to fetch balances' });
+    }
+};
+
+// Balance with one user, including the orders it is made of
+const getBalanceWith = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { userId: otherId } = req.params;
+
+        const balance = await balanceService.getBalanceWith(userId, otherId);
+
+        res.json(balance);
+
+    } catch (error) {
+        console.error("Error fetching balance:", error);
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to fetch balance' });
+    }
+};
+
+// Settle up with a friend: marks every order between the two users as paid
+// Body: { method, note, expectedNet }
+const settleUp = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { userId: otherId } = req.params;
+
+        if (userId === otherId) {
+            return res.status(400).json({ error: 'Cannot settle up with yourself' });
+        }
+
+        const result = await balanceService.settleUp(userId, otherId, req.body);
+
+        res.json({
+            message: 'Settled up',
+            ...result
+        });
+
+    } catch (error) {
+        console.error("Error settling up:", error);
+        if (error.message.startsWith('Invalid payment')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Nothing to settle') return res.status(400).json({ error: error.message });
+        if (error.message === 'Not friends') return res.status(403).json({ error: 'You can only settle up with friends' });
+        if (error.message.startsWith('Only the user receiving')) return res.status(403).json({ error: error.message });
+        if (error.message.startsWith('Balance changed')) return res.status(409).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to settle up' });
+    }
+};
+
+module.exports = {
+    getBalances,
+    getBalanceWith,
+    settleUp
+};
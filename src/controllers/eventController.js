@@ -0,0 +1,68 @@
+const eventHub = require('../realtime/eventHub');
+const groupEvents = require('../realtime/groupEvents');
+const streamTickets = require('../realtime/streamTickets');
+const authService = require('../services/authService');
+const groupService = require('../services/groupService');
+
+/**
+ * Whether the session a stream was opened with can still be used.
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>}
+ */
+const sessionStillActive = async (user) => {
+    const session = await authService.getActiveSession(user.sessionId);
+    return !!session && !session.user.disabledAt;
+};
+
+/**
+ * Issues a single-use ticket for opening an event stream with EventSource (?ticket=).
+ * Response: { ticket, expiresAt }
+ */
+const createStreamTicket = (req, res) => {
+    res.status(201).json(streamTickets.issue(req.user));
+};
+
+/**
+ * Opens the dashboard event stream of the current user.
+ * Events: group.invited, group.removed, group.deleted, group.status, stream.closed
+ */
+const streamUserEvents = (req, res) => {
+    const user = req.user;
+
+    eventHub.subscribe(groupEvents.userChannel(user.userId), req, res, {
+        userId: user.userId,
+        sessionId: user.sessionId,
+        verify: () => sessionStillActive(user)
+    });
+};
+
+/**
+ * Opens the event stream of a group (creator or participants only).
+ * Access is checked again on every heartbeat, so the stream ends once the user leaves the group,
+ * logs out or is disabled.
+ * Events: order.updated, payment.updated, group.updated, group.status, stream.closed
+ */
+const streamGroupEvents = async (req, res) => {
+    try {
+        const user = req.user;
+        const { groupId } = req.params;
+
+        const allowed = await groupService.hasAccess(user.userId, groupId);
+        if (!allowed) return res.status(403).json({ error: 'Access denied to this group' });
+
+        eventHub.subscribe(groupEvents.groupChannel(groupId), req, res, {
+            userId: user.userId,
+            sessionId: user.sessionId,
+            verify: async () => (await sessionStillActive(user)) && groupService.hasAccess(user.userId, groupId)
+        });
+    } catch (error) {
+        console.error("Error opening group event stream:", error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+};
+
+module.exports = {
+    createStreamTicket,
+    streamUserEvents,
+    streamGroupEvents
+};
@@ -1,17 +1,26 @@
 const groupService = require('../services/groupService');
+const groupLifecycleService = require('../services/groupLifecycleService');
+const groupMemberService = require('../services/groupMemberService');
+const orderHistoryService = require('../services/orderHistoryService');
 
 /**
- * Retrieves all groups relevant to the dashboard for the current user.
+ * Retrieves the groups relevant to the dashboard for the current user.
  * This includes groups created by the user and groups the user has joined (ordered).
  * Returns formatted data including aggregated order statistics.
+ * Query: status, role, paymentState, from, to, q, sort, order, limit, cursor, paginate
+ * Without paginate=true, limit or cursor the response is the plain array of every matching group,
+ * as before paging existed; with any of them it is one page: { groups, totalCount, nextCursor }.
  */
 const getDashboardGroups = async (req, res) => {
     try {
         const userId = req.user.userId;
-        const groups = await groupService.getDashboardGroups(userId);
-        res.json(groups);
+        const { paginate, limit, cursor } = req.query;
+        const paginated = paginate === 'true' || limit !== undefined || cursor !== undefined;
+        const result = await groupService.getDashboardGroups(userId, req.query, { paginated });
+        res.json(paginated ? result : result.groups);
     } catch (error) {
         console.error("Error fetching dashboard groups:", error);
+        if (error.message.startsWith('Invalid query')) return res.status(400).json({ error: error.message });
         res.status(500).json({ error: "Failed to fetch groups" });
     }
 };
@@ -33,6 +42,10 @@ const createGroup = async (req, res) => {
         res.status(201).json(newGroup);
     } catch (error) {
         console.error("Error creating group:", error);
+        if (error.message === 'Cannot invite blocked user') return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid option groups')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid limits')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Template not found') return res.status(404).json({ error: error.message });
         res.status(500).json({ error: 'Failed to create group', details: error.message });
     }
 };
@@ -57,11 +70,56 @@ const updateGroup = async (req, res) => {
         if (error.message === 'Group not found') return res.status(404).json({ error: 'Group not found' });
         if (error.message === 'Not authorized') return res.status(403).json({ error: 'Not authorized' });
         if (error.message.includes('Cannot delete item')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Cannot remove member')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Cannot invite blocked user') return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid option groups')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid limits')) return res.status(400).json({ error: error.message });
 
         res.status(500).json({ error: 'Failed to update group' });
     }
 };
 
+/**
+ * Lists the shared costs (delivery fee, service charge, discounts) of a group.
+ */
+const getAdjustments = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const adjustments = await groupService.getAdjustments(userId, id);
+
+        res.json(adjustments);
+    } catch (error) {
+        console.error("Error fetching group adjustments:", error);
+        if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to fetch adjustments' });
+    }
+};
+
+/**
+ * Replaces the shared costs of a group.
+ * Body: { adjustments: [...] }
+ */
+const setAdjustments = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const adjustments = await groupService.setAdjustments(userId, id, req.body.adjustments);
+
+        res.json({ message: 'Adjustments updated', adjustments });
+    } catch (error) {
+        console.error("Error updating group adjustments:", error);
+        if (error.message.startsWith('Invalid adjustment')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Group not found') return res.status(404).json({ error: 'Group not found' });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Not authorized' });
+
+        res.status(500).json({ error: 'Failed to update adjustments' });
+    }
+};
+
 /**
  * Deletes a group and all associated data (products, orders, items).
  * Prerequisite: All orders must be PAID or empty.
@@ -99,17 +157,207 @@ const updateGroupStatus = async (req, res) => {
     } catch (error) {
         console.error("Error updating group status:", error);
         if (error.message === 'Invalid status') return res.status(400).json({ error: 'Invalid status' });
+        if (error.message.startsWith('Cannot reopen')) return res.status(400).json({ error: error.message });
         if (error.message === 'Group not found') return res.status(404).json({ error: 'Group not found' });
         if (error.message === 'Not authorized') return res.status(403).json({ error: 'Not authorized' });
+        if (error.message === 'Group status changed, please retry') return res.status(409).json({ error: error.message });
 
         res.status(500).json({ error: 'Failed to update group status' });
     }
 };
 
+/**
+ * Moves the deadline (endTime) of a group.
+ * A closed group is reopened when its deadline is extended.
+ */
+const extendDeadline = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { endTime } = req.body;
+        const userId = req.user.userId;
+
+        const updatedGroup = await groupLifecycleService.extendDeadline(userId, id, endTime);
+
+        res.json({ message: 'Group deadline updated', group: updatedGroup });
+    } catch (error) {
+        console.error("Error extending group deadline:", error);
+        if (error.message.startsWith('Invalid end time')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Cannot reopen')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Group not found') return res.status(404).json({ error: 'Group not found' });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Not authorized' });
+        if (error.message === 'Group status changed, please retry') return res.status(409).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to update group deadline' });
+    }
+};
+
+/**
+ * Lists every status transition of a group, including automatic ones.
+ */
+const getStatusHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const history = await groupLifecycleService.getStatusHistory(userId, id);
+
+        res.json(history);
+    } catch (error) {
+        console.error("Error fetching group status history:", error);
+        if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to fetch status history' });
+    }
+};
+
+/**
+ * Order change timeline of a group: item edits (with a diff per version), menu price changes
+ * and payment status changes. Participants only see their own order.
+ * Query: ?orderId=&type=ITEMS_UPDATED|MENU_PRICE_CHANGED|PAYMENT_STATUS_CHANGED
+ */
+const getOrderHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+        const { orderId, type } = req.query;
+
+        const timeline = await orderHistoryService.getTimeline(userId, id, { orderId, type });
+
+        res.json(timeline);
+    } catch (error) {
+        console.error("Error fetching order history:", error);
+        if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+        if (error.message.startsWith('Invalid filter')) return res.status(400).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to fetch order history' });
+    }
+};
+
+/**
+ * Opens a group again with the same title, menu and members.
+ * Body: { endTime (required), startTime, title, products, templateId, invitedUserIds, copyItems }
+ */
+const cloneGroup = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const newGroup = await groupService.cloneGroup(userId, id, req.body);
+
+        res.status(201).json(newGroup);
+    } catch (error) {
+        console.error("Error cloning group:", error);
+        if (error.message === 'Group not found') return res.status(404).json({ error: 'Group not found' });
+        if (error.message === 'Template not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+        if (error.message === 'Cannot invite blocked user') return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid clone')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid option groups')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid limits')) return res.status(400).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to clone group' });
+    }
+};
+
+const handleRoleError = (res, error, fallback) => {
+    if (error.message === 'Group not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Member not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+    if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only the group owner can manage roles' });
+    if (error.message.startsWith('Invalid role') || error.message.startsWith('Invalid transfer')) return res.status(400).json({ error: error.message });
+
+    res.status(500).json({ error: fallback });
+};
+
+/**
+ * Lists the members of a group with their roles, plus the requesting user's own permissions.
+ */
+const getMembers = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const members = await groupMemberService.getMembers(userId, id);
+
+        res.json(members);
+    } catch (error) {
+        console.error("Error fetching group members:", error);
+        handleRoleError(res, error, 'Failed to fetch group members');
+    }
+};
+
+/**
+ * Assigns a role to a member (owner only).
+ * Body: { role: CO_ORGANISER | TREASURER | PARTICIPANT }
+ */
+const setMemberRole = async (req, res) => {
+    try {
+        const { id, userId: memberId } = req.params;
+        const userId = req.user.userId;
+
+        const members = await groupMemberService.setRole(userId, id, memberId, req.body.role);
+
+        res.json(members);
+    } catch (error) {
+        console.error("Error setting member role:", error);
+        handleRoleError(res, error, 'Failed to set member role');
+    }
+};
+
+/**
+ * Hands the group over to another member (owner only). The previous owner becomes a co-organiser.
+ * Body: { userId }
+ */
+const transferOwnership = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const members = await groupMemberService.transferOwnership(userId, id, req.body.userId);
+
+        res.json(members);
+    } catch (error) {
+        console.error("Error transferring group ownership:", error);
+        handleRoleError(res, error, 'Failed to transfer ownership');
+    }
+};
+
+/**
+ * Removes a member from the group (owner or co-organiser), e.g. someone who joined through an invite link.
+ */
+const removeMember = async (req, res) => {
+    try {
+        const { id, userId: memberId } = req.params;
+        const userId = req.user.userId;
+
+        const members = await groupService.removeMember(userId, id, memberId);
+
+        res.json(members);
+    } catch (error) {
+        console.error("Error removing group member:", error);
+        if (error.message === 'Group not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Member not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Not authorized' });
+        if (error.message.startsWith('Cannot remove member')) return res.status(400).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+};
+
 module.exports = {
     getDashboardGroups,
     createGroup,
+    cloneGroup,
     updateGroup,
     deleteGroup,
-    updateGroupStatus
+    updateGroupStatus,
+    extendDeadline,
+    getStatusHistory,
+    getOrderHistory,
+    getAdjustments,
+    setAdjustments,
+    getMembers,
+    setMemberRole,
+    removeMember,
+    transferOwnership
 };
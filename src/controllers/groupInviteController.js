@@ -0,0 +1,111 @@
+const groupInviteService = require('../services/groupInviteService');
+
+const handleOrganiserError = (res, error, fallback) => {
+    if (error.message === 'Group not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Invite not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only group organisers can manage invite links' });
+    if (error.message.startsWith('Invalid invite')) return res.status(400).json({ error: error.message });
+
+    res.status(500).json({ error: fallback });
+};
+
+/**
+ * Creates an invite link for a group (owner or co-organisers).
+ * Body: { label, expiresAt | expiresInHours, maxUses }
+ */
+const createInvite = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const invite = await groupInviteService.createInvite(userId, id, req.body);
+
+        res.status(201).json(invite);
+    } catch (error) {
+        console.error("Error creating invite link:", error);
+        handleOrganiserError(res, error, 'Failed to create invite link');
+    }
+};
+
+/**
+ * Lists a group's invite links with the members who joined through each one (owner or co-organisers).
+ */
+const getInvites = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const invites = await groupInviteService.getInvites(userId, id);
+
+        res.json(invites);
+    } catch (error) {
+        console.error("Error fetching invite links:", error);
+        handleOrganiserError(res, error, 'Failed to fetch invite links');
+    }
+};
+
+/**
+ * Revokes an invite link (owner or co-organisers).
+ */
+const revokeInvite = async (req, res) => {
+    try {
+        const { id, inviteId } = req.params;
+        const userId = req.user.userId;
+
+        await groupInviteService.revokeInvite(userId, id, inviteId);
+
+        res.json({ message: 'Invite link revoked' });
+    } catch (error) {
+        console.error("Error revoking invite link:", error);
+        handleOrganiserError(res, error, 'Failed to revoke invite link');
+    }
+};
+
+/**
+ * Shows the group behind an invite code before joining.
+ */
+const previewInvite = async (req, res) => {
+    try {
+        const { code } = req.params;
+        const userId = req.user.userId;
+
+        const preview = await groupInviteService.previewInvite(userId, code);
+
+        res.json(preview);
+    } catch (error) {
+        console.error("Error previewing invite:", error);
+        if (error.message === 'Invite not found') return res.status(404).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to load invite' });
+    }
+};
+
+/**
+ * Joins the group behind an invite code.
+ */
+const redeemInvite = async (req, res) => {
+    try {
+        const { code } = req.params;
+        const userId = req.user.userId;
+
+        const result = await groupInviteService.redeemInvite(userId, code);
+
+        res.status(result.alreadyMember ? 200 : 201).json(result);
+    } catch (error) {
+        console.error("Error redeeming invite:", error);
+        if (error.message === 'Invite not found') return res.status(404).json({ error: error.message });
+        if (error.message.startsWith('Invite is')) return res.status(410).json({ error: error.message });
+        if (error.message === 'Group is closed') return res.status(409).json({ error: error.message });
+        if (error.message === 'Cannot join this group') return res.status(403).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to join group' });
+    }
+};
+
+module.exports = {
+    createInvite,
+    getInvites,
+    revokeInvite,
+    previewInvite,
+    redeemInvite
+};
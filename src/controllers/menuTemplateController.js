@@ -0,0 +1,149 @@
+const menuTemplateService = require('../services/menuTemplateService');
+
+const handleError = (res, error, fallback) => {
+    if (error.message.startsWith('Invalid template') || error.message.startsWith('Invalid menu import')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Template not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only the template owner can do this' });
+    if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+    if (error.message === 'Not friends') return res.status(400).json({ error: 'Templates can only be shared with friends' });
+
+    res.status(500).json({ error: fallback });
+};
+
+/**
+ * Lists the user's own templates and templates shared with them.
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const templates = await menuTemplateService.getTemplates(req.user.userId);
+        res.json(templates);
+    } catch (error) {
+        console.error("Error fetching menu templates:", error);
+        handleError(res, error, 'Failed to fetch menu templates');
+    }
+};
+
+/**
+ * Gets one template with its products.
+ */
+const getTemplate = async (req, res) => {
+    try {
+        const template = await menuTemplateService.getTemplate(req.user.userId, req.params.id);
+        res.json(template);
+    } catch (error) {
+        console.error("Error fetching menu template:", error);
+        handleError(res, error, 'Failed to fetch menu template');
+    }
+};
+
+/**
+ * Creates a template from a list of products, or from a group's menu.
+ * Body: { name, products } or { name, groupId }
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, products, groupId } = req.body;
+
+        const template = groupId
+            ? await menuTemplateService.createTemplateFromGroup(userId, groupId, name)
+            : await menuTemplateService.createTemplate(userId, { name, products });
+
+        res.status(201).json(template);
+    } catch (error) {
+        console.error("Error creating menu template:", error);
+        handleError(res, error, 'Failed to create menu template');
+    }
+};
+
+/**
+ * Renames a template and/or replaces its products (owner only).
+ */
+const updateTemplate = async (req, res) => {
+    try {
+        const template = await menuTemplateService.updateTemplate(req.user.userId, req.params.id, req.body);
+        res.json(template);
+    } catch (error) {
+        console.error("Error updating menu template:", error);
+        handleError(res, error, 'Failed to update menu template');
+    }
+};
+
+/**
+ * Deletes a template (owner only).
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        await menuTemplateService.deleteTemplate(req.user.userId, req.params.id);
+        res.json({ message: 'Menu template deleted' });
+    } catch (error) {
+        console.error("Error deleting menu template:", error);
+        handleError(res, error, 'Failed to delete menu template');
+    }
+};
+
+/**
+ * Shares a template with a friend. Body: { friendId }
+ */
+const shareTemplate = async (req, res) => {
+    try {
+        const { friendId } = req.body;
+        if (!friendId) return res.status(400).json({ error: 'friendId is required' });
+
+        const template = await menuTemplateService.shareTemplate(req.user.userId, req.params.id, String(friendId));
+        res.json(template);
+    } catch (error) {
+        console.error("Error sharing menu template:", error);
+        handleError(res, error, 'Failed to share menu template');
+    }
+};
+
+/**
+ * Stops sharing a template with a user (owner, or the user removing it from their own list).
+ */
+const unshareTemplate = async (req, res) => {
+    try {
+        await menuTemplateService.unshareTemplate(req.user.userId, req.params.id, req.params.userId);
+        res.json({ message: 'Menu template no longer shared' });
+    } catch (error) {
+        console.error("Error unsharing menu template:", error);
+        handleError(res, error, 'Failed to unshare menu template');
+    }
+};
+
+/**
+ * Parses a menu from CSV, JSON or pasted "name price" lines.
+ * Body: { format: "csv" | "json" | "text", content, name }
+ * Invalid rows are returned as `errors` with their line numbers and nothing is saved.
+ * With `name` and no errors, the menu is also saved as a template.
+ */
+const importMenu = async (req, res) => {
+    try {
+        const result = await menuTemplateService.importMenu(req.user.userId, req.body);
+
+        if (result.errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid menu import', errors: result.errors, products: result.products });
+        }
+        if (result.products.length === 0) {
+            return res.status(400).json({ error: 'Invalid menu import: no items found', errors: [] });
+        }
+
+        res.status(result.template ? 201 : 200).json(result);
+    } catch (error) {
+        console.error("Error importing menu:", error);
+        handleError(res, error, 'Failed to import menu');
+    }
+};
+
+module.exports = {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    shareTemplate,
+    unshareTemplate,
+    importMenu
+};
@@ -0,0 +1,74 @@
+const notificationService = require('../services/notificationService');
+
+// Inbox, newest first (?unread=true&limit=20&before=<notificationId>)
+const getNotifications = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { unread, limit, before } = req.query;
+
+        const inbox = await notificationService.getNotifications(userId, { unreadOnly: unread === 'true', limit, before });
+
+        res.json(inbox);
+
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+};
+
+// Mark one (:id), several ({ ids }) or, with neither, every notification as read
+const markRead = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const ids = req.params.id ? [req.params.id] : req.body.ids;
+
+        const result = await notificationService.markRead(userId, ids);
+
+        res.json(result);
+
+    } catch (error) {
+        console.error("Error marking notifications as read:", error);
+        if (error.message.startsWith('Invalid request')) return res.status(400).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+};
+
+// Muted notification types and groups
+const getPreferences = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const preferences = await notificationService.getPreferences(userId);
+
+        res.json(preferences);
+
+    } catch (error) {
+        console.error("Error fetching notification preferences:", error);
+        res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+};
+
+// Replace muted types and/or groups: { mutedTypes, mutedGroupIds }
+const updatePreferences = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const preferences = await notificationService.updatePreferences(userId, req.body);
+
+        res.json(preferences);
+
+    } catch (error) {
+        console.error("Error updating notification preferences:", error);
+        if (error.message.startsWith('Invalid preferences')) return res.status(400).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    markRead,
+    getPreferences,
+    updatePreferences
+};
@@ -1,4 +1,6 @@
 const orderService = require('../services/orderService');
+const paymentService = require('../services/paymentService');
+const exportService = require('../services/exportService');
 
 const updateOrder = async (req, res) => {
     try {
@@ -15,6 +17,12 @@ const updateOrder = async (req, res) => {
     } catch (error) {
         console.error("Error updating order:", error);
         if (error.message.includes('Group is closed')) return res.status(400).json({ error: error.message });
+        if (error.message.includes('Group has not started yet')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid options')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid quantity')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Invalid item')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Quantity limit exceeded')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Out of stock')) return res.status(409).json({ error: error.message });
         if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
 
         res.status(500).json({ error: 'Failed to update order' });
@@ -40,31 +48,155 @@ const getGroupSummary = async (req, res) => {
 };
 
 // Update payment status (Creator Only)
+// Legacy toggle: records the ledger entry needed to settle (or clear) the order.
 const updatePaymentStatus = async (req, res) => {
     try {
         const userId = req.user.userId;
         const { orderId } = req.params;
         const { status } = req.body;
 
-        const result = await orderService.updatePaymentStatus(userId, orderId, status);
+        const ledger = await paymentService.setPaidState(userId, orderId, status);
 
         res.json({
             message: 'Payment status updated',
-            paymentStatus: result.paymentStatus
+            paymentStatus: ledger.paymentStatus,
+            ledger
         });
 
     } catch (error) {
         console.error("Error updating payment status:", error);
         if (error.message.includes('Invalid status')) return res.status(400).json({ error: error.message });
         if (error.message === 'Order not found') return res.status(404).json({ error: error.message });
-        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only group creator can update payment status' });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only group organisers and treasurers can update payment status' });
 
         res.status(500).json({ error: 'Failed to update payment status' });
     }
 };
 
+// Get the payment ledger of an order (Creator or order owner)
+const getPayments = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { orderId } = req.params;
+
+        const ledger = await paymentService.getPayments(userId, orderId);
+
+        res.json(ledger);
+
+    } catch (error) {
+        console.error("Error fetching payments:", error);
+        if (error.message === 'Order not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Access denied to this order' });
+
+        res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+};
+
+// Record a payment or refund (Creator Only)
+const recordPayment = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { orderId } = req.params;
+
+        const ledger = await paymentService.recordPayment(userId, orderId, req.body);
+
+        res.status(201).json({
+            message: 'Payment recorded',
+            ledger
+        });
+
+    } catch (error) {
+        console.error("Error recording payment:", error);
+        if (error.message.startsWith('Invalid payment')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Order not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only group organisers and treasurers can record payments' });
+
+        res.status(500).json({ error: 'Failed to record payment' });
+    }
+};
+
+// Participant claims "I've paid" for their own order
+const claimPayment = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { orderId } = req.params;
+
+        const claim = await paymentService.createClaim(userId, orderId, req.body);
+
+        res.status(201).json({
+            message: 'Payment claimed, waiting for confirmation',
+            claim
+        });
+
+    } catch (error) {
+        console.error("Error claiming payment:", error);
+        if (error.message.startsWith('Invalid claim')) return res.status(400).json({ error: error.message });
+        if (error.message.startsWith('Payment already claimed')) return res.status(409).json({ error: error.message });
+        if (error.message === 'Order not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'You can only claim payment for your own order' });
+
+        res.status(500).json({ error: 'Failed to claim payment' });
+    }
+};
+
+// Participant withdraws their pending claim
+const withdrawPaymentClaim = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { orderId } = req.params;
+
+        await paymentService.withdrawClaim(userId, orderId);
+
+        res.json({ message: 'Payment claim withdrawn' });
+
+    } catch (error) {
+        console.error("Error withdrawing payment claim:", error);
+        if (error.message === 'Order not found' || error.message === 'No pending claim') return res.status(404).json({ error: error.message });
+        if (error.message === 'Not authorized') return res.status(403).json({ error: 'You can only withdraw your own claim' });
+
+        res.status(500).json({ error: 'Failed to withdraw payment claim' });
+    }
+};
+
+// Download the group summary (Creator or participant)
+// format: "csv" | "xlsx" | "shop-sheet"
+const EXPORTERS = {
+    csv: exportService.exportOrdersCsv,
+    xlsx: exportService.exportOrdersXlsx,
+    'shop-sheet': exportService.exportShopSheet
+};
+
+const exportGroup = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { groupId, format } = req.params;
+
+        const exporter = EXPORTERS[format];
+        if (!exporter) {
+            return res.status(400).json({ error: `Unsupported export format. Use one of: ${Object.keys(EXPORTERS).join(', ')}` });
+        }
+
+        const file = await exporter.call(exportService, userId, groupId);
+
+        res.attachment(file.fileName);
+        res.type(file.contentType);
+        res.send(file.body);
+
+    } catch (error) {
+        console.error("Error exporting group:", error);
+        if (error.message === 'Access denied to this group') return res.status(403).json({ error: error.message });
+
+        res.status(500).json({ error: 'Failed to export group' });
+    }
+};
+
 module.exports = {
     updateOrder,
     getGroupSummary,
-    updatePaymentStatus
+    updatePaymentStatus,
+    getPayments,
+    recordPayment,
+    claimPayment,
+    withdrawPaymentClaim,
+    exportGroup
 };
@@ -0,0 +1,51 @@
+const paymentService = require('../services/paymentService');
+
+const handleReviewError = (res, error) => {
+    if (error.message.startsWith('Invalid review')) return res.status(400).json({ error: error.message });
+    if (error.message === 'Claim not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only group organisers and treasurers can review payment claims' });
+    if (error.message === 'Claim already reviewed') return res.status(409).json({ error: error.message });
+
+    res.status(500).json({ error: 'Failed to review payment claims' });
+};
+
+// Review queue of the groups whose payments the user manages (?groupId=&status=PENDING|CONFIRMED|REJECTED|WITHDRAWN|ALL)
+const getClaims = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { groupId, status } = req.query;
+
+        const claims = await paymentService.getClaims(userId, { groupId, status });
+
+        res.json(claims);
+
+    } catch (error) {
+        console.error("Error fetching payment claims:", error);
+        res.status(500).json({ error: 'Failed to fetch payment claims' });
+    }
+};
+
+// Confirm or reject a single claim (:claimId) or several ({ claimIds }); rejecting needs { reason }
+const reviewClaims = (decision) => async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const claimIds = req.params.claimId ? [req.params.claimId] : req.body.claimIds;
+
+        const claims = await paymentService.reviewClaims(userId, claimIds, decision, req.body.reason);
+
+        res.json({
+            message: decision === 'CONFIRM' ? 'Payment claims confirmed' : 'Payment claims rejected',
+            claims
+        });
+
+    } catch (error) {
+        console.error("Error reviewing payment claims:", error);
+        handleReviewError(res, error);
+    }
+};
+
+module.exports = {
+    getClaims,
+    confirmClaims: reviewClaims('CONFIRM'),
+    rejectClaims: reviewClaims('REJECT')
+};
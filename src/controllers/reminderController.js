@@ -0,0 +1,74 @@
+const reminderService = require('../services/reminderService');
+
+const handleReminderError = (res, error, fallback) => {
+    if (error.message === 'Group not found') return res.status(404).json({ error: error.message });
+    if (error.message === 'Not authorized') return res.status(403).json({ error: 'Only group organisers and treasurers can send payment reminders' });
+    if (error.message.startsWith('Invalid')) return res.status(400).json({ error: error.message });
+
+    res.status(500).json({ error: fallback });
+};
+
+/**
+ * Emails a payment reminder to every member of a closed group who still owes money (organisers and treasurers).
+ * Members without an email, or reminded too recently, are returned under `skipped` with a reason.
+ * Body: { orderIds } (optional, to remind only some members)
+ */
+const sendReminders = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const result = await reminderService.sendReminders(userId, id, req.body || {});
+
+        res.json(result);
+    } catch (error) {
+        console.error("Error sending payment reminders:", error);
+        handleReminderError(res, error, 'Failed to send payment reminders');
+    }
+};
+
+/**
+ * Reminder settings and the reminders sent so far (organisers and treasurers).
+ */
+const getReminders = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+
+        const reminders = await reminderService.getReminders(userId, id);
+
+        res.json(reminders);
+    } catch (error) {
+        console.error("Error fetching payment reminders:", error);
+        handleReminderError(res, error, 'Failed to fetch payment reminders');
+    }
+};
+
+/**
+ * Schedules the automatic reminder N hours after the group closes (organisers and treasurers).
+ * Body: { reminderAfterHours } (null turns it off)
+ */
+const updateReminderSettings = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.userId;
+        const { reminderAfterHours } = req.body;
+
+        if (reminderAfterHours === undefined) {
+            return res.status(400).json({ error: 'reminderAfterHours is required' });
+        }
+
+        const settings = await reminderService.setAutoReminder(userId, id, reminderAfterHours);
+
+        res.json(settings);
+    } catch (error) {
+        console.error("Error updating reminder settings:", error);
+        handleReminderError(res, error, 'Failed to update reminder settings');
+    }
+};
+
+module.exports = {
+    sendReminders,
+    getReminders,
+    updateReminderSettings
+};
@@ -0,0 +1,118 @@
+const scheduleService = require('../services/scheduleService');
+
+const handleError = (res, error, fallback) => {
+    if (error.message.startsWith('Invalid schedule')) return res.status(400).json({ error: error.message });
+    if (error.message.startsWith('Invalid option groups') || error.message.startsWith('Invalid limits')) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Cannot invite blocked user') return res.status(400).json({ error: error.message });
+    if (error.message === 'Schedule not found' || error.message === 'Template not found') return res.status(404).json({ error: error.message });
+    if (error.message.includes('Cannot delete')) return res.status(400).json({ error: error.message });
+
+    res.status(500).json({ error: fallback });
+};
+
+/**
+ * Lists the user's recurring group schedules.
+ */
+const getSchedules = async (req, res) => {
+    try {
+        const schedules = await scheduleService.getSchedules(req.user.userId);
+        res.json(schedules);
+    } catch (error) {
+        console.error("Error fetching schedules:", error);
+        handleError(res, error, 'Failed to fetch schedules');
+    }
+};
+
+/**
+ * Gets one schedule.
+ */
+const getSchedule = async (req, res) => {
+    try {
+        const schedule = await scheduleService.getSchedule(req.user.userId, req.params.id);
+        res.json(schedule);
+    } catch (error) {
+        console.error("Error fetching schedule:", error);
+        handleError(res, error, 'Failed to fetch schedule');
+    }
+};
+
+/**
+ * Creates a recurring schedule.
+ * Body: { title, frequency, weekdays | monthWeek + monthWeekday, startTimeOfDay, endTimeOfDay, timezone,
+ *         startsOn, endsOn, skipDates, createAheadHours, products | templateId, invitedUserIds }
+ */
+const createSchedule = async (req, res) => {
+    try {
+        const schedule = await scheduleService.createSchedule(req.user.userId, req.body);
+        res.status(201).json(schedule);
+    } catch (error) {
+        console.error("Error creating schedule:", error);
+        handleError(res, error, 'Failed to create schedule');
+    }
+};
+
+/**
+ * Updates a schedule. Body: any schedule fields, plus `applyToFuture` to also update
+ * groups already generated for occurrences that have not started.
+ */
+const updateSchedule = async (req, res) => {
+    try {
+        const result = await scheduleService.updateSchedule(req.user.userId, req.params.id, req.body);
+        res.json(result);
+    } catch (error) {
+        console.error("Error updating schedule:", error);
+        handleError(res, error, 'Failed to update schedule');
+    }
+};
+
+/**
+ * Pauses / resumes a schedule.
+ */
+const setPaused = (paused) => async (req, res) => {
+    try {
+        const schedule = await scheduleService.setPaused(req.user.userId, req.params.id, paused);
+        res.json(schedule);
+    } catch (error) {
+        console.error("Error updating schedule status:", error);
+        handleError(res, error, 'Failed to update schedule status');
+    }
+};
+
+/**
+ * Deletes a schedule; groups it already created are kept.
+ */
+const deleteSchedule = async (req, res) => {
+    try {
+        await scheduleService.deleteSchedule(req.user.userId, req.params.id);
+        res.json({ message: 'Schedule deleted' });
+    } catch (error) {
+        console.error("Error deleting schedule:", error);
+        handleError(res, error, 'Failed to delete schedule');
+    }
+};
+
+/**
+ * Upcoming occurrences (?days=30), with skipped dates and generated groups.
+ */
+const getOccurrences = async (req, res) => {
+    try {
+        const occurrences = await scheduleService.getOccurrences(req.user.userId, req.params.id, req.query.days);
+        res.json(occurrences);
+    } catch (error) {
+        console.error("Error fetching schedule occurrences:", error);
+        handleError(res, error, 'Failed to fetch schedule occurrences');
+    }
+};
+
+module.exports = {
+    getSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    pauseSchedule: setPaused(true),
+    resumeSchedule: setPaused(false),
+    deleteSchedule,
+    getOccurrences
+};
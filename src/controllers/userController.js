@@ -1,4 +1,5 @@
 const userService = require('../services/userService');
+const accountService = require('../services/accountService');
 
 // Search users by username or ID (partial match)
 // Query parameter: q (string)
@@ -20,11 +21,12 @@ const searchUsers = async (req, res) => {
     }
 };
 
-const addFriend = async (req, res) => {
+// Send a friend request (accepts a pending request from the other user instead, if there is one)
+// Body: { friendId }
+const sendFriendRequest = async (req, res) => {
     try {
         const userId = req.user.userId;
-        // Helper to ensure friendId is treated as string
-        const friendId = String(req.body.friendId);
+        const friendId = req.body.friendId ? String(req.body.friendId) : null;
 
         if (!friendId) {
             return res.status(400).json({ error: 'friendId is required' });
@@ -34,18 +36,106 @@ const addFriend = async (req, res) => {
             return res.status(400).json({ error: 'Cannot add self as friend' });
         }
 
-        await userService.addFriend(userId, friendId);
+        const request = await userService.sendFriendRequest(userId, friendId);
 
-        res.json({ message: 'Friend added successfully' });
+        if (request.status === 'ACCEPTED') {
+            return res.json({ message: 'Friend request accepted', request });
+        }
+        res.status(201).json({ message: 'Friend request sent', request });
     } catch (error) {
-        console.error('Add friend error:', error);
-        if (error.message === 'Already friends') {
-            return res.status(400).json({ error: 'Already friends' });
+        console.error('Send friend request error:', error);
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (['Already friends', 'Friend request already sent', 'Cannot send friend request to this user'].includes(error.message)) {
+            return res.status(400).json({ error: error.message });
         }
         res.status(500).json({ error: 'Internal server error' });
     }
 };
 
+const getFriendRequests = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const requests = await userService.getFriendRequests(userId);
+        res.json(requests);
+    } catch (error) {
+        console.error('Get friend requests error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Shared handler for accept / decline / cancel
+const respondToFriendRequest = (action, message) => async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const request = await userService[action](userId, req.params.requestId);
+        res.json({ message, request });
+    } catch (error) {
+        console.error(`Friend request ${action} error:`, error);
+        if (error.message === 'Friend request not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Friend request is no longer pending') return res.status(400).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const acceptFriendRequest = respondToFriendRequest('acceptFriendRequest', 'Friend request accepted');
+const declineFriendRequest = respondToFriendRequest('declineFriendRequest', 'Friend request declined');
+const cancelFriendRequest = respondToFriendRequest('cancelFriendRequest', 'Friend request cancelled');
+
+const removeFriend = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        await userService.removeFriend(userId, req.params.friendId);
+        res.json({ message: 'Friend removed' });
+    } catch (error) {
+        console.error('Remove friend error:', error);
+        if (error.message === 'Not friends') return res.status(404).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const getBlockedUsers = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const users = await userService.getBlockedUsers(userId);
+        res.json(users);
+    } catch (error) {
+        console.error('Get blocked users error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Body: { userId }
+const blockUser = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const targetId = req.body.userId ? String(req.body.userId) : null;
+
+        if (!targetId) {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        await userService.blockUser(userId, targetId);
+        res.json({ message: 'User blocked' });
+    } catch (error) {
+        console.error('Block user error:', error);
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Cannot block self') return res.status(400).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+const unblockUser = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        await userService.unblockUser(userId, req.params.userId);
+        res.json({ message: 'User unblocked' });
+    } catch (error) {
+        console.error('Unblock user error:', error);
+        if (error.message === 'User is not blocked') return res.status(404).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
 const getFriends = async (req, res) => {
     try {
         const userId = req.user.userId;
@@ -57,8 +147,98 @@ const getFriends = async (req, res) => {
     }
 };
 
+// Body: { email } (null or "" removes it)
+// A new address is emailed a verification link and stays in pendingEmail until it is opened
+const updateEmail = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const user = await userService.updateEmail(userId, req.body.email);
+        res.json(user);
+    } catch (error) {
+        console.error('Update email error:', error);
+        if (error.message === 'Invalid email') return res.status(400).json({ error: error.message });
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Email already in use') return res.status(409).json({ error: error.message });
+        if (error.message === 'Could not send the verification email') return res.status(503).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Own profile, including site-wide role and permissions
+const getMe = async (req, res) => {
+    try {
+        const profile = await accountService.getProfile(req.user.userId);
+        res.json(profile);
+    } catch (error) {
+        console.error('Get profile error:', error);
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Body: { name, email } (both optional; email null or "" removes it)
+const updateMe = async (req, res) => {
+    try {
+        const profile = await accountService.updateProfile(req.user.userId, req.body);
+        res.json(profile);
+    } catch (error) {
+        console.error('Update profile error:', error);
+        if (error.message.startsWith('Invalid')) return res.status(400).json({ error: error.message });
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message === 'Email already in use') return res.status(409).json({ error: error.message });
+        if (error.message === 'Could not send the verification email') return res.status(503).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Body: { currentPassword, newPassword }
+// Every other session is signed out; the current one stays valid
+const changePassword = async (req, res) => {
+    try {
+        const result = await accountService.changePassword(req.user.userId, req.user.sessionId, req.body, { ipAddress: req.ip });
+        res.json({ message: 'Password changed, your other sessions have been signed out', ...result });
+    } catch (error) {
+        console.error('Change password error:', error);
+        if (error.message.startsWith('Invalid password')) return res.status(400).json({ error: error.message });
+        if (error.message === 'Current password is incorrect') return res.status(403).json({ error: error.message });
+        if (error.message.startsWith('Too many failed password attempts')) return res.status(429).json({ error: error.message });
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Body: { password }
+// Refused (409) while members of your groups still owe you money, or if you are the last admin
+const deleteMe = async (req, res) => {
+    try {
+        const result = await accountService.deleteAccount(req.user.userId, req.body && req.body.password, { ipAddress: req.ip });
+        res.json({ message: 'Account deleted', ...result });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        if (error.message === 'Current password is incorrect') return res.status(403).json({ error: error.message });
+        if (error.message.startsWith('Too many failed password attempts')) return res.status(429).json({ error: error.message });
+        if (error.message === 'User not found') return res.status(404).json({ error: error.message });
+        if (error.message.startsWith('Cannot delete account')) return res.status(409).json({ error: error.message });
+        if (error.message === 'Group status changed, please retry') return res.status(409).json({ error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
 module.exports = {
+    getMe,
+    updateMe,
+    changePassword,
+    deleteMe,
     searchUsers,
-    addFriend,
-    getFriends
+    updateEmail,
+    getFriends,
+    sendFriendRequest,
+    getFriendRequests,
+    acceptFriendRequest,
+    declineFriendRequest,
+    cancelFriendRequest,
+    removeFriend,
+    getBlockedUsers,
+    blockUser,
+    unblockUser
 };
@@ -8,6 +8,15 @@ const groupRoutes = require('./routes/groupRoutes');
 const userRoutes = require('./routes/userRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const paymentClaimRoutes = require('./routes/paymentClaimRoutes');
+const balanceRoutes = require('./routes/balanceRoutes');
+const menuTemplateRoutes = require('./routes/menuTemplateRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const inviteRoutes = require('./routes/inviteRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const groupScheduler = require('./jobs/groupScheduler');
+const { parseTrustProxy } = require('./utils/trustProxy');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -16,10 +25,14 @@ app.use(cors({
     origin: ['http://localhost:2758'],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 app.use(express.json());
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip, which rate limits are keyed on, is the client's address
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // 健康檢查端點
 app.get('/api/health', (req, res) => {
     res.status(200).json({
@@ -34,6 +47,13 @@ app.use('/api/groups', groupRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/payment-claims', paymentClaimRoutes);
+app.use('/api/balances', balanceRoutes);
+app.use('/api/menu-templates', menuTemplateRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 app.get('/', (req, res) => {
     res.send('IpaidUpay API is running');
@@ -41,4 +61,10 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
+
+    // Closes groups whose endTime has passed and creates groups of recurring schedules.
+    // Disable on extra instances when scaling out.
+    if (process.env.GROUP_SCHEDULER_ENABLED !== 'false') {
+        groupScheduler.start();
+    }
 });
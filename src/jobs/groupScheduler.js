@@ -0,0 +1,76 @@
+const groupLifecycleService = require('../services/groupLifecycleService');
+const scheduleService = require('../services/scheduleService');
+const notificationService = require('../services/notificationService');
+const reminderService = require('../services/reminderService');
+
+// How often to close expired groups, announce closing ones, send payment reminders and generate recurring ones (Default: every minute)
+const INTERVAL_MS = Number(process.env.GROUP_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Runs one step of a pass; a failing step is logged and does not stop the steps after it.
+ * @param {string} name - Used in the error log.
+ * @param {Function} step
+ */
+const runStep = async (name, step) => {
+    try {
+        await step();
+    } catch (error) {
+        console.error(`Group scheduler error (${name}):`, error);
+    }
+};
+
+/**
+ * Runs one scheduler pass. Overlapping passes are skipped.
+ */
+const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        await runStep('closing expired groups', async () => {
+            const closed = await groupLifecycleService.closeExpiredGroups();
+            if (closed.length > 0) {
+                console.log(`Group scheduler: auto-closed ${closed.length} group(s): ${closed.map(g => g.id).join(', ')}`);
+            }
+        });
+
+        await runStep('closing-soon notifications', async () => {
+            const announced = await notificationService.notifyClosingSoon();
+            if (announced.length > 0) {
+                console.log(`Group scheduler: sent closing-soon notifications for ${announced.length} group(s)`);
+            }
+        });
+
+        await runStep('payment reminders', async () => {
+            const reminded = await reminderService.sendDueAutoReminders();
+            reminded.forEach(r => {
+                console.log(`Group scheduler: payment reminders for group ${r.groupId}: ${r.sent.length} sent, ${r.failed.length} failed, ${r.skipped.length} skipped`);
+            });
+        });
+
+        await runStep('recurring groups', async () => {
+            const created = await scheduleService.generateDueGroups();
+            if (created.length > 0) {
+                console.log(`Group scheduler: created ${created.length} recurring group(s): ${created.map(g => g.id).join(', ')}`);
+            }
+        });
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, INTERVAL_MS);
+    tick();
+};
+
+const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { start, stop, tick };
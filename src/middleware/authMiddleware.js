@@ -1,29 +1,49 @@
 const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_key';
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     // EXPECTED HEADER: "Bearer <token>"
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token == null) return res.sendStatus(401); // No token present
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            console.error('JWT Verification Error:', err.message);
-            return res.sendStatus(403); // Invalid token
-        }
-        res.locals.user = user; // Optional: store in locals too if needed
-        req.user = user;
-
-        // Ensure userId is a string (handles legacy tokens issued before migration)
-        if (req.user.userId) {
-            req.user.userId = String(req.user.userId);
-        }
-
-        next();
-    });
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        console.error('JWT Verification Error:', err.message);
+        // Expired tokens get 401 so the client knows to call /api/auth/refresh
+        if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expired' });
+        return res.sendStatus(403); // Invalid token
+    }
+
+    // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+    if (!user.sessionId) return res.status(401).json({ error: 'Session required, please log in again' });
+
+    try {
+        const session = await authService.getActiveSession(user.sessionId);
+        if (!session) return res.status(401).json({ error: 'Session has been revoked' });
+        if (session.user.disabledAt) return res.status(403).json({ error: 'Account disabled' });
+
+        // The role in the token may be up to ACCESS_TOKEN_TTL old; authorise with the stored one
+        user.role = session.user.role;
+    } catch (err) {
+        console.error('Session lookup error:', err);
+        return res.sendStatus(500);
+    }
+
+    res.locals.user = user; // Optional: store in locals too if needed
+    req.user = user;
+
+    // Ensure userId is a string (handles legacy tokens issued before migration)
+    if (req.user.userId) {
+        req.user.userId = String(req.user.userId);
+    }
+
+    next();
 };
 
 module.exports = authenticateToken;
@@ -0,0 +1,18 @@
+const { hasPermission } = require('../utils/systemRoles');
+
+/**
+ * Allows the request only if the user's site-wide role grants a permission.
+ * Use after authenticateToken, e.g. `router.post('/sql', authenticateToken, authorize('QUERY_SQL'), ...)`.
+ * @param {string} permission - Key of SYSTEM_PERMISSIONS.
+ * @returns {(req: Object, res: Object, next: Function) => void} - Express middleware.
+ */
+const authorize = (permission) => (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+        console.warn(`Denied ${permission} to user: ${req.user ? req.user.username : 'anonymous'}`);
+        return res.status(403).json({ error: 'Access denied: insufficient permissions' });
+    }
+
+    next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,61 @@
+const { MemoryStore } = require('../utils/rateLimitStore');
+
+let store = new MemoryStore();
+
+/**
+ * Replaces the counter store used by every limiter, e.g. with a shared one when running
+ * several instances (see utils/rateLimitStore for the interface).
+ * @param {Object} newStore - { increment(key, windowMs), reset(key) }
+ */
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+/**
+ * Creates a fixed-window rate limiter.
+ * `max` and the window can be overridden per limiter with RATE_LIMIT_<NAME>_MAX and
+ * RATE_LIMIT_<NAME>_WINDOW_SECONDS, and RATE_LIMIT_ENABLED=false turns every limiter off.
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds) headers;
+ * refused requests get 429 with Retry-After.
+ * @param {string} name - Limiter name, e.g. "login" (also the env prefix and part of the key).
+ * @param {Object} options - { max, windowSeconds, key(req) (default: client IP), skip(req) (true: not counted), message }
+ * @returns {(req: Object, res: Object, next: Function) => Promise<void>} - Express middleware.
+ */
+const rateLimit = (name, { max, windowSeconds, key = (req) => req.ip, skip = () => false, message = 'Too many requests, please try again later' }) => {
+    const envName = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const limit = Number(process.env[`RATE_LIMIT_${envName}_MAX`]) || max;
+    const windowMs = (Number(process.env[`RATE_LIMIT_${envName}_WINDOW_SECONDS`]) || windowSeconds) * 1000;
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false' || skip(req)) return next();
+
+        let hit;
+        try {
+            hit = await store.increment(`${name}:${key(req)}`, windowMs);
+        } catch (error) {
+            // A broken store must not take the API down with it
+            console.error(`Rate limit store error (${name}):`, error);
+            return next();
+        }
+
+        const resetSeconds = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 0);
+        res.set({
+            'RateLimit-Policy': `${limit};w=${windowMs / 1000}`,
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(limit - hit.count, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (hit.count > limit) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: message, retryAfter: resetSeconds });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit,
+    setStore
+};
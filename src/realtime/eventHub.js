@@ -0,0 +1,144 @@
+/**
+ * In-process hub for Server-Sent Events.
+ * Clients subscribe to a channel ("group:<id>" or "user:<id>") and receive every
+ * event published to it. Single-instance only: events are not shared between processes.
+ *
+ * Access is checked again on every heartbeat with the `verify` function given at subscribe
+ * time (session still active, still a member ...), and streams can be closed right away with
+ * `close` when a member is removed or a session is revoked.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+
+class EventHub {
+    constructor() {
+        this.channels = new Map(); // channel -> Set<{ res, channel, userId, sessionId, verify }>
+        this.heartbeat = null;
+        this.verifying = null; // Promise of the running access check, if any
+    }
+
+    /**
+     * Registers an SSE response on a channel and sends the stream headers.
+     * @param {string} channel
+     * @param {Object} req - Express request (used to detect disconnects).
+     * @param {Object} res - Express response kept open as the stream.
+     * @param {Object} [options] - { userId, sessionId, verify: async () => boolean (false closes the stream) }
+     */
+    subscribe(channel, req, res, { userId = null, sessionId = null, verify = null } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.write(`event: connected\ndata: ${JSON.stringify({ channel })}\n\n`);
+
+        const client = { res, channel, userId, sessionId, verify };
+        if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+        this.channels.get(channel).add(client);
+        this._startHeartbeat();
+
+        req.on('close', () => this._remove(client));
+    }
+
+    /**
+     * Sends an event to every client of a channel.
+     * @param {string} channel
+     * @param {string} event - Event name, e.g. "order.updated".
+     * @param {Object} data - JSON payload.
+     */
+    publish(channel, event, data) {
+        const clients = this.channels.get(channel);
+        if (!clients || clients.size === 0) return;
+
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(client => client.res.write(message));
+    }
+
+    /**
+     * Ends the streams matching every given field, after a final "stream.closed" event.
+     * @param {Object} filter - { channel, userId, sessionId, exceptSessionId }
+     * @param {string} reason - Sent to the client, e.g. "SESSION_REVOKED".
+     * @returns {number} - Number of closed streams.
+     */
+    close({ channel, userId, sessionId, exceptSessionId }, reason) {
+        const matches = [];
+        this.channels.forEach(clients => clients.forEach(client => {
+            if (channel !== undefined && client.channel !== channel) return;
+            if (userId !== undefined && client.userId !== userId) return;
+            if (sessionId !== undefined && client.sessionId !== sessionId) return;
+            if (exceptSessionId !== undefined && client.sessionId === exceptSessionId) return;
+            matches.push(client);
+        }));
+
+        matches.forEach(client => this._end(client, reason));
+        return matches.length;
+    }
+
+    /**
+     * Whether anyone is listening on a channel (lets publishers skip expensive queries).
+     * @param {string} channel
+     * @returns {boolean}
+     */
+    hasSubscribers(channel) {
+        const clients = this.channels.get(channel);
+        return !!clients && clients.size > 0;
+    }
+
+    /**
+     * @param {Object} client
+     * @param {string} reason
+     */
+    _end(client, reason) {
+        this._remove(client);
+        client.res.write(`event: stream.closed\ndata: ${JSON.stringify({ reason })}\n\n`);
+        client.res.end();
+    }
+
+    _remove(client) {
+        const clients = this.channels.get(client.channel);
+        if (!clients) return;
+        clients.delete(client);
+        if (clients.size === 0) this.channels.delete(client.channel);
+        if (this.channels.size === 0) this._stopHeartbeat();
+    }
+
+    /**
+     * Checks every client that has a `verify` function and closes the ones no longer allowed.
+     * A failing check (e.g. the database is unreachable) keeps the stream open until the next beat.
+     */
+    async _verifyAll() {
+        const clients = [];
+        this.channels.forEach(set => set.forEach(client => client.verify && clients.push(client)));
+
+        for (const client of clients) {
+            try {
+                const allowed = await client.verify();
+                // The client may have disconnected while it was being checked
+                const open = this.channels.has(client.channel) && this.channels.get(client.channel).has(client);
+                if (!allowed && open) this._end(client, 'ACCESS_REVOKED');
+            } catch (error) {
+                console.error('Event stream access check failed:', error);
+            }
+        }
+    }
+
+    // Comment lines keep idle connections from being closed by proxies
+    _startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            this.channels.forEach(clients => clients.forEach(client => client.res.write(': ping\n\n')));
+            if (this.verifying) return;
+            this.verifying = this._verifyAll().finally(() => {
+                this.verifying = null;
+            });
+        }, HEARTBEAT_MS);
+    }
+
+    _stopHeartbeat() {
+        if (this.heartbeat) clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
+
+module.exports = new EventHub();
@@ -0,0 +1,239 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const eventHub = require('./eventHub');
+const { aggregateGroupOrders, formatOrderEntry } = require('../utils/orderUtils');
+const { PRODUCT_INCLUDE, withRemainingStock } = require('../utils/menuUtils');
+const { buildGroupLedger } = require('../utils/paymentUtils');
+const { PERMISSIONS } = require('../utils/groupPermissions');
+
+/**
+ * Publishers for group and dashboard events.
+ * All functions are fire-and-forget: a failing publish is logged and never
+ * breaks the request that triggered it.
+ */
+
+const groupChannel = (groupId) => `group:${groupId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+const safely = (name, fn) => async (...args) => {
+    try {
+        await fn(...args);
+    } catch (error) {
+        console.error(`Realtime publish error (${name}):`, error);
+    }
+};
+
+/**
+ * Loads the group-wide aggregates clients use to patch `orderStats` and totals.
+ * @param {string} groupId
+ * @returns {Promise<Object>}
+ */
+const loadGroupStats = async (groupId) => {
+    const group = await prisma.group.findUnique({
+        where: { id: groupId },
+        include: {
+            orders: {
+                include: {
+                    user: { select: { id: true, name: true } },
+                    items: true,
+                    payments: true
+                }
+            },
+            adjustments: true,
+            products: true
+        }
+    });
+    const orders = group ? group.orders : [];
+    const products = group ? group.products : [];
+
+    const costs = group
+        ? buildGroupLedger(group)
+        : { byOrderId: {}, adjustments: [], totalAmountDue: 0, totalPaid: 0, totalOutstanding: 0 };
+
+    return {
+        orders,
+        products,
+        costs,
+        totalGroupAmountDue: costs.totalAmountDue,
+        totalPaid: costs.totalPaid,
+        totalOutstanding: costs.totalOutstanding,
+        adjustments: costs.adjustments,
+        ...aggregateGroupOrders(orders)
+    };
+};
+
+/**
+ * An order was created or its items changed.
+ * Payload: { groupId, order (allOrders entry), amountsDue, orderStats, totalGroupAmount,
+ *            totalGroupAmountDue, totalOutstanding, adjustments, participants, stock }
+ * Shared costs are split across participants, so `amountsDue` maps every orderId to
+ * { amountDue, balanceDue, paymentStatus }.
+ * `stock` lists { menuId, orderedQuantity, remaining } for every menu item.
+ */
+const publishOrderUpdated = safely('order.updated', async (groupId, orderId) => {
+    if (!eventHub.hasSubscribers(groupChannel(groupId))) return;
+
+    const { orders, products, costs, totalGroupAmount, totalGroupAmountDue, totalOutstanding, adjustments, participants, orderStats } = await loadGroupStats(groupId);
+    const order = orders.find(o => o.id === orderId);
+
+    const amountsDue = {};
+    orders.forEach(o => {
+        const entry = costs.byOrderId[o.id];
+        amountsDue[o.id] = { amountDue: entry.amountDue, balanceDue: entry.balanceDue, paymentStatus: entry.paymentState };
+    });
+
+    eventHub.publish(groupChannel(groupId), 'order.updated', {
+        groupId,
+        order: order ? formatOrderEntry(order, costs.byOrderId[order.id]) : null,
+        amountsDue,
+        orderStats,
+        totalGroupAmount,
+        totalGroupAmountDue,
+        totalOutstanding,
+        adjustments,
+        participants,
+        stock: withRemainingStock(products, orders).map(p => ({
+            menuId: p.id,
+            orderedQuantity: p.orderedQuantity,
+            remaining: p.remaining
+        }))
+    });
+});
+
+/**
+ * A payment or refund was recorded for an order.
+ * Payload: { groupId, orderId, userId, paymentStatus, paidAmount, balanceDue, totalPaid, totalOutstanding }
+ * @param {string} groupId
+ * @param {Object} order - GroupOrder row.
+ * @param {Object} costs - Result of paymentUtils.buildGroupLedger for the group.
+ */
+const publishPaymentUpdated = safely('payment.updated', async (groupId, order, costs) => {
+    const entry = costs.byOrderId[order.id];
+
+    eventHub.publish(groupChannel(groupId), 'payment.updated', {
+        groupId,
+        orderId: order.id,
+        userId: order.userId,
+        paymentStatus: entry.paymentState,
+        paidAmount: entry.paidAmount,
+        balanceDue: entry.balanceDue,
+        totalPaid: costs.totalPaid,
+        totalOutstanding: costs.totalOutstanding
+    });
+});
+
+/**
+ * A "payment claimed" was created, withdrawn, confirmed or rejected. Claims can carry transfer
+ * references, so they only go to the dashboard channels of the group's payment managers and the claimant.
+ * Payload: { groupId, orderId, userId, claimId, status, amount, method, reference, note, rejectReason }
+ * @param {Object} group - Group row.
+ * @param {Object} order - GroupOrder row.
+ * @param {Object} claim - PaymentClaim row.
+ */
+const publishClaimUpdated = safely('payment.claim', async (group, order, claim) => {
+    const payload = {
+        groupId: group.id,
+        orderId: order.id,
+        userId: order.userId,
+        claimId: claim.id,
+        status: claim.status,
+        amount: claim.amount,
+        method: claim.method,
+        reference: claim.reference,
+        note: claim.note,
+        rejectReason: claim.rejectReason
+    };
+
+    const managers = await prisma.groupOrder.findMany({
+        where: { groupId: group.id, role: { in: PERMISSIONS.MANAGE_PAYMENTS } },
+        select: { userId: true }
+    });
+    const userIds = new Set([...managers.map(m => m.userId), order.userId]);
+    userIds.forEach(userId => eventHub.publish(userChannel(userId), 'payment.claim', payload));
+});
+
+/**
+ * Menu, title/times, members or shared costs of a group were edited. Order prices may have
+ * been synced, so the aggregates and every order are sent again.
+ * Payload: { groupId, title, startTime, endTime, products, allOrders, orderStats, totalGroupAmount,
+ *            totalGroupAmountDue, totalOutstanding, adjustments, participants }
+ */
+const publishGroupUpdated = safely('group.updated', async (groupId) => {
+    if (!eventHub.hasSubscribers(groupChannel(groupId))) return;
+
+    const group = await prisma.group.findUnique({
+        where: { id: groupId },
+        include: { products: { include: PRODUCT_INCLUDE } }
+    });
+    if (!group) return;
+
+    const { orders, costs, totalGroupAmount, totalGroupAmountDue, totalOutstanding, adjustments, participants, orderStats } = await loadGroupStats(groupId);
+
+    eventHub.publish(groupChannel(groupId), 'group.updated', {
+        groupId,
+        title: group.title,
+        startTime: group.startTime,
+        endTime: group.endTime,
+        products: withRemainingStock(group.products, orders),
+        allOrders: orders.map(o => formatOrderEntry(o, costs.byOrderId[o.id])),
+        orderStats,
+        totalGroupAmount,
+        totalGroupAmountDue,
+        totalOutstanding,
+        adjustments,
+        participants
+    });
+});
+
+/**
+ * Group status (OPEN/CLOSED) or deadline changed. Sent to the group channel and to
+ * the dashboard channel of every member.
+ * Payload: { groupId, status, endTime }
+ */
+const publishStatusChanged = safely('group.status', async (group) => {
+    const payload = { groupId: group.id, status: group.status, endTime: group.endTime };
+    eventHub.publish(groupChannel(group.id), 'group.status', payload);
+
+    const members = await prisma.groupOrder.findMany({
+        where: { groupId: group.id },
+        select: { userId: true }
+    });
+    const userIds = new Set([group.creatorId, ...members.map(m => m.userId)]);
+    userIds.forEach(userId => eventHub.publish(userChannel(userId), 'group.status', payload));
+});
+
+/**
+ * Dashboard event for specific users, e.g. "group.invited", "group.removed", "group.deleted".
+ * @param {Array<string>} userIds
+ * @param {string} event
+ * @param {Object} data
+ */
+const publishToUsers = safely('user', async (userIds, event, data) => {
+    userIds.forEach(userId => eventHub.publish(userChannel(userId), event, data));
+});
+
+/**
+ * Ends the group streams of users who lost access to the group.
+ * @param {string} groupId
+ * @param {Array<string>|null} userIds - null = everyone (the group was deleted).
+ * @param {string} reason - REMOVED_FROM_GROUP, GROUP_DELETED
+ */
+const closeGroupStreams = (groupId, userIds, reason) => {
+    if (userIds === null) {
+        eventHub.close({ channel: groupChannel(groupId) }, reason);
+        return;
+    }
+    userIds.forEach(userId => eventHub.close({ channel: groupChannel(groupId), userId }, reason));
+};
+
+module.exports = {
+    groupChannel,
+    userChannel,
+    publishOrderUpdated,
+    publishPaymentUpdated,
+    publishClaimUpdated,
+    publishGroupUpdated,
+    publishStatusChanged,
+    publishToUsers,
+    closeGroupStreams
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Single-use tickets for opening event streams.
+ * EventSource cannot send an Authorization header, and an access token in the URL ends up in
+ * proxy and access logs. Instead the client asks for a ticket with its access token
+ * (POST /api/events/tickets) and opens the stream with ?ticket=, which works once and only
+ * for TICKET_TTL_MS. Kept in memory, like the event hub itself.
+ */
+
+const TICKET_TTL_MS = 30 * 1000;
+
+const tickets = new Map(); // ticket -> { user, expiresAt }
+
+/**
+ * @param {Object} user - req.user: { userId, username, role, sessionId }
+ * @returns {Object} - { ticket, expiresAt }
+ */
+const issue = (user) => {
+    const now = Date.now();
+    // Expired tickets are dropped whenever a new one is issued
+    tickets.forEach((entry, key) => {
+        if (entry.expiresAt <= now) tickets.delete(key);
+    });
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now + TICKET_TTL_MS;
+    tickets.set(ticket, {
+        user: { userId: user.userId, username: user.username, role: user.role, sessionId: user.sessionId },
+        expiresAt
+    });
+
+    return { ticket, expiresAt: new Date(expiresAt) };
+};
+
+/**
+ * Uses up a ticket.
+ * @param {string} ticket
+ * @returns {Object|null} - The user it was issued to, or null if it is unknown, used or expired.
+ */
+const redeem = (ticket) => {
+    const entry = tickets.get(ticket);
+    if (!entry) return null;
+
+    tickets.delete(ticket);
+    return entry.expiresAt > Date.now() ? { ...entry.user } : null;
+};
+
+module.exports = {
+    TICKET_TTL_MS,
+    issue,
+    redeem
+};
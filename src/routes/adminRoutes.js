@@ -2,9 +2,41 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const authenticateToken = require('../middleware/authMiddleware');
+const authorize = require('../middleware/authorize');
 
-// Route to execute SQL, protected by auth middleware
-// Controller also checks for specific username 'Admin'
-router.post('/sql', authenticateToken, adminController.executeSql);
+// All routes require authentication
+router.use(authenticateToken);
+
+// Promote yourself to the first admin with ADMIN_BOOTSTRAP_TOKEN (only while no admin exists)
+router.post('/bootstrap', adminController.bootstrapAdmin);
+
+// SQL console: read-only for support staff, write mode (with confirmation) for admins
+router.post('/sql', authorize('QUERY_SQL'), adminController.executeSql);
+router.get('/sql/log', authorize('VIEW_AUDIT_LOG'), adminController.getSqlLog);
+
+// Site-wide roles: USER, SUPPORT, ADMIN
+router.get('/staff', authorize('VIEW_STAFF'), adminController.getStaff);
+router.put('/users/:userId/role', authorize('MANAGE_ROLES'), adminController.setUserRole);
+router.delete('/users/:userId/role', authorize('MANAGE_ROLES'), adminController.revokeUserRole);
+
+// Accounts
+router.get('/users', authorize('VIEW_USERS'), adminController.listUsers);
+router.put('/users/:userId/password', authorize('MANAGE_USERS'), adminController.resetUserPassword);
+router.post('/users/:userId/disable', authorize('MANAGE_USERS'), adminController.disableUser);
+router.post('/users/:userId/enable', authorize('MANAGE_USERS'), adminController.enableUser);
+router.post('/users/:userId/unlock', authorize('MANAGE_USERS'), adminController.unlockUser);
+
+// Groups
+router.get('/groups', authorize('VIEW_GROUPS'), adminController.listGroups);
+router.post('/groups/:groupId/close', authorize('MANAGE_GROUPS'), adminController.forceCloseGroup);
+router.post('/groups/:groupId/archive', authorize('MANAGE_GROUPS'), adminController.archiveGroup);
+router.post('/groups/:groupId/unarchive', authorize('MANAGE_GROUPS'), adminController.unarchiveGroup);
+router.put('/groups/:groupId/creator', authorize('MANAGE_GROUPS'), adminController.reassignGroupCreator);
+
+// Platform statistics
+router.get('/stats', authorize('VIEW_STATS'), adminController.getStats);
+
+// Audit log of admin actions
+router.get('/audit-log', authorize('VIEW_AUDIT_LOG'), adminController.getAuditLog);
 
 module.exports = router;
@@ -1,8 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authenticateToken = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimit');
 
-router.post('/register', authController.register);
-router.post('/login', authController.login);
+// Per client IP; failed logins additionally lock that username from that address (see authService)
+router.post('/register', rateLimit('register', { max: 5, windowSeconds: 60 * 60 }), authController.register);
+router.post('/login', rateLimit('login', { max: 10, windowSeconds: 15 * 60 }), authController.login);
+router.post('/refresh', rateLimit('refresh', { max: 60, windowSeconds: 15 * 60 }), authController.refresh);
+router.post('/verify-email', rateLimit('verify-email', { max: 20, windowSeconds: 15 * 60 }), authController.verifyEmail);
+
+// Session management (Protected)
+router.post('/logout', authenticateToken, authController.logout);
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+router.get('/sessions', authenticateToken, authController.getSessions);
+router.delete('/sessions/:sessionId', authenticateToken, authController.revokeSession);
 
 module.exports = router;
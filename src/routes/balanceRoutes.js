@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const balanceController = require('../controllers/balanceController');
+const authenticateToken = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// "Who owes whom" across all groups
+router.get('/', balanceController.getBalances);
+router.get('/:userId', balanceController.getBalanceWith);
+
+// Settle every order between the user and a friend
+router.post('/:userId/settle', balanceController.settleUp);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const authenticateToken = require('../middleware/authMiddleware');
+const authService = require('../services/authService');
+const streamTickets = require('../realtime/streamTickets');
+
+// EventSource cannot send an Authorization header, so streams also accept ?ticket= with a
+// single-use ticket from POST /tickets (access tokens never go in the URL)
+const ticketOrToken = async (req, res, next) => {
+    if (!req.query.ticket) return authenticateToken(req, res, next);
+
+    const user = streamTickets.redeem(String(req.query.ticket));
+    if (!user) return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+
+    try {
+        const session = await authService.getActiveSession(user.sessionId);
+        if (!session) return res.status(401).json({ error: 'Session has been revoked' });
+        if (session.user.disabledAt) return res.status(403).json({ error: 'Account disabled' });
+        user.role = session.user.role;
+    } catch (err) {
+        console.error('Session lookup error:', err);
+        return res.sendStatus(500);
+    }
+
+    req.user = user;
+    next();
+};
+
+// Single-use, short-lived ticket for opening one of the streams below
+router.post('/tickets', authenticateToken, eventController.createStreamTicket);
+
+// Dashboard events for the current user (Server-Sent Events)
+router.get('/', ticketOrToken, eventController.streamUserEvents);
+
+// Events of a single group (Server-Sent Events)
+router.get('/groups/:groupId', ticketOrToken, eventController.streamGroupEvents);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const groupController = require('../controllers/groupController');
+const groupInviteController = require('../controllers/groupInviteController');
+const reminderController = require('../controllers/reminderController');
 const authenticateToken = require('../middleware/authMiddleware');
 
 // Get all groups for dashboard (Protected)
@@ -9,12 +11,44 @@ router.get('/', authenticateToken, groupController.getDashboardGroups);
 // Create a new group (Protected)
 router.post('/', authenticateToken, groupController.createGroup);
 
+// Open a group again with the same menu and members (Protected)
+router.post('/:id/clone', authenticateToken, groupController.cloneGroup);
+
 // Update a group (Protected)
 router.put('/:id', authenticateToken, groupController.updateGroup);
 
 // Update group status (Protected)
 router.put('/:id/status', authenticateToken, groupController.updateGroupStatus);
 
+// Extend the deadline, reopening the group if it was closed (Protected)
+router.put('/:id/deadline', authenticateToken, groupController.extendDeadline);
+
+// Status transition history (Protected)
+router.get('/:id/status-history', authenticateToken, groupController.getStatusHistory);
+
+// Order change timeline: item versions, menu price and payment status changes (Protected)
+router.get('/:id/history', authenticateToken, groupController.getOrderHistory);
+
+// Shared costs: delivery fee, service charge, discounts (Protected)
+router.get('/:id/adjustments', authenticateToken, groupController.getAdjustments);
+router.put('/:id/adjustments', authenticateToken, groupController.setAdjustments);
+
+// Member roles: owner, co-organisers, treasurers, participants (Protected)
+router.get('/:id/members', authenticateToken, groupController.getMembers);
+router.put('/:id/members/:userId/role', authenticateToken, groupController.setMemberRole);
+router.delete('/:id/members/:userId', authenticateToken, groupController.removeMember);
+router.post('/:id/transfer-ownership', authenticateToken, groupController.transferOwnership);
+
+// Invite links for joining without being a friend (Protected)
+router.get('/:id/invites', authenticateToken, groupInviteController.getInvites);
+router.post('/:id/invites', authenticateToken, groupInviteController.createInvite);
+router.delete('/:id/invites/:inviteId', authenticateToken, groupInviteController.revokeInvite);
+
+// Payment reminder emails: "remind all unpaid" and the automatic reminder after closing (Protected)
+router.get('/:id/reminders', authenticateToken, reminderController.getReminders);
+router.post('/:id/reminders', authenticateToken, reminderController.sendReminders);
+router.put('/:id/reminder-settings', authenticateToken, reminderController.updateReminderSettings);
+
 // Delete a group (Protected)
 router.delete('/:id', authenticateToken, groupController.deleteGroup);
 
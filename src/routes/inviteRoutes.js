@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const groupInviteController = require('../controllers/groupInviteController');
+const authenticateToken = require('../middleware/authMiddleware');
+
+// Group behind an invite code (Protected)
+router.get('/:code', authenticateToken, groupInviteController.previewInvite);
+
+// Join the group behind an invite code (Protected)
+router.post('/:code/redeem', authenticateToken, groupInviteController.redeemInvite);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const menuTemplateController = require('../controllers/menuTemplateController');
+const authenticateToken = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/', menuTemplateController.getTemplates);
+router.post('/', menuTemplateController.createTemplate);
+
+// Bulk import from CSV / JSON / pasted lines (optionally saved as a template)
+router.post('/import', menuTemplateController.importMenu);
+
+router.get('/:id', menuTemplateController.getTemplate);
+router.put('/:id', menuTemplateController.updateTemplate);
+router.delete('/:id', menuTemplateController.deleteTemplate);
+
+// Sharing with friends
+router.post('/:id/shares', menuTemplateController.shareTemplate);
+router.delete('/:id/shares/:userId', menuTemplateController.unshareTemplate);
+
+module.exports = router;
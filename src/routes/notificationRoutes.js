@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const authenticateToken = require('../middleware/authMiddleware');
+
+// Inbox with unread count
+router.get('/', authenticateToken, notificationController.getNotifications);
+
+// Mute notification types or groups
+router.get('/preferences', authenticateToken, notificationController.getPreferences);
+router.put('/preferences', authenticateToken, notificationController.updatePreferences);
+
+// Mark as read: { ids } or everything
+router.post('/read', authenticateToken, notificationController.markRead);
+router.post('/:id/read', authenticateToken, notificationController.markRead);
+
+module.exports = router;
@@ -10,7 +10,18 @@ router.post('/', authenticateToken, orderController.updateOrder);
 // Get group summary with all orders and statistics
 router.get('/group/:groupId/summary', authenticateToken, orderController.getGroupSummary);
 
+// Download the group summary: csv, xlsx or shop-sheet (plain text to read to the shop)
+router.get('/group/:groupId/export/:format', authenticateToken, orderController.exportGroup);
+
 // Update payment status (Creator only)
 router.put('/:orderId/payment-status', authenticateToken, orderController.updatePaymentStatus);
 
+// Payment ledger of an order (read: payment managers or order owner, write: owner, co-organisers and treasurers)
+router.get('/:orderId/payments', authenticateToken, orderController.getPayments);
+router.post('/:orderId/payments', authenticateToken, orderController.recordPayment);
+
+// "I've paid" claim on the user's own order (reviewed via /api/payment-claims)
+router.post('/:orderId/payment-claim', authenticateToken, orderController.claimPayment);
+router.delete('/:orderId/payment-claim', authenticateToken, orderController.withdrawPaymentClaim);
+
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const paymentClaimController = require('../controllers/paymentClaimController');
+const authenticateToken = require('../middleware/authMiddleware');
+
+// Review queue of "I've paid" claims on the user's groups
+router.get('/', authenticateToken, paymentClaimController.getClaims);
+
+// Bulk review: { claimIds, reason }
+router.post('/confirm', authenticateToken, paymentClaimController.confirmClaims);
+router.post('/reject', authenticateToken, paymentClaimController.rejectClaims);
+
+// Single review
+router.post('/:claimId/confirm', authenticateToken, paymentClaimController.confirmClaims);
+router.post('/:claimId/reject', authenticateToken, paymentClaimController.rejectClaims);
+
+module.exports = router;
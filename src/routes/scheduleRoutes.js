@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const authenticateToken = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/', scheduleController.getSchedules);
+router.post('/', scheduleController.createSchedule);
+router.get('/:id', scheduleController.getSchedule);
+router.put('/:id', scheduleController.updateSchedule);
+router.delete('/:id', scheduleController.deleteSchedule);
+
+router.post('/:id/pause', scheduleController.pauseSchedule);
+router.post('/:id/resume', scheduleController.resumeSchedule);
+
+// Upcoming occurrences with skipped dates and generated groups
+router.get('/:id/occurrences', scheduleController.getOccurrences);
+
+module.exports = router;
@@ -2,12 +2,45 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const authenticateToken = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // All routes require authentication
 router.use(authenticateToken);
 
-router.get('/search', userController.searchUsers);
+// Each new address is sent a verification email: limited per user and per address so the
+// server cannot be used to flood someone's inbox. Requests that do not set an address are not counted
+const newEmail = (req) => (req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '');
+const emailChangeLimits = [
+    rateLimit('email-change', { max: 5, windowSeconds: 60 * 60, key: (req) => req.user.userId, skip: (req) => !newEmail(req) }),
+    rateLimit('email-target', { max: 3, windowSeconds: 24 * 60 * 60, key: newEmail, skip: (req) => !newEmail(req) })
+];
+
+// Own account
+router.get('/me', userController.getMe);
+router.put('/me', emailChangeLimits, userController.updateMe);
+// Both check the current password: limited per user, whatever address the guesses come from
+const passwordCheckLimit = rateLimit('password-check', { max: 10, windowSeconds: 15 * 60, key: (req) => req.user.userId });
+router.put('/me/password', passwordCheckLimit, userController.changePassword);
+router.delete('/me', passwordCheckLimit, userController.deleteMe);
+
+// Limited per user so the directory cannot be enumerated
+router.get('/search', rateLimit('user-search', { max: 30, windowSeconds: 60, key: (req) => req.user.userId }), userController.searchUsers);
+router.put('/email', emailChangeLimits, userController.updateEmail);
 router.get('/friends', userController.getFriends);
-router.post('/friends', userController.addFriend);
+router.delete('/friends/:friendId', userController.removeFriend);
+
+// Friend requests
+// POST /friends is kept for older clients and now sends a request instead of adding directly
+router.post('/friends', userController.sendFriendRequest);
+router.get('/friend-requests', userController.getFriendRequests);
+router.post('/friend-requests', userController.sendFriendRequest);
+router.post('/friend-requests/:requestId/accept', userController.acceptFriendRequest);
+router.post('/friend-requests/:requestId/decline', userController.declineFriendRequest);
+router.delete('/friend-requests/:requestId', userController.cancelFriendRequest);
+
+// Blocking
+router.get('/blocks', userController.getBlockedUsers);
+router.post('/blocks', userController.blockUser);
+router.delete('/blocks/:userId', userController.unblockUser);
 
 module.exports = router;
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+const userService = require('./userService');
+const authService = require('./authService');
+const paymentService = require('./paymentService');
+const groupLifecycleService = require('./groupLifecycleService');
+const eventHub = require('../realtime/eventHub');
+const groupEvents = require('../realtime/groupEvents');
+const notificationService = require('./notificationService');
+const { systemPermissionsOf } = require('../utils/systemRoles');
+
+const MAX_NAME_LENGTH = 50;
+const DELETED_NAME = 'Deleted user';
+
+const PROFILE_SELECT = { id: true, username: true, name: true, email: true, role: true, createdAt: true };
+
+/**
+ * Service for the signed-in user's own account: profile, password and account deletion.
+ *
+ * Deleting an account anonymises the User row instead of removing it: groups, orders and
+ * payments in other people's groups still point at it, and now read "Deleted user".
+ */
+class AccountService {
+
+    /**
+     * @param {Object} user - PROFILE_SELECT row.
+     * @returns {Object}
+     */
+    _formatProfile(user) {
+        return { ...user, permissions: systemPermissionsOf(user.role) };
+    }
+
+    /**
+     * Loads the user with the password hash and checks a password against it.
+     * Wrong passwords count towards the same lockout as failed logins from that address,
+     * so a stolen access token cannot be used to guess the password either.
+     * @param {string} userId
+     * @param {string} password
+     * @param {string} ipAddress
+     * @returns {Promise<Object>} - User row.
+     */
+    async _verifyPassword(userId, password, ipAddress) {
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user || user.deletedAt) throw new Error('User not found');
+
+        if (await authService.loginLockedForSeconds(user.username, ipAddress) > 0) {
+            throw new Error('Too many failed password attempts, please try again later');
+        }
+        if (!password || !(await bcrypt.compare(String(password), user.password))) {
+            await authService.recordFailedLogin(user.username, ipAddress);
+            throw new Error('Current password is incorrect');
+        }
+        await authService.clearFailedLogins(user.username, ipAddress);
+
+        return user;
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Promise<Object>} - { id, username, name, email, pendingEmail, role, createdAt, permissions }
+     */
+    async getProfile(userId) {
+        const user = await prisma.user.findUnique({ where: { id: userId }, select: PROFILE_SELECT });
+        if (!user) throw new Error('User not found');
+
+        return this._formatProfile({ ...user, pendingEmail: await userService.getPendingEmail(userId) });
+    }
+
+    /**
+     * Updates the display name and/or email address. A new address is only used after it has
+     * been verified (it shows as `pendingEmail` until then).
+     * @param {string} userId
+     * @param {Object} data - { name, email } (email null or "" removes it)
+     * @returns {Promise<Object>} - Updated profile.
+     */
+    async updateProfile(userId, { name, email } = {}) {
+        if (name === undefined && email === undefined) throw new Error('Invalid profile: nothing to update');
+
+        let trimmed;
+        if (name !== undefined) {
+            trimmed = typeof name === 'string' ? name.trim() : '';
+            if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+                throw new Error(`Invalid name: must be 1 to ${MAX_NAME_LENGTH} characters`);
+            }
+        }
+
+        // Same rules as PUT /api/users/email
+        if (email !== undefined) await userService.updateEmail(userId, email);
+        if (trimmed !== undefined) await prisma.user.update({ where: { id: userId }, data: { name: trimmed } });
+
+        return await this.getProfile(userId);
+    }
+
+    /**
+     * Changes the password after checking the current one, and signs out every other session.
+     * @param {string} userId
+     * @param {string} sessionId - Current session, which stays signed in.
+     * @param {Object} data - { currentPassword, newPassword }
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - { revokedSessions }
+     */
+    async changePassword(userId, sessionId, { currentPassword, newPassword } = {}, meta = {}) {
+        userService.assertValidPassword(newPassword);
+        await this._verifyPassword(userId, currentPassword, meta.ipAddress);
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: { password: await bcrypt.hash(newPassword, 10) }
+        });
+
+        return { revokedSessions: await authService.revokeAllSessions(userId, sessionId) };
+    }
+
+    /**
+     * Deletes the account. Refused while the user is the last admin, or while members of groups
+     * they created still owe them money. Otherwise:
+     *  - their remaining OPEN groups are closed
+     *  - the User row is anonymised (username, name, email, password) and every session revoked,
+     *    so their orders, payments and groups in other people's history read "Deleted user"
+     *  - friends, friend requests and blocks are removed, along with their notifications,
+     *    menu templates, recurring schedules, order drafts and reminder email addresses
+     *  - their invite links are revoked, and any group role they held in other people's groups
+     *    reverts to PARTICIPANT (ownership goes back to the group's creator)
+     * @param {string} userId
+     * @param {string} password - Current password, as confirmation.
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - { closedGroups }
+     */
+    async deleteAccount(userId, password, meta = {}) {
+        const user = await this._verifyPassword(userId, password, meta.ipAddress);
+        // Random and never shown to anyone, so the account cannot be logged into
+        const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+        const now = new Date();
+        const closedGroups = await prisma.$transaction(async (tx) => {
+            // The user's own row and every admin row are locked, so two admins deleting themselves
+            // (or a demotion running at the same time) cannot leave the site without an admin
+            const locked = /** @type {Array} */ (await tx.$queryRaw`
+                SELECT "id", "role", "deletedAt" FROM "User"
+                WHERE "id" = ${userId} OR ("role" = 'ADMIN' AND "deletedAt" IS NULL)
+                FOR UPDATE`);
+            const self = locked.find(row => row.id === userId);
+            if (!self || self.deletedAt) throw new Error('User not found');
+            if (self.role === 'ADMIN' && locked.filter(row => row.role === 'ADMIN' && !row.deletedAt).length <= 1) {
+                throw new Error('Cannot delete account: you are the last admin');
+            }
+
+            // Orders in their groups are locked so no debt can appear between the check and closing the groups
+            await tx.$queryRaw`
+                SELECT o."id" FROM "GroupOrder" o JOIN "Group" g ON g."id" = o."groupId"
+                WHERE g."creatorId" = ${userId}
+                FOR UPDATE OF o`;
+            const ledgers = await paymentService.getGroupLedgers({
+                creatorId: userId,
+                orders: { some: { paymentStatus: { in: ['UNPAID', 'PARTIAL'] } } }
+            }, tx);
+            const unpaidGroups = ledgers.filter(({ costs }) => costs.totalOutstanding > 0);
+            if (unpaidGroups.length > 0) {
+                throw new Error(`Cannot delete account: members still owe you money in ${unpaidGroups.map(({ group }) => `"${group.title}"`).join(', ')}`);
+            }
+
+            // Nobody can manage or pay into these any more
+            const closed = [];
+            const openGroups = await tx.group.findMany({ where: { creatorId: userId, status: 'OPEN' } });
+            for (const group of openGroups) {
+                const updated = await groupLifecycleService._transition(tx, group, { toStatus: 'CLOSED', reason: 'MANUAL', actorId: userId });
+                if (!updated) throw new Error('Group status changed, please retry');
+                closed.push(updated);
+            }
+
+            await tx.user.update({
+                where: { id: userId },
+                data: {
+                    username: `deleted-${userId}`,
+                    name: DELETED_NAME,
+                    email: null,
+                    password: unusablePassword,
+                    role: 'USER',
+                    deletedAt: now,
+                    friends: { set: [] },
+                    friendOf: { set: [] }
+                }
+            });
+
+            await tx.session.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: now } });
+            await tx.emailVerification.deleteMany({ where: { userId } });
+            await tx.loginThrottle.deleteMany({ where: { username: user.username } });
+            await tx.friendRequest.deleteMany({ where: { OR: [{ senderId: userId }, { receiverId: userId }] } });
+            await tx.userBlock.deleteMany({ where: { OR: [{ blockerId: userId }, { blockedId: userId }] } });
+            await tx.notification.deleteMany({ where: { userId } });
+            await tx.notificationPreference.deleteMany({ where: { userId } });
+            await tx.menuTemplate.deleteMany({ where: { ownerId: userId } });
+            await tx.menuTemplateShare.deleteMany({ where: { userId } });
+            // Generated groups keep existing; they only lose the link to the schedule
+            await tx.groupSchedule.deleteMany({ where: { creatorId: userId } });
+            await tx.groupInvite.updateMany({ where: { createdById: userId, revokedAt: null }, data: { revokedAt: now } });
+            await tx.paymentReminder.updateMany({ where: { userId }, data: { email: '' } });
+            await tx.groupOrder.updateMany({ where: { userId }, data: { draftItems: Prisma.DbNull } });
+
+            // Roles in other people's groups; ownership returns to the creator
+            const memberships = await tx.groupOrder.findMany({
+                where: { userId, role: { not: 'PARTICIPANT' }, group: { creatorId: { not: userId } } },
+                include: { group: { select: { creatorId: true } } }
+            });
+            for (const membership of memberships) {
+                await tx.groupOrder.update({ where: { id: membership.id }, data: { role: 'PARTICIPANT' } });
+                if (membership.role === 'OWNER') {
+                    await tx.groupOrder.updateMany({
+                        where: { groupId: membership.groupId, userId: membership.group.creatorId },
+                        data: { role: 'OWNER' }
+                    });
+                }
+            }
+
+            return closed;
+        });
+
+        closedGroups.forEach(group => {
+            groupEvents.publishStatusChanged(group);
+            notificationService.notifyPaymentsDue(group);
+        });
+        eventHub.close({ userId }, 'ACCOUNT_DELETED');
+
+        return { closedGroups: closedGroups.map(g => g.id) };
+    }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,54 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Service for the admin audit log. Entries are only ever added.
+ * Unlike notifications, a failed write is not swallowed: an admin action that cannot be
+ * audited must not happen, so callers record inside the action's transaction or before it runs.
+ */
+class AdminAuditService {
+
+    /**
+     * Appends an entry.
+     * @param {Object} entry - { actorId, action, targetType, targetId, details, ipAddress }
+     * @param {Object} [client] - Prisma client or transaction.
+     * @returns {Promise<Object>} - The AdminAuditLog row.
+     */
+    async record({ actorId, action, targetType = null, targetId = null, details, ipAddress = null }, client = prisma) {
+        return await client.adminAuditLog.create({
+            data: { actorId, action, targetType, targetId, details, ipAddress }
+        });
+    }
+
+    /**
+     * The audit log, newest first.
+     * @param {Object} options - { action, actorId, targetId, limit (default 50, max 100), before (entry ID cursor) }
+     * @returns {Promise<Object>} - { entries, nextCursor }
+     */
+    async getAuditLog({ action, actorId, targetId, limit, before } = {}) {
+        const take = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+
+        const entries = await prisma.adminAuditLog.findMany({
+            where: {
+                ...(action ? { action: String(action) } : {}),
+                ...(actorId ? { actorId: String(actorId) } : {}),
+                ...(targetId ? { targetId: String(targetId) } : {})
+            },
+            include: { actor: { select: { id: true, username: true, name: true } } },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: take + 1,
+            ...(before ? { cursor: { id: String(before) }, skip: 1 } : {})
+        });
+
+        const page = entries.slice(0, take);
+
+        return {
+            entries: page,
+            nextCursor: entries.length > take ? page[page.length - 1].id : null
+        };
+    }
+}
+
+module.exports = new AdminAuditService();
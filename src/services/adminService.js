@@ -0,0 +1,543 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+const adminAuditService = require('./adminAuditService');
+const authService = require('./authService');
+const userService = require('./userService');
+const paymentService = require('./paymentService');
+const groupLifecycleService = require('./groupLifecycleService');
+const notificationService = require('./notificationService');
+const groupEvents = require('../realtime/groupEvents');
+const { SYSTEM_ROLES } = require('../utils/systemRoles');
+
+const USER_SELECT = { id: true, username: true, name: true, role: true, createdAt: true };
+const ACCOUNT_SELECT = { ...USER_SELECT, email: true, disabledAt: true, disabledReason: true };
+
+const MAX_PAGE_SIZE = 100;
+// Longest period covered by the orders-per-day statistic
+const MAX_STATS_DAYS = 90;
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Service for the admin APIs: site-wide roles (including bootstrapping the first admin),
+ * account and group management, and platform statistics.
+ * Every change is written to the admin audit log.
+ */
+class AdminService {
+
+    /**
+     * Makes the requesting user the first admin. Only works while ADMIN_BOOTSTRAP_TOKEN is set
+     * and no admin exists yet; unset the variable once the first admin is in place.
+     * @param {string} userId
+     * @param {string} token - Must equal ADMIN_BOOTSTRAP_TOKEN.
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - The promoted user.
+     */
+    async bootstrapAdmin(userId, token, meta = {}) {
+        const expected = process.env.ADMIN_BOOTSTRAP_TOKEN;
+        if (!expected) throw new Error('Admin bootstrap is disabled');
+        // Compare digests so the check takes the same time whatever the input length
+        if (!token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+            throw new Error('Invalid bootstrap token');
+        }
+
+        // While there is no admin there is no row to lock, so two requests at the same time are
+        // kept apart by running serializable: one of them fails instead of both promoting
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const admins = await tx.user.count({ where: { role: 'ADMIN' } });
+                if (admins > 0) throw new Error('An admin already exists');
+
+                const user = await tx.user.update({
+                    where: { id: userId },
+                    data: { role: 'ADMIN' },
+                    select: USER_SELECT
+                });
+
+                await adminAuditService.record({
+                    actorId: userId,
+                    action: 'BOOTSTRAP_ADMIN',
+                    targetType: 'USER',
+                    targetId: userId,
+                    ipAddress: meta.ipAddress
+                }, tx);
+
+                return user;
+            }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+        } catch (error) {
+            // Serialization failure: another bootstrap ran at the same time and got there first
+            if (error.code === 'P2034') throw new Error('An admin already exists');
+            throw error;
+        }
+    }
+
+    /**
+     * Grants a role, or revokes one by setting USER. The last admin cannot be demoted.
+     * @param {string} actorId - Admin making the change.
+     * @param {string} targetId
+     * @param {string} role - USER, SUPPORT or ADMIN.
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - The updated user.
+     */
+    async setRole(actorId, targetId, role, meta = {}) {
+        if (!SYSTEM_ROLES.includes(role)) throw new Error(`Invalid role: must be one of ${SYSTEM_ROLES.join(', ')}`);
+
+        return await prisma.$transaction(async (tx) => {
+            // The target and every admin row are locked before counting, so two admins demoting each
+            // other (or deleting their accounts) at the same time cannot leave the site without an admin
+            const locked = /** @type {Array} */ (await tx.$queryRaw`
+                SELECT "id", "role" FROM "User"
+                WHERE "id" = ${targetId} OR ("role" = 'ADMIN' AND "deletedAt" IS NULL)
+                FOR UPDATE`);
+            if (!locked.some(row => row.id === targetId)) throw new Error('User not found');
+
+            const target = await tx.user.findUnique({ where: { id: targetId }, select: USER_SELECT });
+            if (target.role === role) return target;
+
+            if (target.role === 'ADMIN' && locked.filter(row => row.role === 'ADMIN').length <= 1) {
+                throw new Error('Invalid role: cannot remove the last admin');
+            }
+
+            const user = await tx.user.update({
+                where: { id: targetId },
+                data: { role },
+                select: USER_SELECT
+            });
+
+            await adminAuditService.record({
+                actorId,
+                action: role === 'USER' ? 'REVOKE_ROLE' : 'GRANT_ROLE',
+                targetType: 'USER',
+                targetId,
+                details: { fromRole: target.role, toRole: role },
+                ipAddress: meta.ipAddress
+            }, tx);
+
+            return user;
+        });
+    }
+
+    /**
+     * Users holding any role other than USER.
+     * @returns {Promise<Array>}
+     */
+    async getStaff() {
+        return await prisma.user.findMany({
+            where: { role: { not: 'USER' } },
+            select: USER_SELECT,
+            orderBy: { username: 'asc' }
+        });
+    }
+
+    /**
+     * @param {string|number|undefined} limit
+     * @param {number} fallback
+     * @returns {number}
+     */
+    _pageSize(limit, fallback) {
+        return Math.min(Math.max(Number(limit) || fallback, 1), MAX_PAGE_SIZE);
+    }
+
+    /**
+     * Lists and searches accounts with their group counts and what they still owe, newest first.
+     * @param {Object} options - { q (username, name, email or ID), role, disabled ("true"/"false"),
+     *   limit (default 50, max 100), before (user ID cursor) }
+     * @returns {Promise<Object>} - { users, nextCursor }
+     */
+    async listUsers({ q, role, disabled, limit, before } = {}) {
+        const take = this._pageSize(limit, 50);
+        const search = q ? String(q) : null;
+
+        const users = await prisma.user.findMany({
+            where: {
+                ...(search ? {
+                    OR: [
+                        { id: search },
+                        { username: { contains: search, mode: 'insensitive' } },
+                        { name: { contains: search, mode: 'insensitive' } },
+                        { email: { contains: search, mode: 'insensitive' } }
+                    ]
+                } : {}),
+                ...(role ? { role: String(role) } : {}),
+                ...(disabled === 'true' ? { disabledAt: { not: null } } : {}),
+                ...(disabled === 'false' ? { disabledAt: null } : {})
+            },
+            select: { ...ACCOUNT_SELECT, _count: { select: { orders: true, createdGroups: true } } },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: take + 1,
+            ...(before ? { cursor: { id: String(before) }, skip: 1 } : {})
+        });
+        const page = users.slice(0, take);
+
+        // What each of them still owes across their groups, from the same ledger as the group payloads.
+        // Only groups where someone on this page has an unpaid order are loaded, a batch at a time
+        const ids = page.map(u => u.id);
+        const unpaid = Object.fromEntries(ids.map(id => [id, 0]));
+        await paymentService.eachGroupLedger({
+            orders: { some: { userId: { in: ids }, paymentStatus: { in: ['UNPAID', 'PARTIAL'] } } }
+        }, ({ group, costs }) => group.orders.forEach(order => {
+            const { balanceDue } = costs.byOrderId[order.id];
+            if (order.userId in unpaid && balanceDue > 0) unpaid[order.userId] += balanceDue;
+        }));
+
+        // Latest login lock still in force, from any address
+        const locks = await prisma.loginThrottle.groupBy({
+            by: ['username'],
+            where: { username: { in: page.map(u => u.username) }, lockedUntil: { gt: new Date() } },
+            _max: { lockedUntil: true }
+        });
+        const lockedUntil = Object.fromEntries(locks.map(l => [l.username, l._max.lockedUntil]));
+
+        return {
+            users: page.map(({ _count, ...user }) => ({
+                ...user,
+                groupCount: _count.orders,
+                createdGroupCount: _count.createdGroups,
+                unpaidTotal: unpaid[user.id],
+                lockedUntil: lockedUntil[user.username] || null
+            })),
+            nextCursor: users.length > take ? page[page.length - 1].id : null
+        };
+    }
+
+    /**
+     * Sets a new password, lifts any login lock and signs the user out everywhere.
+     * @param {string} actorId
+     * @param {string} targetId
+     * @param {string} password
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - { revokedSessions }
+     */
+    async resetPassword(actorId, targetId, password, meta = {}) {
+        userService.assertValidPassword(password);
+
+        const target = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true, username: true } });
+        if (!target) throw new Error('User not found');
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await prisma.$transaction(async (tx) => {
+            await tx.user.update({
+                where: { id: targetId },
+                data: { password: hashedPassword }
+            });
+            await tx.loginThrottle.deleteMany({ where: { username: target.username } });
+            await adminAuditService.record({
+                actorId,
+                action: 'RESET_PASSWORD',
+                targetType: 'USER',
+                targetId,
+                ipAddress: meta.ipAddress
+            }, tx);
+        });
+
+        return { revokedSessions: await authService.revokeAllSessions(targetId) };
+    }
+
+    /**
+     * Disables an account (signing it out everywhere) or enables it again.
+     * @param {string} actorId
+     * @param {string} targetId
+     * @param {boolean} disabled
+     * @param {string|null} reason
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - The updated account.
+     */
+    async setDisabled(actorId, targetId, disabled, reason, meta = {}) {
+        if (disabled && actorId === targetId) throw new Error('Invalid request: you cannot disable your own account');
+
+        const user = await prisma.$transaction(async (tx) => {
+            const target = await tx.user.findUnique({ where: { id: targetId }, select: { id: true } });
+            if (!target) throw new Error('User not found');
+
+            const updated = await tx.user.update({
+                where: { id: targetId },
+                data: disabled
+                    ? { disabledAt: new Date(), disabledReason: reason ? String(reason) : null }
+                    : { disabledAt: null, disabledReason: null },
+                select: ACCOUNT_SELECT
+            });
+
+            await adminAuditService.record({
+                actorId,
+                action: disabled ? 'DISABLE_USER' : 'ENABLE_USER',
+                targetType: 'USER',
+                targetId,
+                details: disabled && reason ? { reason: String(reason) } : undefined,
+                ipAddress: meta.ipAddress
+            }, tx);
+
+            return updated;
+        });
+
+        if (disabled) await authService.revokeAllSessions(targetId);
+
+        return user;
+    }
+
+    /**
+     * Lifts the login locks of an account (from every address) before they expire and clears
+     * the failed login counts.
+     * @param {string} actorId
+     * @param {string} targetId
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - The account.
+     */
+    async unlockUser(actorId, targetId, meta = {}) {
+        return await prisma.$transaction(async (tx) => {
+            const user = await tx.user.findUnique({ where: { id: targetId }, select: ACCOUNT_SELECT });
+            if (!user) throw new Error('User not found');
+
+            const locks = await tx.loginThrottle.findMany({
+                where: { username: user.username, lockedUntil: { gt: new Date() } },
+                select: { ipAddress: true, lockedUntil: true }
+            });
+            await tx.loginThrottle.deleteMany({ where: { username: user.username } });
+
+            await adminAuditService.record({
+                actorId,
+                action: 'UNLOCK_USER',
+                targetType: 'USER',
+                targetId,
+                details: { locks },
+                ipAddress: meta.ipAddress
+            }, tx);
+
+            return { ...user, lockedUntil: null };
+        });
+    }
+
+    /**
+     * Lists and searches all groups, newest first.
+     * @param {Object} options - { q (title or ID), status, archived ("true"/"false"), limit (default 50, max 100), before }
+     * @returns {Promise<Object>} - { groups, nextCursor }
+     */
+    async listGroups({ q, status, archived, limit, before } = {}) {
+        const take = this._pageSize(limit, 50);
+        const search = q ? String(q) : null;
+
+        const groups = await prisma.group.findMany({
+            where: {
+                ...(search ? { OR: [{ id: search }, { title: { contains: search, mode: 'insensitive' } }] } : {}),
+                ...(status ? { status: String(status) } : {}),
+                ...(archived === 'true' ? { archivedAt: { not: null } } : {}),
+                ...(archived === 'false' ? { archivedAt: null } : {})
+            },
+            include: {
+                creator: { select: { id: true, username: true, name: true } },
+                _count: { select: { orders: true } }
+            },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: take + 1,
+            ...(before ? { cursor: { id: String(before) }, skip: 1 } : {})
+        });
+        const page = groups.slice(0, take);
+
+        return {
+            groups: page.map(({ _count, ...group }) => ({ ...group, memberCount: _count.orders })),
+            nextCursor: groups.length > take ? page[page.length - 1].id : null
+        };
+    }
+
+    /**
+     * @param {string} groupId
+     * @returns {Promise<Object>} - Group row.
+     */
+    async _getGroup(groupId) {
+        const group = await prisma.group.findUnique({ where: { id: groupId } });
+        if (!group) throw new Error('Group not found');
+
+        return group;
+    }
+
+    /**
+     * Closes a group in a transaction on behalf of an admin (ADMIN_CLOSE in its status history).
+     * @param {Object} tx - Prisma transaction client.
+     * @param {Object} group
+     * @param {string} actorId
+     * @returns {Promise<Object>} - { group, closed } (closed is false when it already was).
+     */
+    async _close(tx, group, actorId) {
+        if (group.status === 'CLOSED') return { group, closed: false };
+
+        const updated = await groupLifecycleService._transition(tx, group, { toStatus: 'CLOSED', reason: 'ADMIN_CLOSE', actorId });
+        if (!updated) throw new Error('Group status changed, please retry');
+
+        return { group: updated, closed: true };
+    }
+
+    /**
+     * @param {Object} group - Group that was just closed (after the transaction committed).
+     */
+    _announceClosed(group) {
+        groupEvents.publishStatusChanged(group);
+        notificationService.notifyPaymentsDue(group);
+    }
+
+    /**
+     * Closes any group now, whatever its deadline.
+     * @param {string} actorId
+     * @param {string} groupId
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - Updated group.
+     */
+    async forceCloseGroup(actorId, groupId, meta = {}) {
+        const group = await this._getGroup(groupId);
+
+        const result = await prisma.$transaction(async (tx) => {
+            const closing = await this._close(tx, group, actorId);
+
+            await adminAuditService.record({
+                actorId,
+                action: 'FORCE_CLOSE_GROUP',
+                targetType: 'GROUP',
+                targetId: groupId,
+                details: { fromStatus: group.status },
+                ipAddress: meta.ipAddress
+            }, tx);
+
+            return closing;
+        });
+
+        if (result.closed) this._announceClosed(result.group);
+
+        return result.group;
+    }
+
+    /**
+     * Archives a group (closing it first) so it leaves its members' dashboards and cannot be
+     * reopened, or restores it. Payments can still be recorded on an archived group.
+     * @param {string} actorId
+     * @param {string} groupId
+     * @param {boolean} archived
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - Updated group.
+     */
+    async setArchived(actorId, groupId, archived, meta = {}) {
+        const group = await this._getGroup(groupId);
+
+        const result = await prisma.$transaction(async (tx) => {
+            const closing = archived ? await this._close(tx, group, actorId) : { group, closed: false };
+
+            const updated = await tx.group.update({
+                where: { id: groupId },
+                data: { archivedAt: archived ? group.archivedAt || new Date() : null }
+            });
+
+            await adminAuditService.record({
+                actorId,
+                action: archived ? 'ARCHIVE_GROUP' : 'UNARCHIVE_GROUP',
+                targetType: 'GROUP',
+                targetId: groupId,
+                ipAddress: meta.ipAddress
+            }, tx);
+
+            return { group: updated, closed: closing.closed };
+        });
+
+        if (result.closed) this._announceClosed(result.group);
+        groupEvents.publishGroupUpdated(groupId);
+
+        return result.group;
+    }
+
+    /**
+     * Makes another member the group's creator: the person the others owe money to, and its owner.
+     * The previous owner becomes a co-organiser, and payment states are recomputed because the
+     * creator's own order no longer counts as paid.
+     * @param {string} actorId
+     * @param {string} groupId
+     * @param {string} newCreatorId - Must already be a member.
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - Updated group.
+     */
+    async reassignCreator(actorId, groupId, newCreatorId, meta = {}) {
+        const group = await prisma.$transaction(async (tx) => {
+            const current = await tx.group.findUnique({ where: { id: groupId }, include: { orders: true } });
+            if (!current) throw new Error('Group not found');
+            if (current.creatorId === newCreatorId) return current;
+
+            const target = current.orders.find(o => o.userId === newCreatorId);
+            if (!target) throw new Error('Invalid creator: the new creator must be a member of the group');
+
+            await tx.groupOrder.updateMany({
+                where: { groupId, role: 'OWNER' },
+                data: { role: 'CO_ORGANISER' }
+            });
+            await tx.groupOrder.update({ where: { id: target.id }, data: { role: 'OWNER' } });
+            const updated = await tx.group.update({ where: { id: groupId }, data: { creatorId: newCreatorId } });
+
+            await paymentService.syncGroupPaymentStatuses(groupId, tx, actorId);
+            await adminAuditService.record({
+                actorId,
+                action: 'REASSIGN_CREATOR',
+                targetType: 'GROUP',
+                targetId: groupId,
+                details: { fromUserId: current.creatorId, toUserId: newCreatorId },
+                ipAddress: meta.ipAddress
+            }, tx);
+
+            return updated;
+        });
+
+        groupEvents.publishGroupUpdated(groupId);
+        notificationService.notify([newCreatorId], 'ROLE_CHANGED', groupId, { title: group.title, role: 'OWNER' });
+
+        return group;
+    }
+
+    /**
+     * Platform statistics.
+     * @param {Object} options - { days (orders-per-day period, default 14, max 90) }
+     * @returns {Promise<Object>} - { users, groups, ordersPerDay, outstanding }
+     */
+    async getStats({ days } = {}) {
+        const period = Math.min(Math.max(Number(days) || 14, 1), MAX_STATS_DAYS);
+        const now = new Date();
+        // Midnight UTC at the start of the period, which ends today
+        const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (period - 1)));
+
+        const [users, disabledUsers, byStatus, activeGroups, archivedGroups] = await Promise.all([
+            prisma.user.count(),
+            prisma.user.count({ where: { disabledAt: { not: null } } }),
+            prisma.group.groupBy({ by: ['status'], _count: { _all: true } }),
+            prisma.group.count({ where: { status: 'OPEN', startTime: { lte: now }, endTime: { gt: now } } }),
+            prisma.group.count({ where: { archivedAt: { not: null } } })
+        ]);
+        const statusCount = (status) => (byStatus.find(row => row.status === status) || { _count: { _all: 0 } })._count._all;
+
+        // An order is placed when the first version of its items is recorded (days in UTC)
+        const counted = /** @type {Array<Object>} */ (await prisma.$queryRaw`
+            SELECT to_char(date_trunc('day', "createdAt"), 'YYYY-MM-DD') AS "date", COUNT(*)::int AS "count"
+            FROM "OrderHistoryEvent"
+            WHERE "type" = 'ITEMS_UPDATED' AND "version" = 1 AND "createdAt" >= ${since}
+            GROUP BY 1
+            ORDER BY 1`);
+        const countByDate = Object.fromEntries(counted.map(row => [row.date, row.count]));
+        const ordersPerDay = [];
+        for (let day = new Date(since); day <= now; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+            const date = day.toISOString().slice(0, 10);
+            ordersPerDay.push({ date, count: countByDate[date] || 0 });
+        }
+
+        // The amount due comes from the ledger (shared costs and discounts), so the groups with
+        // unpaid orders are walked a batch at a time rather than loaded all at once
+        const outstanding = { amount: 0, groups: 0 };
+        await paymentService.eachGroupLedger({
+            orders: { some: { paymentStatus: { in: ['UNPAID', 'PARTIAL'] } } }
+        }, ({ costs }) => {
+            outstanding.amount += costs.totalOutstanding;
+            if (costs.totalOutstanding > 0) outstanding.groups++;
+        });
+
+        return {
+            users: { total: users, disabled: disabledUsers },
+            groups: { open: statusCount('OPEN'), active: activeGroups, closed: statusCount('CLOSED'), archived: archivedGroups },
+            ordersPerDay,
+            outstanding
+        };
+    }
+}
+
+module.exports = new AdminService();
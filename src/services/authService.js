@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const eventHub = require('../realtime/eventHub');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Login lockout, per username and client IP: locked after this many consecutive failures (Default: 5) for
+// LOGIN_LOCKOUT_BASE_SECONDS (Default: 60), doubling with every further failure up to LOGIN_LOCKOUT_MAX_SECONDS
+// (Default: 1 hour). Failures are forgotten once the last one is LOGIN_LOCKOUT_WINDOW_SECONDS old (Default: 1 day).
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const LOCKOUT_MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const LOCKOUT_WINDOW_SECONDS = Number(process.env.LOGIN_LOCKOUT_WINDOW_SECONDS) || 24 * 60 * 60;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Service for authentication sessions.
+ * Each login creates a Session row; the refresh token handed to the client is
+ * "<sessionId>.<secret>" and only the hash of the secret is stored.
+ */
+class AuthService {
+
+    /**
+     * Signs a short-lived access token bound to a session.
+     * @param {Object} user - { id, username, role }
+     * @param {string} sessionId
+     * @returns {string}
+     */
+    signAccessToken(user, sessionId) {
+        return jwt.sign({ userId: user.id, username: user.username, role: user.role, sessionId }, JWT_SECRET, {
+            expiresIn: ACCESS_TOKEN_TTL,
+        });
+    }
+
+    /**
+     * Creates a new session for a user (one per login / device).
+     * @param {Object} user - { id, username, role }
+     * @param {Object} meta - { userAgent, ipAddress }
+     * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+     */
+    async createSession(user, meta = {}) {
+        const secret = crypto.randomBytes(48).toString('hex');
+        const session = await prisma.session.create({
+            data: {
+                userId: user.id,
+                refreshTokenHash: hashSecret(secret),
+                userAgent: meta.userAgent || null,
+                ipAddress: meta.ipAddress || null,
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+            }
+        });
+
+        return {
+            accessToken: this.signAccessToken(user, session.id),
+            refreshToken: `${session.id}.${secret}`,
+            sessionId: session.id
+        };
+    }
+
+    /**
+     * Exchanges a refresh token for a new access token and a rotated refresh token.
+     * Presenting an already-rotated token revokes the session (possible token theft).
+     * @param {string} refreshToken
+     * @param {Object} meta - { userAgent, ipAddress }
+     * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId, user }
+     */
+    async refreshSession(refreshToken, meta = {}) {
+        if (!refreshToken || typeof refreshToken !== 'string') throw new Error('Invalid refresh token');
+
+        const [sessionId, secret] = refreshToken.split('.');
+        if (!sessionId || !secret) throw new Error('Invalid refresh token');
+
+        const session = await prisma.session.findUnique({
+            where: { id: sessionId },
+            include: { user: { select: { id: true, username: true, name: true, role: true, disabledAt: true } } }
+        });
+
+        if (!session || session.revokedAt) throw new Error('Invalid refresh token');
+        if (session.expiresAt < new Date()) throw new Error('Refresh token expired');
+        if (session.user.disabledAt) throw new Error('Account disabled');
+
+        if (session.refreshTokenHash !== hashSecret(secret)) {
+            // Reuse of an old token: someone else may hold the current one
+            await prisma.session.update({
+                where: { id: sessionId },
+                data: { revokedAt: new Date() }
+            });
+            eventHub.close({ sessionId }, 'SESSION_REVOKED');
+            throw new Error('Invalid refresh token');
+        }
+
+        const newSecret = crypto.randomBytes(48).toString('hex');
+
+        // Conditional update so two concurrent refreshes cannot both rotate the same token
+        const { count } = await prisma.session.updateMany({
+            where: { id: sessionId, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+            data: {
+                refreshTokenHash: hashSecret(newSecret),
+                lastUsedAt: new Date(),
+                userAgent: meta.userAgent || session.userAgent,
+                ipAddress: meta.ipAddress || session.ipAddress
+            }
+        });
+        if (count === 0) throw new Error('Invalid refresh token');
+
+        return {
+            accessToken: this.signAccessToken(session.user, sessionId),
+            refreshToken: `${sessionId}.${newSecret}`,
+            sessionId,
+            user: { id: session.user.id, username: session.user.username, name: session.user.name, role: session.user.role }
+        };
+    }
+
+    /**
+     * Returns the session if it is still active, otherwise null.
+     * @param {string} sessionId
+     * @returns {Promise<Object|null>} - Session including the user's current `role` and `disabledAt`.
+     */
+    async getActiveSession(sessionId) {
+        const session = await prisma.session.findUnique({
+            where: { id: sessionId },
+            include: { user: { select: { role: true, disabledAt: true } } }
+        });
+        if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+        return session;
+    }
+
+    /**
+     * Lists the active sessions of a user.
+     * @param {string} userId
+     * @param {string} currentSessionId - Marked with `current: true`.
+     * @returns {Promise<Array>}
+     */
+    async getSessions(userId, currentSessionId) {
+        const sessions = await prisma.session.findMany({
+            where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+            orderBy: { lastUsedAt: 'desc' }
+        });
+
+        return sessions.map(s => ({
+            id: s.id,
+            userAgent: s.userAgent,
+            ipAddress: s.ipAddress,
+            createdAt: s.createdAt,
+            lastUsedAt: s.lastUsedAt,
+            expiresAt: s.expiresAt,
+            current: s.id === currentSessionId
+        }));
+    }
+
+    /**
+     * Revokes one session of a user.
+     * @param {string} userId
+     * @param {string} sessionId
+     */
+    async revokeSession(userId, sessionId) {
+        const { count } = await prisma.session.updateMany({
+            where: { id: sessionId, userId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        if (count === 0) throw new Error('Session not found');
+
+        // Open event streams of the session end now instead of at the next access check
+        eventHub.close({ sessionId }, 'SESSION_REVOKED');
+    }
+
+    /**
+     * Revokes every active session of a user ("log out all devices").
+     * @param {string} userId
+     * @param {string} [exceptSessionId] - Session to keep, e.g. the one that changed the password.
+     * @returns {Promise<number>} - Number of revoked sessions.
+     */
+    async revokeAllSessions(userId, exceptSessionId) {
+        const { count } = await prisma.session.updateMany({
+            where: { userId, revokedAt: null, ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}) },
+            data: { revokedAt: new Date() }
+        });
+        eventHub.close({ userId, ...(exceptSessionId ? { exceptSessionId } : {}) }, 'SESSION_REVOKED');
+        return count;
+    }
+
+    /**
+     * Seconds until logins to an account from an address are accepted again.
+     * @param {string} username - As typed; the account does not have to exist.
+     * @param {string} ipAddress
+     * @returns {Promise<number>} - 0 when not locked.
+     */
+    async loginLockedForSeconds(username, ipAddress) {
+        const throttle = await prisma.loginThrottle.findUnique({
+            where: { username_ipAddress: { username, ipAddress } },
+            select: { lockedUntil: true }
+        });
+        if (!throttle || !throttle.lockedUntil) return 0;
+
+        return Math.max(Math.ceil((throttle.lockedUntil.getTime() - Date.now()) / 1000), 0);
+    }
+
+    /**
+     * Counts a failed login from an address and locks further logins to that account from there
+     * once the failures reach LOGIN_LOCKOUT_THRESHOLD. Unknown usernames are counted the same way.
+     * @param {string} username
+     * @param {string} ipAddress
+     * @returns {Promise<number>} - Seconds logins are now locked for (0 when not locked).
+     */
+    async recordFailedLogin(username, ipAddress) {
+        const now = new Date();
+
+        // Failures older than the window no longer count (this also drops them for this address)
+        await prisma.loginThrottle.deleteMany({
+            where: {
+                lastFailedAt: { lt: new Date(now.getTime() - LOCKOUT_WINDOW_SECONDS * 1000) },
+                OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }]
+            }
+        });
+
+        // Incremented in the database so concurrent attempts are all counted
+        const { failedCount } = await prisma.loginThrottle.upsert({
+            where: { username_ipAddress: { username, ipAddress } },
+            create: { username, ipAddress, failedCount: 1, lastFailedAt: now },
+            update: { failedCount: { increment: 1 }, lastFailedAt: now },
+            select: { failedCount: true }
+        });
+        if (failedCount < LOCKOUT_THRESHOLD) return 0;
+
+        const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failedCount - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+        await prisma.loginThrottle.update({
+            where: { username_ipAddress: { username, ipAddress } },
+            data: { lockedUntil: new Date(now.getTime() + seconds * 1000) }
+        });
+
+        return seconds;
+    }
+
+    /**
+     * Clears the failed logins of an account from one address (after a successful login from there).
+     * @param {string} username
+     * @param {string} ipAddress
+     */
+    async clearFailedLogins(username, ipAddress) {
+        await prisma.loginThrottle.deleteMany({ where: { username, ipAddress } });
+    }
+}
+
+module.exports = new AuthService();
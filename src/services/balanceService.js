@@ -0,0 +1,221 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+const userService = require('./userService');
+const paymentService = require('./paymentService');
+const groupEvents = require('../realtime/groupEvents');
+const notificationService = require('./notificationService');
+const { PAYMENT_METHODS } = require('../utils/paymentUtils');
+const { collectDebts, netBalancesFor, buildSettlementPlan } = require('../utils/balanceUtils');
+
+/**
+ * Service for cross-group balances between users.
+ */
+class BalanceService {
+
+    /**
+     * Groups where one of the two users is the creator and the other has an unsettled order.
+     * @param {string} userId
+     * @param {string} otherId
+     * @returns {Object} - Prisma `Group` filter.
+     */
+    _pairWhere(userId, otherId) {
+        const unsettled = { paymentStatus: { not: 'PAID' } };
+
+        return {
+            OR: [
+                { creatorId: userId, orders: { some: { userId: otherId, ...unsettled } } },
+                { creatorId: otherId, orders: { some: { userId, ...unsettled } } }
+            ]
+        };
+    }
+
+    /**
+     * Loads { id, name } for user IDs.
+     * @param {Array<string>} userIds
+     * @returns {Promise<Object>} - Map of userId to user.
+     */
+    async _loadUsers(userIds) {
+        const users = await prisma.user.findMany({
+            where: { id: { in: userIds } },
+            select: { id: true, name: true }
+        });
+
+        return Object.fromEntries(users.map(u => [u.id, u]));
+    }
+
+    /**
+     * Balances of the user with everyone they have unsettled orders with, netted per person,
+     * plus a minimal settlement plan for the user and their friends.
+     * @param {string} userId
+     * @returns {Promise<Object>} - { balances, totalOwedToMe, totalIOwe, settlementPlan }
+     */
+    async getBalances(userId) {
+        const friends = await userService.getFriends(userId);
+        const friendIds = new Set(friends.map(f => f.id));
+        const circle = [userId, ...friendIds];
+
+        const unsettled = { paymentStatus: { not: 'PAID' } };
+        const [myLedgers, circleLedgers] = await Promise.all([
+            paymentService.getGroupLedgers({
+                OR: [
+                    { creatorId: userId, orders: { some: unsettled } },
+                    { orders: { some: { userId, ...unsettled } } }
+                ]
+            }),
+            paymentService.getGroupLedgers({
+                creatorId: { in: circle },
+                orders: { some: { userId: { in: circle }, ...unsettled } }
+            })
+        ]);
+
+        const balances = netBalancesFor(collectDebts(myLedgers), userId);
+        const circleDebts = collectDebts(circleLedgers)
+            .filter(d => circle.includes(d.debtorId) && circle.includes(d.creditorId));
+        const plan = buildSettlementPlan(circleDebts);
+
+        const users = await this._loadUsers([...new Set([
+            ...balances.map(b => b.userId),
+            ...plan.flatMap(t => [t.fromUserId, t.toUserId])
+        ])]);
+
+        return {
+            balances: balances
+                .map(b => this._formatBalance(b, users[b.userId], friendIds.has(b.userId)))
+                .sort((a, b) => Math.abs(b.net) - Math.abs(a.net)),
+            totalOwedToMe: balances.reduce((sum, b) => sum + b.owedToMe, 0),
+            totalIOwe: balances.reduce((sum, b) => sum + b.iOwe, 0),
+            settlementPlan: plan.map(t => ({ from: users[t.fromUserId], to: users[t.toUserId], amount: t.amount }))
+        };
+    }
+
+    /**
+     * Balance between the user and one other user, with the orders it is made of.
+     * @param {string} userId
+     * @param {string} otherId
+     * @returns {Promise<Object>}
+     */
+    async getBalanceWith(userId, otherId) {
+        const ledgers = await paymentService.getGroupLedgers(this._pairWhere(userId, otherId));
+        const [balance] = netBalancesFor(this._pairDebts(ledgers, userId, otherId), userId);
+
+        const users = await this._loadUsers([otherId]);
+        if (!users[otherId]) throw new Error('User not found');
+
+        return this._formatBalance(
+            balance || { userId: otherId, owedToMe: 0, iOwe: 0, net: 0, debts: [] },
+            users[otherId],
+            await userService.areFriends(userId, otherId)
+        );
+    }
+
+    /**
+     * Settles every unsettled order between two friends in one transaction: each order's
+     * outstanding balance (or change owed) is written to its ledger, so all of them end up PAID.
+     * Only the user receiving the net amount may settle (either of them when it nets to zero).
+     * @param {string} userId
+     * @param {string} otherId
+     * @param {Object} data - { method, note, expectedNet (optional: reject if the net changed meanwhile) }
+     * @returns {Promise<Object>} - { net, settledOrders }
+     */
+    async settleUp(userId, otherId, data = {}) {
+        const { method = 'CASH', note, expectedNet } = data;
+        if (!PAYMENT_METHODS.includes(method)) {
+            throw new Error(`Invalid payment: method must be one of ${PAYMENT_METHODS.join(', ')}`);
+        }
+        if (!(await userService.areFriends(userId, otherId))) throw new Error('Not friends');
+
+        const settled = await prisma.$transaction(async (tx) => {
+            const candidates = await tx.group.findMany({ where: this._pairWhere(userId, otherId), select: { id: true } });
+            if (candidates.length === 0) throw new Error('Nothing to settle');
+            const groupIds = candidates.map(g => g.id);
+
+            // Lock the orders so payments recorded meanwhile cannot be counted twice
+            await tx.$queryRaw`SELECT "id" FROM "GroupOrder" WHERE "groupId" IN (${Prisma.join(groupIds)}) FOR UPDATE`;
+
+            const ledgers = await paymentService.getGroupLedgers({ id: { in: groupIds } }, tx);
+            const debts = this._pairDebts(ledgers, userId, otherId);
+            if (debts.length === 0) throw new Error('Nothing to settle');
+
+            const [balance] = netBalancesFor(debts, userId);
+            if (balance.net < 0) throw new Error('Only the user receiving the net amount can settle up');
+            if (expectedNet !== undefined && expectedNet !== null && Number(expectedNet) !== balance.net) {
+                throw new Error('Balance changed, please review it again');
+            }
+
+            const paidAt = new Date();
+            for (const debt of debts) {
+                await tx.payment.create({
+                    data: {
+                        amount: debt.balanceDue,
+                        method,
+                        note: note ? `Settle up: ${note}` : 'Settle up',
+                        paidAt,
+                        groupOrderId: debt.orderId,
+                        recordedById: userId
+                    }
+                });
+            }
+
+            for (const groupId of groupIds) {
+                await paymentService.syncGroupPaymentStatuses(groupId, tx, userId);
+            }
+
+            return { net: balance.net, debts };
+        });
+
+        const groupIds = [...new Set(settled.debts.map(d => d.groupId))];
+        for (const groupId of groupIds) {
+            const costs = await paymentService.syncGroupPaymentStatuses(groupId);
+            settled.debts
+                .filter(d => d.groupId === groupId)
+                .forEach(d => {
+                    const order = { id: d.orderId, userId: d.balanceDue > 0 ? d.debtorId : d.creditorId };
+                    groupEvents.publishPaymentUpdated(groupId, order, costs);
+                    notificationService.notify([otherId], 'PAYMENT_RECORDED', groupId, { title: d.title, amount: d.balanceDue, balanceDue: 0 });
+                });
+        }
+
+        return {
+            net: settled.net,
+            settledOrders: settled.debts.map(d => ({ orderId: d.orderId, groupId: d.groupId, title: d.title, amount: d.balanceDue }))
+        };
+    }
+
+    /**
+     * Debts between exactly these two users.
+     * @param {Array} ledgers
+     * @param {string} userId
+     * @param {string} otherId
+     * @returns {Array}
+     */
+    _pairDebts(ledgers, userId, otherId) {
+        return collectDebts(ledgers).filter(d =>
+            (d.debtorId === userId && d.creditorId === otherId) || (d.debtorId === otherId && d.creditorId === userId));
+    }
+
+    /**
+     * @param {Object} balance - Entry of balanceUtils.netBalancesFor.
+     * @param {Object} user - { id, name } of the counterparty.
+     * @param {boolean} isFriend
+     * @returns {Object}
+     */
+    _formatBalance(balance, user, isFriend) {
+        return {
+            user,
+            isFriend,
+            owedToMe: balance.owedToMe,
+            iOwe: balance.iOwe,
+            net: balance.net,
+            orders: balance.debts.map(d => ({
+                orderId: d.orderId,
+                groupId: d.groupId,
+                title: d.title,
+                debtorId: d.debtorId,
+                creditorId: d.creditorId,
+                amount: d.amount
+            }))
+        };
+    }
+}
+
+module.exports = new BalanceService();
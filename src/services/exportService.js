@@ -0,0 +1,84 @@
+const ExcelJS = require('exceljs');
+const orderService = require('./orderService');
+const { buildOrderRows, buildShopRows, toCsv, buildShopSheetText, exportFileName } = require('../utils/exportUtils');
+
+/**
+ * Service for downloadable group exports.
+ * Everything is built from orderService.getGroupSummary, which also performs the
+ * creator/participant access check.
+ */
+class ExportService {
+
+    /**
+     * Per-participant order list as CSV (UTF-8 with BOM).
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<Object>} - { fileName, contentType, body }
+     */
+    async exportOrdersCsv(userId, groupId) {
+        const summary = await orderService.getGroupSummary(userId, groupId);
+
+        return {
+            fileName: exportFileName(summary.title, 'orders.csv'),
+            contentType: 'text/csv; charset=utf-8',
+            body: toCsv(buildOrderRows(summary))
+        };
+    }
+
+    /**
+     * Workbook with an "Orders" sheet (per participant) and a "Shop" sheet (per item).
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<Object>} - { fileName, contentType, body (Buffer) }
+     */
+    async exportOrdersXlsx(userId, groupId) {
+        const summary = await orderService.getGroupSummary(userId, groupId);
+
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+        this._addSheet(workbook, 'Orders', buildOrderRows(summary));
+        this._addSheet(workbook, 'Shop', buildShopRows(summary));
+
+        return {
+            fileName: exportFileName(summary.title, 'orders.xlsx'),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            body: Buffer.from(await workbook.xlsx.writeBuffer())
+        };
+    }
+
+    /**
+     * Condensed "read to the shop" sheet as plain text.
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<Object>} - { fileName, contentType, body }
+     */
+    async exportShopSheet(userId, groupId) {
+        const summary = await orderService.getGroupSummary(userId, groupId);
+
+        return {
+            fileName: exportFileName(summary.title, 'shop.txt'),
+            contentType: 'text/plain; charset=utf-8',
+            body: buildShopSheetText(summary)
+        };
+    }
+
+    /**
+     * Adds a worksheet with a bold, frozen header row and the last row (totals) in bold.
+     * @param {Object} workbook - ExcelJS workbook.
+     * @param {string} name
+     * @param {Array<Array>} rows - Including the header row.
+     */
+    _addSheet(workbook, name, rows) {
+        const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.addRows(rows);
+
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(rows.length).font = { bold: true };
+        sheet.columns.forEach((column, index) => {
+            const width = Math.max(...rows.map(r => String(r[index] ?? '').length));
+            column.width = Math.min(Math.max(width + 2, 8), 40);
+        });
+    }
+}
+
+module.exports = new ExportService();
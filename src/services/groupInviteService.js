@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const userService = require('./userService');
+const paymentService = require('./paymentService');
+const groupMemberService = require('./groupMemberService');
+const notificationService = require('./notificationService');
+const groupEvents = require('../realtime/groupEvents');
+
+const INVITE_SECRET = process.env.INVITE_LINK_SECRET || process.env.JWT_SECRET || 'your_super_secret_key';
+const APP_URL = process.env.APP_URL || 'http://localhost:2758';
+
+const sign = (inviteId) => crypto.createHmac('sha256', INVITE_SECRET).update(inviteId).digest('base64url').slice(0, 22);
+
+/**
+ * Service for shareable group invite links.
+ * The code in a link is "<inviteId>.<signature>": the HMAC signature keeps codes from being
+ * guessed or forged, and expiry, use limits and revocation are checked against the GroupInvite row.
+ */
+class GroupInviteService {
+
+    /**
+     * Verifies an invite code and returns the invite ID it carries.
+     * @param {string} code
+     * @returns {string|null}
+     */
+    _verifyCode(code) {
+        const [inviteId, signature] = String(code || '').split('.');
+        if (!inviteId || !signature) return null;
+
+        const expected = Buffer.from(sign(inviteId));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+        return inviteId;
+    }
+
+    /**
+     * Why an invite cannot be used right now, or null when it can.
+     * @param {Object} invite - GroupInvite row.
+     * @returns {string|null}
+     */
+    _unusableReason(invite) {
+        if (invite.revokedAt) return 'revoked';
+        if (invite.expiresAt && invite.expiresAt <= new Date()) return 'expired';
+        if (invite.maxUses != null && invite.useCount >= invite.maxUses) return 'used up';
+        return null;
+    }
+
+    /**
+     * Formats an invite for the organisers.
+     * @param {Object} invite - GroupInvite including `orders.user`.
+     * @returns {Object}
+     */
+    _format(invite) {
+        const code = `${invite.id}.${sign(invite.id)}`;
+        const unusable = this._unusableReason(invite);
+
+        return {
+            id: invite.id,
+            label: invite.label,
+            code,
+            url: `${APP_URL}/join/${code}`,
+            expiresAt: invite.expiresAt,
+            maxUses: invite.maxUses,
+            useCount: invite.useCount,
+            revokedAt: invite.revokedAt,
+            status: unusable ? unusable.toUpperCase().replace(' ', '_') : 'ACTIVE',
+            createdAt: invite.createdAt,
+            joined: (invite.orders || []).map(o => ({ userId: o.userId, name: o.user.name, joinedAt: o.createdAt }))
+        };
+    }
+
+    /**
+     * Creates an invite link (owner or co-organisers).
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {Object} data - { label, expiresAt | expiresInHours, maxUses }
+     * @returns {Promise<Object>}
+     */
+    async createInvite(userId, groupId, { label, expiresAt, expiresInHours, maxUses } = {}) {
+        await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+        } else if (expiresInHours !== undefined && expiresInHours !== null) {
+            expiry = new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000);
+        }
+        if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) throw new Error('Invalid invite: expiry must be in the future');
+
+        let uses = null;
+        if (maxUses !== undefined && maxUses !== null && maxUses !== '') {
+            uses = Number(maxUses);
+            if (!Number.isInteger(uses) || uses < 1) throw new Error('Invalid invite: maxUses must be a positive integer');
+        }
+
+        const invite = await prisma.groupInvite.create({
+            data: {
+                label: label ? String(label) : null,
+                expiresAt: expiry,
+                maxUses: uses,
+                groupId,
+                createdById: userId
+            },
+            include: { orders: { include: { user: { select: { id: true, name: true } } } } }
+        });
+
+        return this._format(invite);
+    }
+
+    /**
+     * Lists a group's invite links and who joined through each (owner or co-organisers).
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<Array>}
+     */
+    async getInvites(userId, groupId) {
+        await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
+
+        const invites = await prisma.groupInvite.findMany({
+            where: { groupId },
+            include: { orders: { include: { user: { select: { id: true, name: true } } } } },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        return invites.map(i => this._format(i));
+    }
+
+    /**
+     * Revokes an invite link (owner or co-organisers). Members who already joined stay in the group.
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {string} inviteId
+     */
+    async revokeInvite(userId, groupId, inviteId) {
+        await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
+
+        const { count } = await prisma.groupInvite.updateMany({
+            where: { id: inviteId, groupId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        if (count === 0) {
+            const invite = await prisma.groupInvite.findFirst({ where: { id: inviteId, groupId } });
+            if (!invite) throw new Error('Invite not found');
+        }
+    }
+
+    /**
+     * Loads the invite behind a code, whatever its state.
+     * @param {string} code
+     * @returns {Promise<Object>} - GroupInvite including `group.creator`.
+     */
+    async _getByCode(code) {
+        const inviteId = this._verifyCode(code);
+        const invite = inviteId && await prisma.groupInvite.findUnique({
+            where: { id: inviteId },
+            include: { group: { include: { creator: { select: { id: true, name: true } } } } }
+        });
+        if (!invite) throw new Error('Invite not found');
+
+        return invite;
+    }
+
+    /**
+     * What a user sees before joining: the group and whether the link can be used.
+     * @param {string} userId
+     * @param {string} code
+     * @returns {Promise<Object>}
+     */
+    async previewInvite(userId, code) {
+        const invite = await this._getByCode(code);
+        const membership = await prisma.groupOrder.findFirst({ where: { groupId: invite.groupId, userId } });
+        const unusable = this._unusableReason(invite);
+
+        return {
+            groupId: invite.groupId,
+            title: invite.group.title,
+            creator: invite.group.creator,
+            startTime: invite.group.startTime,
+            endTime: invite.group.endTime,
+            status: invite.group.status,
+            alreadyMember: !!membership || invite.group.creatorId === userId,
+            usable: !unusable && invite.group.status === 'OPEN',
+            reason: unusable || (invite.group.status !== 'OPEN' ? 'group closed' : null)
+        };
+    }
+
+    /**
+     * Joins a group through an invite link. Joining twice is a no-op and does not use up the link.
+     * @param {string} userId
+     * @param {string} code
+     * @returns {Promise<Object>} - { groupId, orderId, alreadyMember }
+     */
+    async redeemInvite(userId, code) {
+        const invite = await this._getByCode(code);
+        const group = invite.group;
+
+        const existing = await prisma.groupOrder.findUnique({ where: { groupId_userId: { groupId: group.id, userId } } });
+        if (existing) return { groupId: group.id, orderId: existing.id, alreadyMember: true };
+
+        const unusable = this._unusableReason(invite);
+        if (unusable) throw new Error(`Invite is ${unusable}`);
+        if (group.status !== 'OPEN' || group.endTime <= new Date()) throw new Error('Group is closed');
+
+        const blockedIds = await userService.getBlockedUserIds(userId);
+        if (blockedIds.includes(group.creatorId)) throw new Error('Cannot join this group');
+
+        let order;
+        try {
+            order = await prisma.$transaction(async (tx) => {
+                // Counted atomically so concurrent redemptions cannot exceed maxUses
+                const used = await tx.$executeRaw`
+                    UPDATE "GroupInvite" SET "useCount" = "useCount" + 1
+                    WHERE "id" = ${invite.id} AND "revokedAt" IS NULL
+                      AND ("maxUses" IS NULL OR "useCount" < "maxUses")
+                      AND ("expiresAt" IS NULL OR "expiresAt" > NOW())`;
+                if (used === 0) throw new Error('Invite is used up');
+
+                return await tx.groupOrder.create({
+                    data: { userId, groupId: group.id, joinedViaInviteId: invite.id }
+                });
+            });
+        } catch (error) {
+            // Joined at the same moment by another request (e.g. a double click): that one counted the use
+            if (error.code !== 'P2002') throw error;
+            const joined = await prisma.groupOrder.findUnique({ where: { groupId_userId: { groupId: group.id, userId } } });
+            return { groupId: group.id, orderId: joined.id, alreadyMember: true };
+        }
+
+        await paymentService.syncGroupPaymentStatuses(group.id, prisma, userId);
+        groupEvents.publishGroupUpdated(group.id);
+
+        const organiserIds = await groupMemberService.getUserIdsWith(group.id, 'MANAGE_GROUP');
+        const member = await prisma.user.findUnique({ where: { id: userId }, select: { name: true } });
+        groupEvents.publishToUsers(organiserIds, 'group.member_joined', {
+            groupId: group.id,
+            userId,
+            inviteId: invite.id
+        });
+        notificationService.notify(organiserIds, 'MEMBER_JOINED', group.id, { title: group.title, name: member.name });
+
+        return { groupId: group.id, orderId: order.id, alreadyMember: false };
+    }
+}
+
+module.exports = new GroupInviteService();
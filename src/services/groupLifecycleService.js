@@ -0,0 +1,169 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const groupEvents = require('../realtime/groupEvents');
+const groupMemberService = require('./groupMemberService');
+const notificationService = require('./notificationService');
+
+/**
+ * Service for group status transitions driven by startTime/endTime.
+ * Every transition (automatic or manual) is recorded as a GroupStatusEvent.
+ */
+class GroupLifecycleService {
+
+    /**
+     * Applies a status change and records it, inside the given transaction.
+     * The update is conditional on the current status so that the scheduler and
+     * a creator acting at the same moment cannot both apply a transition.
+     * @param {Object} tx - Prisma transaction client.
+     * @param {Object} group - Current group row.
+     * @param {Object} change - { toStatus, reason, actorId, endTime }
+     * @returns {Promise<Object|null>} - Updated group, or null if the group changed meanwhile.
+     */
+    async _transition(tx, group, { toStatus, reason, actorId = null, endTime }) {
+        const data = { status: toStatus };
+        if (endTime) {
+            data.endTime = endTime;
+            data.closingSoonNotifiedAt = null;
+        }
+        if (toStatus === 'CLOSED' && group.status !== 'CLOSED') data.closedAt = new Date();
+        if (toStatus === 'OPEN') {
+            data.closedAt = null;
+            data.autoRemindedAt = null;
+        }
+
+        const { count } = await tx.group.updateMany({
+            where: { id: group.id, status: group.status },
+            data
+        });
+        if (count === 0) return null;
+
+        await tx.groupStatusEvent.create({
+            data: {
+                groupId: group.id,
+                fromStatus: group.status,
+                toStatus,
+                reason,
+                actorId,
+                previousEndTime: endTime ? group.endTime : null,
+                newEndTime: endTime || null
+            }
+        });
+
+        return await tx.group.findUnique({ where: { id: group.id } });
+    }
+
+    /**
+     * Closes every OPEN group whose endTime has passed.
+     * @param {Date} [now]
+     * @returns {Promise<Array>} - The groups that were closed.
+     */
+    async closeExpiredGroups(now = new Date()) {
+        const expired = await prisma.group.findMany({
+            where: { status: 'OPEN', endTime: { lte: now } }
+        });
+
+        const closed = [];
+        for (const group of expired) {
+            const updated = await prisma.$transaction(tx =>
+                this._transition(tx, group, { toStatus: 'CLOSED', reason: 'AUTO_CLOSE' })
+            );
+            if (updated) {
+                closed.push(updated);
+                groupEvents.publishStatusChanged(updated);
+                notificationService.notifyPaymentsDue(updated);
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Manually sets the status of a group (authorization is checked by the caller).
+     * Reopening is only possible while endTime is still in the future.
+     * @param {Object} group
+     * @param {string} status - OPEN or CLOSED.
+     * @param {string} actorId
+     * @returns {Promise<Object>} - Updated group.
+     */
+    async setStatus(group, status, actorId) {
+        if (group.status === status) return group;
+
+        if (status === 'OPEN' && group.archivedAt) throw new Error('Cannot reopen: group is archived');
+        if (status === 'OPEN' && group.endTime <= new Date()) {
+            throw new Error('Cannot reopen: end time has passed. Extend the deadline instead.');
+        }
+
+        const updated = await prisma.$transaction(tx =>
+            this._transition(tx, group, {
+                toStatus: status,
+                reason: status === 'OPEN' ? 'REOPENED' : 'MANUAL',
+                actorId
+            })
+        );
+        if (!updated) throw new Error('Group status changed, please retry');
+
+        groupEvents.publishStatusChanged(updated);
+        if (updated.status === 'CLOSED') notificationService.notifyPaymentsDue(updated);
+
+        return updated;
+    }
+
+    /**
+     * Moves the deadline of a group. A CLOSED group is reopened by the new deadline.
+     * @param {string} userId - Requesting user (owner or co-organiser).
+     * @param {string} groupId
+     * @param {string} endTime - New deadline.
+     * @returns {Promise<Object>} - Updated group.
+     */
+    async extendDeadline(userId, groupId, endTime) {
+        const newEndTime = new Date(endTime);
+        if (!endTime || isNaN(newEndTime.getTime())) throw new Error('Invalid end time');
+
+        const group = await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
+
+        if (group.archivedAt) throw new Error('Cannot reopen: group is archived');
+        if (newEndTime <= new Date()) throw new Error('Invalid end time: must be in the future');
+        if (newEndTime <= group.startTime) throw new Error('Invalid end time: must be after start time');
+
+        const updated = await prisma.$transaction(tx =>
+            this._transition(tx, group, {
+                toStatus: 'OPEN',
+                reason: group.status === 'CLOSED' ? 'REOPENED' : 'DEADLINE_EXTENDED',
+                actorId: userId,
+                endTime: newEndTime
+            })
+        );
+        if (!updated) throw new Error('Group status changed, please retry');
+
+        groupEvents.publishStatusChanged(updated);
+
+        return updated;
+    }
+
+    /**
+     * Lists the status history of a group (creator or participants).
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<Array>}
+     */
+    async getStatusHistory(userId, groupId) {
+        const group = await prisma.group.findFirst({
+            where: {
+                id: groupId,
+                OR: [
+                    { creatorId: userId },
+                    { orders: { some: { userId: userId } } }
+                ]
+            }
+        });
+
+        if (!group) throw new Error('Access denied to this group');
+
+        return await prisma.groupStatusEvent.findMany({
+            where: { groupId },
+            orderBy: { createdAt: 'asc' }
+        });
+    }
+}
+
+module.exports = new GroupLifecycleService();
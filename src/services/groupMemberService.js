@@ -0,0 +1,149 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const groupEvents = require('../realtime/groupEvents');
+const notificationService = require('./notificationService');
+const { ROLES, PERMISSIONS, can, roleOf, permissionsOf } = require('../utils/groupPermissions');
+
+/**
+ * Service for group member roles (see utils/groupPermissions).
+ * Every organiser-only action goes through `assertCan` instead of comparing with `creatorId`.
+ */
+class GroupMemberService {
+
+    /**
+     * Loads a group and checks that the user's role grants a permission.
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {string} permission - MANAGE_GROUP, MANAGE_PAYMENTS, MANAGE_ROLES or DELETE_GROUP
+     * @param {Object} [client] - Prisma client or transaction.
+     * @returns {Promise<Object>} - Group including `orders`.
+     */
+    async assertCan(userId, groupId, permission, client = prisma) {
+        const group = await client.group.findUnique({
+            where: { id: groupId },
+            include: { orders: true }
+        });
+
+        if (!group) throw new Error('Group not found');
+        if (!can(roleOf(group, userId), permission)) throw new Error('Not authorized');
+
+        return group;
+    }
+
+    /**
+     * IDs of the members whose role grants a permission, e.g. who to notify about payment claims.
+     * @param {string} groupId
+     * @param {string} permission
+     * @returns {Promise<Array<string>>}
+     */
+    async getUserIdsWith(groupId, permission) {
+        const members = await prisma.groupOrder.findMany({
+            where: { groupId, role: { in: PERMISSIONS[permission] } },
+            select: { userId: true }
+        });
+
+        return members.map(m => m.userId);
+    }
+
+    /**
+     * Members of a group with their roles (any member).
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<Object>} - { myRole, permissions, members: [{ userId, name, role }] }
+     */
+    async getMembers(userId, groupId) {
+        const group = await prisma.group.findUnique({
+            where: { id: groupId },
+            include: { orders: { include: { user: { select: { id: true, name: true } } } } }
+        });
+
+        if (!group) throw new Error('Group not found');
+        const myRole = roleOf(group, userId);
+        if (!myRole) throw new Error('Access denied to this group');
+
+        return {
+            myRole,
+            permissions: permissionsOf(myRole),
+            members: group.orders
+                .map(o => ({ userId: o.userId, name: o.user.name, role: o.role }))
+                .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role))
+        };
+    }
+
+    /**
+     * Assigns CO_ORGANISER, TREASURER or PARTICIPANT to a member (owner only).
+     * Ownership moves with `transferOwnership` instead.
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {string} memberId
+     * @param {string} role
+     * @returns {Promise<Object>} - The updated members list.
+     */
+    async setRole(userId, groupId, memberId, role) {
+        if (!ROLES.includes(role) || role === 'OWNER') {
+            throw new Error('Invalid role: must be CO_ORGANISER, TREASURER or PARTICIPANT');
+        }
+
+        const group = await this.assertCan(userId, groupId, 'MANAGE_ROLES');
+        const membership = group.orders.find(o => o.userId === memberId);
+        if (!membership) throw new Error('Member not found');
+        if (membership.role === 'OWNER') throw new Error('Invalid role: transfer ownership before changing the owner\'s role');
+
+        await prisma.groupOrder.update({
+            where: { id: membership.id },
+            data: { role }
+        });
+
+        this._publishRoleChanged(groupId, [memberId]);
+        notificationService.notify([memberId], 'ROLE_CHANGED', groupId, { title: group.title, role });
+
+        return this.getMembers(userId, groupId);
+    }
+
+    /**
+     * Makes another member the owner; the previous owner becomes a co-organiser.
+     * @param {string} userId - Current owner.
+     * @param {string} groupId
+     * @param {string} newOwnerId
+     * @returns {Promise<Object>} - The updated members list.
+     */
+    async transferOwnership(userId, groupId, newOwnerId) {
+        if (newOwnerId === userId) throw new Error('Invalid transfer: you already own this group');
+
+        const group = await prisma.$transaction(async (tx) => {
+            const current = await this.assertCan(userId, groupId, 'MANAGE_ROLES', tx);
+            const target = current.orders.find(o => o.userId === newOwnerId);
+            if (!target) throw new Error('Member not found');
+
+            // Conditional so two concurrent transfers cannot both succeed
+            const { count } = await tx.groupOrder.updateMany({
+                where: { groupId, userId, role: 'OWNER' },
+                data: { role: 'CO_ORGANISER' }
+            });
+            if (count === 0) throw new Error('Not authorized');
+
+            await tx.groupOrder.update({
+                where: { id: target.id },
+                data: { role: 'OWNER' }
+            });
+
+            return current;
+        });
+
+        this._publishRoleChanged(groupId, [userId, newOwnerId]);
+        notificationService.notify([newOwnerId], 'ROLE_CHANGED', groupId, { title: group.title, role: 'OWNER' });
+
+        return this.getMembers(newOwnerId, groupId);
+    }
+
+    /**
+     * @param {string} groupId
+     * @param {Array<string>} userIds - Members whose role changed.
+     */
+    _publishRoleChanged(groupId, userIds) {
+        groupEvents.publishGroupUpdated(groupId);
+        groupEvents.publishToUsers(userIds, 'group.role_changed', { groupId });
+    }
+}
+
+module.exports = new GroupMemberService();
@@ -1,24 +1,119 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const userService = require('./userService');
+const groupLifecycleService = require('./groupLifecycleService');
+const paymentService = require('./paymentService');
+const menuTemplateService = require('./menuTemplateService');
+const groupMemberService = require('./groupMemberService');
+const orderHistoryService = require('./orderHistoryService');
+const notificationService = require('./notificationService');
+const { aggregateGroupOrders, formatMyOrder } = require('../utils/orderUtils');
+const { buildAdjustmentData } = require('../utils/costSplitter');
+const { PAYMENT_STATES, buildGroupLedger, collectPendingClaims } = require('../utils/paymentUtils');
+const { can, permissionsOf, membershipWhere, PERMISSIONS } = require('../utils/groupPermissions');
+const groupEvents = require('../realtime/groupEvents');
+const { PRODUCT_INCLUDE, buildOptionGroupsCreate, buildProductLimits, buildProductCreateData, toProductInput, buildDraftItems, withRemainingStock } = require('../utils/menuUtils');
+
+// Dashboard paging (Default: 20 groups per page, at most 100)
+const DASHBOARD_PAGE_SIZE = 20;
+const DASHBOARD_MAX_PAGE_SIZE = 100;
+const DASHBOARD_SORT_FIELDS = ['createdAt', 'startTime', 'endTime', 'title'];
+const DASHBOARD_ROLES = ['creator', 'participant'];
 
 /**
  * Service for Group management.
  */
 class GroupService {
     /**
-     * Retrieves all groups relevant to the dashboard for the current user.
+     * Parses a date query parameter.
+     * @param {string} value
+     * @param {string} name - Parameter name for the error message.
+     * @returns {Date|undefined}
+     */
+    _parseQueryDate(value, name) {
+        if (value === undefined || value === '') return undefined;
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) throw new Error(`Invalid query: ${name} must be a date`);
+
+        return date;
+    }
+
+    /**
+     * Builds the Prisma query for one dashboard page from the request's query parameters.
+     * @param {string} userId
+     * @param {Object} query - { status, role, paymentState, from, to, q, sort, order, limit, cursor }
+     * @param {boolean} [paginated] - false for every matching group at once (limit and cursor are ignored).
+     * @returns {Object} - { where, orderBy, take, cursor }
+     */
+    _buildDashboardQuery(userId, query, paginated = true) {
+        const { status, role, paymentState, q } = query;
+        const sort = query.sort || 'createdAt';
+        const order = query.order || (sort === 'title' ? 'asc' : 'desc');
+        const take = query.limit === undefined ? DASHBOARD_PAGE_SIZE : Number(query.limit);
+        const cursor = paginated ? query.cursor : undefined;
+        const from = this._parseQueryDate(query.from, 'from');
+        const to = this._parseQueryDate(query.to, 'to');
+
+        if (status !== undefined && !['OPEN', 'CLOSED'].includes(status)) {
+            throw new Error('Invalid query: status must be OPEN or CLOSED');
+        }
+        if (role !== undefined && !DASHBOARD_ROLES.includes(role)) {
+            throw new Error(`Invalid query: role must be one of ${DASHBOARD_ROLES.join(', ')}`);
+        }
+        // Several payment states may be given comma-separated, e.g. "UNPAID,PARTIAL"
+        const paymentStates = paymentState ? String(paymentState).split(',') : [];
+        if (paymentStates.some(state => !PAYMENT_STATES.includes(state))) {
+            throw new Error(`Invalid query: paymentState must be one of ${PAYMENT_STATES.join(', ')}`);
+        }
+        if (!DASHBOARD_SORT_FIELDS.includes(sort)) {
+            throw new Error(`Invalid query: sort must be one of ${DASHBOARD_SORT_FIELDS.join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(order)) throw new Error('Invalid query: order must be asc or desc');
+        if (paginated && (!Number.isInteger(take) || take < 1 || take > DASHBOARD_MAX_PAGE_SIZE)) {
+            throw new Error(`Invalid query: limit must be a whole number from 1 to ${DASHBOARD_MAX_PAGE_SIZE}`);
+        }
+
+        /** @type {Array<Object>} */
+        const filters = [
+            // Groups the user created or has an order in, except those archived by an admin
+            { OR: [{ creatorId: userId }, { orders: { some: { userId } } }] },
+            { archivedAt: null }
+        ];
+        if (status) filters.push({ status });
+        // By the user's role in the group: organising it (owner or co-organiser), or taking part
+        if (role === 'creator') filters.push({ orders: { some: membershipWhere(userId, 'MANAGE_GROUP') } });
+        if (role === 'participant') filters.push({ orders: { some: { userId, role: { notIn: PERMISSIONS.MANAGE_GROUP } } } });
+        if (paymentStates.length > 0) filters.push({ orders: { some: { userId, paymentStatus: { in: paymentStates } } } });
+        // The date range applies to the ordering window: groups starting within [from, to]
+        if (from || to) filters.push({ startTime: { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) } });
+        if (q) filters.push({ title: { contains: String(q), mode: 'insensitive' } });
+
+        return {
+            where: { AND: filters },
+            // The ID breaks ties so the cursor always continues from the same place
+            orderBy: [{ [sort]: order }, { id: order }],
+            take: paginated ? take : undefined,
+            cursor: cursor ? String(cursor) : undefined
+        };
+    }
+
+    /**
+     * Retrieves one page of the groups relevant to the dashboard for the current user.
      * @param {string} userId - The ID of the requesting user.
-     * @returns {Promise<Array>} - Formatted list of groups.
+     * @param {Object} [query] - Filters { status, role (creator|participant), paymentState (of my order),
+     *   from, to (start time range), q (title search) }, sorting { sort, order } and paging { limit, cursor }.
+     * @param {Object} [options] - { paginated: false returns every matching group (for clients of the original array response) }
+     * @returns {Promise<Object>} - { groups, totalCount, nextCursor }
      */
-    async getDashboardGroups(userId) {
-        // Fetch groups where user is creator OR has at least one order
+    async getDashboardGroups(userId, query = {}, { paginated = true } = {}) {
+        const { where, orderBy, take, cursor } = this._buildDashboardQuery(userId, query, paginated);
+
         const groups = await prisma.group.findMany({
-            where: {
-                OR: [
-                    { creatorId: userId },
-                    { orders: { some: { userId: userId } } }
-                ]
-            },
+            where,
+            orderBy,
+            ...(take !== undefined ? { take: take + 1 } : {}),
+            ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
             include: {
                 creator: {
                     select: { id: true, name: true }
@@ -26,53 +121,25 @@ class GroupService {
                 orders: {
                     include: {
                         user: { select: { id: true, name: true } },
-                        items: true
+                        items: true,
+                        payments: true,
+                        paymentClaims: { where: { status: 'PENDING' } }
                     }
                 },
-                products: true
-            },
-            orderBy: { createdAt: 'desc' }
+                products: { include: PRODUCT_INCLUDE },
+                adjustments: true
+            }
         });
+        const totalCount = take !== undefined ? await prisma.group.count({ where }) : groups.length;
 
-        // Format and Aggregate data
-        return groups.map(g => {
-            let totalGroupAmount = 0;
-            const participantsSet = new Set();
-            let myOrder = null;
-            let invites = [];
-
-            // Aggregation
-            const statsMap = {};
-
-            g.orders.forEach(o => {
-                participantsSet.add(o.user.name);
-                const orderSum = o.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-                totalGroupAmount += orderSum;
-
-                if (o.userId === userId) {
-                    myOrder = o;
-                }
-
-                // Collect participant info
-                invites.push({ userId: o.userId, name: o.user.name });
+        const page = take !== undefined ? groups.slice(0, take) : groups;
 
-                // Accumulate item stats
-                o.items.forEach(item => {
-                    if (!statsMap[item.name]) {
-                        statsMap[item.name] = { name: item.name, quantity: 0, totalPrice: 0 };
-                    }
-                    statsMap[item.name].quantity += item.quantity;
-                    statsMap[item.name].totalPrice += (item.quantity * item.price);
-                });
-            });
-
-            let myItemsSummary = "";
-            let myTotal = 0;
-
-            if (myOrder) {
-                myItemsSummary = myOrder.items.map(i => `${i.name}*${i.quantity}`).join(', ');
-                myTotal = myOrder.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-            }
+        // Format and Aggregate data
+        const formatted = page.map(g => {
+            const { totalGroupAmount, participants, orderStats } = aggregateGroupOrders(g.orders);
+            const costs = buildGroupLedger(g);
+            const myOrder = g.orders.find(o => o.userId === userId);
+            const myRole = myOrder ? myOrder.role : null;
 
             return {
                 id: g.id,
@@ -81,47 +148,104 @@ class GroupService {
                 endTime: g.endTime,
                 status: g.status,
                 creator: g.creator,
-                participants: Array.from(participantsSet),
-                invites: invites,
-                products: g.products,
-                totalGroupAmount: totalGroupAmount,
-                orderStats: Object.values(statsMap),
-                myOrder: myOrder ? {
-                    id: myOrder.id,
-                    itemsSummary: myItemsSummary,
-                    total: myTotal,
-                    items: myOrder.items,
-                    paymentStatus: myOrder.paymentStatus,
-                    updatedAt: myOrder.updatedAt
-                } : null,
-                isCreator: g.creatorId === userId
+                participants,
+                // Collect participant info
+                invites: g.orders.map(o => ({ userId: o.userId, name: o.user.name })),
+                products: withRemainingStock(g.products, g.orders),
+                totalGroupAmount,
+                totalGroupAmountDue: costs.totalAmountDue,
+                totalPaid: costs.totalPaid,
+                totalOutstanding: costs.totalOutstanding,
+                adjustments: costs.adjustments,
+                orderStats,
+                myOrder: myOrder ? formatMyOrder(myOrder, costs.byOrderId[myOrder.id]) : null,
+                // Claimed but not yet confirmed (only payment managers see everyone's)
+                pendingClaims: collectPendingClaims(g.orders, can(myRole, 'MANAGE_PAYMENTS') ? undefined : userId),
+                isCreator: g.creatorId === userId,
+                myRole,
+                permissions: permissionsOf(myRole)
             };
         });
+
+        return {
+            groups: formatted,
+            totalCount,
+            nextCursor: take !== undefined && groups.length > take ? page[page.length - 1].id : null
+        };
+    }
+
+    /**
+     * Checks whether a user is the creator or a participant of a group.
+     * @param {string} userId
+     * @param {string} groupId
+     * @returns {Promise<boolean>}
+     */
+    async hasAccess(userId, groupId) {
+        const group = await prisma.group.findFirst({
+            where: {
+                id: groupId,
+                OR: [
+                    { creatorId: userId },
+                    { orders: { some: { userId: userId } } }
+                ]
+            },
+            select: { id: true }
+        });
+
+        return !!group;
+    }
+
+    /**
+     * Rejects invitations involving a user who blocked, or was blocked by, the inviter.
+     * @param {string} userId - Inviting user.
+     * @param {Array<string>} invitedUserIds
+     */
+    async _assertNotBlocked(userId, invitedUserIds) {
+        if (!invitedUserIds || invitedUserIds.length === 0) return;
+
+        const blockedIds = await userService.getBlockedUserIds(userId);
+        if (invitedUserIds.some(id => blockedIds.includes(id))) {
+            throw new Error('Cannot invite blocked user');
+        }
     }
 
     /**
      * Creates a new group.
      * @param {string} userId - Creator's ID.
-     * @param {Object} data - Group data (title, startTime, endTime, products, invitedUserIds, initialOrder).
+     * @param {Object} data - Group data (title, startTime, endTime, products, templateId, invitedUserIds, initialOrder).
+     *   With `templateId`, the template's products come first, followed by any `products` given.
+     * @param {Object} [occurrence] - { scheduleId, occurrenceDate } when generated by a recurring schedule.
      * @returns {Promise<Object>} - The created group.
      */
-    async createGroup(userId, data) {
-        const { title, startTime, endTime, products, invitedUserIds, initialOrder } = data;
+    async createGroup(userId, data, occurrence) {
+        const { title, startTime, endTime, templateId, invitedUserIds, initialOrder } = data;
+
+        await this._assertNotBlocked(userId, invitedUserIds);
 
-        return await prisma.group.create({
+        const products = templateId
+            ? [...(await menuTemplateService.getTemplateProducts(userId, templateId)), ...(data.products || [])]
+            : data.products;
+
+        const group = await prisma.group.create({
             data: {
                 title,
                 startTime: new Date(startTime),
                 endTime: new Date(endTime),
                 creatorId: userId,
                 status: 'OPEN',
+                ...(occurrence ? { scheduleId: occurrence.scheduleId, occurrenceDate: occurrence.occurrenceDate } : {}),
                 products: {
-                    create: products // Expects array of { name, price }
+                    // Expects array of { name, price, optionGroups }; schedule products also carry their `key`
+                    create: (products || []).map(p => ({
+                        ...buildProductCreateData(p),
+                        ...(occurrence && p.key ? { scheduleProductKey: p.key } : {})
+                    }))
                 },
                 orders: {
                     create: [
                         {
                             userId: userId,
+                            role: 'OWNER',
                             paymentStatus: 'PAID', // Creator defaults to PAID
                             items: initialOrder && initialOrder.length > 0 ? {
                                 create: initialOrder.map(io => ({
@@ -139,7 +263,91 @@ class GroupService {
                 }
             },
             include: {
-                products: true,
+                products: { include: PRODUCT_INCLUDE },
+                orders: true
+            }
+        });
+
+        await paymentService.syncGroupPaymentStatuses(group.id, prisma, userId);
+
+        groupEvents.publishToUsers(invitedUserIds || [], 'group.invited', {
+            groupId: group.id,
+            title: group.title,
+            creatorId: userId,
+            startTime: group.startTime,
+            endTime: group.endTime
+        });
+        notificationService.notify(invitedUserIds || [], 'GROUP_INVITED', group.id, { title: group.title });
+
+        return group;
+    }
+
+    /**
+     * Opens a group again: copies the title, menu and members of an existing group into a new
+     * OPEN group created by the user. Any field can be overridden in the same request.
+     * @param {string} userId - Becomes the creator of the new group (creator or participant of the original).
+     * @param {string} groupId - Group to clone.
+     * @param {Object} overrides - { title, startTime (default now), endTime (required), products, templateId,
+     *   invitedUserIds, copyItems (copy each member's previous items as a draft) }
+     * @returns {Promise<Object>} - The created group.
+     */
+    async cloneGroup(userId, groupId, overrides = {}) {
+        const original = await prisma.group.findUnique({
+            where: { id: groupId },
+            include: {
+                products: { include: PRODUCT_INCLUDE },
+                orders: { include: { items: true } }
+            }
+        });
+
+        if (!original) throw new Error('Group not found');
+        if (!(await this.hasAccess(userId, groupId))) throw new Error('Access denied to this group');
+
+        const startTime = overrides.startTime ? new Date(overrides.startTime) : new Date();
+        const endTime = overrides.endTime ? new Date(overrides.endTime) : null;
+        if (!endTime || isNaN(endTime.getTime()) || isNaN(startTime.getTime())) {
+            throw new Error('Invalid clone: a valid endTime is required');
+        }
+        if (endTime <= startTime || endTime <= new Date()) throw new Error('Invalid clone: endTime must be in the future and after startTime');
+
+        // Members who blocked (or were blocked by) the new creator are left out instead of failing the clone
+        let invitedUserIds = overrides.invitedUserIds;
+        if (!invitedUserIds) {
+            const blockedIds = await userService.getBlockedUserIds(userId);
+            const memberIds = new Set([original.creatorId, ...original.orders.map(o => o.userId)]);
+            invitedUserIds = [...memberIds].filter(id => id !== userId && !blockedIds.includes(id));
+        }
+
+        const useOriginalMenu = overrides.products === undefined && !overrides.templateId;
+
+        const group = await this.createGroup(userId, {
+            title: overrides.title || original.title,
+            startTime,
+            endTime,
+            products: useOriginalMenu ? original.products.map(toProductInput) : overrides.products,
+            templateId: overrides.templateId,
+            invitedUserIds
+        });
+
+        if (overrides.copyItems) {
+            const newOrders = await prisma.groupOrder.findMany({ where: { groupId: group.id } });
+            const newProducts = await prisma.groupMenu.findMany({ where: { groupId: group.id }, include: PRODUCT_INCLUDE });
+
+            for (const newOrder of newOrders) {
+                const previous = original.orders.find(o => o.userId === newOrder.userId);
+                if (!previous || previous.items.length === 0) continue;
+
+                const draftItems = buildDraftItems(previous.items, original.products, newProducts);
+                if (draftItems.length === 0) continue;
+
+                await prisma.groupOrder.update({ where: { id: newOrder.id }, data: { draftItems } });
+            }
+        }
+
+        return await prisma.group.findUnique({
+            where: { id: group.id },
+            include: {
+                products: { include: PRODUCT_INCLUDE },
                 orders: true
             }
         });
@@ -150,76 +358,129 @@ class GroupService {
      * @param {string} userId - Requesting user ID.
      * @param {string} groupId - Group ID.
      * @param {Object} data - Update data (title, dates, products, invitedUserIds).
+     *   A product's `optionGroups`, when present, replaces its existing option groups.
+     *   Already ordered items keep the option snapshot they were ordered with.
      * @returns {Promise<Object>} - Result message and updated products.
      */
     async updateGroup(userId, groupId, data) {
         const { title, startTime, endTime, products, invitedUserIds } = data;
 
-        // Verify group existence and ownership
-        const group = await prisma.group.findUnique({
-            where: { id: groupId },
-            include: { orders: true }
-        });
-
-        if (!group) throw new Error('Group not found');
-        if (group.creatorId !== userId) throw new Error('Not authorized');
+        // Verify group existence and the user's role
+        const group = await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
 
-        // Update basic details
-        await prisma.group.update({
-            where: { id: groupId },
-            data: {
-                title,
-                startTime: new Date(startTime),
-                endTime: new Date(endTime)
-            }
-        });
+        await this._assertNotBlocked(userId, invitedUserIds);
 
-        // --- Member Sync ---
-        const existingUserIds = group.orders.map(o => o.userId);
-        const targetUserIds = new Set(invitedUserIds || []);
-        targetUserIds.add(userId);
-
-        // Add missing
-        const toAdd = [...targetUserIds].filter(uid => !existingUserIds.includes(uid));
-        if (toAdd.length > 0) {
-            await prisma.groupOrder.createMany({
-                data: toAdd.map(uid => ({
-                    userId: uid,
-                    groupId: groupId
-                }))
+        // Validate option groups up front so nothing is written for an invalid menu
+        if (products && Array.isArray(products)) {
+            products.forEach(p => {
+                buildOptionGroupsCreate(p.optionGroups);
+                buildProductLimits(p);
             });
         }
 
-        // Remove uninvited
-        const toRemove = existingUserIds.filter(uid => !targetUserIds.has(uid) && uid !== userId);
-        if (toRemove.length > 0) {
-            const ordersToDelete = await prisma.groupOrder.findMany({
-                where: {
-                    groupId: groupId,
-                    userId: { in: toRemove }
-                },
-                select: { id: true }
+        // Details and members change together, so a refused removal leaves the group untouched
+        const { toAdd, toRemove } = await prisma.$transaction(async (tx) => {
+            // Update basic details
+            await tx.group.update({
+                where: { id: groupId },
+                data: {
+                    title,
+                    startTime: new Date(startTime),
+                    endTime: new Date(endTime),
+                    // A new deadline gets its own "closing soon" notification
+                    ...(new Date(endTime).getTime() !== group.endTime.getTime() ? { closingSoonNotifiedAt: null } : {})
+                }
             });
-            const orderIds = ordersToDelete.map(o => o.id);
 
+            // --- Member Sync ---
+            const current = await tx.groupOrder.findMany({ where: { groupId } });
+            const existingUserIds = current.map(o => o.userId);
+            const targetUserIds = new Set(invitedUserIds || []);
+            targetUserIds.add(userId);
+            targetUserIds.add(group.creatorId);
+
+            // Add missing
+            const added = [...targetUserIds].filter(uid => !existingUserIds.includes(uid));
+            if (added.length > 0) {
+                await tx.groupOrder.createMany({
+                    data: added.map(uid => ({
+                        userId: uid,
+                        groupId: groupId
+                    })),
+                    // Someone may have joined through an invite link in the meantime
+                    skipDuplicates: true
+                });
+            }
+
+            // Remove uninvited (members who joined through an invite link are not on the invite list,
+            // and organisers or treasurers must be demoted first; both stay, see removeMember)
+            const ordersToDelete = current.filter(o => !targetUserIds.has(o.userId) && !o.joinedViaInviteId && o.role === 'PARTICIPANT');
+            const orderIds = ordersToDelete.map(o => o.id);
             if (orderIds.length > 0) {
-                await prisma.userOrder.deleteMany({ where: { groupOrderId: { in: orderIds } } });
-                await prisma.groupOrder.deleteMany({ where: { id: { in: orderIds } } });
+                // Deleting the order would take its payments with it, as in removeMember
+                const [payments, claims] = await Promise.all([
+                    tx.payment.count({ where: { groupOrderId: { in: orderIds } } }),
+                    tx.paymentClaim.count({ where: { groupOrderId: { in: orderIds } } })
+                ]);
+                if (payments + claims > 0) throw new Error('Cannot remove member: they have payments recorded in this group');
+
+                await tx.userOrder.deleteMany({ where: { groupOrderId: { in: orderIds } } });
+                await tx.groupOrder.deleteMany({ where: { id: { in: orderIds } } });
             }
-        }
+
+            return { toAdd: added, toRemove: ordersToDelete.map(o => o.userId) };
+        });
+
+        groupEvents.publishToUsers(toAdd.filter(uid => uid !== userId), 'group.invited', {
+            groupId,
+            title,
+            creatorId: group.creatorId,
+            startTime,
+            endTime
+        });
+        groupEvents.publishToUsers(toRemove, 'group.removed', { groupId });
+        groupEvents.closeGroupStreams(groupId, toRemove, 'REMOVED_FROM_GROUP');
+        notificationService.notify(toAdd.filter(uid => uid !== userId), 'GROUP_INVITED', groupId, { title });
+        notificationService.notify(toRemove, 'GROUP_REMOVED', groupId, { title });
 
         // --- Product Sync ---
         if (products && Array.isArray(products)) {
+            const existingProducts = await prisma.groupMenu.findMany({ where: { groupId } });
+
+            // Recorded in the order history so earlier totals can still be explained
+            const priceChanges = products
+                .filter(p => p.id)
+                .map(p => ({ newProd: p, oldProd: existingProducts.find(e => e.id === p.id) }))
+                .filter(({ newProd, oldProd }) => oldProd && oldProd.price !== Number(newProd.price))
+                .map(({ newProd, oldProd }) => ({
+                    menuId: oldProd.id,
+                    fromName: oldProd.name,
+                    toName: newProd.name,
+                    fromPrice: oldProd.price,
+                    toPrice: Number(newProd.price)
+                }));
+
             const updates = products.filter(p => p.id).map(p =>
                 prisma.groupMenu.update({
                     where: { id: p.id },
-                    data: { name: p.name, price: p.price }
+                    data: {
+                        name: p.name,
+                        price: p.price,
+                        ...buildProductLimits(p),
+                        ...(p.optionGroups !== undefined ? {
+                            optionGroups: { deleteMany: {}, create: buildOptionGroupsCreate(p.optionGroups) }
+                        } : {})
+                    }
                 })
             );
 
             const creates = products.filter(p => !p.id).map(p =>
                 prisma.groupMenu.create({
-                    data: { name: p.name, price: p.price, groupId: groupId }
+                    data: {
+                        ...buildProductCreateData(p),
+                        ...(group.scheduleId && p.key ? { scheduleProductKey: p.key } : {}),
+                        groupId: groupId
+                    }
                 })
             );
 
@@ -259,17 +520,17 @@ class GroupService {
                 // 2. Update OrderItems linked by Name (Legacy fallback)
 
                 const syncOps = [];
-                const existingProducts = await prisma.groupMenu.findMany({ where: { groupId } });
 
                 for (const newProd of products) {
                     if (newProd.id) {
                         const oldProd = existingProducts.find(p => p.id === newProd.id);
                         if (oldProd && (oldProd.name !== newProd.name || oldProd.price !== newProd.price)) {
                             // Sync by ID (New Standard)
+                            // Shift by the base price difference so option price deltas are kept
                             syncOps.push(
                                 prisma.userOrder.updateMany({
                                     where: { menuId: newProd.id },
-                                    data: { name: newProd.name, price: newProd.price }
+                                    data: { name: newProd.name, price: { increment: Number(newProd.price) - oldProd.price } }
                                 })
                             );
 
@@ -290,35 +551,158 @@ class GroupService {
                 }
                 await prisma.$transaction([...updates, ...creates, ...syncOps]);
             }
+
+            await orderHistoryService.recordMenuPriceChanges(groupId, userId, priceChanges);
+            if (priceChanges.length > 0) {
+                notificationService.notifyMembers(groupId, userId, 'MENU_PRICE_CHANGED', {
+                    title,
+                    changes: priceChanges.map(c => ({ name: c.toName, fromPrice: c.fromPrice, toPrice: c.toPrice }))
+                });
+            }
         }
 
-        return await prisma.groupMenu.findMany({ where: { groupId } });
+        await paymentService.syncGroupPaymentStatuses(groupId, prisma, userId);
+        groupEvents.publishGroupUpdated(groupId);
+
+        return await prisma.groupMenu.findMany({ where: { groupId }, include: PRODUCT_INCLUDE });
     }
 
     /**
-     * Deletes a group.
+     * Lists the shared costs (fees, service charges, discounts) of a group.
+     * @param {string} userId - Creator or participant.
+     * @param {string} groupId
+     * @returns {Promise<Array>}
+     */
+    async getAdjustments(userId, groupId) {
+        if (!(await this.hasAccess(userId, groupId))) throw new Error('Access denied to this group');
+
+        return await prisma.groupAdjustment.findMany({
+            where: { groupId },
+            orderBy: { sortOrder: 'asc' }
+        });
+    }
+
+    /**
+     * Replaces the shared costs of a group (owner or co-organisers).
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {Array} adjustments - [{ label, kind, amount, percent, minSubtotal, menuId, buyQuantity, freeQuantity, splitRule, assignedUserIds }]
+     * @returns {Promise<Array>} - The stored adjustments.
+     */
+    async setAdjustments(userId, groupId, adjustments) {
+        if (!Array.isArray(adjustments)) throw new Error('Invalid adjustment: adjustments must be an array');
+
+        const group = await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
+        const products = await prisma.groupMenu.findMany({ where: { groupId }, select: { id: true } });
+
+        const memberIds = group.orders.map(o => o.userId);
+        const data = adjustments.map((a, index) => {
+            const adjustment = buildAdjustmentData(a, index);
+            if (adjustment.menuId && !products.some(p => p.id === adjustment.menuId)) {
+                throw new Error('Invalid adjustment: menu item is not in this group');
+            }
+            if (adjustment.assignedUserIds.some(id => !memberIds.includes(id))) {
+                throw new Error('Invalid adjustment: assigned user is not in this group');
+            }
+            return { ...adjustment, groupId };
+        });
+
+        await prisma.$transaction([
+            prisma.groupAdjustment.deleteMany({ where: { groupId } }),
+            prisma.groupAdjustment.createMany({ data })
+        ]);
+
+        await paymentService.syncGroupPaymentStatuses(groupId, prisma, userId);
+        groupEvents.publishGroupUpdated(groupId);
+
+        return await prisma.groupAdjustment.findMany({
+            where: { groupId },
+            orderBy: { sortOrder: 'asc' }
+        });
+    }
+
+    /**
+     * Removes a member from a group, including members who joined through an invite link
+     * (which editing the invite list never removes). Needs MANAGE_GROUP.
+     * Organisers and treasurers must be demoted first, and members with payments or payment
+     * claims on record stay, so no money is lost from the ledger.
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {string} memberId
+     * @returns {Promise<Object>} - The updated members list.
+     */
+    async removeMember(userId, groupId, memberId) {
+        if (memberId === userId) throw new Error('Cannot remove member: you cannot remove yourself');
+
+        const group = await prisma.$transaction(async (tx) => {
+            const current = await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP', tx);
+            const membership = current.orders.find(o => o.userId === memberId);
+            if (!membership) throw new Error('Member not found');
+            if (memberId === current.creatorId) throw new Error('Cannot remove member: the creator stays in the group');
+            if (membership.role !== 'PARTICIPANT') throw new Error('Cannot remove member: change their role to participant first');
+
+            const [payments, claims] = await Promise.all([
+                tx.payment.count({ where: { groupOrderId: membership.id } }),
+                tx.paymentClaim.count({ where: { groupOrderId: membership.id } })
+            ]);
+            if (payments + claims > 0) throw new Error('Cannot remove member: they have payments recorded in this group');
+
+            await tx.userOrder.deleteMany({ where: { groupOrderId: membership.id } });
+            // Conditional so a concurrent role change is not silently undone
+            const { count } = await tx.groupOrder.deleteMany({ where: { id: membership.id, role: 'PARTICIPANT' } });
+            if (count === 0) throw new Error('Member not found');
+
+            return current;
+        });
+
+        // Shared costs are split among the remaining members
+        await paymentService.syncGroupPaymentStatuses(groupId, prisma, userId);
+
+        groupEvents.publishGroupUpdated(groupId);
+        groupEvents.publishToUsers([memberId], 'group.removed', { groupId });
+        groupEvents.closeGroupStreams(groupId, [memberId], 'REMOVED_FROM_GROUP');
+        notificationService.notify([memberId], 'GROUP_REMOVED', groupId, { title: group.title });
+
+        return groupMemberService.getMembers(userId, groupId);
+    }
+
+    /**
+     * Deletes a group (owner only). A group generated by a recurring schedule adds its
+     * occurrence date to the schedule's `skipDates`, so it is not generated again.
      * @param {string} userId 
      * @param {string} groupId 
      */
     async deleteGroup(userId, groupId) {
-        const group = await prisma.group.findUnique({ where: { id: groupId } });
-        if (!group) throw new Error('Group not found');
-        if (group.creatorId !== userId) throw new Error('Not authorized');
+        const group = await groupMemberService.assertCan(userId, groupId, 'DELETE_GROUP');
 
-        const unpaidOrders = await prisma.groupOrder.findFirst({
-            where: { groupId, paymentStatus: 'UNPAID' }
+        await paymentService.syncGroupPaymentStatuses(groupId, prisma, userId);
+        const unsettledOrder = await prisma.groupOrder.findFirst({
+            where: { groupId, paymentStatus: { not: 'PAID' } }
         });
-        if (unpaidOrders) throw new Error('Cannot delete group: Some members have not paid.');
+        if (unsettledOrder) throw new Error('Cannot delete group: Some members have not settled their balance.');
 
-        const groupOrders = await prisma.groupOrder.findMany({ where: { groupId }, select: { id: true } });
+        const groupOrders = await prisma.groupOrder.findMany({ where: { groupId }, select: { id: true, userId: true } });
         const orderIds = groupOrders.map(o => o.id);
 
+        // The ledger of a settled group goes with it (payments no longer cascade from their order)
         await prisma.$transaction([
+            prisma.paymentClaim.deleteMany({ where: { groupOrderId: { in: orderIds } } }),
+            prisma.payment.deleteMany({ where: { groupOrderId: { in: orderIds } } }),
             prisma.userOrder.deleteMany({ where: { groupOrderId: { in: orderIds } } }),
             prisma.groupOrder.deleteMany({ where: { groupId } }),
             prisma.groupMenu.deleteMany({ where: { groupId } }),
-            prisma.group.delete({ where: { id: groupId } })
+            prisma.group.delete({ where: { id: groupId } }),
+            // A generated group that is deleted stays deleted: its date is skipped from now on,
+            // otherwise the scheduler would create it again on its next pass
+            ...(group.scheduleId && group.occurrenceDate ? [prisma.$executeRaw`
+                UPDATE "GroupSchedule"
+                SET "skipDates" = ARRAY(SELECT DISTINCT unnest("skipDates" || ${group.occurrenceDate}::text) ORDER BY 1)
+                WHERE "id" = ${group.scheduleId}`] : [])
         ]);
+
+        groupEvents.publishToUsers(groupOrders.map(o => o.userId), 'group.deleted', { groupId });
+        groupEvents.closeGroupStreams(groupId, null, 'GROUP_DELETED');
+        notificationService.notify(groupOrders.map(o => o.userId).filter(id => id !== userId), 'GROUP_DELETED', groupId, { title: group.title });
     }
 
     /**
@@ -330,14 +714,10 @@ class GroupService {
     async updateGroupStatus(userId, groupId, status) {
         if (!['OPEN', 'CLOSED'].includes(status)) throw new Error('Invalid status');
 
-        const group = await prisma.group.findUnique({ where: { id: groupId } });
-        if (!group) throw new Error('Group not found');
-        if (group.creatorId !== userId) throw new Error('Not authorized');
+        const group = await groupMemberService.assertCan(userId, groupId, 'MANAGE_GROUP');
 
-        return await prisma.group.update({
-            where: { id: groupId },
-            data: { status }
-        });
+        // Recorded as a status event; reopening requires a future endTime
+        return await groupLifecycleService.setStatus(group, status, userId);
     }
 }
 
@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'IpaidUpay <no-reply@ipaidupay.local>';
+
+/**
+ * Builds the transport selected by MAIL_TRANSPORT:
+ *  - "smtp": any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD), e.g. a local
+ *            catcher such as MailHog or Mailpit on port 1025 in development
+ *  - "log" (default): sends nothing and only logs the recipient and subject (bodies can hold
+ *            verification links and payment details, which do not belong in logs)
+ * @returns {Object} - { sendMail(message) }
+ */
+const createTransportFromEnv = () => {
+    if (process.env.MAIL_TRANSPORT === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: Number(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+    }
+
+    return {
+        sendMail: async (message) => {
+            console.log(`[mail] Not sent (MAIL_TRANSPORT=log) | To: ${message.to} | Subject: ${message.subject}`);
+            return { messageId: null };
+        }
+    };
+};
+
+/**
+ * Service for outgoing email. Anything with a nodemailer-style `sendMail(message)` can be
+ * plugged in with `setTransport` (another provider, or a fake in scripts).
+ */
+class MailService {
+    constructor() {
+        this.transport = null;
+    }
+
+    /**
+     * @param {Object} transport - { sendMail(message): Promise }
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Sends one email.
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<Object>} - Transport result.
+     */
+    async send({ to, subject, text, html }) {
+        if (!this.transport) this.transport = createTransportFromEnv();
+
+        return await this.transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+    }
+}
+
+module.exports = new MailService();
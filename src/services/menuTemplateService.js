@@ -0,0 +1,272 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const userService = require('./userService');
+const { PRODUCT_INCLUDE, toProductInput } = require('../utils/menuUtils');
+const { normalizeProduct, parseMenuImport } = require('../utils/menuImport');
+
+const TEMPLATE_INCLUDE = {
+    owner: { select: { id: true, name: true } },
+    items: { orderBy: { sortOrder: 'asc' } },
+    shares: { include: { user: { select: { id: true, name: true } } } }
+};
+
+/**
+ * Service for reusable menu templates.
+ * Template items use the same shape as `createGroup`'s `products`, so a template can be
+ * passed to a new group as-is.
+ */
+class MenuTemplateService {
+
+    /**
+     * Formats a template; only the owner sees who it is shared with.
+     * @param {Object} template - MenuTemplate including TEMPLATE_INCLUDE.
+     * @param {string} userId - Requesting user.
+     * @returns {Object}
+     */
+    _format(template, userId) {
+        const isOwner = template.ownerId === userId;
+
+        return {
+            id: template.id,
+            name: template.name,
+            owner: template.owner,
+            isOwner,
+            products: template.items.map(i => ({
+                name: i.name,
+                price: i.price,
+                stock: i.stock,
+                maxPerUser: i.maxPerUser,
+                optionGroups: i.optionGroups || []
+            })),
+            sharedWith: isOwner ? template.shares.map(s => s.user) : undefined,
+            createdAt: template.createdAt,
+            updatedAt: template.updatedAt
+        };
+    }
+
+    /**
+     * Validates template products.
+     * @param {Array} products - createGroup-style products.
+     * @returns {Array} - MenuTemplateItem create data.
+     */
+    _buildItems(products) {
+        if (!Array.isArray(products) || products.length === 0) throw new Error('Invalid template: products must be a non-empty array');
+
+        return products.map((p, index) => {
+            let product;
+            try {
+                product = normalizeProduct(p);
+            } catch (error) {
+                throw new Error(`Invalid template: item ${index + 1}: ${error.message}`);
+            }
+
+            return {
+                name: product.name,
+                price: product.price,
+                stock: product.stock,
+                maxPerUser: product.maxPerUser,
+                optionGroups: product.optionGroups.length > 0 ? product.optionGroups : undefined,
+                sortOrder: index
+            };
+        });
+    }
+
+    /**
+     * Loads a template the user owns or that was shared with them.
+     * @param {string} userId
+     * @param {string} templateId
+     * @returns {Promise<Object>}
+     */
+    async _getAccessible(userId, templateId) {
+        const template = await prisma.menuTemplate.findFirst({
+            where: {
+                id: templateId,
+                OR: [{ ownerId: userId }, { shares: { some: { userId } } }]
+            },
+            include: TEMPLATE_INCLUDE
+        });
+        if (!template) throw new Error('Template not found');
+
+        return template;
+    }
+
+    /**
+     * Loads a template the user owns.
+     * @param {string} userId
+     * @param {string} templateId
+     * @returns {Promise<Object>}
+     */
+    async _getOwned(userId, templateId) {
+        const template = await this._getAccessible(userId, templateId);
+        if (template.ownerId !== userId) throw new Error('Not authorized');
+
+        return template;
+    }
+
+    /**
+     * Templates owned by the user and shared with them.
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async getTemplates(userId) {
+        const templates = await prisma.menuTemplate.findMany({
+            where: { OR: [{ ownerId: userId }, { shares: { some: { userId } } }] },
+            include: TEMPLATE_INCLUDE,
+            orderBy: { updatedAt: 'desc' }
+        });
+
+        return templates.map(t => this._format(t, userId));
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} templateId
+     * @returns {Promise<Object>}
+     */
+    async getTemplate(userId, templateId) {
+        return this._format(await this._getAccessible(userId, templateId), userId);
+    }
+
+    /**
+     * Products of a template, ready to be passed to `createGroup`.
+     * @param {string} userId
+     * @param {string} templateId
+     * @returns {Promise<Array>}
+     */
+    async getTemplateProducts(userId, templateId) {
+        return (await this.getTemplate(userId, templateId)).products;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {Object} data - { name, products }
+     * @returns {Promise<Object>}
+     */
+    async createTemplate(userId, { name, products } = {}) {
+        if (!name || !String(name).trim()) throw new Error('Invalid template: name is required');
+        const items = this._buildItems(products);
+
+        const template = await prisma.menuTemplate.create({
+            data: {
+                name: String(name).trim(),
+                ownerId: userId,
+                items: { create: items }
+            },
+            include: TEMPLATE_INCLUDE
+        });
+
+        return this._format(template, userId);
+    }
+
+    /**
+     * Saves the menu of a group the user created or joined as a new template.
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {string} [name] - Defaults to the group title.
+     * @returns {Promise<Object>}
+     */
+    async createTemplateFromGroup(userId, groupId, name) {
+        const group = await prisma.group.findFirst({
+            where: {
+                id: groupId,
+                OR: [{ creatorId: userId }, { orders: { some: { userId } } }]
+            },
+            include: { products: { include: PRODUCT_INCLUDE } }
+        });
+        if (!group) throw new Error('Access denied to this group');
+        if (group.products.length === 0) throw new Error('Invalid template: the group has no menu');
+
+        return this.createTemplate(userId, {
+            name: name || group.title,
+            products: group.products.map(toProductInput)
+        });
+    }
+
+    /**
+     * Renames a template and/or replaces its items (owner only).
+     * @param {string} userId
+     * @param {string} templateId
+     * @param {Object} data - { name, products }
+     * @returns {Promise<Object>}
+     */
+    async updateTemplate(userId, templateId, { name, products } = {}) {
+        await this._getOwned(userId, templateId);
+
+        const data = {};
+        if (name !== undefined) {
+            if (!String(name).trim()) throw new Error('Invalid template: name is required');
+            data.name = String(name).trim();
+        }
+        if (products !== undefined) {
+            data.items = { deleteMany: {}, create: this._buildItems(products) };
+        }
+
+        const template = await prisma.menuTemplate.update({
+            where: { id: templateId },
+            data,
+            include: TEMPLATE_INCLUDE
+        });
+
+        return this._format(template, userId);
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} templateId
+     */
+    async deleteTemplate(userId, templateId) {
+        await this._getOwned(userId, templateId);
+        await prisma.menuTemplate.delete({ where: { id: templateId } });
+    }
+
+    /**
+     * Shares a template with a friend (owner only).
+     * @param {string} userId
+     * @param {string} templateId
+     * @param {string} friendId
+     * @returns {Promise<Object>}
+     */
+    async shareTemplate(userId, templateId, friendId) {
+        await this._getOwned(userId, templateId);
+        if (!(await userService.areFriends(userId, friendId))) throw new Error('Not friends');
+
+        await prisma.menuTemplateShare.upsert({
+            where: { templateId_userId: { templateId, userId: friendId } },
+            update: {},
+            create: { templateId, userId: friendId }
+        });
+
+        return this.getTemplate(userId, templateId);
+    }
+
+    /**
+     * Stops sharing a template. The owner can remove anyone; a recipient can remove themselves.
+     * @param {string} userId
+     * @param {string} templateId
+     * @param {string} sharedUserId
+     */
+    async unshareTemplate(userId, templateId, sharedUserId) {
+        const template = await this._getAccessible(userId, templateId);
+        if (template.ownerId !== userId && sharedUserId !== userId) throw new Error('Not authorized');
+
+        await prisma.menuTemplateShare.deleteMany({ where: { templateId, userId: sharedUserId } });
+    }
+
+    /**
+     * Parses a menu file or pasted text. When `name` is given and every row is valid, the
+     * menu is also saved as a template.
+     * @param {string} userId
+     * @param {Object} data - { format: csv|json|text, content, name }
+     * @returns {Promise<Object>} - { products, errors, template? }
+     */
+    async importMenu(userId, { format, content, name } = {}) {
+        const { products, errors } = parseMenuImport(format, content);
+        if (errors.length > 0 || products.length === 0 || !name) return { products, errors };
+
+        const template = await this.createTemplate(userId, { name, products });
+
+        return { products, errors, template };
+    }
+}
+
+module.exports = new MenuTemplateService();
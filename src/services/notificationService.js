@@ -0,0 +1,240 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const groupEvents = require('../realtime/groupEvents');
+const { buildGroupLedger } = require('../utils/paymentUtils');
+const { TYPES, formatMessage } = require('../utils/notificationTypes');
+
+// How long before endTime members are told a group is closing (Default: 30 minutes)
+const CLOSING_SOON_MINUTES = Number(process.env.NOTIFY_CLOSING_SOON_MINUTES) || 30;
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Service for the in-app notification inbox.
+ * Other services call `notify` after a change; like the realtime publishers it never throws,
+ * so a failed notification cannot break the request that triggered it.
+ */
+class NotificationService {
+
+    /**
+     * @param {Object} notification - Notification row.
+     * @returns {Object}
+     */
+    _format(notification) {
+        return {
+            id: notification.id,
+            type: notification.type,
+            groupId: notification.groupId,
+            data: notification.data,
+            message: formatMessage(notification.type, notification.data),
+            read: !!notification.readAt,
+            readAt: notification.readAt,
+            createdAt: notification.createdAt
+        };
+    }
+
+    /**
+     * Stores a notification for each user who has not muted its type or group, and pushes it
+     * to their dashboard stream as a "notification" event.
+     * @param {Array<string>} userIds
+     * @param {string} type - One of utils/notificationTypes.
+     * @param {string|null} groupId
+     * @param {Object} data - Must include the group `title`.
+     */
+    async notify(userIds, type, groupId, data) {
+        try {
+            const recipients = [...new Set(userIds.filter(Boolean))];
+            if (recipients.length === 0) return;
+
+            const muted = await prisma.notificationPreference.findMany({
+                where: {
+                    userId: { in: recipients },
+                    OR: [
+                        { mutedTypes: { has: type } },
+                        ...(groupId ? [{ mutedGroupIds: { has: groupId } }] : [])
+                    ]
+                },
+                select: { userId: true }
+            });
+            const targets = recipients.filter(id => !muted.some(m => m.userId === id));
+            if (targets.length === 0) return;
+
+            const created = await prisma.notification.createManyAndReturn({
+                data: targets.map(userId => ({ userId, type, groupId, data }))
+            });
+
+            created.forEach(n => groupEvents.publishToUsers([n.userId], 'notification', this._format(n)));
+        } catch (error) {
+            console.error(`Failed to create ${type} notifications:`, error);
+        }
+    }
+
+    /**
+     * Notifies the members of a group, except the user who made the change.
+     * @param {string} groupId
+     * @param {string|null} actorId
+     * @param {string} type
+     * @param {Object} data - Must include the group `title`.
+     */
+    async notifyMembers(groupId, actorId, type, data) {
+        try {
+            const members = await prisma.groupOrder.findMany({
+                where: { groupId },
+                select: { userId: true }
+            });
+
+            await this.notify(members.map(m => m.userId).filter(id => id !== actorId), type, groupId, data);
+        } catch (error) {
+            console.error(`Failed to create ${type} notifications:`, error);
+        }
+    }
+
+    /**
+     * A group was closed: members who still owe money are asked to pay.
+     * @param {Object} group - Group row.
+     */
+    async notifyPaymentsDue(group) {
+        try {
+            const ledgerGroup = await prisma.group.findUnique({
+                where: { id: group.id },
+                include: { orders: { include: { items: true, payments: true } }, adjustments: true, products: true }
+            });
+            if (!ledgerGroup) return;
+
+            const costs = buildGroupLedger(ledgerGroup);
+            for (const order of ledgerGroup.orders) {
+                const { balanceDue } = costs.byOrderId[order.id];
+                if (balanceDue > 0) {
+                    await this.notify([order.userId], 'PAYMENT_DUE', group.id, { title: group.title, balanceDue });
+                }
+            }
+        } catch (error) {
+            console.error('Failed to create PAYMENT_DUE notifications:', error);
+        }
+    }
+
+    /**
+     * Tells the members of OPEN groups ending within NOTIFY_CLOSING_SOON_MINUTES (called by the
+     * group scheduler). Each group is announced once; extending the deadline resets this.
+     * @param {Date} [now]
+     * @returns {Promise<Array>} - The groups announced.
+     */
+    async notifyClosingSoon(now = new Date()) {
+        const groups = await prisma.group.findMany({
+            where: {
+                status: 'OPEN',
+                closingSoonNotifiedAt: null,
+                endTime: { gt: now, lte: new Date(now.getTime() + CLOSING_SOON_MINUTES * 60 * 1000) }
+            }
+        });
+
+        const announced = [];
+        for (const group of groups) {
+            // Conditional so a second instance does not announce the same group
+            const { count } = await prisma.group.updateMany({
+                where: { id: group.id, closingSoonNotifiedAt: null },
+                data: { closingSoonNotifiedAt: now }
+            });
+            if (count === 0) continue;
+
+            await this.notifyMembers(group.id, null, 'GROUP_CLOSING_SOON', { title: group.title, endTime: group.endTime });
+            announced.push(group);
+        }
+
+        return announced;
+    }
+
+    /**
+     * The user's inbox, newest first.
+     * @param {string} userId
+     * @param {Object} options - { unreadOnly, limit (default 20, max 100), before (notification ID cursor) }
+     * @returns {Promise<Object>} - { notifications, unreadCount, nextCursor }
+     */
+    async getNotifications(userId, { unreadOnly, limit, before } = {}) {
+        const take = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+
+        const notifications = await prisma.notification.findMany({
+            where: { userId, ...(unreadOnly ? { readAt: null } : {}) },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: take + 1,
+            ...(before ? { cursor: { id: before }, skip: 1 } : {})
+        });
+        const unreadCount = await prisma.notification.count({ where: { userId, readAt: null } });
+
+        const page = notifications.slice(0, take);
+
+        return {
+            notifications: page.map(n => this._format(n)),
+            unreadCount,
+            nextCursor: notifications.length > take ? page[page.length - 1].id : null
+        };
+    }
+
+    /**
+     * Marks notifications as read; without IDs, marks the whole inbox.
+     * @param {string} userId
+     * @param {Array<string>} [notificationIds]
+     * @returns {Promise<Object>} - { updated, unreadCount }
+     */
+    async markRead(userId, notificationIds) {
+        if (notificationIds !== undefined && !Array.isArray(notificationIds)) {
+            throw new Error('Invalid request: ids must be an array');
+        }
+
+        const { count } = await prisma.notification.updateMany({
+            where: {
+                userId,
+                readAt: null,
+                ...(notificationIds ? { id: { in: notificationIds.map(String) } } : {})
+            },
+            data: { readAt: new Date() }
+        });
+        const unreadCount = await prisma.notification.count({ where: { userId, readAt: null } });
+
+        return { updated: count, unreadCount };
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Promise<Object>} - { mutedTypes, mutedGroupIds, types }
+     */
+    async getPreferences(userId) {
+        const preference = await prisma.notificationPreference.findUnique({ where: { userId } });
+
+        return {
+            mutedTypes: preference ? preference.mutedTypes : [],
+            mutedGroupIds: preference ? preference.mutedGroupIds : [],
+            types: TYPES
+        };
+    }
+
+    /**
+     * Replaces the muted types and/or groups.
+     * @param {string} userId
+     * @param {Object} data - { mutedTypes, mutedGroupIds }
+     * @returns {Promise<Object>}
+     */
+    async updatePreferences(userId, { mutedTypes, mutedGroupIds } = {}) {
+        const data = {};
+        if (mutedTypes !== undefined) {
+            if (!Array.isArray(mutedTypes) || mutedTypes.some(t => !TYPES.includes(t))) {
+                throw new Error(`Invalid preferences: mutedTypes must be a list of ${TYPES.join(', ')}`);
+            }
+            data.mutedTypes = [...new Set(mutedTypes)];
+        }
+        if (mutedGroupIds !== undefined) {
+            if (!Array.isArray(mutedGroupIds)) throw new Error('Invalid preferences: mutedGroupIds must be an array');
+            data.mutedGroupIds = [...new Set(mutedGroupIds.map(String))];
+        }
+
+        await prisma.notificationPreference.upsert({
+            where: { userId },
+            update: data,
+            create: { userId, ...data }
+        });
+
+        return this.getPreferences(userId);
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,140 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { can } = require('../utils/groupPermissions');
+const { HISTORY_TYPES, toHistoryLine, diffItems } = require('../utils/orderHistory');
+
+/**
+ * Service for the order change history (see utils/orderHistory for the event shapes).
+ * Events are written by the services that make the changes, inside their transactions
+ * where they have one.
+ */
+class OrderHistoryService {
+
+    /**
+     * Records a new version of an order's items. Nothing is written when the items did not change.
+     * Call it inside the transaction that changed the items, holding the GroupOrder row lock, so
+     * concurrent updates get consecutive versions ((groupOrderId, version) is also unique).
+     * @param {Object} client - Prisma client or transaction.
+     * @param {Object} order - GroupOrder row.
+     * @param {string} actorId
+     * @param {Array} beforeItems - UserOrder rows before the change.
+     * @param {Array} afterItems - UserOrder rows (or create data) after the change.
+     * @returns {Promise<Object|null>} - The event, or null.
+     */
+    async recordItemsUpdate(client, order, actorId, beforeItems, afterItems) {
+        const after = afterItems.map(toHistoryLine);
+        const changes = diffItems(beforeItems.map(toHistoryLine), after);
+        if (!changes) return null;
+
+        const last = await client.orderHistoryEvent.findFirst({
+            where: { groupOrderId: order.id, type: 'ITEMS_UPDATED' },
+            orderBy: { version: 'desc' },
+            select: { version: true }
+        });
+
+        return await client.orderHistoryEvent.create({
+            data: {
+                type: 'ITEMS_UPDATED',
+                version: (last ? last.version : 0) + 1,
+                items: after,
+                changes,
+                actorId,
+                userId: order.userId,
+                groupOrderId: order.id,
+                groupId: order.groupId
+            }
+        });
+    }
+
+    /**
+     * Records price (and name) changes of menu items made while editing a group.
+     * @param {string} groupId
+     * @param {string} actorId
+     * @param {Array} changes - [{ menuId, fromName, toName, fromPrice, toPrice }]
+     */
+    async recordMenuPriceChanges(groupId, actorId, changes) {
+        if (changes.length === 0) return;
+
+        await prisma.orderHistoryEvent.create({
+            data: { type: 'MENU_PRICE_CHANGED', changes, actorId, groupId }
+        });
+    }
+
+    /**
+     * Records the payment state changes found while syncing a group's cached statuses.
+     * An order that owes nothing and has paid nothing is skipped: new members start as UNPAID
+     * and would otherwise show up as "paid" before they ordered anything.
+     * @param {Object} client - Prisma client or transaction.
+     * @param {Array} orders - GroupOrder rows whose status changed (with the previous `paymentStatus`).
+     * @param {Object} costs - Result of paymentUtils.buildGroupLedger.
+     * @param {string|null} actorId
+     */
+    async recordPaymentStatusChanges(client, orders, costs, actorId) {
+        const data = orders
+            .map(order => ({ order, entry: costs.byOrderId[order.id] }))
+            .filter(({ entry }) => entry.amountDue !== 0 || entry.paidAmount !== 0)
+            .map(({ order, entry }) => ({
+                type: 'PAYMENT_STATUS_CHANGED',
+                changes: {
+                    fromStatus: order.paymentStatus,
+                    toStatus: entry.paymentState,
+                    amountDue: entry.amountDue,
+                    paidAmount: entry.paidAmount,
+                    balanceDue: entry.balanceDue
+                },
+                actorId: actorId || null,
+                userId: order.userId,
+                groupOrderId: order.id,
+                groupId: order.groupId
+            }));
+
+        if (data.length > 0) await client.orderHistoryEvent.createMany({ data });
+    }
+
+    /**
+     * Change timeline of a group, oldest first. Organisers and treasurers see every order;
+     * participants see their own order and menu price changes.
+     * @param {string} userId
+     * @param {string} groupId
+     * @param {Object} filters - { orderId, type }
+     * @returns {Promise<Array>}
+     */
+    async getTimeline(userId, groupId, { orderId, type } = {}) {
+        const membership = await prisma.groupOrder.findFirst({ where: { groupId, userId } });
+        if (!membership) throw new Error('Access denied to this group');
+        if (type && !HISTORY_TYPES.includes(type)) throw new Error(`Invalid filter: type must be one of ${HISTORY_TYPES.join(', ')}`);
+
+        const where = { groupId };
+        if (!can(membership.role, 'VIEW_HISTORY')) {
+            where.OR = [{ userId }, { type: 'MENU_PRICE_CHANGED' }];
+        }
+        if (orderId) where.groupOrderId = orderId;
+        if (type) where.type = type;
+
+        const events = await prisma.orderHistoryEvent.findMany({
+            where,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        const userIds = [...new Set(events.flatMap(e => [e.actorId, e.userId]).filter(Boolean))];
+        const users = await prisma.user.findMany({
+            where: { id: { in: userIds } },
+            select: { id: true, name: true }
+        });
+        const userById = (id) => (id ? users.find(u => u.id === id) || { id, name: null } : null);
+
+        return events.map(e => ({
+            id: e.id,
+            type: e.type,
+            createdAt: e.createdAt,
+            actor: userById(e.actorId),
+            user: userById(e.userId),
+            orderId: e.groupOrderId,
+            version: e.version,
+            items: e.items,
+            changes: e.changes
+        }));
+    }
+}
+
+module.exports = new OrderHistoryService();
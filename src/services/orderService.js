@@ -1,5 +1,19 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { calculateOrderTotal, formatItemsSummary, aggregateGroupOrders, formatOrderEntry, formatMyOrder } = require('../utils/orderUtils');
+const { buildGroupLedger, collectPendingClaims } = require('../utils/paymentUtils');
+const { can, permissionsOf } = require('../utils/groupPermissions');
+const groupEvents = require('../realtime/groupEvents');
+const paymentService = require('./paymentService');
+const orderHistoryService = require('./orderHistoryService');
+const { PRODUCT_INCLUDE, resolveItemOptions, withRemainingStock } = require('../utils/menuUtils');
+
+/**
+ * Compares item names the way people tell them apart: ignoring case, spaces and full-width forms.
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeItemName = (name) => String(name).normalize('NFKC').replace(/\s+/g, '').toLowerCase();
 
 /**
  * Service for Order management.
@@ -10,7 +24,7 @@ class OrderService {
      * Updates (or creates) an order for a user in a group.
      * @param {string} userId 
      * @param {string} groupId 
-     * @param {Array} items - Array of { name, price, quantity }
+     * @param {Array} items - Array of { menuId, quantity, options: [optionId] } (or { name, price, quantity } for custom items)
      * @returns {Promise<Object>} - Updated order details.
      */
     async updateOrder(userId, groupId, items) {
@@ -30,70 +44,112 @@ class OrderService {
         if (!group) throw new Error('Access denied to this group');
         if (group.status === 'CLOSED') throw new Error('Group is closed. Cannot update order.');
 
-        // Find or Create Order
-        let order = await prisma.groupOrder.findFirst({
-            where: { userId, groupId }
-        });
+        // The scheduler closes expired groups periodically; enforce the window here as well
+        const now = new Date();
+        if (now < group.startTime) throw new Error('Group has not started yet. Cannot update order.');
+        if (now > group.endTime) throw new Error('Group is closed. Ordering ended at the deadline.');
 
-        if (!order) {
-            order = await prisma.groupOrder.create({
-                data: { userId, groupId }
-            });
-        }
+        // Find or Create Order (one per member, so concurrent first orders share it)
+        const order = await prisma.groupOrder.upsert({
+            where: { groupId_userId: { groupId, userId } },
+            create: { userId, groupId },
+            update: {}
+        });
 
         const orderId = order.id;
 
         // Transactional Update
         await prisma.$transaction(async (tx) => {
+            // One update of this order at a time, so each one sees the items the previous one left
+            // and gets its own history version
+            await tx.$queryRaw`SELECT "id" FROM "GroupOrder" WHERE "id" = ${orderId} FOR UPDATE`;
+
+            // Kept for the order history before the items are replaced
+            const previousItems = await tx.userOrder.findMany({ where: { groupOrderId: orderId } });
+            let newItems = [];
+
             await tx.userOrder.deleteMany({ where: { groupOrderId: orderId } });
 
             if (items && items.length > 0) {
+                // Lock this group's menu rows so concurrent orders are checked against stock one at a time
+                await tx.$queryRaw`SELECT "id" FROM "GroupMenu" WHERE "groupId" = ${groupId} FOR UPDATE`;
+
                 // 1. Fetch current GroupProducts to get authoritative prices and IDs
                 const groupProducts = await tx.groupMenu.findMany({
-                    where: { groupId }
+                    where: { groupId },
+                    include: PRODUCT_INCLUDE
+                });
+
+                // Rows with quantity 0 are ignored; negative or fractional quantities are rejected
+                const orderedItems = items.filter(inputItem => Number(inputItem.quantity) !== 0);
+                orderedItems.forEach(inputItem => {
+                    const quantity = Number(inputItem.quantity);
+                    if (!Number.isInteger(quantity) || quantity < 0) {
+                        throw new Error(`Invalid quantity for "${inputItem.name || inputItem.menuId}"`);
+                    }
                 });
 
-                const newItems = items.map(inputItem => {
+                newItems = orderedItems.map(inputItem => {
                     // Try to match by ID first, then Name
                     let product = null;
-                    if (inputItem.menuId) {
-                        product = groupProducts.find(p => p.id === inputItem.menuId);
-                    } else if (inputItem.productId) { // Legacy support
-                        product = groupProducts.find(p => p.id === inputItem.productId);
+                    const productId = inputItem.menuId || inputItem.productId; // productId: legacy support
+                    if (productId) {
+                        product = groupProducts.find(p => p.id === productId);
+                        // Never falls back to a custom item, which would skip the menu's price, stock and limits
+                        if (!product) throw new Error(`Invalid item: "${inputItem.name || productId}" is not on the menu`);
                     } else if (inputItem.name) {
                         product = groupProducts.find(p => p.name === inputItem.name);
                     }
 
                     if (product) {
+                        // Validates required / single-select groups and sums the price deltas
+                        const { options, priceDelta } = resolveItemOptions(product, inputItem.options);
+
                         return {
                             groupOrderId: orderId,
                             name: product.name,
-                            price: Number(product.price), // Enforce verified price
+                            price: Number(product.price) + priceDelta, // Enforce verified price
                             quantity: Number(inputItem.quantity),
-                            menuId: product.id         // Link for future updates
+                            menuId: product.id,        // Link for future updates
+                            options: options.length > 0 ? options : undefined
                         };
                     } else {
+                        if (Array.isArray(inputItem.options) && inputItem.options.length > 0) {
+                            throw new Error(`Invalid options for "${inputItem.name}": custom items cannot have options`);
+                        }
+                        const price = Number(inputItem.price);
+                        if (typeof inputItem.name !== 'string' || !inputItem.name.trim() || !Number.isFinite(price) || price < 0) {
+                            throw new Error('Invalid item: custom items need a name and a price of 0 or more');
+                        }
+                        // A variant spelling of a menu product would be counted under it without its price or limits
+                        const lookalike = groupProducts.find(p => normalizeItemName(p.name) === normalizeItemName(inputItem.name));
+                        if (lookalike) throw new Error(`Invalid item: "${lookalike.name}" is on the menu, order it from the menu`);
                         // Fallback for custom items (if allowed) or error
                         // For now we allow custom items but warning: they won't auto-update
                         return {
                             groupOrderId: orderId,
                             name: inputItem.name,
-                            price: Number(inputItem.price),
+                            price,
                             quantity: Number(inputItem.quantity),
                             menuId: null
                         };
                     }
                 });
 
+                await this._assertWithinLimits(tx, orderId, groupProducts, newItems);
+
                 await tx.userOrder.createMany({
                     data: newItems
                 });
             }
 
+            // Submitting replaces any draft copied from a cloned group
             await tx.groupOrder.update({
                 where: { id: orderId },
-                data: { updatedAt: new Date() }
+                data: { updatedAt: new Date(), draftItems: Prisma.DbNull }
             });
+
+            await orderHistoryService.recordItemsUpdate(tx, order, userId, previousItems, newItems);
         });
 
         // Fetch updated
@@ -102,19 +158,74 @@ class OrderService {
             include: { items: true }
         });
 
+        // Shared costs depend on everyone's orders, so balances are recomputed for the whole group
+        const costs = await paymentService.syncGroupPaymentStatuses(groupId, prisma, userId);
+        const myCosts = costs.byOrderId[orderId];
+
+        groupEvents.publishOrderUpdated(groupId, orderId);
+
         // Format
-        const total = updatedOrder.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const itemsSummary = updatedOrder.items.map(i => `${i.name}*${i.quantity}`).join(', ');
+        const total = calculateOrderTotal(updatedOrder.items);
+        const itemsSummary = formatItemsSummary(updatedOrder.items);
 
         return {
             id: updatedOrder.id,
             items: updatedOrder.items,
             total,
+            adjustments: myCosts.adjustments,
+            amountDue: myCosts.amountDue,
+            paidAmount: myCosts.paidAmount,
+            balanceDue: myCosts.balanceDue,
+            paymentStatus: myCosts.paymentState,
             itemsSummary,
             updatedAt: updatedOrder.updatedAt
         };
     }
 
+    /**
+     * Checks per-user caps and remaining stock for the items about to be saved.
+     * Must run inside the transaction holding the menu row locks.
+     * @param {Object} tx - Prisma transaction client.
+     * @param {string} orderId - The order being replaced (its old items are already deleted).
+     * @param {Array} groupProducts - GroupMenu rows of the group.
+     * @param {Array} newItems - Items about to be created.
+     */
+    async _assertWithinLimits(tx, orderId, groupProducts, newItems) {
+        const requested = {};
+        newItems.forEach(item => {
+            if (item.menuId) requested[item.menuId] = (requested[item.menuId] || 0) + item.quantity;
+        });
+
+        const limited = groupProducts.filter(p => requested[p.id] && (p.stock != null || p.maxPerUser != null));
+        if (limited.length === 0) return;
+
+        limited.forEach(p => {
+            if (p.maxPerUser != null && requested[p.id] > p.maxPerUser) {
+                throw new Error(`Quantity limit exceeded: "${p.name}" allows at most ${p.maxPerUser} per person`);
+            }
+        });
+
+        const stocked = limited.filter(p => p.stock != null);
+        if (stocked.length === 0) return;
+
+        const orderedByOthers = await tx.userOrder.groupBy({
+            by: ['menuId'],
+            where: {
+                menuId: { in: stocked.map(p => p.id) },
+                groupOrderId: { not: orderId }
+            },
+            _sum: { quantity: true }
+        });
+
+        stocked.forEach(p => {
+            const row = orderedByOthers.find(r => r.menuId === p.id);
+            const remaining = p.stock - ((row && row._sum.quantity) || 0);
+            if (requested[p.id] > remaining) {
+                throw new Error(`Out of stock: only ${Math.max(remaining, 0)} "${p.name}" left`);
+            }
+        });
+    }
+
     /**
      * Retrieves detailed group summary.
      * @param {string} userId 
@@ -135,50 +246,25 @@ class OrderService {
                 orders: {
                     include: {
                         user: { select: { id: true, name: true } },
-                        items: true
+                        items: true,
+                        payments: true,
+                        paymentClaims: { where: { status: 'PENDING' } }
                     }
                 },
-                products: true
+                products: { include: PRODUCT_INCLUDE },
+                adjustments: true
             }
         });
 
         if (!group) throw new Error('Access denied to this group');
 
         // Stats Calculation
-        let totalGroupAmount = 0;
-        const participantsSet = new Set();
-        const statsMap = {};
-
-        group.orders.forEach(order => {
-            participantsSet.add(order.user.name);
-            const orderSum = order.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-            totalGroupAmount += orderSum;
-
-            order.items.forEach(item => {
-                if (!statsMap[item.name]) {
-                    statsMap[item.name] = { name: item.name, quantity: 0, totalPrice: 0 };
-                }
-                statsMap[item.name].quantity += item.quantity;
-                statsMap[item.name].totalPrice += (item.quantity * item.price);
-            });
-        });
+        const { totalGroupAmount, participants, orderStats } = aggregateGroupOrders(group.orders);
+        const costs = buildGroupLedger(group);
 
         // User's own order
         const myOrder = group.orders.find(order => order.userId === userId);
-        let myOrderData = null;
-        if (myOrder) {
-            const myTotal = myOrder.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-            const myItemsSummary = myOrder.items.map(i => `${i.name}*${i.quantity}`).join(', ');
-
-            myOrderData = {
-                id: myOrder.id,
-                items: myOrder.items,
-                total: myTotal,
-                itemsSummary: myItemsSummary,
-                paymentStatus: myOrder.paymentStatus,
-                updatedAt: myOrder.updatedAt
-            };
-        }
+        const myRole = myOrder ? myOrder.role : null;
 
         return {
             id: group.id,
@@ -187,51 +273,22 @@ class OrderService {
             endTime: group.endTime,
             status: group.status,
             creator: group.creator,
-            products: group.products,
-            participants: Array.from(participantsSet),
+            products: withRemainingStock(group.products, group.orders),
+            participants,
             totalGroupAmount,
-            orderStats: Object.values(statsMap),
-            myOrder: myOrderData,
+            totalGroupAmountDue: costs.totalAmountDue,
+            totalPaid: costs.totalPaid,
+            totalOutstanding: costs.totalOutstanding,
+            adjustments: costs.adjustments,
+            orderStats,
+            myOrder: myOrder ? formatMyOrder(myOrder, costs.byOrderId[myOrder.id]) : null,
+            pendingClaims: collectPendingClaims(group.orders, can(myRole, 'MANAGE_PAYMENTS') ? undefined : userId),
             isCreator: group.creatorId === userId,
-            allOrders: group.orders.map(order => ({
-                id: order.id,
-                userId: order.userId, // Include user ID
-                user: order.user,
-                items: order.items,
-                total: order.items.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-                paymentStatus: order.paymentStatus,
-                updatedAt: order.updatedAt
-            }))
+            myRole,
+            permissions: permissionsOf(myRole),
+            allOrders: group.orders.map(order => formatOrderEntry(order, costs.byOrderId[order.id]))
         };
     }
-
-    /**
-     * Updates payment status of an order.
-     * @param {string} userId - Requesting user (must be creator)
-     * @param {string} orderId 
-     * @param {string} status 
-     * @returns {Promise<Object>}
-     */
-    async updatePaymentStatus(userId, orderId, status) {
-        if (!['PAID', 'UNPAID'].includes(status)) {
-            throw new Error('Invalid status. Must be PAID or UNPAID.');
-        }
-
-        const order = await prisma.groupOrder.findUnique({
-            where: { id: orderId },
-            include: { group: true }
-        });
-
-        if (!order) throw new Error('Order not found');
-        if (order.group.creatorId !== userId) throw new Error('Not authorized');
-
-        const updatedOrder = await prisma.groupOrder.update({
-            where: { id: orderId },
-            data: { paymentStatus: status }
-        });
-
-        return { paymentStatus: updatedOrder.paymentStatus };
-    }
 }
 
 module.exports = new OrderService();
@@ -0,0 +1,488 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { PAYMENT_METHODS, buildGroupLedger } = require('../utils/paymentUtils');
+const { can, membershipWhere } = require('../utils/groupPermissions');
+const groupEvents = require('../realtime/groupEvents');
+const orderHistoryService = require('./orderHistoryService');
+const groupMemberService = require('./groupMemberService');
+const notificationService = require('./notificationService');
+
+const LEDGER_INCLUDE = {
+    orders: {
+        include: {
+            items: true,
+            payments: true
+        }
+    },
+    adjustments: true,
+    products: true
+};
+
+// Groups loaded at a time when walking many ledgers
+const LEDGER_BATCH_SIZE = 100;
+
+/**
+ * Service for the payment ledger of group orders.
+ * The ledger entries are the source of truth; `GroupOrder.paymentStatus` is only a cached copy
+ * of the derived state so it can be filtered on.
+ */
+class PaymentService {
+
+    /**
+     * Loads a group with everything needed to compute its ledger.
+     * @param {string} groupId
+     * @param {Object} [client] - Prisma client or transaction.
+     * @returns {Promise<Object>} - { group, costs } (group is null when it does not exist).
+     */
+    async _loadLedger(groupId, client = prisma) {
+        const group = await client.group.findUnique({
+            where: { id: groupId },
+            include: LEDGER_INCLUDE
+        });
+        if (!group) return { group: null, costs: null };
+
+        return { group, costs: buildGroupLedger(group) };
+    }
+
+    /**
+     * Loads several groups with their ledgers.
+     * @param {Object} where - Prisma `Group` filter.
+     * @param {Object} [client] - Prisma client or transaction.
+     * @returns {Promise<Array>} - [{ group, costs }]
+     */
+    async getGroupLedgers(where, client = prisma) {
+        const groups = await client.group.findMany({ where, include: LEDGER_INCLUDE });
+
+        return groups.map(group => ({ group, costs: buildGroupLedger(group) }));
+    }
+
+    /**
+     * Walks the ledgers of many groups a batch at a time, so only LEDGER_BATCH_SIZE groups with
+     * their orders and payments are in memory at once (for site-wide totals).
+     * @param {Object} where - Prisma `Group` filter.
+     * @param {(ledger: Object) => void} callback - Called with { group, costs } for each group.
+     * @param {Object} [client] - Prisma client or transaction.
+     * @returns {Promise<void>}
+     */
+    async eachGroupLedger(where, callback, client = prisma) {
+        let cursor = null;
+        for (;;) {
+            const groups = await client.group.findMany({
+                where,
+                include: LEDGER_INCLUDE,
+                orderBy: { id: 'asc' },
+                take: LEDGER_BATCH_SIZE,
+                ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+            });
+            groups.forEach(group => callback({ group, costs: buildGroupLedger(group) }));
+            if (groups.length < LEDGER_BATCH_SIZE) return;
+            cursor = groups[groups.length - 1].id;
+        }
+    }
+
+    /**
+     * Recomputes the ledger of a group and stores the derived state of every order in
+     * `GroupOrder.paymentStatus`. Call after anything that changes amounts due or payments.
+     * State changes are recorded in the order history.
+     * @param {string} groupId
+     * @param {Object} [client] - Prisma client or transaction.
+     * @param {string} [actorId] - User whose action caused the change.
+     * @returns {Promise<Object>} - Result of paymentUtils.buildGroupLedger.
+     */
+    async syncGroupPaymentStatuses(groupId, client = prisma, actorId = null) {
+        const { group, costs } = await this._loadLedger(groupId, client);
+        if (!group) return { byOrderId: {}, adjustments: [], totalAmountDue: 0, totalPaid: 0, totalOutstanding: 0 };
+
+        const stale = group.orders.filter(o => o.paymentStatus !== costs.byOrderId[o.id].paymentState);
+        for (const order of stale) {
+            await client.groupOrder.update({
+                where: { id: order.id },
+                data: { paymentStatus: costs.byOrderId[order.id].paymentState }
+            });
+        }
+        await orderHistoryService.recordPaymentStatusChanges(client, stale, costs, actorId);
+
+        return costs;
+    }
+
+    /**
+     * Loads an order and checks that the user may see its ledger (payment managers or order owner).
+     * @param {string} userId
+     * @param {string} orderId
+     * @param {boolean} managersOnly - Only members allowed to MANAGE_PAYMENTS may write to the ledger.
+     * @returns {Promise<Object>} - GroupOrder including `group`.
+     */
+    async _getOrderForUser(userId, orderId, managersOnly) {
+        const order = await prisma.groupOrder.findUnique({
+            where: { id: orderId },
+            include: { group: true }
+        });
+
+        if (!order) throw new Error('Order not found');
+        const membership = order.userId === userId
+            ? order
+            : await prisma.groupOrder.findFirst({ where: { groupId: order.groupId, userId } });
+        const isManager = can(membership && membership.role, 'MANAGE_PAYMENTS');
+        if (managersOnly ? !isManager : !isManager && order.userId !== userId) throw new Error('Not authorized');
+
+        return order;
+    }
+
+    /**
+     * Formats the ledger of one order.
+     * @param {Object} order - GroupOrder row.
+     * @param {Object} costs - Result of paymentUtils.buildGroupLedger.
+     * @returns {Promise<Object>}
+     */
+    async _formatOrderLedger(order, costs) {
+        const payments = await prisma.payment.findMany({
+            where: { groupOrderId: order.id },
+            include: { recordedBy: { select: { id: true, name: true } } },
+            orderBy: { paidAt: 'asc' }
+        });
+        const entry = costs.byOrderId[order.id];
+
+        return {
+            orderId: order.id,
+            userId: order.userId,
+            amountDue: entry.amountDue,
+            paidAmount: entry.paidAmount,
+            balanceDue: entry.balanceDue,
+            paymentStatus: entry.paymentState,
+            payments
+        };
+    }
+
+    /**
+     * Returns the ledger entries and derived balance of an order.
+     * @param {string} userId
+     * @param {string} orderId
+     * @returns {Promise<Object>} - { orderId, userId, amountDue, paidAmount, balanceDue, paymentStatus, payments }
+     */
+    async getPayments(userId, orderId) {
+        const order = await this._getOrderForUser(userId, orderId, false);
+        const { costs } = await this._loadLedger(order.groupId);
+
+        return this._formatOrderLedger(order, costs);
+    }
+
+    /**
+     * Records a payment (or a refund / change given back) for an order. Payment managers only.
+     * @param {string} userId
+     * @param {string} orderId
+     * @param {Object} data - { amount (positive), method, note, paidAt, type: PAYMENT|REFUND }
+     * @returns {Promise<Object>} - Updated ledger of the order.
+     */
+    async recordPayment(userId, orderId, data) {
+        const order = await this._getOrderForUser(userId, orderId, true);
+        if (order.userId === order.group.creatorId) throw new Error('Invalid payment: the creator does not pay themselves');
+
+        const payment = this._buildPaymentData(data);
+
+        await prisma.payment.create({
+            data: { ...payment, groupOrderId: orderId, recordedById: userId }
+        });
+
+        return this._afterLedgerChange(order, userId, payment.amount);
+    }
+
+    /**
+     * Validates a ledger entry sent by the client.
+     * @param {Object} data - { amount, method, note, paidAt, type }
+     * @returns {Object} - Prisma data without the relations.
+     */
+    _buildPaymentData(data) {
+        const { amount, method, note, paidAt, type = 'PAYMENT' } = data || {};
+
+        const value = Number(amount);
+        if (!Number.isInteger(value) || value <= 0) throw new Error('Invalid payment: amount must be a positive integer');
+        if (!['PAYMENT', 'REFUND'].includes(type)) throw new Error('Invalid payment: type must be PAYMENT or REFUND');
+
+        const paymentMethod = method || 'CASH';
+        if (!PAYMENT_METHODS.includes(paymentMethod)) {
+            throw new Error(`Invalid payment: method must be one of ${PAYMENT_METHODS.join(', ')}`);
+        }
+
+        const date = paidAt ? new Date(paidAt) : new Date();
+        if (isNaN(date.getTime())) throw new Error('Invalid payment: invalid paidAt');
+
+        return {
+            amount: type === 'REFUND' ? -value : value,
+            method: paymentMethod,
+            note: note ? String(note) : null,
+            paidAt: date
+        };
+    }
+
+    /**
+     * Legacy toggle (`PUT /api/orders/:orderId/payment-status`), kept for existing clients.
+     * PAID records whatever is needed to settle the order exactly (the outstanding balance, or a
+     * refund of an overpayment); UNPAID records a refund of everything paid so far.
+     * @param {string} userId
+     * @param {string} orderId
+     * @param {string} status - PAID or UNPAID
+     * @returns {Promise<Object>} - Updated ledger of the order.
+     */
+    async setPaidState(userId, orderId, status) {
+        if (!['PAID', 'UNPAID'].includes(status)) {
+            throw new Error('Invalid status. Must be PAID or UNPAID.');
+        }
+
+        const order = await this._getOrderForUser(userId, orderId, true);
+        const { costs } = await this._loadLedger(order.groupId);
+        const entry = costs.byOrderId[order.id];
+
+        const settles = order.userId !== order.group.creatorId;
+        const amount = !settles ? 0 : status === 'PAID' ? entry.balanceDue : -entry.paidAmount;
+        if (amount !== 0) {
+            await prisma.payment.create({
+                data: {
+                    amount,
+                    method: 'OTHER',
+                    note: status === 'PAID' ? 'Marked as paid' : 'Marked as unpaid',
+                    groupOrderId: orderId,
+                    recordedById: userId
+                }
+            });
+        }
+
+        return this._afterLedgerChange(order, userId, amount);
+    }
+
+    /**
+     * Participant claims "I've paid" for their own order. The claim waits in the review
+     * queue of the group's payment managers; nothing is written to the ledger until it is confirmed.
+     * @param {string} userId
+     * @param {string} orderId
+     * @param {Object} data - { amount (defaults to the outstanding balance), method, reference, note }
+     * @returns {Promise<Object>} - The created PaymentClaim.
+     */
+    async createClaim(userId, orderId, data) {
+        const order = await prisma.groupOrder.findUnique({
+            where: { id: orderId },
+            include: { group: true }
+        });
+
+        if (!order) throw new Error('Order not found');
+        if (order.userId !== userId) throw new Error('Not authorized');
+        if (order.group.creatorId === userId) throw new Error('Invalid claim: the creator does not pay themselves');
+
+        const { amount, method, reference, note } = data || {};
+
+        let value;
+        if (amount === undefined || amount === null || amount === '') {
+            const { costs } = await this._loadLedger(order.groupId);
+            value = costs.byOrderId[order.id].balanceDue;
+            if (value <= 0) throw new Error('Invalid claim: nothing left to pay');
+        } else {
+            value = Number(amount);
+            if (!Number.isInteger(value) || value <= 0) throw new Error('Invalid claim: amount must be a positive integer');
+        }
+
+        const claimMethod = method || 'OTHER';
+        if (!PAYMENT_METHODS.includes(claimMethod)) {
+            throw new Error(`Invalid claim: method must be one of ${PAYMENT_METHODS.join(', ')}`);
+        }
+
+        const pending = await prisma.paymentClaim.findFirst({ where: { groupOrderId: orderId, status: 'PENDING' } });
+        if (pending) throw new Error('Payment already claimed, waiting for confirmation');
+
+        let claim;
+        try {
+            claim = await prisma.paymentClaim.create({
+                data: {
+                    amount: value,
+                    method: claimMethod,
+                    reference: reference ? String(reference) : null,
+                    note: note ? String(note) : null,
+                    groupOrderId: orderId
+                }
+            });
+        } catch (error) {
+            // Another claim was created at the same moment (one PENDING claim per order, see the migration)
+            if (error.code === 'P2002') throw new Error('Payment already claimed, waiting for confirmation');
+            throw error;
+        }
+
+        groupEvents.publishClaimUpdated(order.group, order, claim);
+
+        const claimant = await prisma.user.findUnique({ where: { id: userId }, select: { name: true } });
+        notificationService.notify(await groupMemberService.getUserIdsWith(order.groupId, 'MANAGE_PAYMENTS'), 'PAYMENT_CLAIMED', order.groupId, {
+            title: order.group.title,
+            name: claimant.name,
+            amount: claim.amount
+        });
+
+        return claim;
+    }
+
+    /**
+     * Withdraws the participant's pending claim on their own order.
+     * @param {string} userId
+     * @param {string} orderId
+     */
+    async withdrawClaim(userId, orderId) {
+        const order = await prisma.groupOrder.findUnique({
+            where: { id: orderId },
+            include: { group: true }
+        });
+
+        if (!order) throw new Error('Order not found');
+        if (order.userId !== userId) throw new Error('Not authorized');
+
+        const claim = await prisma.paymentClaim.findFirst({ where: { groupOrderId: orderId, status: 'PENDING' } });
+        if (!claim) throw new Error('No pending claim');
+
+        const withdrawn = await prisma.paymentClaim.update({
+            where: { id: claim.id },
+            data: { status: 'WITHDRAWN' }
+        });
+
+        groupEvents.publishClaimUpdated(order.group, order, withdrawn);
+    }
+
+    /**
+     * Review queue: claims on orders of groups whose payments the user manages, newest first.
+     * @param {string} userId - Owner, co-organiser or treasurer.
+     * @param {Object} filters - { groupId, status (default PENDING, "ALL" for every status) }
+     * @returns {Promise<Array>}
+     */
+    async getClaims(userId, { groupId, status } = {}) {
+        const claimStatus = status || 'PENDING';
+
+        return await prisma.paymentClaim.findMany({
+            where: {
+                ...(claimStatus === 'ALL' ? {} : { status: claimStatus }),
+                groupOrder: {
+                    group: {
+                        orders: { some: membershipWhere(userId, 'MANAGE_PAYMENTS') },
+                        ...(groupId ? { id: groupId } : {})
+                    }
+                }
+            },
+            include: {
+                groupOrder: {
+                    select: {
+                        id: true,
+                        user: { select: { id: true, name: true } },
+                        group: { select: { id: true, title: true } }
+                    }
+                },
+                reviewedBy: { select: { id: true, name: true } }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    /**
+     * Confirms or rejects pending claims (payment managers only). All claims are reviewed together or
+     * none is. Confirming writes the claimed amount to the ledger.
+     * @param {string} userId - Owner, co-organiser or treasurer.
+     * @param {Array<string>} claimIds
+     * @param {string} decision - CONFIRM or REJECT
+     * @param {string} [reason] - Required when rejecting.
+     * @returns {Promise<Array>} - The reviewed claims.
+     */
+    async reviewClaims(userId, claimIds, decision, reason) {
+        if (!Array.isArray(claimIds) || claimIds.length === 0) throw new Error('Invalid review: claimIds must be a non-empty array');
+        if (!['CONFIRM', 'REJECT'].includes(decision)) throw new Error('Invalid review: decision must be CONFIRM or REJECT');
+        if (decision === 'REJECT' && !(reason && String(reason).trim())) {
+            throw new Error('Invalid review: a reason is required to reject a claim');
+        }
+
+        const ids = [...new Set(claimIds.map(String))];
+
+        const reviewed = await prisma.$transaction(async (tx) => {
+            const claims = await tx.paymentClaim.findMany({
+                where: { id: { in: ids } },
+                include: { groupOrder: { include: { group: true } } }
+            });
+
+            if (claims.length !== ids.length) throw new Error('Claim not found');
+
+            const memberships = await tx.groupOrder.findMany({
+                where: { userId, groupId: { in: [...new Set(claims.map(c => c.groupOrder.groupId))] } }
+            });
+            if (claims.some(c => !can((memberships.find(m => m.groupId === c.groupOrder.groupId) || {}).role, 'MANAGE_PAYMENTS'))) {
+                throw new Error('Not authorized');
+            }
+
+            const results = [];
+            for (const claim of claims) {
+                // Conditional update so a claim withdrawn or reviewed meanwhile is not reviewed twice
+                const { count } = await tx.paymentClaim.updateMany({
+                    where: { id: claim.id, status: 'PENDING' },
+                    data: {
+                        status: decision === 'CONFIRM' ? 'CONFIRMED' : 'REJECTED',
+                        rejectReason: decision === 'REJECT' ? String(reason).trim() : null,
+                        reviewedAt: new Date(),
+                        reviewedById: userId
+                    }
+                });
+                if (count !== 1) throw new Error('Claim already reviewed');
+
+                if (decision === 'CONFIRM') {
+                    const payment = await tx.payment.create({
+                        data: {
+                            amount: claim.amount,
+                            method: claim.method,
+                            note: [claim.reference, claim.note].filter(Boolean).join(' / ') || 'Confirmed payment claim',
+                            paidAt: claim.createdAt,
+                            groupOrderId: claim.groupOrderId,
+                            recordedById: userId
+                        }
+                    });
+                    await tx.paymentClaim.update({ where: { id: claim.id }, data: { paymentId: payment.id } });
+                }
+
+                results.push(claim);
+            }
+            return results;
+        });
+
+        const updated = await prisma.paymentClaim.findMany({ where: { id: { in: ids } } });
+
+        const groupIds = [...new Set(reviewed.map(c => c.groupOrder.groupId))];
+        for (const groupId of groupIds) {
+            const costs = await this.syncGroupPaymentStatuses(groupId, prisma, userId);
+            reviewed
+                .filter(c => c.groupOrder.groupId === groupId)
+                .forEach(c => {
+                    const claim = updated.find(u => u.id === c.id);
+                    groupEvents.publishClaimUpdated(c.groupOrder.group, c.groupOrder, claim);
+                    notificationService.notify([c.groupOrder.userId], 'PAYMENT_CLAIM_REVIEWED', groupId, {
+                        title: c.groupOrder.group.title,
+                        status: claim.status,
+                        amount: claim.amount,
+                        rejectReason: claim.rejectReason
+                    });
+                    if (decision === 'CONFIRM') groupEvents.publishPaymentUpdated(groupId, c.groupOrder, costs);
+                });
+        }
+
+        return updated;
+    }
+
+    /**
+     * Syncs the cached status, notifies the group and returns the order's ledger.
+     * @param {Object} order - GroupOrder including `group`.
+     * @param {string} userId - Who changed the ledger.
+     * @param {number} amount - Amount written to the ledger (negative for refunds, 0 when nothing was).
+     * @returns {Promise<Object>}
+     */
+    async _afterLedgerChange(order, userId, amount) {
+        const costs = await this.syncGroupPaymentStatuses(order.groupId, prisma, userId);
+        groupEvents.publishPaymentUpdated(order.groupId, order, costs);
+        if (amount !== 0 && order.userId !== userId) {
+            notificationService.notify([order.userId], 'PAYMENT_RECORDED', order.groupId, {
+                title: order.group.title,
+                amount,
+                balanceDue: costs.byOrderId[order.id].balanceDue
+            });
+        }
+
+        return this._formatOrderLedger(order, costs);
+    }
+}
+
+module.exports = new PaymentService();
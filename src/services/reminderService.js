@@ -0,0 +1,267 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { buildGroupLedger } = require('../utils/paymentUtils');
+const { buildReminderEmail } = require('../utils/reminderTemplate');
+const groupMemberService = require('./groupMemberService');
+const mailService = require('./mailService');
+
+// A member is reminded about the same order at most once per interval (Default: 24 hours)
+const MIN_INTERVAL_HOURS = Number(process.env.REMINDER_MIN_INTERVAL_HOURS) || 24;
+// And receives at most this many reminders per 24 hours across all groups (Default: 3)
+const MAX_PER_DAY = Number(process.env.REMINDER_MAX_PER_DAY) || 3;
+// Longest delay accepted for automatic reminders (30 days)
+const MAX_AFTER_HOURS = 24 * 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const REMINDER_GROUP_INCLUDE = {
+    orders: {
+        include: {
+            items: true,
+            payments: true,
+            user: { select: { id: true, name: true, email: true } }
+        }
+    },
+    adjustments: true,
+    products: true,
+    creator: { select: { id: true, name: true } }
+};
+
+/**
+ * Service for payment reminder emails: sent by an organiser or treasurer on demand, or
+ * automatically a configured number of hours after the group closes.
+ * Every attempt is stored in PaymentReminder, which is also what the rate limits count: the row is
+ * created (SENDING) before the email goes out, and marked SENT or FAILED afterwards.
+ */
+class ReminderService {
+
+    /**
+     * Whether a member may be emailed now. Reminders still being sent count as sent.
+     * @param {Object} tx - Prisma transaction client.
+     * @param {Object} order - GroupOrder row.
+     * @param {Date} now
+     * @returns {Promise<string|null>} - Skip reason, or null if allowed.
+     */
+    async _rateLimitReason(tx, order, now) {
+        const recent = await tx.paymentReminder.findFirst({
+            where: {
+                groupOrderId: order.id,
+                status: { in: ['SENDING', 'SENT'] },
+                createdAt: { gt: new Date(now.getTime() - MIN_INTERVAL_HOURS * HOUR_MS) }
+            }
+        });
+        if (recent) return 'RECENTLY_REMINDED';
+
+        const today = await tx.paymentReminder.count({
+            where: {
+                userId: order.userId,
+                status: { in: ['SENDING', 'SENT'] },
+                createdAt: { gt: new Date(now.getTime() - 24 * HOUR_MS) }
+            }
+        });
+        if (today >= MAX_PER_DAY) return 'DAILY_LIMIT';
+
+        return null;
+    }
+
+    /**
+     * Checks the rate limits and records the reminder as SENDING in one step, so two deliveries
+     * at the same time (a manual one and the scheduler, or two instances) cannot both email.
+     * The member's User row is locked while checking, since the daily limit spans all their orders.
+     * @param {Object} data - PaymentReminder data, without `status`.
+     * @param {Object} order - GroupOrder row.
+     * @param {Date} now
+     * @returns {Promise<Object>} - { reminder } or { reason } when skipped.
+     */
+    async _reserve(data, order, now) {
+        return await prisma.$transaction(async (tx) => {
+            await tx.$queryRaw`SELECT "id" FROM "User" WHERE "id" = ${order.userId} FOR UPDATE`;
+
+            const reason = await this._rateLimitReason(tx, order, now);
+            if (reason) return { reason };
+
+            return { reminder: await tx.paymentReminder.create({ data: { ...data, status: 'SENDING' } }) };
+        });
+    }
+
+    /**
+     * Emails the members of a group who still owe money.
+     * @param {Object} group - Group including REMINDER_GROUP_INCLUDE.
+     * @param {Object} options - { trigger (MANUAL or AUTO), actorId, orderIds (optional subset) }
+     * @returns {Promise<Object>} - { sent, failed, skipped }, each a list of { orderId, userId, name, ... }
+     */
+    async _deliver(group, { trigger, actorId = null, orderIds }) {
+        const now = new Date();
+        const costs = buildGroupLedger(group);
+        const result = { sent: [], failed: [], skipped: [] };
+
+        const targets = group.orders.filter(o => costs.byOrderId[o.id].balanceDue > 0
+            && (!orderIds || orderIds.includes(o.id)));
+
+        for (const order of targets) {
+            const entry = costs.byOrderId[order.id];
+            const recipient = { orderId: order.id, userId: order.userId, name: order.user.name, balanceDue: entry.balanceDue };
+
+            if (!order.user.email) {
+                result.skipped.push({ ...recipient, reason: 'NO_EMAIL' });
+                continue;
+            }
+            const { reminder, reason } = await this._reserve({
+                trigger,
+                email: order.user.email,
+                balanceDue: entry.balanceDue,
+                sentById: actorId,
+                userId: order.userId,
+                groupOrderId: order.id,
+                groupId: group.id
+            }, order, now);
+            if (reason) {
+                result.skipped.push({ ...recipient, reason });
+                continue;
+            }
+
+            let error = null;
+            try {
+                const message = buildReminderEmail({
+                    recipientName: order.user.name,
+                    organiserName: group.creator.name,
+                    groupTitle: group.title,
+                    items: order.items,
+                    amountDue: entry.amountDue,
+                    paidAmount: entry.paidAmount,
+                    balanceDue: entry.balanceDue
+                });
+                await mailService.send({ to: order.user.email, ...message });
+            } catch (sendError) {
+                console.error(`Failed to send payment reminder for order ${order.id}:`, sendError);
+                error = sendError.message || 'Send failed';
+            }
+
+            await prisma.paymentReminder.update({
+                where: { id: reminder.id },
+                data: { status: error ? 'FAILED' : 'SENT', error }
+            });
+
+            if (error) result.failed.push({ ...recipient, error });
+            else result.sent.push(recipient);
+        }
+
+        return result;
+    }
+
+    /**
+     * "Remind all unpaid": emails every member of a closed group who still owes money,
+     * or only the given orders.
+     * @param {string} userId - Requesting user ID (needs MANAGE_PAYMENTS).
+     * @param {string} groupId
+     * @param {Object} options - { orderIds }
+     * @returns {Promise<Object>} - { sent, failed, skipped }
+     */
+    async sendReminders(userId, groupId, { orderIds } = {}) {
+        if (orderIds !== undefined && !Array.isArray(orderIds)) {
+            throw new Error('Invalid request: orderIds must be an array');
+        }
+
+        await groupMemberService.assertCan(userId, groupId, 'MANAGE_PAYMENTS');
+
+        const group = await prisma.group.findUnique({ where: { id: groupId }, include: REMINDER_GROUP_INCLUDE });
+        if (group.status !== 'CLOSED') throw new Error('Invalid request: reminders can only be sent once the group is closed');
+
+        return await this._deliver(group, {
+            trigger: 'MANUAL',
+            actorId: userId,
+            orderIds: orderIds ? orderIds.map(String) : undefined
+        });
+    }
+
+    /**
+     * Schedules (or turns off) the automatic reminder sent N hours after the group closes.
+     * @param {string} userId - Requesting user ID (needs MANAGE_PAYMENTS).
+     * @param {string} groupId
+     * @param {number|null} afterHours - null turns it off.
+     * @returns {Promise<Object>} - { reminderAfterHours, autoRemindedAt }
+     */
+    async setAutoReminder(userId, groupId, afterHours) {
+        if (afterHours !== null && (!Number.isInteger(afterHours) || afterHours < 1 || afterHours > MAX_AFTER_HOURS)) {
+            throw new Error(`Invalid reminder settings: reminderAfterHours must be null or a whole number from 1 to ${MAX_AFTER_HOURS}`);
+        }
+
+        await groupMemberService.assertCan(userId, groupId, 'MANAGE_PAYMENTS');
+
+        return await prisma.group.update({
+            where: { id: groupId },
+            data: { reminderAfterHours: afterHours },
+            select: { reminderAfterHours: true, autoRemindedAt: true }
+        });
+    }
+
+    /**
+     * Reminder settings and history of a group, newest first.
+     * @param {string} userId - Requesting user ID (needs MANAGE_PAYMENTS).
+     * @param {string} groupId
+     * @returns {Promise<Object>} - { reminderAfterHours, autoRemindedAt, reminders }
+     */
+    async getReminders(userId, groupId) {
+        const group = await groupMemberService.assertCan(userId, groupId, 'MANAGE_PAYMENTS');
+
+        const reminders = await prisma.paymentReminder.findMany({
+            where: { groupId },
+            include: { user: { select: { id: true, name: true } } },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        return {
+            reminderAfterHours: group.reminderAfterHours,
+            autoRemindedAt: group.autoRemindedAt,
+            reminders: reminders.map(r => ({
+                id: r.id,
+                orderId: r.groupOrderId,
+                user: r.user,
+                trigger: r.trigger,
+                status: r.status,
+                email: r.email,
+                balanceDue: r.balanceDue,
+                error: r.error,
+                sentById: r.sentById,
+                createdAt: r.createdAt
+            }))
+        };
+    }
+
+    /**
+     * Sends the automatic reminders that are due (called by the group scheduler).
+     * Each closing of a group is reminded about once; reopening the group resets this.
+     * @param {Date} [now]
+     * @returns {Promise<Array>} - [{ groupId, sent, failed, skipped }]
+     */
+    async sendDueAutoReminders(now = new Date()) {
+        const groups = await prisma.group.findMany({
+            where: {
+                status: 'CLOSED',
+                reminderAfterHours: { not: null },
+                autoRemindedAt: null,
+                closedAt: { not: null }
+            },
+            select: { id: true, closedAt: true, reminderAfterHours: true }
+        });
+        const due = groups.filter(g => g.closedAt.getTime() + g.reminderAfterHours * HOUR_MS <= now.getTime());
+
+        const results = [];
+        for (const { id } of due) {
+            // Conditional so a second instance does not remind the same group
+            const { count } = await prisma.group.updateMany({
+                where: { id, status: 'CLOSED', autoRemindedAt: null },
+                data: { autoRemindedAt: now }
+            });
+            if (count === 0) continue;
+
+            const group = await prisma.group.findUnique({ where: { id }, include: REMINDER_GROUP_INCLUDE });
+            const result = await this._deliver(group, { trigger: 'AUTO' });
+            results.push({ groupId: id, ...result });
+        }
+
+        return results;
+    }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,290 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+const groupService = require('./groupService');
+const groupLifecycleService = require('./groupLifecycleService');
+const userService = require('./userService');
+const menuTemplateService = require('./menuTemplateService');
+const { localDate, addDays, listOccurrences, dueOccurrences, buildScheduleData, assertComplete } = require('../utils/recurrence');
+
+/**
+ * Service for recurring group schedules.
+ * The group scheduler job calls `generateDueGroups` on every pass; each occurrence is created
+ * at most once thanks to the unique (scheduleId, occurrenceDate) pair on Group.
+ */
+class ScheduleService {
+
+    /**
+     * Loads a schedule owned by the user.
+     * @param {string} userId
+     * @param {string} scheduleId
+     * @returns {Promise<Object>}
+     */
+    async _getOwned(userId, scheduleId) {
+        const schedule = await prisma.groupSchedule.findUnique({ where: { id: scheduleId } });
+        if (!schedule || schedule.creatorId !== userId) throw new Error('Schedule not found');
+
+        return schedule;
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async getSchedules(userId) {
+        return await prisma.groupSchedule.findMany({
+            where: { creatorId: userId },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} scheduleId
+     * @returns {Promise<Object>}
+     */
+    async getSchedule(userId, scheduleId) {
+        return await this._getOwned(userId, scheduleId);
+    }
+
+    /**
+     * Creates a schedule and immediately generates the occurrences that are already due.
+     * @param {string} userId
+     * @param {Object} input - Schedule fields (see utils/recurrence), plus optional `templateId` for the menu.
+     * @returns {Promise<Object>}
+     */
+    async createSchedule(userId, input = {}) {
+        const data = buildScheduleData(input);
+        if (!data.products && input.templateId) {
+            data.products = buildScheduleData({ products: await menuTemplateService.getTemplateProducts(userId, input.templateId) }, true).products;
+        }
+
+        const schedule = {
+            weekdays: [],
+            monthWeek: null,
+            monthWeekday: null,
+            timezone: 'Asia/Taipei',
+            startsOn: null,
+            endsOn: null,
+            skipDates: [],
+            createAheadHours: 24,
+            invitedUserIds: [],
+            products: [],
+            ...data
+        };
+        assertComplete(schedule);
+        await groupService._assertNotBlocked(userId, schedule.invitedUserIds);
+
+        const created = await prisma.groupSchedule.create({
+            data: { ...schedule, creatorId: userId }
+        });
+
+        await this.generateForSchedule(created);
+
+        return created;
+    }
+
+    /**
+     * Whether anything has happened in a group yet: ordered items, drafts, payments or payment claims.
+     * @param {string} groupId
+     * @returns {Promise<boolean>}
+     */
+    async _hasOrders(groupId) {
+        const [items, drafts, payments, claims] = await Promise.all([
+            prisma.userOrder.count({ where: { order: { groupId } } }),
+            prisma.groupOrder.count({ where: { groupId, draftItems: { not: Prisma.DbNull } } }),
+            prisma.payment.count({ where: { groupOrder: { groupId } } }),
+            prisma.paymentClaim.count({ where: { groupOrder: { groupId } } })
+        ]);
+
+        return items + drafts + payments + claims > 0;
+    }
+
+    /**
+     * Updates a schedule. With `applyToFuture`, groups generated for occurrences that have not
+     * started yet are updated too; otherwise only occurrences generated from now on use the new settings.
+     * A future group whose date is no longer part of the schedule is deleted, unless members already
+     * ordered or paid in it: then it is closed instead and reported in `closedGroupIds`.
+     * Menu items are matched to the schedule's products by their `key`, so renamed items keep their orders.
+     * @param {string} userId
+     * @param {string} scheduleId
+     * @param {Object} input - Any schedule fields, plus `applyToFuture`.
+     * @returns {Promise<Object>} - { schedule, updatedGroupIds, removedGroupIds, closedGroupIds }
+     */
+    async updateSchedule(userId, scheduleId, input = {}) {
+        const existing = await this._getOwned(userId, scheduleId);
+        const data = buildScheduleData(input, true);
+        assertComplete({ ...existing, ...data });
+        if (data.invitedUserIds) await groupService._assertNotBlocked(userId, data.invitedUserIds);
+
+        const schedule = await prisma.groupSchedule.update({
+            where: { id: scheduleId },
+            data
+        });
+
+        const updatedGroupIds = [];
+        const removedGroupIds = [];
+        const closedGroupIds = [];
+
+        if (input.applyToFuture) {
+            const futureGroups = await prisma.group.findMany({
+                where: { scheduleId, startTime: { gt: new Date() } },
+                include: { products: true }
+            });
+
+            for (const group of futureGroups) {
+                const [occurrence] = listOccurrences(schedule, group.occurrenceDate, group.occurrenceDate);
+
+                if (!occurrence || occurrence.skipped) {
+                    if (await this._hasOrders(group.id)) {
+                        await groupLifecycleService.setStatus(group, 'CLOSED', userId);
+                        closedGroupIds.push(group.id);
+                    } else {
+                        await groupService.deleteGroup(userId, group.id);
+                        removedGroupIds.push(group.id);
+                    }
+                    continue;
+                }
+
+                // Keep the IDs of items that still exist so they are updated rather than recreated
+                const products = /** @type {Array} */ (schedule.products).map(p => {
+                    const current = group.products.find(gp => gp.scheduleProductKey && gp.scheduleProductKey === p.key);
+                    return current ? { ...p, id: current.id } : p;
+                });
+
+                await groupService.updateGroup(userId, group.id, {
+                    title: schedule.title,
+                    startTime: occurrence.startTime,
+                    endTime: occurrence.endTime,
+                    products,
+                    invitedUserIds: schedule.invitedUserIds
+                });
+                updatedGroupIds.push(group.id);
+            }
+        }
+
+        await this.generateForSchedule(schedule);
+
+        return { schedule, updatedGroupIds, removedGroupIds, closedGroupIds };
+    }
+
+    /**
+     * Pauses or resumes a schedule. Occurrences missed while paused are not created afterwards.
+     * @param {string} userId
+     * @param {string} scheduleId
+     * @param {boolean} paused
+     * @returns {Promise<Object>}
+     */
+    async setPaused(userId, scheduleId, paused) {
+        await this._getOwned(userId, scheduleId);
+
+        const schedule = await prisma.groupSchedule.update({
+            where: { id: scheduleId },
+            data: { status: paused ? 'PAUSED' : 'ACTIVE' }
+        });
+
+        if (!paused) await this.generateForSchedule(schedule);
+
+        return schedule;
+    }
+
+    /**
+     * Deletes a schedule. Groups it already generated are kept (and unlinked).
+     * @param {string} userId
+     * @param {string} scheduleId
+     */
+    async deleteSchedule(userId, scheduleId) {
+        await this._getOwned(userId, scheduleId);
+        await prisma.groupSchedule.delete({ where: { id: scheduleId } });
+    }
+
+    /**
+     * Upcoming occurrences, including skipped dates and the group generated for each one.
+     * @param {string} userId
+     * @param {string} scheduleId
+     * @param {number} [days] - How far ahead to look (default 30, max 366).
+     * @returns {Promise<Array>} - [{ date, startTime, endTime, skipped, groupId }]
+     */
+    async getOccurrences(userId, scheduleId, days = 30) {
+        const schedule = await this._getOwned(userId, scheduleId);
+        const range = Math.min(Math.max(Number(days) || 30, 1), 366);
+
+        const today = localDate(new Date(), schedule.timezone);
+        const occurrences = listOccurrences(schedule, today, addDays(today, range));
+
+        const groups = await prisma.group.findMany({
+            where: { scheduleId, occurrenceDate: { in: occurrences.map(o => o.date) } },
+            select: { id: true, occurrenceDate: true }
+        });
+
+        return occurrences.map(o => ({
+            ...o,
+            groupId: (groups.find(g => g.occurrenceDate === o.date) || {}).id || null
+        }));
+    }
+
+    /**
+     * Creates the groups of a schedule's due occurrences that do not exist yet.
+     * @param {Object} schedule - GroupSchedule row.
+     * @param {Date} [now]
+     * @returns {Promise<Array>} - Created groups.
+     */
+    async generateForSchedule(schedule, now = new Date()) {
+        if (schedule.status !== 'ACTIVE') return [];
+
+        const due = dueOccurrences(schedule, now);
+        if (due.length === 0) return [];
+
+        const existing = await prisma.group.findMany({
+            where: { scheduleId: schedule.id, occurrenceDate: { in: due.map(o => o.date) } },
+            select: { occurrenceDate: true }
+        });
+        const missing = due.filter(o => !existing.some(g => g.occurrenceDate === o.date));
+        if (missing.length === 0) return [];
+
+        // Users blocked since the schedule was set up are left out instead of failing every pass
+        const blockedIds = await userService.getBlockedUserIds(schedule.creatorId);
+        const invitedUserIds = schedule.invitedUserIds.filter(id => id !== schedule.creatorId && !blockedIds.includes(id));
+
+        const created = [];
+        for (const occurrence of missing) {
+            try {
+                created.push(await groupService.createGroup(schedule.creatorId, {
+                    title: schedule.title,
+                    startTime: occurrence.startTime,
+                    endTime: occurrence.endTime,
+                    products: schedule.products,
+                    invitedUserIds
+                }, { scheduleId: schedule.id, occurrenceDate: occurrence.date }));
+            } catch (error) {
+                // Another instance created this occurrence first
+                if (error.code === 'P2002') continue;
+                throw error;
+            }
+        }
+
+        return created;
+    }
+
+    /**
+     * Generates due occurrences of every active schedule (called by the group scheduler).
+     * A failing schedule is logged and does not stop the others.
+     * @param {Date} [now]
+     * @returns {Promise<Array>} - Created groups.
+     */
+    async generateDueGroups(now = new Date()) {
+        const schedules = await prisma.groupSchedule.findMany({ where: { status: 'ACTIVE' } });
+
+        const created = [];
+        for (const schedule of schedules) {
+            try {
+                created.push(...await this.generateForSchedule(schedule, now));
+            } catch (error) {
+                console.error(`Schedule ${schedule.id} generation error:`, error);
+            }
+        }
+
+        return created;
+    }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { hasPermission } = require('../utils/systemRoles');
+const { READ_STATEMENTS, WRITE_STATEMENTS, WRAPPABLE_STATEMENTS, parseStatement, describeColumns, serializeRows } = require('../utils/sqlConsole');
+
+// Statement timeout for console queries (Default: 5000 ms)
+const TIMEOUT_MS = Number(process.env.SQL_CONSOLE_TIMEOUT_MS) || 5000;
+// Most rows returned by one query (Default: 500)
+const MAX_ROWS = Number(process.env.SQL_CONSOLE_MAX_ROWS) || 500;
+// How long a write confirmation token stays valid
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+const CONFIRMATION_SECRET = process.env.JWT_SECRET || 'your_super_secret_key';
+
+// Console statements never run on the app's connection pool, but as the sql_console_reader and
+// sql_console_writer database roles (see the add_sql_console_roles migration). Unset = disabled.
+const READ_DATABASE_URL = process.env.SQL_CONSOLE_DATABASE_URL;
+const WRITE_DATABASE_URL = process.env.SQL_CONSOLE_WRITE_DATABASE_URL;
+// The only schema those roles can use: views without credential columns
+const CONSOLE_SCHEMA = 'sql_console';
+
+const MAX_PAGE_SIZE = 100;
+
+const signConfirmation = (userId, statement, expiresAt, nonce) => crypto
+    .createHmac('sha256', CONFIRMATION_SECRET)
+    .update(`${userId}\n${expiresAt}\n${nonce}\n${statement}`)
+    .digest('base64url');
+
+/**
+ * A single connection, so the DISCARD ALL after each statement resets the same session the statement
+ * ran in, and no prepared statement cache (DISCARD ALL deallocates them).
+ * @param {string} url
+ * @returns {string}
+ */
+const consoleDatasourceUrl = (url) => {
+    const parsed = new URL(url);
+    parsed.searchParams.set('schema', CONSOLE_SCHEMA);
+    parsed.searchParams.set('connection_limit', '1');
+    parsed.searchParams.set('statement_cache_size', '0');
+    return parsed.toString();
+};
+
+/**
+ * Service for the admin SQL console.
+ *
+ * Read mode (QUERY_SQL) runs one allow-listed statement in a READ ONLY transaction with a
+ * statement timeout and a row cap. Write mode (WRITE_SQL) also allows INSERT, UPDATE and
+ * DELETE, but only after a second request carrying the confirmation token returned by the
+ * first, which is bound to the user and the exact statement and works once. DDL is never allowed.
+ * Statements run one at a time on the console's own connection as a role that only sees the
+ * sql_console views, and the session is reset afterwards, so nothing a statement changes
+ * (set_config, advisory locks ...) outlives it.
+ * Every statement that runs or is rejected is written to the append-only SqlConsoleLog.
+ */
+class SqlConsoleService {
+    constructor() {
+        this.clients = {}; // read | write -> PrismaClient
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * The console's client for a mode, connected as that mode's database role.
+     * @param {string} mode - read | write
+     * @returns {Object} - PrismaClient
+     */
+    _client(mode) {
+        const url = mode === 'write' ? WRITE_DATABASE_URL : READ_DATABASE_URL;
+        if (!url) {
+            throw new Error(mode === 'write'
+                ? 'SQL console is not configured: set SQL_CONSOLE_WRITE_DATABASE_URL to enable write mode'
+                : 'SQL console is not configured: set SQL_CONSOLE_DATABASE_URL');
+        }
+
+        if (!this.clients[mode]) {
+            this.clients[mode] = new PrismaClient({ datasources: { db: { url: consoleDatasourceUrl(url) } } });
+        }
+        return this.clients[mode];
+    }
+
+    /**
+     * Runs `fn` once no other console statement is running, then resets the database session
+     * with DISCARD ALL. If the reset fails, the connection is dropped instead.
+     * @param {Object} client - Console PrismaClient.
+     * @param {Function} fn
+     * @returns {Promise<*>} - What `fn` returns.
+     */
+    _exclusive(client, fn) {
+        const run = this.queue.then(async () => {
+            try {
+                return await fn();
+            } finally {
+                await client.$executeRawUnsafe('DISCARD ALL').catch(() => client.$disconnect());
+            }
+        });
+        this.queue = run.catch(() => {});
+
+        return run;
+    }
+
+    /**
+     * Appends to the console log.
+     * @param {Object} client - Prisma client or transaction.
+     * @param {Object} user - { userId, username }
+     * @param {Object} entry - { mode, statement, status, rowCount, durationMs, error, ipAddress }
+     */
+    async _log(client, user, entry) {
+        await client.sqlConsoleLog.create({
+            data: { userId: user.userId, username: user.username, ...entry }
+        });
+    }
+
+    /**
+     * Logs a refused statement and throws.
+     * @param {Object} user
+     * @param {Object} entry - { mode, statement, ipAddress }
+     * @param {string} message - Error to throw.
+     */
+    async _reject(user, entry, message) {
+        await this._log(prisma, user, { ...entry, status: 'REJECTED', error: message });
+        throw new Error(message);
+    }
+
+    /**
+     * Issues a confirmation token for a write. The token carries a nonce that is stored, so it can
+     * be used only once.
+     * @param {string} userId
+     * @param {string} statement
+     * @returns {Promise<Object>} - { confirmationToken, expiresAt }
+     */
+    async _createConfirmation(userId, statement) {
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+
+        await prisma.sqlConsoleConfirmation.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+        await prisma.sqlConsoleConfirmation.create({ data: { id: nonce, userId, expiresAt: new Date(expiresAt) } });
+
+        return {
+            confirmationToken: `${expiresAt}.${nonce}.${signConfirmation(userId, statement, expiresAt, nonce)}`,
+            expiresAt: new Date(expiresAt)
+        };
+    }
+
+    /**
+     * Checks a confirmation token and uses it up.
+     * @param {string} userId
+     * @param {string} statement
+     * @param {string} token
+     * @returns {Promise<string|null>} - Why the token is not valid, or null.
+     */
+    async _useConfirmation(userId, statement, token) {
+        const [expiresAt, nonce, signature] = String(token).split('.');
+        const expected = Buffer.from(signConfirmation(userId, statement, expiresAt, nonce));
+        const given = Buffer.from(signature || '');
+
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return 'Invalid confirmation token: it does not match this statement';
+        }
+        if (Number(expiresAt) < Date.now()) return 'Invalid confirmation token: expired, run the statement again to get a new one';
+
+        // Conditional update, so two requests with the same token cannot both run the statement
+        const { count } = await prisma.sqlConsoleConfirmation.updateMany({
+            where: { id: nonce, userId, usedAt: null },
+            data: { usedAt: new Date() }
+        });
+        if (count === 0) return 'Invalid confirmation token: already used, run the statement again to get a new one';
+
+        return null;
+    }
+
+    /**
+     * Runs a console statement.
+     * @param {Object} user - req.user: { userId, username, role }
+     * @param {Object} request - { query, mode (read|write, default read), confirmationToken }
+     * @param {Object} meta - { ipAddress }
+     * @returns {Promise<Object>} - { mode, columns, rows, rowCount, truncated, durationMs } for reads,
+     *   { mode, affectedRows, durationMs } for writes, or { confirmationRequired, confirmationToken, expiresAt }
+     *   when a write still has to be confirmed.
+     */
+    async run(user, { query, mode = 'read', confirmationToken } = {}, meta = {}) {
+        if (!['read', 'write'].includes(mode)) throw new Error('Invalid request: mode must be read or write');
+
+        const logEntry = { mode: mode.toUpperCase(), statement: String(query || ''), ipAddress: meta.ipAddress || null };
+
+        if (mode === 'write' && !hasPermission(user.role, 'WRITE_SQL')) {
+            await this._reject(user, logEntry, 'Not authorized');
+        }
+
+        let parsed;
+        try {
+            parsed = parseStatement(query);
+        } catch (error) {
+            return await this._reject(user, logEntry, error.message);
+        }
+        const { statement, keyword, masked } = parsed;
+        const isWrite = WRITE_STATEMENTS.includes(keyword);
+
+        if (!READ_STATEMENTS.includes(keyword) && !(mode === 'write' && isWrite)) {
+            const allowed = mode === 'write' ? [...READ_STATEMENTS, ...WRITE_STATEMENTS] : READ_STATEMENTS;
+            await this._reject(user, logEntry, `Invalid statement: ${keyword} is not allowed in ${mode} mode (allowed: ${allowed.join(', ')})`);
+        }
+        if (isWrite && keyword !== 'INSERT' && !/\bWHERE\b/.test(masked)) {
+            await this._reject(user, logEntry, `Invalid statement: ${keyword} without WHERE is not allowed`);
+        }
+
+        const client = this._client(isWrite ? 'write' : 'read');
+
+        if (isWrite) {
+            if (!confirmationToken) {
+                return { confirmationRequired: true, statement, ...(await this._createConfirmation(user.userId, statement)) };
+            }
+            const problem = await this._useConfirmation(user.userId, statement, confirmationToken);
+            if (problem) await this._reject(user, logEntry, problem);
+        }
+
+        const startedAt = Date.now();
+        let result;
+        try {
+            result = await this._exclusive(client, () => client.$transaction(async (tx) => {
+                if (!isWrite) await tx.$executeRawUnsafe('SET TRANSACTION READ ONLY');
+                await tx.$executeRawUnsafe(`SET LOCAL statement_timeout = ${TIMEOUT_MS}`);
+
+                if (isWrite) {
+                    const affectedRows = await tx.$executeRawUnsafe(statement);
+                    const durationMs = Date.now() - startedAt;
+                    // Logged before the console transaction commits: a write that cannot be logged is rolled back
+                    await this._log(prisma, user, { ...logEntry, status: 'SUCCESS', rowCount: affectedRows, durationMs });
+
+                    return { mode, affectedRows, durationMs };
+                }
+
+                // Row-returning statements are capped in the database; EXPLAIN and SHOW output is small
+                const found = /** @type {Array<Object>} */ (WRAPPABLE_STATEMENTS.includes(keyword)
+                    ? await tx.$queryRawUnsafe(`SELECT * FROM (\n${statement}\n) AS console_result LIMIT ${MAX_ROWS + 1}`)
+                    : await tx.$queryRawUnsafe(statement));
+                const rows = found.slice(0, MAX_ROWS);
+
+                return {
+                    mode,
+                    columns: describeColumns(rows),
+                    rows: serializeRows(rows),
+                    rowCount: rows.length,
+                    truncated: found.length > MAX_ROWS,
+                    durationMs: Date.now() - startedAt
+                };
+            }, { timeout: TIMEOUT_MS + 2000 }));
+        } catch (error) {
+            await this._log(prisma, user, { ...logEntry, status: 'ERROR', error: error.message, durationMs: Date.now() - startedAt });
+            throw new Error(`Query failed: ${error.message}`);
+        }
+
+        // The console's roles cannot write the log, so reads are logged once they finish
+        if (!isWrite) await this._log(prisma, user, { ...logEntry, status: 'SUCCESS', rowCount: result.rowCount, durationMs: result.durationMs });
+
+        return result;
+    }
+
+    /**
+     * The console log, newest first.
+     * @param {Object} options - { userId, status, limit (default 50, max 100), before (entry ID cursor) }
+     * @returns {Promise<Object>} - { entries, nextCursor }
+     */
+    async getLog({ userId, status, limit, before } = {}) {
+        const take = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+
+        const entries = await prisma.sqlConsoleLog.findMany({
+            where: {
+                ...(userId ? { userId: String(userId) } : {}),
+                ...(status ? { status: String(status) } : {})
+            },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: take + 1,
+            ...(before ? { cursor: { id: String(before) }, skip: 1 } : {})
+        });
+
+        const page = entries.slice(0, take);
+
+        return {
+            entries: page,
+            nextCursor: entries.length > take ? page[page.length - 1].id : null
+        };
+    }
+}
+
+module.exports = new SqlConsoleService();
@@ -1,5 +1,14 @@
+const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const mailService = require('./mailService');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const APP_URL = process.env.APP_URL || 'http://localhost:2758';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 /**
  * Service for User management.
@@ -15,6 +24,9 @@ class UserService {
     async searchUsers(userId, query) {
         if (!query) throw new Error('Query parameter "q" is required');
 
+        // Users who blocked me, or whom I blocked, never show up
+        const blockedIds = await this.getBlockedUserIds(userId);
+
         const users = await prisma.user.findMany({
             where: {
                 OR: [
@@ -22,8 +34,9 @@ class UserService {
                     { name: { contains: query, mode: 'insensitive' } }
                 ],
                 NOT: {
-                    id: userId
-                }
+                    id: { in: [userId, ...blockedIds] }
+                },
+                deletedAt: null
             },
             select: {
                 id: true,
@@ -34,16 +47,11 @@ class UserService {
         });
 
         // Exact ID match check
-        const idUser = await prisma.user.findUnique({
-            where: { id: query },
+        const idUser = await prisma.user.findFirst({
+            where: { id: query, deletedAt: null },
             select: { id: true, username: true, name: true }
         });
-        if (idUser && idUser.id !== userId) {
-            if (!users.find(u => u.id === idUser.id)) {
-                users.unshift(idUser);
-            }
-        }
-        if (idUser && idUser.id !== userId) {
+        if (idUser && idUser.id !== userId && !blockedIds.includes(idUser.id)) {
             if (!users.find(u => u.id === idUser.id)) {
                 users.unshift(idUser);
             }
@@ -53,41 +61,271 @@ class UserService {
     }
 
     /**
-     * Adds a friend (bidirectional).
-     * @param {string} userId 
-     * @param {string} friendId 
-     * @returns {Promise<void>}
+     * Returns IDs of users blocked by, or blocking, the given user.
+     * @param {string} userId
+     * @returns {Promise<Array<string>>}
      */
-    async addFriend(userId, friendId) {
-        if (!friendId) throw new Error('friendId is required');
-        if (userId === friendId) throw new Error('Cannot add self as friend');
+    async getBlockedUserIds(userId) {
+        const blocks = await prisma.userBlock.findMany({
+            where: {
+                OR: [{ blockerId: userId }, { blockedId: userId }]
+            }
+        });
+
+        return blocks.map(b => (b.blockerId === userId ? b.blockedId : b.blockerId));
+    }
 
-        // Check compatibility with existing friendship
-        const existingFriendship = await prisma.user.findFirst({
+    /**
+     * Checks whether two users are friends.
+     * @param {string} userId
+     * @param {string} otherId
+     * @returns {Promise<boolean>}
+     */
+    async areFriends(userId, otherId) {
+        const friendship = await prisma.user.findFirst({
             where: {
                 id: userId,
                 friends: {
-                    some: { id: friendId }
+                    some: { id: otherId }
                 }
-            }
+            },
+            select: { id: true }
         });
 
-        if (existingFriendship) throw new Error('Already friends');
+        return !!friendship;
+    }
 
-        // Bidirectional update
-        await prisma.user.update({
-            where: { id: userId },
-            data: {
-                friends: { connect: { id: friendId } }
-            }
+    /**
+     * Sends a friend request.
+     * If the other user already sent a pending request to us, it is accepted instead.
+     * @param {string} userId - Sender.
+     * @param {string} targetId - Receiver.
+     * @returns {Promise<Object>} - The request (status PENDING or ACCEPTED).
+     */
+    async sendFriendRequest(userId, targetId) {
+        if (!targetId) throw new Error('friendId is required');
+        if (userId === targetId) throw new Error('Cannot add self as friend');
+
+        const target = await prisma.user.findFirst({ where: { id: targetId, deletedAt: null }, select: { id: true } });
+        if (!target) throw new Error('User not found');
+
+        const blockedIds = await this.getBlockedUserIds(userId);
+        if (blockedIds.includes(targetId)) throw new Error('Cannot send friend request to this user');
+
+        if (await this.areFriends(userId, targetId)) throw new Error('Already friends');
+
+        const pendingWhere = {
+            status: 'PENDING',
+            OR: [
+                { senderId: userId, receiverId: targetId },
+                { senderId: targetId, receiverId: userId }
+            ]
+        };
+        const pending = await prisma.friendRequest.findFirst({ where: pendingWhere });
+
+        if (pending && pending.senderId === userId) throw new Error('Friend request already sent');
+        if (pending) return await this.acceptFriendRequest(userId, pending.id);
+
+        try {
+            return await prisma.friendRequest.create({
+                data: { senderId: userId, receiverId: targetId }
+            });
+        } catch (error) {
+            // A request between the two was created at the same moment (one PENDING per pair, see the migration):
+            // a second click of ours, or theirs crossing ours, which is then accepted
+            if (error.code !== 'P2002') throw error;
+            const crossing = await prisma.friendRequest.findFirst({ where: pendingWhere });
+            if (!crossing || crossing.senderId === userId) throw new Error('Friend request already sent');
+            return await this.acceptFriendRequest(userId, crossing.id);
+        }
+    }
+
+    /**
+     * Lists pending incoming and outgoing friend requests.
+     * @param {string} userId
+     * @returns {Promise<Object>} - { incoming, outgoing }
+     */
+    async getFriendRequests(userId) {
+        const userSelect = { select: { id: true, username: true, name: true } };
+
+        const [incoming, outgoing] = await Promise.all([
+            prisma.friendRequest.findMany({
+                where: { receiverId: userId, status: 'PENDING' },
+                include: { sender: userSelect },
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.friendRequest.findMany({
+                where: { senderId: userId, status: 'PENDING' },
+                include: { receiver: userSelect },
+                orderBy: { createdAt: 'desc' }
+            })
+        ]);
+
+        return {
+            incoming: incoming.map(r => ({ id: r.id, user: r.sender, createdAt: r.createdAt })),
+            outgoing: outgoing.map(r => ({ id: r.id, user: r.receiver, createdAt: r.createdAt }))
+        };
+    }
+
+    /**
+     * Loads a pending friend request and checks who may act on it.
+     * @param {string} requestId
+     * @param {string} userId
+     * @param {'senderId'|'receiverId'} side - Which side the user must be on.
+     * @returns {Promise<Object>}
+     */
+    async _getPendingRequest(requestId, userId, side) {
+        const request = await prisma.friendRequest.findUnique({ where: { id: requestId } });
+        if (!request || request[side] !== userId) throw new Error('Friend request not found');
+        if (request.status !== 'PENDING') throw new Error('Friend request is no longer pending');
+        return request;
+    }
+
+    /**
+     * Accepts an incoming friend request and connects both users.
+     * @param {string} userId - Receiver.
+     * @param {string} requestId
+     * @returns {Promise<Object>} - The updated request.
+     */
+    async acceptFriendRequest(userId, requestId) {
+        const request = await this._getPendingRequest(requestId, userId, 'receiverId');
+
+        const [updated] = await prisma.$transaction([
+            prisma.friendRequest.update({
+                where: { id: request.id },
+                data: { status: 'ACCEPTED', respondedAt: new Date() }
+            }),
+            // Bidirectional update
+            prisma.user.update({
+                where: { id: request.receiverId },
+                data: { friends: { connect: { id: request.senderId } } }
+            }),
+            prisma.user.update({
+                where: { id: request.senderId },
+                data: { friends: { connect: { id: request.receiverId } } }
+            })
+        ]);
+
+        return updated;
+    }
+
+    /**
+     * Declines an incoming friend request.
+     * @param {string} userId - Receiver.
+     * @param {string} requestId
+     * @returns {Promise<Object>}
+     */
+    async declineFriendRequest(userId, requestId) {
+        const request = await this._getPendingRequest(requestId, userId, 'receiverId');
+
+        return await prisma.friendRequest.update({
+            where: { id: request.id },
+            data: { status: 'DECLINED', respondedAt: new Date() }
         });
+    }
 
-        await prisma.user.update({
-            where: { id: friendId },
-            data: {
-                friends: { connect: { id: userId } }
-            }
+    /**
+     * Cancels an outgoing friend request.
+     * @param {string} userId - Sender.
+     * @param {string} requestId
+     * @returns {Promise<Object>}
+     */
+    async cancelFriendRequest(userId, requestId) {
+        const request = await this._getPendingRequest(requestId, userId, 'senderId');
+
+        return await prisma.friendRequest.update({
+            where: { id: request.id },
+            data: { status: 'CANCELLED', respondedAt: new Date() }
+        });
+    }
+
+    /**
+     * Removes a friend (bidirectional).
+     * @param {string} userId
+     * @param {string} friendId
+     * @returns {Promise<void>}
+     */
+    async removeFriend(userId, friendId) {
+        if (!(await this.areFriends(userId, friendId))) throw new Error('Not friends');
+
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: userId },
+                data: { friends: { disconnect: { id: friendId } } }
+            }),
+            prisma.user.update({
+                where: { id: friendId },
+                data: { friends: { disconnect: { id: userId } } }
+            })
+        ]);
+    }
+
+    /**
+     * Blocks a user: removes the friendship and closes pending requests in both directions.
+     * @param {string} userId
+     * @param {string} targetId
+     * @returns {Promise<void>}
+     */
+    async blockUser(userId, targetId) {
+        if (!targetId) throw new Error('userId is required');
+        if (userId === targetId) throw new Error('Cannot block self');
+
+        const target = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true } });
+        if (!target) throw new Error('User not found');
+
+        await prisma.$transaction([
+            prisma.userBlock.upsert({
+                where: { blockerId_blockedId: { blockerId: userId, blockedId: targetId } },
+                create: { blockerId: userId, blockedId: targetId },
+                update: {}
+            }),
+            prisma.user.update({
+                where: { id: userId },
+                data: { friends: { disconnect: { id: targetId } } }
+            }),
+            prisma.user.update({
+                where: { id: targetId },
+                data: { friends: { disconnect: { id: userId } } }
+            }),
+            prisma.friendRequest.updateMany({
+                where: {
+                    status: 'PENDING',
+                    OR: [
+                        { senderId: userId, receiverId: targetId },
+                        { senderId: targetId, receiverId: userId }
+                    ]
+                },
+                data: { status: 'CANCELLED', respondedAt: new Date() }
+            })
+        ]);
+    }
+
+    /**
+     * Removes a block.
+     * @param {string} userId
+     * @param {string} targetId
+     * @returns {Promise<void>}
+     */
+    async unblockUser(userId, targetId) {
+        const { count } = await prisma.userBlock.deleteMany({
+            where: { blockerId: userId, blockedId: targetId }
+        });
+        if (count === 0) throw new Error('User is not blocked');
+    }
+
+    /**
+     * Lists users blocked by the given user.
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async getBlockedUsers(userId) {
+        const blocks = await prisma.userBlock.findMany({
+            where: { blockerId: userId },
+            include: { blocked: { select: { id: true, username: true, name: true } } },
+            orderBy: { createdAt: 'desc' }
         });
+
+        return blocks.map(b => ({ ...b.blocked, blockedAt: b.createdAt }));
     }
 
     /**
@@ -111,6 +349,137 @@ class UserService {
 
         return user ? user.friends : [];
     }
+
+    /**
+     * Rejects passwords shorter than MIN_PASSWORD_LENGTH.
+     * @param {string} password
+     */
+    assertValidPassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Invalid password: must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Trims and lower-cases an email address; empty values mean "no email".
+     * @param {string|null|undefined} email
+     * @returns {string|null}
+     */
+    normalizeEmail(email) {
+        if (email === undefined || email === null || String(email).trim() === '') return null;
+
+        const normalized = String(email).trim().toLowerCase();
+        if (normalized.length > 254 || !EMAIL_PATTERN.test(normalized)) throw new Error('Invalid email');
+
+        return normalized;
+    }
+
+    /**
+     * Sets or clears the email address payment reminders are sent to.
+     * Clearing takes effect right away. A new address only becomes `email` once its owner opens the
+     * link sent to it (see `verifyEmail`); until then it is returned as `pendingEmail`.
+     * @param {string} userId
+     * @param {string|null} email
+     * @returns {Promise<Object>} - { id, username, name, email, pendingEmail }
+     */
+    async updateEmail(userId, email) {
+        const normalized = this.normalizeEmail(email);
+        const select = { id: true, username: true, name: true, email: true };
+
+        // A newer request replaces any earlier link
+        await prisma.emailVerification.deleteMany({ where: { userId, usedAt: null } });
+
+        if (!normalized) {
+            const user = await prisma.user.update({ where: { id: userId }, data: { email: null }, select });
+            return { ...user, pendingEmail: null };
+        }
+
+        const user = await prisma.user.findUnique({ where: { id: userId }, select });
+        if (!user) throw new Error('User not found');
+        if (user.email === normalized) return { ...user, pendingEmail: null };
+
+        const owner = await prisma.user.findUnique({ where: { email: normalized }, select: { id: true } });
+        if (owner) throw new Error('Email already in use');
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const verification = await prisma.emailVerification.create({
+            data: {
+                userId,
+                email: normalized,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+            }
+        });
+
+        try {
+            await mailService.send({
+                to: normalized,
+                subject: '[IpaidUpay] Confirm your email address',
+                text: [
+                    `Hi ${user.name},`,
+                    '',
+                    'Open this link to use this address for IpaidUpay payment reminders:',
+                    `${APP_URL}/verify-email/${token}`,
+                    '',
+                    `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not ask for this, ignore this email.`
+                ].join('\n')
+            });
+        } catch (error) {
+            await prisma.emailVerification.delete({ where: { id: verification.id } });
+            console.error('Verification email error:', error);
+            throw new Error('Could not send the verification email');
+        }
+
+        return { ...user, pendingEmail: normalized };
+    }
+
+    /**
+     * The address waiting for verification, if any.
+     * @param {string} userId
+     * @returns {Promise<string|null>}
+     */
+    async getPendingEmail(userId) {
+        const verification = await prisma.emailVerification.findFirst({
+            where: { userId, usedAt: null, expiresAt: { gt: new Date() } },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        return verification ? verification.email : null;
+    }
+
+    /**
+     * Makes the address from a verification link the user's email. Each link works once.
+     * @param {string} token - From the link.
+     * @returns {Promise<Object>} - { id, username, name, email }
+     */
+    async verifyEmail(token) {
+        const verification = typeof token === 'string' && token
+            ? await prisma.emailVerification.findUnique({ where: { tokenHash: hashToken(token) } })
+            : null;
+        if (!verification || verification.usedAt || verification.expiresAt <= new Date()) {
+            throw new Error('Invalid or expired verification link');
+        }
+
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const { count } = await tx.emailVerification.updateMany({
+                    where: { id: verification.id, usedAt: null },
+                    data: { usedAt: new Date() }
+                });
+                if (count === 0) throw new Error('Invalid or expired verification link');
+
+                return await tx.user.update({
+                    where: { id: verification.userId },
+                    data: { email: verification.email },
+                    select: { id: true, username: true, name: true, email: true }
+                });
+            });
+        } catch (error) {
+            // Someone else verified the same address first
+            if (error.code === 'P2002') throw new Error('Email already in use');
+            throw error;
+        }
+    }
 }
 
 module.exports = new UserService();
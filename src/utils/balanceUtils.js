@@ -0,0 +1,95 @@
+/**
+ * Cross-group balances ("who owes whom").
+ * Every participant's outstanding balance in a group is a debt to the group creator (who paid
+ * the shop); an overpaid order is a debt of the creator back to the participant (change owed).
+ */
+
+/**
+ * Turns group ledgers into debts between users.
+ * @param {Array} ledgers - [{ group, costs }] where costs is paymentUtils.buildGroupLedger(group).
+ * @returns {Array} - [{ debtorId, creditorId, amount (> 0), orderId, groupId, title, balanceDue }]
+ */
+const collectDebts = (ledgers) => ledgers.flatMap(({ group, costs }) => group.orders
+    .filter(o => o.userId !== group.creatorId && costs.byOrderId[o.id].balanceDue !== 0)
+    .map(o => {
+        const balanceDue = costs.byOrderId[o.id].balanceDue;
+        const owesCreator = balanceDue > 0;
+
+        return {
+            debtorId: owesCreator ? o.userId : group.creatorId,
+            creditorId: owesCreator ? group.creatorId : o.userId,
+            amount: Math.abs(balanceDue),
+            orderId: o.id,
+            groupId: group.id,
+            title: group.title,
+            balanceDue
+        };
+    }));
+
+/**
+ * Nets opposing debts between each pair of users.
+ * @param {Array} debts - Result of collectDebts.
+ * @param {string} userId - Perspective: every pair involving this user is returned from their side.
+ * @returns {Array} - [{ userId (counterparty), owedToMe, iOwe, net (positive: they owe me), debts }]
+ */
+const netBalancesFor = (debts, userId) => {
+    const byCounterparty = {};
+
+    debts.forEach(debt => {
+        if (debt.debtorId !== userId && debt.creditorId !== userId) return;
+        const otherId = debt.debtorId === userId ? debt.creditorId : debt.debtorId;
+
+        if (!byCounterparty[otherId]) {
+            byCounterparty[otherId] = { userId: otherId, owedToMe: 0, iOwe: 0, net: 0, debts: [] };
+        }
+        const entry = byCounterparty[otherId];
+        if (debt.creditorId === userId) entry.owedToMe += debt.amount;
+        else entry.iOwe += debt.amount;
+        entry.net = entry.owedToMe - entry.iOwe;
+        entry.debts.push(debt);
+    });
+
+    return Object.values(byCounterparty);
+};
+
+/**
+ * Minimal settlement plan: nets every user's position, then repeatedly matches the largest
+ * debtor with the largest creditor. Needs at most (number of users - 1) transfers.
+ * @param {Array} debts - Result of collectDebts.
+ * @returns {Array} - [{ fromUserId, toUserId, amount }]
+ */
+const buildSettlementPlan = (debts) => {
+    const positions = {};
+    debts.forEach(debt => {
+        positions[debt.debtorId] = (positions[debt.debtorId] || 0) - debt.amount;
+        positions[debt.creditorId] = (positions[debt.creditorId] || 0) + debt.amount;
+    });
+
+    const byAmount = (a, b) => b.amount - a.amount || (a.userId < b.userId ? -1 : 1);
+    const debtors = Object.entries(positions).filter(([, p]) => p < 0).map(([userId, p]) => ({ userId, amount: -p })).sort(byAmount);
+    const creditors = Object.entries(positions).filter(([, p]) => p > 0).map(([userId, p]) => ({ userId, amount: p })).sort(byAmount);
+
+    const plan = [];
+    while (debtors.length > 0 && creditors.length > 0) {
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const amount = Math.min(debtor.amount, creditor.amount);
+
+        plan.push({ fromUserId: debtor.userId, toUserId: creditor.userId, amount });
+        debtor.amount -= amount;
+        creditor.amount -= amount;
+
+        if (debtor.amount === 0) debtors.shift();
+        if (creditor.amount === 0) creditors.shift();
+        debtors.sort(byAmount);
+        creditors.sort(byAmount);
+    }
+
+    return plan;
+};
+
+module.exports = {
+    collectDebts,
+    netBalancesFor,
+    buildSettlementPlan
+};
@@ -0,0 +1,238 @@
+const { calculateOrderTotal } = require('./orderUtils');
+
+/**
+ * Shared costs of a group (GroupAdjustment rows) and how they are split.
+ *
+ * kind:
+ *  - FEE:            fixed `amount` (e.g. delivery fee)
+ *  - SERVICE_CHARGE: `percent` of the group subtotal
+ *  - DISCOUNT:       fixed `amount` or `percent` off, optionally only when the group subtotal
+ *                    reaches `minSubtotal` ("NT$50 off above 500"), or "buy X get Y free" on
+ *                    one menu item (`menuId`, `buyQuantity`, `freeQuantity`): for every
+ *                    buyQuantity + freeQuantity units ordered, freeQuantity units are free.
+ *
+ * splitRule:
+ *  - EQUAL:        equally among participants who ordered something
+ *  - PROPORTIONAL: in proportion to each participant's subtotal
+ *  - ASSIGNED:     equally among `assignedUserIds`
+ *
+ * All amounts are whole NT$; remainders are distributed so shares always add up exactly.
+ * Discounts are capped by the group total left after the adjustments before them, and no
+ * order's amount due goes below zero.
+ */
+
+const KINDS = ['FEE', 'SERVICE_CHARGE', 'DISCOUNT'];
+const SPLIT_RULES = ['EQUAL', 'PROPORTIONAL', 'ASSIGNED'];
+
+const optionalInt = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid adjustment: ${field} must be a non-negative integer`);
+    return n;
+};
+
+/**
+ * Validates one adjustment sent by the client and returns the data to store.
+ * @param {Object} input
+ * @param {number} index - Position in the list (used as sortOrder).
+ * @returns {Object}
+ */
+const buildAdjustmentData = (input, index) => {
+    if (!input || !input.label) throw new Error('Invalid adjustment: label is required');
+    if (!KINDS.includes(input.kind)) throw new Error(`Invalid adjustment: kind must be one of ${KINDS.join(', ')}`);
+
+    const splitRule = input.splitRule || 'EQUAL';
+    if (!SPLIT_RULES.includes(splitRule)) throw new Error(`Invalid adjustment: splitRule must be one of ${SPLIT_RULES.join(', ')}`);
+
+    const data = {
+        label: String(input.label),
+        kind: input.kind,
+        amount: optionalInt(input.amount, 'amount'),
+        percent: null,
+        minSubtotal: optionalInt(input.minSubtotal, 'minSubtotal'),
+        menuId: input.menuId || null,
+        buyQuantity: optionalInt(input.buyQuantity, 'buyQuantity'),
+        freeQuantity: optionalInt(input.freeQuantity, 'freeQuantity'),
+        splitRule,
+        assignedUserIds: Array.isArray(input.assignedUserIds) ? input.assignedUserIds.map(String) : [],
+        sortOrder: index
+    };
+
+    if (input.percent !== undefined && input.percent !== null && input.percent !== '') {
+        data.percent = Number(input.percent);
+        if (!Number.isFinite(data.percent) || data.percent < 0 || data.percent > 100) {
+            throw new Error('Invalid adjustment: percent must be between 0 and 100');
+        }
+    }
+
+    const isBuyXGetY = data.menuId || data.buyQuantity != null || data.freeQuantity != null;
+
+    if (data.kind === 'FEE' && data.amount == null) throw new Error('Invalid adjustment: a fee needs an amount');
+    if (data.kind === 'SERVICE_CHARGE' && data.percent == null) throw new Error('Invalid adjustment: a service charge needs a percent');
+    if (data.kind === 'DISCOUNT') {
+        if (isBuyXGetY) {
+            if (!data.menuId || !data.buyQuantity || !data.freeQuantity) {
+                throw new Error('Invalid adjustment: "buy X get Y" needs menuId, buyQuantity and freeQuantity');
+            }
+        } else if (data.amount == null && data.percent == null) {
+            throw new Error('Invalid adjustment: a discount needs an amount or a percent');
+        }
+    }
+    if (data.splitRule === 'ASSIGNED' && data.assignedUserIds.length === 0) {
+        throw new Error('Invalid adjustment: ASSIGNED split needs assignedUserIds');
+    }
+
+    return data;
+};
+
+/**
+ * Splits an integer total into integer shares proportional to weights (largest remainder).
+ * @param {number} total
+ * @param {Array<number>} weights
+ * @returns {Array<number>}
+ */
+const splitInteger = (total, weights) => {
+    const weightSum = weights.reduce((a, b) => a + b, 0);
+    if (weightSum <= 0) return weights.map(() => 0);
+
+    const exact = weights.map(w => (total * w) / weightSum);
+    const shares = exact.map(Math.floor);
+    let rest = total - shares.reduce((a, b) => a + b, 0);
+
+    exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .forEach(({ index }) => {
+            if (rest > 0) {
+                shares[index] += 1;
+                rest -= 1;
+            }
+        });
+
+    return shares;
+};
+
+/**
+ * Like splitInteger, but no share exceeds its cap: what does not fit is split again among the
+ * shares that still have room. Returns less than `total` in all when the caps are too small.
+ * @param {number} total
+ * @param {Array<number>} weights
+ * @param {Array<number>} caps
+ * @returns {Array<number>}
+ */
+const splitCapped = (total, weights, caps) => {
+    const shares = weights.map(() => 0);
+    let rest = total;
+    let open = weights.map((w, index) => index).filter(index => caps[index] > 0);
+
+    while (rest > 0 && open.length > 0) {
+        const parts = splitInteger(rest, open.map(index => weights[index]));
+        let given = 0;
+        open.forEach((index, k) => {
+            const add = Math.min(parts[k], caps[index] - shares[index]);
+            shares[index] += add;
+            given += add;
+        });
+        if (given === 0) break;
+
+        rest -= given;
+        open = open.filter(index => shares[index] < caps[index]);
+    }
+
+    return shares;
+};
+
+/**
+ * Total (unsigned) amount of one adjustment for the given group subtotal.
+ * @param {Object} adjustment
+ * @param {number} groupSubtotal
+ * @param {Array} orders - GroupOrder rows including `items`.
+ * @param {Array} products - GroupMenu rows.
+ * @param {number} runningTotal - Group total after the adjustments applied so far (caps discounts).
+ * @returns {number}
+ */
+const adjustmentTotal = (adjustment, groupSubtotal, orders, products, runningTotal) => {
+    if (adjustment.kind === 'FEE') return adjustment.amount;
+    if (adjustment.kind === 'SERVICE_CHARGE') return Math.round(groupSubtotal * adjustment.percent / 100);
+
+    // DISCOUNT
+    if (adjustment.minSubtotal != null && groupSubtotal < adjustment.minSubtotal) return 0;
+
+    let discount;
+    if (adjustment.menuId) {
+        const product = products.find(p => p.id === adjustment.menuId);
+        if (!product) return 0;
+        const quantity = orders.reduce((sum, o) =>
+            sum + o.items.filter(i => i.menuId === adjustment.menuId).reduce((s, i) => s + i.quantity, 0), 0);
+        const freeUnits = Math.floor(quantity / (adjustment.buyQuantity + adjustment.freeQuantity)) * adjustment.freeQuantity;
+        discount = freeUnits * product.price;
+    } else if (adjustment.percent != null) {
+        discount = Math.round(groupSubtotal * adjustment.percent / 100);
+    } else {
+        discount = adjustment.amount;
+    }
+
+    // Discounts together never make the group total negative
+    return Math.max(Math.min(discount, runningTotal), 0);
+};
+
+/**
+ * Applies the shared costs of a group to its orders.
+ * @param {Array} orders - GroupOrder rows including `items`.
+ * @param {Array} adjustments - GroupAdjustment rows.
+ * @param {Array} products - GroupMenu rows (for "buy X get Y" prices).
+ * @returns {Object} - { byOrderId: { [orderId]: { subtotal, adjustments, amountDue } }, adjustments, totalAmountDue }
+ */
+const applyAdjustments = (orders, adjustments = [], products = []) => {
+    const byOrderId = {};
+    orders.forEach(o => {
+        const subtotal = calculateOrderTotal(o.items);
+        byOrderId[o.id] = { subtotal, adjustments: [], amountDue: subtotal };
+    });
+
+    const groupSubtotal = orders.reduce((sum, o) => sum + byOrderId[o.id].subtotal, 0);
+    let runningTotal = groupSubtotal;
+    const summary = [];
+
+    [...adjustments].sort((a, b) => a.sortOrder - b.sortOrder).forEach(adjustment => {
+        let eligible;
+        if (adjustment.splitRule === 'ASSIGNED') {
+            eligible = orders.filter(o => adjustment.assignedUserIds.includes(o.userId));
+        } else {
+            eligible = orders.filter(o => byOrderId[o.id].subtotal > 0);
+        }
+
+        const total = eligible.length > 0 ? adjustmentTotal(adjustment, groupSubtotal, orders, products, runningTotal) : 0;
+        const weights = eligible.map(o => (adjustment.splitRule === 'PROPORTIONAL' ? byOrderId[o.id].subtotal : 1));
+        const sign = adjustment.kind === 'DISCOUNT' ? -1 : 1;
+        // A discount share never takes an order below zero; the rest goes to the others
+        const shares = sign < 0
+            ? splitCapped(total, weights, eligible.map(o => Math.max(byOrderId[o.id].amountDue, 0)))
+            : splitInteger(total, weights);
+        const applied = shares.reduce((a, b) => a + b, 0);
+        runningTotal += sign * applied;
+
+        eligible.forEach((o, index) => {
+            if (shares[index] === 0) return;
+            const amount = sign * shares[index];
+            byOrderId[o.id].adjustments.push({ id: adjustment.id, label: adjustment.label, kind: adjustment.kind, amount });
+            byOrderId[o.id].amountDue += amount;
+        });
+
+        summary.push({ id: adjustment.id, label: adjustment.label, kind: adjustment.kind, splitRule: adjustment.splitRule, amount: sign * applied });
+    });
+
+    return {
+        byOrderId,
+        adjustments: summary,
+        totalAmountDue: orders.reduce((sum, o) => sum + byOrderId[o.id].amountDue, 0)
+    };
+};
+
+module.exports = {
+    KINDS,
+    SPLIT_RULES,
+    buildAdjustmentData,
+    splitInteger,
+    applyAdjustments
+};
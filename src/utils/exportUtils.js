@@ -0,0 +1,128 @@
+/**
+ * Builds group exports (CSV / XLSX rows and the "read to the shop" sheet) from the
+ * payload of orderService.getGroupSummary, so exports always match what the app shows.
+ */
+
+const ORDER_HEADER = [
+    'Participant', 'Item', 'Options', 'Unit price', 'Quantity', 'Line total',
+    'Shared costs', 'Amount due', 'Paid', 'Balance due', 'Payment status'
+];
+
+/**
+ * One row per ordered item, a total row per participant and a group total row.
+ * @param {Object} summary - Result of orderService.getGroupSummary.
+ * @returns {Array<Array>} - Rows including the header row.
+ */
+const buildOrderRows = (summary) => {
+    const rows = [ORDER_HEADER];
+
+    summary.allOrders.forEach(order => {
+        const name = order.user ? order.user.name : order.userId;
+
+        order.items.forEach(item => {
+            const options = Array.isArray(item.options) ? item.options.map(o => o.name).join(' / ') : '';
+            rows.push([name, item.name, options, item.price, item.quantity, item.price * item.quantity, '', '', '', '', '']);
+        });
+
+        const sharedCosts = order.adjustments.reduce((sum, a) => sum + a.amount, 0);
+        rows.push([
+            name, 'Total', '', '', order.items.reduce((sum, i) => sum + i.quantity, 0), order.total,
+            sharedCosts, order.amountDue, order.paidAmount, order.balanceDue, order.paymentStatus
+        ]);
+    });
+
+    rows.push([
+        'All participants', 'Total', '', '', '', summary.totalGroupAmount,
+        summary.totalGroupAmountDue - summary.totalGroupAmount, summary.totalGroupAmountDue,
+        summary.totalPaid, summary.totalOutstanding, ''
+    ]);
+
+    return rows;
+};
+
+/**
+ * Escapes one CSV cell. Text starting with a formula character is prefixed with `'`
+ * so spreadsheet apps do not evaluate user input.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises rows as CSV with a UTF-8 BOM so Excel detects the encoding of Chinese text.
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+const toCsv = (rows) => '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Condensed order for the shop: total quantity per item, broken down by option combination.
+ * @param {Object} summary - Result of orderService.getGroupSummary.
+ * @returns {Array<Array>} - Rows including the header row.
+ */
+const buildShopRows = (summary) => {
+    const rows = [['Item', 'Options', 'Quantity', 'Total price']];
+
+    summary.orderStats.forEach(stat => {
+        stat.variants.forEach(variant => {
+            rows.push([stat.name, variant.label || '', variant.quantity, variant.totalPrice]);
+        });
+    });
+    rows.push(['Total', '', summary.orderStats.reduce((sum, s) => sum + s.quantity, 0), summary.totalGroupAmount]);
+
+    return rows;
+};
+
+/**
+ * Plain-text "read to the shop" sheet, e.g.
+ *   珍珠奶茶 x5
+ *     - L / 少糖 / 去冰 x3
+ *     - M x2
+ * @param {Object} summary - Result of orderService.getGroupSummary.
+ * @returns {string}
+ */
+const buildShopSheetText = (summary) => {
+    const lines = [
+        summary.title,
+        `Closes: ${new Date(summary.endTime).toLocaleString('zh-TW', { timeZone: process.env.EXPORT_TIMEZONE || 'Asia/Taipei' })}`,
+        `Participants: ${summary.participants.length}`,
+        ''
+    ];
+
+    summary.orderStats.forEach(stat => {
+        lines.push(`${stat.name} x${stat.quantity}`);
+        // Items ordered without options need no breakdown
+        if (stat.variants.length > 1 || stat.variants.some(v => v.label)) {
+            stat.variants.forEach(v => lines.push(`  - ${v.label || '(no options)'} x${v.quantity}`));
+        }
+    });
+
+    lines.push('');
+    lines.push(`Items: ${summary.orderStats.reduce((sum, s) => sum + s.quantity, 0)}`);
+    lines.push(`Total: ${summary.totalGroupAmount}`);
+
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Turns a group title into a safe download file name.
+ * @param {string} title
+ * @param {string} suffix - e.g. "orders.csv"
+ * @returns {string}
+ */
+const exportFileName = (title, suffix) => `${String(title || 'group').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim()}-${suffix}`;
+
+module.exports = {
+    buildOrderRows,
+    buildShopRows,
+    toCsv,
+    buildShopSheetText,
+    exportFileName
+};
@@ -0,0 +1,65 @@
+/**
+ * Per-group member roles and what each of them may do.
+ *
+ *  - OWNER:        everything, including deleting the group and assigning roles (exactly one per group)
+ *  - CO_ORGANISER: manages the group (menu, members, status, deadline, shared costs, invite links) and payments
+ *  - TREASURER:    manages payments only (ledger, payment status, claim review)
+ *  - PARTICIPANT:  orders and pays
+ *
+ * Organisers and treasurers also read every member's order history.
+ *
+ * The group's `creatorId` is not a permission: it stays the person who fronted the money and
+ * whom the other members owe.
+ */
+
+const ROLES = ['OWNER', 'CO_ORGANISER', 'TREASURER', 'PARTICIPANT'];
+
+const PERMISSIONS = {
+    MANAGE_GROUP: ['OWNER', 'CO_ORGANISER'],
+    MANAGE_PAYMENTS: ['OWNER', 'CO_ORGANISER', 'TREASURER'],
+    VIEW_HISTORY: ['OWNER', 'CO_ORGANISER', 'TREASURER'],
+    MANAGE_ROLES: ['OWNER'],
+    DELETE_GROUP: ['OWNER']
+};
+
+/**
+ * @param {string|null|undefined} role
+ * @param {string} permission - Key of PERMISSIONS.
+ * @returns {boolean}
+ */
+const can = (role, permission) => !!role && PERMISSIONS[permission].includes(role);
+
+/**
+ * Role of a user in a group whose orders are loaded, or null for non-members.
+ * @param {Object} group - Group including `orders`.
+ * @param {string} userId
+ * @returns {string|null}
+ */
+const roleOf = (group, userId) => {
+    const membership = group.orders.find(o => o.userId === userId);
+    return membership ? membership.role : null;
+};
+
+/**
+ * Permissions held by a role, for client payloads.
+ * @param {string|null} role
+ * @returns {Array<string>}
+ */
+const permissionsOf = (role) => Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+
+/**
+ * Prisma filter for the memberships that grant a permission.
+ * @param {string} userId
+ * @param {string} permission
+ * @returns {Object} - GroupOrder where input.
+ */
+const membershipWhere = (userId, permission) => ({ userId, role: { in: PERMISSIONS[permission] } });
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    can,
+    roleOf,
+    permissionsOf,
+    membershipWhere
+};
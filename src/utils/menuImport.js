@@ -0,0 +1,205 @@
+const { buildProductCreateData } = require('./menuUtils');
+
+/**
+ * Bulk menu import from CSV, JSON or pasted "name price" lines.
+ * Every invalid row is reported as { line, message } (JSON: { item, message }); nothing is dropped silently.
+ */
+
+const FORMATS = ['csv', 'json', 'text'];
+const MAX_ROWS = 500;
+
+/**
+ * Validates one product and returns it in the shape `createGroup` expects.
+ * @param {Object} raw - { name, price, stock, maxPerUser, optionGroups }
+ * @returns {Object} - { name, price, stock, maxPerUser, optionGroups }
+ */
+const normalizeProduct = (raw) => {
+    const name = raw && raw.name !== undefined && raw.name !== null ? String(raw.name).trim() : '';
+    if (!name) throw new Error('name is required');
+
+    const price = typeof raw.price === 'string' ? Number(raw.price.replace(/^(NT)?\$/i, '').trim()) : Number(raw.price);
+    if (raw.price === undefined || raw.price === null || raw.price === '' || !Number.isInteger(price) || price < 0) {
+        throw new Error(`price of "${name}" must be a non-negative integer`);
+    }
+
+    const product = {
+        name,
+        price,
+        stock: raw.stock === '' ? null : raw.stock,
+        maxPerUser: raw.maxPerUser === '' ? null : raw.maxPerUser,
+        optionGroups: raw.optionGroups || []
+    };
+
+    // Reuses the group menu validation (limits and option groups)
+    const data = buildProductCreateData(product);
+
+    return {
+        name,
+        price,
+        stock: data.stock ?? null,
+        maxPerUser: data.maxPerUser ?? null,
+        optionGroups: (data.optionGroups ? data.optionGroups.create : []).map(g => ({
+            name: g.name,
+            required: g.required,
+            multiSelect: g.multiSelect,
+            options: g.options.create.map(o => ({ name: o.name, priceDelta: o.priceDelta }))
+        }))
+    };
+};
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting), keeping the line number each row starts on.
+ * @param {string} text
+ * @returns {Array<Object>} - [{ line, cells }]
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+    }
+
+    return rows.filter(r => r.cells.some(c => c.trim() !== ''));
+};
+
+/**
+ * CSV with an optional header row (name, price, stock, maxPerUser; any order, case-insensitive).
+ * Without a header the columns are name, price, stock, maxPerUser.
+ * @param {string} text
+ * @returns {Array<Object>} - [{ line, raw }]
+ */
+const readCsv = (text) => {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) return [];
+
+    let columns = ['name', 'price', 'stock', 'maxperuser'];
+    const first = rows[0].cells.map(c => c.trim().toLowerCase());
+    if (first.includes('name') && first.includes('price')) {
+        columns = first;
+        rows.shift();
+    }
+
+    const index = (column) => columns.indexOf(column);
+    const cellAt = (cells, column) => (index(column) >= 0 && cells[index(column)] !== undefined ? cells[index(column)].trim() : undefined);
+
+    return rows.map(({ line, cells }) => ({
+        line,
+        raw: {
+            name: cellAt(cells, 'name'),
+            price: cellAt(cells, 'price'),
+            stock: cellAt(cells, 'stock'),
+            maxPerUser: cellAt(cells, 'maxperuser')
+        }
+    }));
+};
+
+/**
+ * Pasted lines like "大麥克 75", "蛋塔, 35" or "珍珠奶茶 NT$60". Lines starting with # are comments.
+ * @param {string} text
+ * @returns {Array<Object>} - [{ line, raw }] (raw is null when the line cannot be read)
+ */
+const readText = (text) => text.split(/\r?\n/)
+    .map((content, i) => ({ line: i + 1, content: content.trim() }))
+    .filter(({ content }) => content !== '' && !content.startsWith('#'))
+    .map(({ line, content }) => {
+        const match = content.match(/^(.+?)[\s,:\t]+(?:NT)?\$?\s*(-?[\d.]+)\s*(?:元)?$/i);
+        return { line, raw: match ? { name: match[1], price: match[2] } : null };
+    });
+
+/**
+ * Parses a menu in one of the supported formats.
+ * @param {string} format - csv, json or text
+ * @param {string} content
+ * @returns {Object} - { products, errors: [{ line?, item?, message }] }
+ */
+const parseMenuImport = (format, content) => {
+    if (!FORMATS.includes(format)) throw new Error(`Invalid menu import: format must be one of ${FORMATS.join(', ')}`);
+    if (typeof content !== 'string' || content.trim() === '') throw new Error('Invalid menu import: content is empty');
+
+    const text = content.replace(/^\uFEFF/, '');
+    let entries;
+
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { products: [], errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+        }
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+        if (!Array.isArray(list)) {
+            return { products: [], errors: [{ line: null, message: 'JSON must be an array of products or { "products": [...] }' }] };
+        }
+        entries = list.map((raw, i) => ({ item: i + 1, raw }));
+    } else {
+        entries = format === 'csv' ? readCsv(text) : readText(text);
+    }
+
+    if (entries.length > MAX_ROWS) throw new Error(`Invalid menu import: at most ${MAX_ROWS} items`);
+
+    const products = [];
+    const errors = [];
+    const seen = new Map();
+
+    entries.forEach(({ line, item, raw }) => {
+        const position = line !== undefined ? { line } : { item };
+        if (!raw) {
+            errors.push({ ...position, message: 'expected "name price"' });
+            return;
+        }
+
+        try {
+            const product = normalizeProduct(raw);
+            const key = product.name.toLowerCase();
+            if (seen.has(key)) throw new Error(`duplicate item "${product.name}" (first seen at ${seen.get(key)})`);
+            seen.set(key, line !== undefined ? `line ${line}` : `item ${item}`);
+            products.push(product);
+        } catch (error) {
+            errors.push({ ...position, message: error.message.replace(/^Invalid (option groups|limits): /, '') });
+        }
+    });
+
+    return { products, errors };
+};
+
+module.exports = {
+    FORMATS,
+    normalizeProduct,
+    parseMenuImport
+};
@@ -0,0 +1,221 @@
+/**
+ * Helpers for GroupMenu items and their option groups (size, sweetness, ice, add-ons).
+ */
+
+// Prisma include for a menu item with its option groups and options, in display order
+const PRODUCT_INCLUDE = {
+    optionGroups: {
+        orderBy: { sortOrder: 'asc' },
+        include: {
+            options: { orderBy: { sortOrder: 'asc' } }
+        }
+    }
+};
+
+/**
+ * Validates option groups sent by the client and builds the nested Prisma create data.
+ * Input: [{ name, required, multiSelect, options: [{ name, priceDelta }] }]
+ * @param {Array} optionGroups
+ * @returns {Array} - Data for `optionGroups: { create: [...] }`.
+ */
+const buildOptionGroupsCreate = (optionGroups) => {
+    if (!optionGroups) return [];
+    if (!Array.isArray(optionGroups)) throw new Error('Invalid option groups: must be an array');
+
+    return optionGroups.map((g, groupIndex) => {
+        if (!g || !g.name) throw new Error('Invalid option groups: every group needs a name');
+        if (!Array.isArray(g.options) || g.options.length === 0) {
+            throw new Error(`Invalid option groups: "${g.name}" needs at least one option`);
+        }
+
+        return {
+            name: String(g.name),
+            required: !!g.required,
+            multiSelect: !!g.multiSelect,
+            sortOrder: groupIndex,
+            options: {
+                create: g.options.map((o, optionIndex) => {
+                    if (!o || !o.name) throw new Error(`Invalid option groups: every option of "${g.name}" needs a name`);
+                    const priceDelta = Number(o.priceDelta || 0);
+                    if (!Number.isInteger(priceDelta)) throw new Error(`Invalid option groups: price delta of "${o.name}" must be an integer`);
+
+                    return { name: String(o.name), priceDelta, sortOrder: optionIndex };
+                })
+            }
+        };
+    });
+};
+
+/**
+ * Validates the optional stock / per-user limits of a menu item.
+ * Only the fields present on the input are returned, so updates can leave the others untouched.
+ * @param {Object} product - { name, stock, maxPerUser }
+ * @returns {Object} - { stock?, maxPerUser? } with null meaning "no limit".
+ */
+const buildProductLimits = (product) => {
+    const limits = {};
+
+    ['stock', 'maxPerUser'].forEach(field => {
+        if (product[field] === undefined) return;
+        if (product[field] === null || product[field] === '') {
+            limits[field] = null;
+            return;
+        }
+
+        const value = Number(product[field]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid limits: ${field} of "${product.name}" must be a non-negative integer`);
+        }
+        limits[field] = value;
+    });
+
+    return limits;
+};
+
+/**
+ * Builds the Prisma create data for a menu item, including its option groups and limits.
+ * @param {Object} product - { name, price, stock, maxPerUser, optionGroups }
+ * @returns {Object}
+ */
+const buildProductCreateData = (product) => {
+    const optionGroups = buildOptionGroupsCreate(product.optionGroups);
+
+    return {
+        name: product.name,
+        price: Number(product.price),
+        ...buildProductLimits(product),
+        ...(optionGroups.length > 0 ? { optionGroups: { create: optionGroups } } : {})
+    };
+};
+
+/**
+ * Turns a stored menu item back into the product input accepted by `createGroup`
+ * (used to save a group's menu as a template).
+ * @param {Object} product - GroupMenu row including `optionGroups.options`.
+ * @returns {Object} - { name, price, stock, maxPerUser, optionGroups }
+ */
+const toProductInput = (product) => ({
+    name: product.name,
+    price: product.price,
+    stock: product.stock,
+    maxPerUser: product.maxPerUser,
+    optionGroups: (product.optionGroups || []).map(g => ({
+        name: g.name,
+        required: g.required,
+        multiSelect: g.multiSelect,
+        options: g.options.map(o => ({ name: o.name, priceDelta: o.priceDelta }))
+    }))
+});
+
+/**
+ * Maps ordered items of one group onto the menu of another (e.g. a cloned group), producing
+ * draft items in the shape `updateOrder` accepts. Menu items and options are matched by name;
+ * items whose product no longer exists are left out.
+ * @param {Array} items - UserOrder rows of the original order.
+ * @param {Array} oldProducts - GroupMenu rows of the original group.
+ * @param {Array} newProducts - GroupMenu rows of the new group, including `optionGroups.options`.
+ * @returns {Array} - [{ menuId, quantity, options: [optionId] }] or [{ name, price, quantity }] for custom items.
+ */
+const buildDraftItems = (items, oldProducts, newProducts) => {
+    const drafts = [];
+
+    items.forEach(item => {
+        if (!item.menuId) {
+            drafts.push({ name: item.name, price: item.price, quantity: item.quantity });
+            return;
+        }
+
+        const oldProduct = oldProducts.find(p => p.id === item.menuId);
+        const product = oldProduct && newProducts.find(p => p.name === oldProduct.name);
+        if (!product) return;
+
+        const options = [];
+        (Array.isArray(item.options) ? item.options : []).forEach(selected => {
+            const group = (product.optionGroups || []).find(g => g.name === selected.group);
+            const option = group && group.options.find(o => o.name === selected.name);
+            if (option) options.push(option.id);
+        });
+
+        drafts.push({ menuId: product.id, quantity: item.quantity, options });
+    });
+
+    return drafts;
+};
+
+/**
+ * Adds `orderedQuantity` and `remaining` (null when the item has no stock limit) to menu items.
+ * @param {Array} products - GroupMenu rows.
+ * @param {Array} orders - GroupOrder rows including `items`.
+ * @returns {Array}
+ */
+const withRemainingStock = (products, orders) => {
+    const ordered = {};
+    orders.forEach(order => order.items.forEach(item => {
+        if (item.menuId) ordered[item.menuId] = (ordered[item.menuId] || 0) + item.quantity;
+    }));
+
+    return products.map(p => ({
+        ...p,
+        orderedQuantity: ordered[p.id] || 0,
+        remaining: p.stock == null ? null : Math.max(p.stock - (ordered[p.id] || 0), 0)
+    }));
+};
+
+/**
+ * Validates the options selected for an ordered item against its menu definition.
+ * @param {Object} product - GroupMenu row including `optionGroups.options`.
+ * @param {Array<string>} selectedIds - Selected MenuOption IDs.
+ * @returns {Object} - { options: snapshot array, priceDelta }
+ */
+const resolveItemOptions = (product, selectedIds) => {
+    const ids = Array.isArray(selectedIds) ? selectedIds.map(String) : [];
+    const groups = product.optionGroups || [];
+
+    const known = new Set(groups.flatMap(g => g.options.map(o => o.id)));
+    const unknown = ids.find(id => !known.has(id));
+    if (unknown) throw new Error(`Invalid options for "${product.name}": unknown option ${unknown}`);
+    if (new Set(ids).size !== ids.length) throw new Error(`Invalid options for "${product.name}": duplicate option`);
+
+    const snapshot = [];
+    let priceDelta = 0;
+
+    groups.forEach(group => {
+        const chosen = group.options.filter(o => ids.includes(o.id));
+
+        if (group.required && chosen.length === 0) {
+            throw new Error(`Invalid options for "${product.name}": "${group.name}" is required`);
+        }
+        if (!group.multiSelect && chosen.length > 1) {
+            throw new Error(`Invalid options for "${product.name}": choose only one "${group.name}"`);
+        }
+
+        chosen.forEach(o => {
+            priceDelta += o.priceDelta;
+            snapshot.push({ groupId: group.id, group: group.name, optionId: o.id, name: o.name, priceDelta: o.priceDelta });
+        });
+    });
+
+    return { options: snapshot, priceDelta };
+};
+
+/**
+ * Human readable variant label of an ordered item, e.g. "L / 少糖 / 去冰".
+ * @param {Object} item - UserOrder row.
+ * @returns {string|null} - null when the item has no options.
+ */
+const formatVariantLabel = (item) => {
+    if (!Array.isArray(item.options) || item.options.length === 0) return null;
+    return item.options.map(o => o.name).join(' / ');
+};
+
+module.exports = {
+    PRODUCT_INCLUDE,
+    buildOptionGroupsCreate,
+    buildProductLimits,
+    buildProductCreateData,
+    toProductInput,
+    buildDraftItems,
+    withRemainingStock,
+    resolveItemOptions,
+    formatVariantLabel
+};
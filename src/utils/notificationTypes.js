@@ -0,0 +1,34 @@
+/**
+ * Notification types and how they read in the inbox.
+ * `data` always carries the group `title` so a notification still reads well after the group is deleted.
+ */
+
+const NOTIFICATION_TYPES = {
+    GROUP_INVITED: (d) => `You were added to "${d.title}"`,
+    GROUP_REMOVED: (d) => `You were removed from "${d.title}"`,
+    GROUP_DELETED: (d) => `"${d.title}" was deleted`,
+    MEMBER_JOINED: (d) => `${d.name} joined "${d.title}" through an invite link`,
+    MENU_PRICE_CHANGED: (d) => `Prices changed in "${d.title}": ${d.changes.map(c => `${c.name} ${c.fromPrice} → ${c.toPrice}`).join(', ')}`,
+    GROUP_CLOSING_SOON: (d) => `"${d.title}" closes at ${new Date(d.endTime).toISOString()}`,
+    PAYMENT_DUE: (d) => `"${d.title}" is closed, you owe ${d.balanceDue}`,
+    PAYMENT_RECORDED: (d) => `A payment of ${d.amount} was recorded for "${d.title}", balance ${d.balanceDue}`,
+    PAYMENT_CLAIMED: (d) => `${d.name} says they paid ${d.amount} for "${d.title}"`,
+    PAYMENT_CLAIM_REVIEWED: (d) => (d.status === 'CONFIRMED'
+        ? `Your payment of ${d.amount} for "${d.title}" was confirmed`
+        : `Your payment claim for "${d.title}" was rejected: ${d.rejectReason}`),
+    ROLE_CHANGED: (d) => `You are now ${d.role.toLowerCase().replace('_', '-')} of "${d.title}"`
+};
+
+const TYPES = Object.keys(NOTIFICATION_TYPES);
+
+/**
+ * @param {string} type
+ * @param {Object} data
+ * @returns {string}
+ */
+const formatMessage = (type, data) => (NOTIFICATION_TYPES[type] ? NOTIFICATION_TYPES[type](data) : type);
+
+module.exports = {
+    TYPES,
+    formatMessage
+};
@@ -0,0 +1,85 @@
+const { formatVariantLabel } = require('./menuUtils');
+
+/**
+ * Order history helpers.
+ *
+ * `changes` of an OrderHistoryEvent by type:
+ *  - ITEMS_UPDATED:          { added: [line], removed: [line], changed: [{ ...line, fromQuantity, fromPrice }] }
+ *  - MENU_PRICE_CHANGED:     [{ menuId, fromName, toName, fromPrice, toPrice }]
+ *  - PAYMENT_STATUS_CHANGED: { fromStatus, toStatus, amountDue, paidAmount, balanceDue }
+ * where a line is { menuId, name, options, price, quantity } (`options` is the variant label or null).
+ */
+
+const HISTORY_TYPES = ['ITEMS_UPDATED', 'MENU_PRICE_CHANGED', 'PAYMENT_STATUS_CHANGED'];
+
+/**
+ * Reduces an order item to what is kept in a history snapshot.
+ * @param {Object} item - UserOrder row (or create data).
+ * @returns {Object} - { menuId, name, options, price, quantity }
+ */
+const toHistoryLine = (item) => ({
+    menuId: item.menuId || null,
+    name: item.name,
+    options: formatVariantLabel(item),
+    price: item.price,
+    quantity: item.quantity
+});
+
+/**
+ * Same item and option combination, regardless of quantity and price.
+ * @param {Object} line
+ * @returns {string}
+ */
+const lineKey = (line) => `${line.menuId || line.name}|${line.options || ''}`;
+
+/**
+ * Groups lines by item and option combination, adding up quantities.
+ * @param {Array} lines
+ * @returns {Map<string, Object>}
+ */
+const mergeLines = (lines) => {
+    const merged = new Map();
+    lines.forEach(line => {
+        const key = lineKey(line);
+        const existing = merged.get(key);
+        merged.set(key, existing ? { ...existing, quantity: existing.quantity + line.quantity } : { ...line });
+    });
+    return merged;
+};
+
+/**
+ * Differences between two versions of an order's items.
+ * @param {Array} before - History lines of the previous version.
+ * @param {Array} after - History lines of the new version.
+ * @returns {Object|null} - { added, removed, changed }, or null when nothing changed.
+ */
+const diffItems = (before, after) => {
+    const previous = mergeLines(before);
+    const next = mergeLines(after);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    next.forEach((line, key) => {
+        const old = previous.get(key);
+        if (!old) {
+            added.push(line);
+        } else if (old.quantity !== line.quantity || old.price !== line.price) {
+            changed.push({ ...line, fromQuantity: old.quantity, fromPrice: old.price });
+        }
+    });
+    previous.forEach((line, key) => {
+        if (!next.has(key)) removed.push(line);
+    });
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) return null;
+
+    return { added, removed, changed };
+};
+
+module.exports = {
+    HISTORY_TYPES,
+    toHistoryLine,
+    diffItems
+};
@@ -0,0 +1,132 @@
+const { formatVariantLabel } = require('./menuUtils');
+
+/**
+ * Shared helpers for order totals and group statistics.
+ * Used by the group dashboard, the group summary and real-time events so
+ * they always agree on the numbers.
+ */
+
+/**
+ * Sums price * quantity of order items.
+ * @param {Array} items - UserOrder rows.
+ * @returns {number}
+ */
+const calculateOrderTotal = (items) => items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+/**
+ * Formats items as "Name*Qty, Name (L / 少糖)*Qty".
+ * @param {Array} items - UserOrder rows.
+ * @returns {string}
+ */
+const formatItemsSummary = (items) => items.map(i => {
+    const label = formatVariantLabel(i);
+    return `${i.name}${label ? ` (${label})` : ''}*${i.quantity}`;
+}).join(', ');
+
+/**
+ * Aggregates all orders of a group.
+ * Each `orderStats` entry is broken down into `variants` (one per distinct option
+ * combination, `label: null` for items ordered without options) so the organiser
+ * can read the list to the shop.
+ * @param {Array} orders - GroupOrder rows including `user` and `items`.
+ * @returns {Object} - { totalGroupAmount, participants, orderStats }
+ */
+const aggregateGroupOrders = (orders) => {
+    let totalGroupAmount = 0;
+    const participantsSet = new Set();
+    const statsMap = {};
+
+    orders.forEach(order => {
+        participantsSet.add(order.user.name);
+        totalGroupAmount += calculateOrderTotal(order.items);
+
+        order.items.forEach(item => {
+            if (!statsMap[item.name]) {
+                statsMap[item.name] = { name: item.name, quantity: 0, totalPrice: 0, variants: {} };
+            }
+            const stat = statsMap[item.name];
+            stat.quantity += item.quantity;
+            stat.totalPrice += (item.quantity * item.price);
+
+            const label = formatVariantLabel(item);
+            const variantKey = label || '';
+            if (!stat.variants[variantKey]) {
+                stat.variants[variantKey] = {
+                    label,
+                    options: (item.options || []).map(o => ({ group: o.group, name: o.name })),
+                    quantity: 0,
+                    totalPrice: 0
+                };
+            }
+            stat.variants[variantKey].quantity += item.quantity;
+            stat.variants[variantKey].totalPrice += (item.quantity * item.price);
+        });
+    });
+
+    return {
+        totalGroupAmount,
+        participants: Array.from(participantsSet),
+        orderStats: Object.values(statsMap).map(stat => ({ ...stat, variants: Object.values(stat.variants) }))
+    };
+};
+
+/**
+ * Per-participant amounts once shared costs and payments are applied.
+ * @param {Object} order - GroupOrder including `items`.
+ * @param {Object} [costs] - Entry of `buildGroupLedger(...).byOrderId` for this order.
+ * @returns {Object} - { total (raw subtotal), adjustments, amountDue, paidAmount, balanceDue, paymentStatus }
+ */
+const orderAmounts = (order, costs) => {
+    const total = calculateOrderTotal(order.items);
+    const amountDue = costs ? costs.amountDue : total;
+    const paidAmount = costs && costs.paidAmount !== undefined ? costs.paidAmount : 0;
+
+    return {
+        total,
+        adjustments: costs ? costs.adjustments : [],
+        amountDue,
+        paidAmount,
+        balanceDue: costs && costs.balanceDue !== undefined ? costs.balanceDue : amountDue - paidAmount,
+        paymentStatus: costs && costs.paymentState ? costs.paymentState : order.paymentStatus
+    };
+};
+
+/**
+ * Formats a GroupOrder the way `allOrders` entries are returned.
+ * @param {Object} order - GroupOrder including `user` and `items`.
+ * @param {Object} [costs] - Shared costs and payments of this order (see paymentUtils.buildGroupLedger).
+ * @returns {Object}
+ */
+const formatOrderEntry = (order, costs) => ({
+    id: order.id,
+    userId: order.userId,
+    user: order.user,
+    role: order.role,
+    items: order.items,
+    ...orderAmounts(order, costs),
+    updatedAt: order.updatedAt
+});
+
+/**
+ * Formats the requesting user's own order (`myOrder`).
+ * @param {Object} order - GroupOrder including `items`.
+ * @param {Object} [costs] - Shared costs and payments of this order (see paymentUtils.buildGroupLedger).
+ * @returns {Object}
+ */
+const formatMyOrder = (order, costs) => ({
+    id: order.id,
+    items: order.items,
+    ...orderAmounts(order, costs),
+    itemsSummary: formatItemsSummary(order.items),
+    // Items copied from a cloned group, not submitted yet (same shape as updateOrder's items)
+    draftItems: order.draftItems || null,
+    updatedAt: order.updatedAt
+});
+
+module.exports = {
+    calculateOrderTotal,
+    formatItemsSummary,
+    aggregateGroupOrders,
+    formatOrderEntry,
+    formatMyOrder
+};
@@ -0,0 +1,85 @@
+const { applyAdjustments } = require('./costSplitter');
+
+/**
+ * Payment ledger helpers.
+ * The payment state of an order is derived from its amount due and the sum of its
+ * ledger entries (payments are positive, refunds / change given back are negative).
+ */
+
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'LINE_PAY', 'JKO_PAY', 'CREDIT_CARD', 'OTHER'];
+const PAYMENT_STATES = ['UNPAID', 'PARTIAL', 'PAID', 'OVERPAID'];
+
+/**
+ * @param {number} amountDue
+ * @param {number} paidAmount
+ * @returns {string} - UNPAID, PARTIAL, PAID or OVERPAID. Nothing due and nothing paid counts as PAID.
+ */
+const derivePaymentState = (amountDue, paidAmount) => {
+    // A negative amount due (e.g. ledgers from before discounts were capped) is nothing due
+    const due = Math.max(amountDue, 0);
+    if (paidAmount > due) return 'OVERPAID';
+    if (paidAmount === due) return 'PAID';
+    if (paidAmount > 0) return 'PARTIAL';
+    return 'UNPAID';
+};
+
+/**
+ * Applies shared costs and the payment ledger to every order of a group.
+ * The creator's own order is settled by definition (they pay the shop).
+ * @param {Object} group - { creatorId, orders (with items and payments), adjustments, products }
+ * @returns {Object} - applyAdjustments result whose `byOrderId` entries also carry
+ *   paidAmount, balanceDue and paymentState; plus totalPaid and totalOutstanding.
+ */
+const buildGroupLedger = (group) => {
+    const costs = applyAdjustments(group.orders, group.adjustments || [], group.products || []);
+    let totalPaid = 0;
+    let totalOutstanding = 0;
+
+    group.orders.forEach(order => {
+        const entry = costs.byOrderId[order.id];
+        const paidAmount = (order.payments || []).reduce((sum, p) => sum + p.amount, 0);
+
+        entry.paidAmount = paidAmount;
+        if (order.userId === group.creatorId) {
+            entry.balanceDue = 0;
+            entry.paymentState = 'PAID';
+        } else {
+            entry.balanceDue = entry.amountDue - paidAmount;
+            entry.paymentState = derivePaymentState(entry.amountDue, paidAmount);
+            if (entry.balanceDue > 0) totalOutstanding += entry.balanceDue;
+        }
+        totalPaid += paidAmount;
+    });
+
+    return { ...costs, totalPaid, totalOutstanding };
+};
+
+/**
+ * Lists the claimed-but-unconfirmed payments of a group.
+ * @param {Array} orders - GroupOrder rows including `user` and pending `paymentClaims`.
+ * @param {string} [onlyUserId] - Restrict to one participant's claims (non-creators only see their own).
+ * @returns {Array} - [{ claimId, orderId, userId, name, amount, method, reference, note, createdAt }]
+ */
+const collectPendingClaims = (orders, onlyUserId) => orders
+    .filter(o => !onlyUserId || o.userId === onlyUserId)
+    .flatMap(o => (o.paymentClaims || [])
+        .filter(c => c.status === 'PENDING')
+        .map(c => ({
+            claimId: c.id,
+            orderId: o.id,
+            userId: o.userId,
+            name: o.user ? o.user.name : undefined,
+            amount: c.amount,
+            method: c.method,
+            reference: c.reference,
+            note: c.note,
+            createdAt: c.createdAt
+        })));
+
+module.exports = {
+    PAYMENT_METHODS,
+    PAYMENT_STATES,
+    derivePaymentState,
+    buildGroupLedger,
+    collectPendingClaims
+};
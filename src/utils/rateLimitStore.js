@@ -0,0 +1,67 @@
+/**
+ * Counter stores for the rate limiter (middleware/rateLimit).
+ *
+ * A store counts hits per key in fixed windows and implements:
+ *  - increment(key, windowMs): Promise<{ count, resetAt }>  count includes this hit; resetAt is a Date
+ *  - reset(key): Promise<void>
+ * MemoryStore is enough for a single instance. Several instances need a shared store
+ * (e.g. Redis INCR + PEXPIRE) implementing the same two methods, passed to `setStore`.
+ */
+
+const SWEEP_MS = 60 * 1000;
+
+class MemoryStore {
+    constructor() {
+        this.hits = new Map(); // key -> { count, resetAt (ms) }
+        this.sweeper = null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} windowMs
+     * @returns {Promise<Object>} - { count, resetAt }
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.hits.set(key, entry);
+            this._startSweeper();
+        }
+        entry.count += 1;
+
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+
+    /**
+     * @param {string} key
+     */
+    async reset(key) {
+        this.hits.delete(key);
+    }
+
+    /**
+     * Drops expired windows now and then so idle keys do not pile up.
+     */
+    _startSweeper() {
+        if (this.sweeper) return;
+
+        this.sweeper = setInterval(() => {
+            const now = Date.now();
+            this.hits.forEach((entry, key) => {
+                if (entry.resetAt <= now) this.hits.delete(key);
+            });
+            if (this.hits.size === 0) {
+                clearInterval(this.sweeper);
+                this.sweeper = null;
+            }
+        }, SWEEP_MS);
+        // Never keeps the process alive on its own
+        this.sweeper.unref();
+    }
+}
+
+module.exports = {
+    MemoryStore
+};
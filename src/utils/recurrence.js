@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { normalizeProduct } = require('./menuImport');
+
+/**
+ * Recurring group schedules.
+ *
+ * frequency:
+ *  - WEEKLY:  on every `weekdays` (0 = Sunday ... 6 = Saturday), e.g. [1,2,3,4,5] for every weekday
+ *  - MONTHLY: on the `monthWeek`-th (1-5, or -1 for the last) `monthWeekday` of each month,
+ *             e.g. monthWeek 1 + monthWeekday 1 = "first Monday of each month"
+ *
+ * Dates are calendar dates ("YYYY-MM-DD") and times of day ("HH:mm") in the schedule's time zone.
+ */
+
+const FREQUENCIES = ['WEEKLY', 'MONTHLY'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PRODUCT_KEY_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string} - "YYYY-MM-DD"
+ */
+const formatDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds.
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const timeZoneOffset = (timestamp, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp)).forEach(p => { parts[p.type] = p.value; });
+
+    const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour), Number(parts.minute), Number(parts.second));
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Converts a local date and time of day in a time zone to an instant.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm"
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedDateTime = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Second pass corrects the offset around DST changes
+    const first = guess - timeZoneOffset(guess, timeZone);
+    return new Date(guess - timeZoneOffset(first, timeZone));
+};
+
+/**
+ * Local calendar date of an instant in a time zone.
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {string} - "YYYY-MM-DD"
+ */
+const localDate = (instant, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(instant);
+
+/**
+ * Adds days to a calendar date.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return formatDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+};
+
+/**
+ * Whether a calendar date matches the schedule's recurrence rule (ignores skip dates and bounds).
+ * @param {Object} schedule
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+const matchesRule = (schedule, date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    if (schedule.frequency === 'WEEKLY') return schedule.weekdays.includes(weekday);
+
+    if (weekday !== schedule.monthWeekday) return false;
+    if (schedule.monthWeek === -1) {
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return day + 7 > daysInMonth;
+    }
+    return Math.ceil(day / 7) === schedule.monthWeek;
+};
+
+/**
+ * Occurrences of a schedule whose local date lies in [fromDate, toDate].
+ * @param {Object} schedule - GroupSchedule row.
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @param {string} toDate - "YYYY-MM-DD"
+ * @returns {Array} - [{ date, startTime, endTime, skipped }]
+ */
+const listOccurrences = (schedule, fromDate, toDate) => {
+    const occurrences = [];
+
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+        if (schedule.startsOn && date < schedule.startsOn) continue;
+        if (schedule.endsOn && date > schedule.endsOn) break;
+        if (!matchesRule(schedule, date)) continue;
+
+        occurrences.push({
+            date,
+            startTime: zonedDateTime(date, schedule.startTimeOfDay, schedule.timezone),
+            endTime: zonedDateTime(date, schedule.endTimeOfDay, schedule.timezone),
+            skipped: schedule.skipDates.includes(date)
+        });
+    }
+
+    return occurrences;
+};
+
+/**
+ * Occurrences that should exist as groups now: not skipped, starting within the
+ * schedule's `createAheadHours` and not over yet.
+ * @param {Object} schedule - GroupSchedule row.
+ * @param {Date} now
+ * @returns {Array} - [{ date, startTime, endTime }]
+ */
+const dueOccurrences = (schedule, now) => {
+    const horizon = new Date(now.getTime() + schedule.createAheadHours * 60 * 60 * 1000);
+    const today = localDate(now, schedule.timezone);
+
+    return listOccurrences(schedule, addDays(today, -1), addDays(localDate(horizon, schedule.timezone), 1))
+        .filter(o => !o.skipped && o.startTime <= horizon && o.endTime > now);
+};
+
+const invalid = (message) => new Error(`Invalid schedule: ${message}`);
+
+/**
+ * Validates schedule fields sent by the client. With `partial`, only the fields present are
+ * validated and returned (for updates); the merged result must still be checked with `assertComplete`.
+ * Every product gets a stable `key`, which links it to the menu items of the groups generated from it;
+ * clients send it back unchanged when editing the schedule (new products get a new key).
+ * @param {Object} input
+ * @param {boolean} [partial]
+ * @returns {Object} - GroupSchedule data.
+ */
+const buildScheduleData = (input, partial = false) => {
+    const data = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (!partial || has('title')) {
+        if (!input.title || !String(input.title).trim()) throw invalid('title is required');
+        data.title = String(input.title).trim();
+    }
+    if (!partial || has('frequency')) {
+        if (!FREQUENCIES.includes(input.frequency)) throw invalid(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+        data.frequency = input.frequency;
+    }
+    if (has('weekdays')) {
+        if (!Array.isArray(input.weekdays) || input.weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            throw invalid('weekdays must be integers from 0 (Sunday) to 6 (Saturday)');
+        }
+        data.weekdays = [...new Set(input.weekdays)].sort();
+    }
+    if (has('monthWeek')) {
+        if (input.monthWeek !== null && ![1, 2, 3, 4, 5, -1].includes(input.monthWeek)) throw invalid('monthWeek must be 1-5 or -1 (last)');
+        data.monthWeek = input.monthWeek;
+    }
+    if (has('monthWeekday')) {
+        if (input.monthWeekday !== null && (!Number.isInteger(input.monthWeekday) || input.monthWeekday < 0 || input.monthWeekday > 6)) {
+            throw invalid('monthWeekday must be an integer from 0 (Sunday) to 6 (Saturday)');
+        }
+        data.monthWeekday = input.monthWeekday;
+    }
+    ['startTimeOfDay', 'endTimeOfDay'].forEach(field => {
+        if (partial && !has(field)) return;
+        if (!TIME_PATTERN.test(input[field] || '')) throw invalid(`${field} must be "HH:mm"`);
+        data[field] = input[field];
+    });
+    if (has('timezone')) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: input.timezone });
+        } catch (error) {
+            throw invalid(`unknown timezone "${input.timezone}"`);
+        }
+        data.timezone = input.timezone;
+    }
+    ['startsOn', 'endsOn'].forEach(field => {
+        if (!has(field)) return;
+        if (input[field] !== null && !DATE_PATTERN.test(input[field])) throw invalid(`${field} must be "YYYY-MM-DD"`);
+        data[field] = input[field];
+    });
+    if (has('skipDates')) {
+        if (!Array.isArray(input.skipDates) || input.skipDates.some(d => !DATE_PATTERN.test(d))) {
+            throw invalid('skipDates must be a list of "YYYY-MM-DD" dates');
+        }
+        data.skipDates = [...new Set(input.skipDates)].sort();
+    }
+    if (has('createAheadHours')) {
+        const hours = Number(input.createAheadHours);
+        if (!Number.isInteger(hours) || hours < 0 || hours > 24 * 30) throw invalid('createAheadHours must be an integer from 0 to 720');
+        data.createAheadHours = hours;
+    }
+    if (has('invitedUserIds')) {
+        if (!Array.isArray(input.invitedUserIds)) throw invalid('invitedUserIds must be an array');
+        data.invitedUserIds = [...new Set(input.invitedUserIds.map(String))];
+    }
+    if (has('products')) {
+        if (!Array.isArray(input.products)) throw invalid('products must be an array');
+        data.products = input.products.map((p, index) => {
+            if (p && p.key !== undefined && p.key !== null && !PRODUCT_KEY_PATTERN.test(String(p.key))) {
+                throw invalid(`product ${index + 1}: key must be 1 to 64 letters, digits or dashes`);
+            }
+            try {
+                return { key: p && p.key ? String(p.key) : crypto.randomUUID(), ...normalizeProduct(p) };
+            } catch (error) {
+                throw invalid(`product ${index + 1}: ${error.message}`);
+            }
+        });
+        if (new Set(data.products.map(p => p.key)).size !== data.products.length) throw invalid('product keys must be unique');
+    }
+
+    return data;
+};
+
+/**
+ * Checks the rule fields of a complete (created or merged) schedule.
+ * @param {Object} schedule
+ */
+const assertComplete = (schedule) => {
+    if (schedule.frequency === 'WEEKLY' && (!schedule.weekdays || schedule.weekdays.length === 0)) {
+        throw invalid('a weekly schedule needs weekdays');
+    }
+    if (schedule.frequency === 'MONTHLY' && (schedule.monthWeek == null || schedule.monthWeekday == null)) {
+        throw invalid('a monthly schedule needs monthWeek and monthWeekday');
+    }
+    if (schedule.endTimeOfDay <= schedule.startTimeOfDay) throw invalid('endTimeOfDay must be after startTimeOfDay');
+    if (schedule.startsOn && schedule.endsOn && schedule.endsOn < schedule.startsOn) throw invalid('endsOn must not be before startsOn');
+};
+
+module.exports = {
+    FREQUENCIES,
+    localDate,
+    addDays,
+    zonedDateTime,
+    listOccurrences,
+    dueOccurrences,
+    buildScheduleData,
+    assertComplete
+};
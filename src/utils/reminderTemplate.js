@@ -0,0 +1,63 @@
+const { formatVariantLabel } = require('./menuUtils');
+
+/**
+ * Payment reminder email: the recipient's items, what they owe and what they already paid.
+ */
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * @param {Object} item - UserOrder row.
+ * @returns {string} - "大麥克 (L / 少冰)"
+ */
+const itemLabel = (item) => {
+    const label = formatVariantLabel(item);
+    return label ? `${item.name} (${label})` : item.name;
+};
+
+/**
+ * Builds the reminder email.
+ * @param {Object} data - { recipientName, organiserName, groupTitle, items (UserOrder rows),
+ *   amountDue, paidAmount, balanceDue }
+ * @returns {Object} - { subject, text, html }
+ */
+const buildReminderEmail = ({ recipientName, organiserName, groupTitle, items, amountDue, paidAmount, balanceDue }) => {
+    const subject = `[IpaidUpay] Payment reminder: ${groupTitle} (NT$${balanceDue})`;
+
+    const lines = items.map(i => `- ${itemLabel(i)} x ${i.quantity}: NT$${i.price * i.quantity}`);
+    const text = [
+        `Hi ${recipientName},`,
+        '',
+        `This is a reminder from ${organiserName} about "${groupTitle}".`,
+        '',
+        'Your order:',
+        ...lines,
+        '',
+        `Amount due (including shared costs): NT$${amountDue}`,
+        ...(paidAmount > 0 ? [`Already paid: NT$${paidAmount}`] : []),
+        `Left to pay: NT$${balanceDue}`,
+        '',
+        'If you have already paid, you can mark it as paid in IpaidUpay so the organiser can confirm it.'
+    ].join('\n');
+
+    const rows = items.map(i => `<tr><td>${escapeHtml(itemLabel(i))}</td><td align="right">${i.quantity}</td><td align="right">NT$${i.price * i.quantity}</td></tr>`).join('');
+    const html = [
+        `<p>Hi ${escapeHtml(recipientName)},</p>`,
+        `<p>This is a reminder from ${escapeHtml(organiserName)} about <strong>${escapeHtml(groupTitle)}</strong>.</p>`,
+        `<table cellpadding="4"><tr><th align="left">Item</th><th>Qty</th><th>Price</th></tr>${rows}</table>`,
+        `<p>Amount due (including shared costs): NT$${amountDue}<br>`,
+        paidAmount > 0 ? `Already paid: NT$${paidAmount}<br>` : '',
+        `<strong>Left to pay: NT$${balanceDue}</strong></p>`,
+        '<p>If you have already paid, you can mark it as paid in IpaidUpay so the organiser can confirm it.</p>'
+    ].join('');
+
+    return { subject, text, html };
+};
+
+module.exports = {
+    buildReminderEmail
+};
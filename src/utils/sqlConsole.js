@@ -0,0 +1,135 @@
+/**
+ * Helpers for the admin SQL console: recognising which statement is being run, and
+ * describing and serialising the rows Prisma returns.
+ */
+
+// Statements allowed in read mode (run inside a READ ONLY transaction either way)
+const READ_STATEMENTS = ['SELECT', 'WITH', 'VALUES', 'TABLE', 'EXPLAIN', 'SHOW'];
+// Additionally allowed in write mode. DDL (DROP, ALTER, TRUNCATE, CREATE, GRANT ...) never is.
+const WRITE_STATEMENTS = ['INSERT', 'UPDATE', 'DELETE'];
+// Read statements that can be wrapped in a subquery to apply the row cap in the database
+const WRAPPABLE_STATEMENTS = ['SELECT', 'WITH', 'VALUES', 'TABLE'];
+
+/**
+ * Replaces comments, string literals, quoted identifiers and dollar-quoted bodies with spaces,
+ * so keywords and semicolons can be looked for without being fooled by their contents.
+ * @param {string} sql
+ * @returns {string} - Same length as the input.
+ */
+const maskSql = (sql) => {
+    let masked = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const rest = sql.slice(i);
+        let end = -1;
+
+        if (rest.startsWith('--')) {
+            end = sql.indexOf('\n', i);
+            if (end === -1) end = sql.length;
+        } else if (rest.startsWith('/*')) {
+            end = sql.indexOf('*/', i + 2);
+            end = end === -1 ? sql.length : end + 2;
+        } else if (sql[i] === '\'' || sql[i] === '"') {
+            // A doubled quote inside the literal is an escaped quote
+            const quote = sql[i];
+            end = i + 1;
+            while (end < sql.length) {
+                if (sql[end] === quote && sql[end + 1] === quote) end += 2;
+                else if (sql[end] === quote) break;
+                else end += 1;
+            }
+            end = Math.min(end + 1, sql.length);
+        } else {
+            const dollar = rest.match(/^\$[A-Za-z_]*\$/);
+            if (dollar) {
+                end = sql.indexOf(dollar[0], i + dollar[0].length);
+                end = end === -1 ? sql.length : end + dollar[0].length;
+            }
+        }
+
+        if (end === -1) {
+            masked += sql[i];
+            i += 1;
+        } else {
+            masked += ' '.repeat(end - i);
+            i = end;
+        }
+    }
+
+    return masked;
+};
+
+/**
+ * Checks that the input is exactly one statement and identifies it.
+ * @param {string} sql
+ * @returns {Object} - { statement (without the trailing semicolon), keyword, masked }
+ */
+const parseStatement = (sql) => {
+    if (typeof sql !== 'string' || sql.trim() === '') throw new Error('Invalid statement: query is required');
+
+    let statement = sql.trim();
+    let masked = maskSql(statement);
+    // Trailing semicolons are fine; any other one means a second statement
+    while (/;\s*$/.test(masked)) {
+        const cut = masked.lastIndexOf(';');
+        statement = statement.slice(0, cut);
+        masked = masked.slice(0, cut);
+    }
+    if (masked.includes(';')) throw new Error('Invalid statement: only one statement can be run at a time');
+
+    const match = masked.trimStart().match(/^[A-Za-z]+/);
+    if (!match) throw new Error('Invalid statement: cannot tell which statement this is');
+
+    return { statement, keyword: match[0].toUpperCase(), masked: masked.toUpperCase() };
+};
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const valueType = (value) => {
+    if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean' || typeof value === 'string') return typeof value;
+    if (value instanceof Date) return 'datetime';
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'bytes';
+    if (Array.isArray(value)) return 'array';
+    if (value && value.constructor && value.constructor.name === 'Decimal') return 'decimal';
+    return 'json';
+};
+
+/**
+ * Column names in result order, with the type of the first non-null value of each
+ * ("unknown" when every value is null). Results without rows have no columns.
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>} - [{ name, type }]
+ */
+const describeColumns = (rows) => {
+    if (rows.length === 0) return [];
+
+    return Object.keys(rows[0]).map(name => {
+        const sample = rows.find(row => row[name] !== null && row[name] !== undefined);
+        return { name, type: sample ? valueType(sample[name]) : 'unknown' };
+    });
+};
+
+/**
+ * Makes raw query rows JSON-safe: BigInt and Decimal become strings, bytes become base64.
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>}
+ */
+const serializeRows = (rows) => rows.map(row => Object.fromEntries(Object.entries(row).map(([name, value]) => {
+    const type = value === null || value === undefined ? null : valueType(value);
+    if (type === 'bigint' || type === 'decimal') return [name, value.toString()];
+    if (type === 'bytes') return [name, Buffer.from(value).toString('base64')];
+    return [name, value];
+})));
+
+module.exports = {
+    READ_STATEMENTS,
+    WRITE_STATEMENTS,
+    WRAPPABLE_STATEMENTS,
+    maskSql,
+    parseStatement,
+    describeColumns,
+    serializeRows
+};
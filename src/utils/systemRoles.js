@@ -0,0 +1,46 @@
+/**
+ * Site-wide roles stored on `User.role`, separate from the per-group roles in groupPermissions.
+ *
+ *  - USER:    regular account (the default)
+ *  - SUPPORT: looks up users and platform statistics, reads the audit log and runs read-only SQL
+ *  - ADMIN:   everything, including granting roles, managing accounts and groups, and SQL that changes data
+ *
+ * The role is also put in access tokens for clients, but authorisation always uses the role
+ * loaded with the session, so a revoked role stops working on the next request.
+ */
+
+const SYSTEM_ROLES = ['USER', 'SUPPORT', 'ADMIN'];
+
+const SYSTEM_PERMISSIONS = {
+    VIEW_AUDIT_LOG: ['SUPPORT', 'ADMIN'],
+    VIEW_STAFF: ['SUPPORT', 'ADMIN'],
+    VIEW_USERS: ['SUPPORT', 'ADMIN'],
+    VIEW_GROUPS: ['SUPPORT', 'ADMIN'],
+    VIEW_STATS: ['SUPPORT', 'ADMIN'],
+    MANAGE_ROLES: ['ADMIN'],
+    MANAGE_USERS: ['ADMIN'],
+    MANAGE_GROUPS: ['ADMIN'],
+    QUERY_SQL: ['SUPPORT', 'ADMIN'],
+    WRITE_SQL: ['ADMIN']
+};
+
+/**
+ * @param {string|null|undefined} role
+ * @param {string} permission - Key of SYSTEM_PERMISSIONS.
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => !!role && SYSTEM_PERMISSIONS[permission].includes(role);
+
+/**
+ * Permissions held by a role, for client payloads.
+ * @param {string|null} role
+ * @returns {Array<string>}
+ */
+const systemPermissionsOf = (role) => Object.keys(SYSTEM_PERMISSIONS).filter(permission => hasPermission(role, permission));
+
+module.exports = {
+    SYSTEM_ROLES,
+    SYSTEM_PERMISSIONS,
+    hasPermission,
+    systemPermissionsOf
+};
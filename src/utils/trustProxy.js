@@ -0,0 +1,33 @@
+/**
+ * Parses TRUST_PROXY into a value for Express' "trust proxy" setting.
+ *
+ *  - a whole number: how many reverse proxies are in front of the server ("0" trusts none)
+ *  - "true" / "false": trust every proxy / none
+ *  - otherwise a comma-separated list of addresses, subnets or Express' names for them
+ *    ("loopback", "linklocal", "uniquelocal"), e.g. "loopback, 10.0.0.0/8"
+ */
+
+/**
+ * @param {string|undefined} value
+ * @returns {number|boolean|string[]}
+ */
+const parseTrustProxy = (value) => {
+    const trimmed = (value || '').trim();
+    if (!trimmed) return false;
+
+    if (/^\d+$/.test(trimmed)) return Number(trimmed);
+
+    const lower = trimmed.toLowerCase();
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+
+    const entries = trimmed.split(',').map(entry => entry.trim());
+    if (entries.some(entry => !entry || /\s/.test(entry))) {
+        throw new Error(`Invalid TRUST_PROXY: "${value}" is not a hop count, true/false or a comma-separated list of addresses`);
+    }
+    return entries;
+};
+
+module.exports = {
+    parseTrustProxy
+};
@@ -0,0 +1,127 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { db, resetDb } = require('../helpers/prisma');
+const { mockRequest, mockResponse } = require('../helpers/http');
+const authController = require('../../src/controllers/authController');
+
+const amy = { id: 'user-1', username: 'amy', name: 'Amy', role: 'USER', disabledAt: null, password: bcrypt.hashSync('right-password', 4) };
+
+let throttles;
+const key = (username, ipAddress) => `${username}|${ipAddress}`;
+
+beforeEach(() => {
+    resetDb();
+    throttles = new Map();
+
+    db.user = { findUnique: async ({ where }) => (where.username === amy.username ? amy : null) };
+    db.session = { create: async ({ data }) => ({ id: 'session-1', ...data }) };
+    db.loginThrottle = {
+        findUnique: async ({ where }) => {
+            const { username, ipAddress } = where.username_ipAddress;
+            return throttles.get(key(username, ipAddress)) || null;
+        },
+        deleteMany: async ({ where }) => {
+            for (const [k, row] of throttles) {
+                const stale = where.lastFailedAt && row.lastFailedAt < where.lastFailedAt.lt
+                    && (!row.lockedUntil || row.lockedUntil < where.OR[1].lockedUntil.lt);
+                const matches = where.username !== undefined && row.username === where.username
+                    && (where.ipAddress === undefined || row.ipAddress === where.ipAddress);
+                if (stale || matches) throttles.delete(k);
+            }
+            return { count: 0 };
+        },
+        upsert: async ({ where, create, update }) => {
+            const { username, ipAddress } = where.username_ipAddress;
+            const row = throttles.get(key(username, ipAddress));
+            if (!row) {
+                throttles.set(key(username, ipAddress), { ...create, lockedUntil: null });
+                return { failedCount: create.failedCount };
+            }
+            row.failedCount += update.failedCount.increment;
+            row.lastFailedAt = update.lastFailedAt;
+            return { failedCount: row.failedCount };
+        },
+        update: async ({ where, data }) => {
+            const { username, ipAddress } = where.username_ipAddress;
+            Object.assign(throttles.get(key(username, ipAddress)), data);
+        }
+    };
+});
+
+const login = async (username, password, ip = '203.0.113.1') => {
+    const res = mockResponse();
+    await authController.login(mockRequest({ body: { username, password }, ip }), res);
+    return res;
+};
+
+test('a correct password logs in and returns tokens', async () => {
+    const res = await login('amy', 'right-password');
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.match(res.body.refreshToken, /^session-1\./);
+});
+
+test('repeated failures lock that username from that address only', async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await login('amy', 'wrong', '198.51.100.7')).statusCode, 401);
+    }
+
+    const locked = await login('amy', 'right-password', '198.51.100.7');
+    assert.equal(locked.statusCode, 429);
+    assert.equal(locked.headers['Retry-After'], '60');
+
+    // The owner elsewhere is not affected by someone else's failures
+    assert.equal((await login('amy', 'right-password', '203.0.113.1')).statusCode, 200);
+});
+
+test('unknown usernames get the same responses as wrong passwords, including the lock', async () => {
+    const responses = async (username) => {
+        const seen = [];
+        for (let i = 0; i < 6; i++) {
+            const res = await login(username, 'wrong', '198.51.100.7');
+            seen.push([res.statusCode, res.body.error]);
+        }
+        return seen;
+    };
+
+    assert.deepEqual(await responses('nobody'), await responses('amy'));
+});
+
+test('the lock doubles with every further failure after it expires', async () => {
+    for (let i = 0; i < 5; i++) await login('amy', 'wrong');
+    const row = throttles.get(key('amy', '203.0.113.1'));
+    row.lockedUntil = new Date(Date.now() - 1000);
+
+    await login('amy', 'wrong');
+    assert.equal((await login('amy', 'right-password')).headers['Retry-After'], '120');
+});
+
+test('old failures are forgotten instead of adding up to a lock', async () => {
+    throttles.set(key('amy', '203.0.113.1'), {
+        username: 'amy',
+        ipAddress: '203.0.113.1',
+        failedCount: 4,
+        lastFailedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+        lockedUntil: null
+    });
+
+    assert.equal((await login('amy', 'wrong')).statusCode, 401);
+    assert.equal(throttles.get(key('amy', '203.0.113.1')).failedCount, 1);
+    assert.equal((await login('amy', 'right-password')).statusCode, 200);
+});
+
+test('a successful login clears the failures from that address', async () => {
+    for (let i = 0; i < 3; i++) await login('amy', 'wrong');
+    await login('amy', 'right-password');
+
+    assert.equal(throttles.has(key('amy', '203.0.113.1')), false);
+});
+
+test('disabled accounts are only reported after the password matched', async () => {
+    db.user = { findUnique: async () => ({ ...amy, disabledAt: new Date() }) };
+
+    assert.equal((await login('amy', 'wrong')).statusCode, 401);
+    assert.equal((await login('amy', 'right-password')).statusCode, 403);
+});
@@ -0,0 +1,28 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers/prisma');
+const groupService = require('../../src/services/groupService');
+const groupController = require('../../src/controllers/groupController');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const page = { groups: [{ id: 'g1' }], totalCount: 3, nextCursor: 'g1' };
+
+beforeEach((t) => {
+    t.mock.method(groupService, 'getDashboardGroups', async () => page);
+});
+
+test('without paging parameters the dashboard is the plain array existing clients expect', async () => {
+    const res = mockResponse();
+    await groupController.getDashboardGroups(mockRequest({ user: { userId: 'amy' }, query: { status: 'OPEN' } }), res);
+
+    assert.deepEqual(res.body, [{ id: 'g1' }]);
+    assert.deepEqual(groupService.getDashboardGroups.mock.calls[0].arguments[2], { paginated: false });
+});
+
+test('paginate=true, limit or cursor switch to the paginated response', async () => {
+    for (const query of [{ paginate: 'true' }, { limit: '10' }, { cursor: 'g0' }]) {
+        const res = mockResponse();
+        await groupController.getDashboardGroups(mockRequest({ user: { userId: 'amy' }, query }), res);
+        assert.deepEqual(res.body, page);
+    }
+});
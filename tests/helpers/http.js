@@ -0,0 +1,51 @@
+/**
+ * Minimal Express request and response doubles for calling controllers and middleware directly.
+ */
+
+/**
+ * @param {Object} [overrides] - Fields of the request, e.g. { body, params, ip, user }
+ * @returns {Object}
+ */
+const mockRequest = (overrides = {}) => ({
+    body: {},
+    params: {},
+    query: {},
+    headers: {},
+    ip: '203.0.113.1',
+    ...overrides
+});
+
+/**
+ * A response recording its status, headers and JSON body.
+ * @returns {Object}
+ */
+const mockResponse = () => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        sendStatus(code) {
+            res.statusCode = code;
+            return res;
+        },
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(res.headers, name);
+            else res.headers[name] = value;
+            return res;
+        }
+    };
+    return res;
+};
+
+module.exports = {
+    mockRequest,
+    mockResponse
+};
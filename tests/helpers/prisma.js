@@ -0,0 +1,48 @@
+/**
+ * Test double for @prisma/client.
+ *
+ * Services create their client when they are first required (`new PrismaClient()`), so this
+ * module has to be required before any service. Every client is the same `db` object: tests
+ * assign the model methods they need, e.g. `db.session = { findUnique: async () => row }`,
+ * and `resetDb()` clears them again. The real `Prisma` namespace (errors, DbNull, sql) is kept.
+ */
+const real = require('@prisma/client');
+
+const db = {};
+// Options passed to each `new PrismaClient(...)`, in order
+const clientOptions = [];
+
+const resetDb = () => {
+    for (const key of Object.keys(db)) delete db[key];
+    // Interactive transactions run against the same double; array transactions just run in order
+    db.$transaction = async (arg) => (typeof arg === 'function' ? arg(db) : Promise.all(arg));
+};
+
+class PrismaClient {
+    constructor(options) {
+        clientOptions.push(options);
+        return db;
+    }
+}
+
+require.cache[require.resolve('@prisma/client')].exports = { ...real, PrismaClient };
+
+/**
+ * Builds the error Prisma throws for a unique constraint violation.
+ * @param {string} [target] - Constraint or column name.
+ * @returns {Error}
+ */
+const uniqueViolation = (target = 'id') => new real.Prisma.PrismaClientKnownRequestError('Unique constraint failed', {
+    code: 'P2002',
+    clientVersion: real.Prisma.prismaVersion.client,
+    meta: { target: [target] }
+});
+
+resetDb();
+
+module.exports = {
+    db,
+    clientOptions,
+    resetDb,
+    uniqueViolation
+};
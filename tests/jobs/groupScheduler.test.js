@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers/prisma');
+const groupLifecycleService = require('../../src/services/groupLifecycleService');
+const notificationService = require('../../src/services/notificationService');
+const reminderService = require('../../src/services/reminderService');
+const scheduleService = require('../../src/services/scheduleService');
+const groupScheduler = require('../../src/jobs/groupScheduler');
+
+test('a failing step does not skip the steps after it', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(groupLifecycleService, 'closeExpiredGroups', async () => {
+        throw new Error('database unreachable');
+    });
+    t.mock.method(notificationService, 'notifyClosingSoon', async () => {
+        throw new Error('still unreachable');
+    });
+    const reminders = t.mock.method(reminderService, 'sendDueAutoReminders', async () => []);
+    const recurring = t.mock.method(scheduleService, 'generateDueGroups', async () => []);
+
+    await groupScheduler.tick();
+
+    assert.equal(reminders.mock.callCount(), 1);
+    assert.equal(recurring.mock.callCount(), 1);
+    assert.equal(console.error.mock.callCount(), 2);
+});
+
+test('the next pass runs after a failed one', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const close = t.mock.method(groupLifecycleService, 'closeExpiredGroups', async () => []);
+    t.mock.method(notificationService, 'notifyClosingSoon', async () => []);
+    t.mock.method(reminderService, 'sendDueAutoReminders', async () => []);
+    t.mock.method(scheduleService, 'generateDueGroups', async () => {
+        throw new Error('boom');
+    });
+
+    await groupScheduler.tick();
+    await groupScheduler.tick();
+
+    assert.equal(close.mock.callCount(), 2);
+});
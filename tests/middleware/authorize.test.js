@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const authorize = require('../../src/middleware/authorize');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const run = (permission, user) => {
+    const res = mockResponse();
+    let nextCalled = false;
+    authorize(permission)(mockRequest({ user }), res, () => {
+        nextCalled = true;
+    });
+    return { res, nextCalled };
+};
+
+test('lets a role holding the permission through', () => {
+    assert.equal(run('QUERY_SQL', { username: 'sam', role: 'SUPPORT' }).nextCalled, true);
+    assert.equal(run('WRITE_SQL', { username: 'ada', role: 'ADMIN' }).nextCalled, true);
+});
+
+test('answers 403 for a role without it, and for requests without a user', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    for (const user of [{ username: 'sam', role: 'SUPPORT' }, { username: 'amy', role: 'USER' }, undefined]) {
+        const { res, nextCalled } = run('WRITE_SQL', user);
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 403);
+    }
+});
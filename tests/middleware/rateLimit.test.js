@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit, setStore } = require('../../src/middleware/rateLimit');
+const { MemoryStore } = require('../../src/utils/rateLimitStore');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+const hit = async (limiter, req = mockRequest()) => {
+    const res = mockResponse();
+    let passed = false;
+    await limiter(req, res, () => {
+        passed = true;
+    });
+    return { res, passed };
+};
+
+test('requests over the limit get 429 with Retry-After, and every response has RateLimit headers', async () => {
+    setStore(new MemoryStore());
+    const limiter = rateLimit('test-basic', { max: 2, windowSeconds: 60 });
+
+    const first = await hit(limiter);
+    assert.equal(first.passed, true);
+    assert.equal(first.res.headers['RateLimit-Limit'], '2');
+    assert.equal(first.res.headers['RateLimit-Remaining'], '1');
+
+    await hit(limiter);
+    const third = await hit(limiter);
+    assert.equal(third.passed, false);
+    assert.equal(third.res.statusCode, 429);
+    assert.equal(third.res.headers['RateLimit-Remaining'], '0');
+    assert.ok(Number(third.res.headers['Retry-After']) > 0);
+    assert.equal(third.res.body.retryAfter, Number(third.res.headers['Retry-After']));
+});
+
+test('clients are counted separately by key', async () => {
+    setStore(new MemoryStore());
+    const limiter = rateLimit('test-keys', { max: 1, windowSeconds: 60, key: (req) => req.user.userId });
+
+    assert.equal((await hit(limiter, mockRequest({ user: { userId: 'a' } }))).passed, true);
+    assert.equal((await hit(limiter, mockRequest({ user: { userId: 'b' } }))).passed, true);
+    assert.equal((await hit(limiter, mockRequest({ user: { userId: 'a' } }))).passed, false);
+});
+
+test('a new window starts once the old one has passed', async (t) => {
+    setStore(new MemoryStore());
+    const limiter = rateLimit('test-window', { max: 1, windowSeconds: 60 });
+    const start = Date.now();
+
+    await hit(limiter);
+    assert.equal((await hit(limiter)).passed, false);
+
+    t.mock.method(Date, 'now', () => start + 61 * 1000);
+    assert.equal((await hit(limiter)).passed, true);
+});
+
+test('limits can be overridden per limiter from the environment', async (t) => {
+    setStore(new MemoryStore());
+    process.env.RATE_LIMIT_TEST_ENV_MAX = '1';
+    t.after(() => delete process.env.RATE_LIMIT_TEST_ENV_MAX);
+    const limiter = rateLimit('test-env', { max: 100, windowSeconds: 60 });
+
+    await hit(limiter);
+    assert.equal((await hit(limiter)).res.statusCode, 429);
+});
+
+test('RATE_LIMIT_ENABLED=false turns limiting off', async (t) => {
+    setStore(new MemoryStore());
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    t.after(() => delete process.env.RATE_LIMIT_ENABLED);
+    const limiter = rateLimit('test-off', { max: 1, windowSeconds: 60 });
+
+    await hit(limiter);
+    assert.equal((await hit(limiter)).passed, true);
+});
+
+test('a failing store lets requests through', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    setStore({
+        increment: async () => {
+            throw new Error('store down');
+        },
+        reset: async () => {}
+    });
+    const limiter = rateLimit('test-broken', { max: 1, windowSeconds: 60 });
+
+    assert.equal((await hit(limiter)).passed, true);
+});
+
+test('skipped requests are neither limited nor counted', async () => {
+    setStore(new MemoryStore());
+    const limiter = rateLimit('test-skip', { max: 1, windowSeconds: 60, skip: (req) => !req.body.email });
+
+    await hit(limiter, mockRequest());
+    await hit(limiter, mockRequest());
+    assert.equal((await hit(limiter, mockRequest({ body: { email: 'a@example.com' } }))).passed, true);
+    assert.equal((await hit(limiter, mockRequest({ body: { email: 'a@example.com' } }))).passed, false);
+    assert.equal((await hit(limiter, mockRequest())).passed, true);
+});
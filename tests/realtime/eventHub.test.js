@@ -0,0 +1,94 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const eventHub = require('../../src/realtime/eventHub');
+
+const openStream = (channel, options) => {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        ended: false,
+        writeHead() {},
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.ended = true;
+        }
+    };
+    eventHub.subscribe(channel, req, res, options);
+    return { req, res };
+};
+
+afterEach(() => {
+    eventHub.close({}, 'TEST_DONE');
+});
+
+test('publish reaches every client of the channel only', () => {
+    const a = openStream('group:1', { userId: 'u1' });
+    const b = openStream('group:2', { userId: 'u1' });
+
+    eventHub.publish('group:1', 'order.updated', { groupId: '1' });
+
+    assert.ok(a.res.chunks.some(chunk => chunk.startsWith('event: order.updated')));
+    assert.ok(!b.res.chunks.some(chunk => chunk.startsWith('event: order.updated')));
+});
+
+test('close ends matching streams with a stream.closed event and stops delivery', () => {
+    const removed = openStream('group:1', { userId: 'u1', sessionId: 's1' });
+    const other = openStream('group:1', { userId: 'u2', sessionId: 's2' });
+
+    assert.equal(eventHub.close({ channel: 'group:1', userId: 'u1' }, 'REMOVED_FROM_GROUP'), 1);
+    eventHub.publish('group:1', 'payment.updated', {});
+
+    assert.equal(removed.res.ended, true);
+    assert.match(removed.res.chunks.at(-1), /^event: stream\.closed\ndata: {"reason":"REMOVED_FROM_GROUP"}/);
+    assert.ok(!removed.res.chunks.some(chunk => chunk.startsWith('event: payment.updated')));
+    assert.equal(other.res.ended, false);
+    assert.ok(other.res.chunks.some(chunk => chunk.startsWith('event: payment.updated')));
+});
+
+test('close by user keeps the excepted session open', () => {
+    const current = openStream('user:u1', { userId: 'u1', sessionId: 'keep' });
+    const elsewhere = openStream('group:9', { userId: 'u1', sessionId: 'other' });
+
+    eventHub.close({ userId: 'u1', exceptSessionId: 'keep' }, 'SESSION_REVOKED');
+
+    assert.equal(current.res.ended, false);
+    assert.equal(elsewhere.res.ended, true);
+});
+
+test('the access check closes streams that are no longer allowed', async () => {
+    let member = true;
+    const stream = openStream('group:1', { userId: 'u1', verify: async () => member });
+    const unchecked = openStream('group:1', { userId: 'u2' });
+
+    await eventHub._verifyAll();
+    assert.equal(stream.res.ended, false);
+
+    member = false;
+    await eventHub._verifyAll();
+    assert.equal(stream.res.ended, true);
+    assert.match(stream.res.chunks.at(-1), /ACCESS_REVOKED/);
+    assert.equal(unchecked.res.ended, false);
+    assert.equal(eventHub.hasSubscribers('group:1'), true);
+});
+
+test('a failing access check keeps the stream open', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const stream = openStream('group:1', {
+        verify: async () => {
+            throw new Error('database unreachable');
+        }
+    });
+
+    await eventHub._verifyAll();
+    assert.equal(stream.res.ended, false);
+});
+
+test('a disconnected client is forgotten', () => {
+    const stream = openStream('group:5', { userId: 'u1' });
+    stream.req.emit('close');
+
+    assert.equal(eventHub.hasSubscribers('group:5'), false);
+});
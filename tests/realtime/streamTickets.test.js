@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const streamTickets = require('../../src/realtime/streamTickets');
+
+const user = { userId: 'u1', username: 'amy', role: 'USER', sessionId: 's1', exp: 123 };
+
+test('a ticket can be redeemed once for the user and session it was issued to', () => {
+    const { ticket, expiresAt } = streamTickets.issue(user);
+
+    assert.ok(expiresAt.getTime() > Date.now());
+    assert.deepEqual(streamTickets.redeem(ticket), { userId: 'u1', username: 'amy', role: 'USER', sessionId: 's1' });
+    assert.equal(streamTickets.redeem(ticket), null);
+});
+
+test('unknown and expired tickets are refused', (t) => {
+    assert.equal(streamTickets.redeem('made-up'), null);
+
+    const { ticket } = streamTickets.issue(user);
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + streamTickets.TICKET_TTL_MS + 1);
+
+    assert.equal(streamTickets.redeem(ticket), null);
+});
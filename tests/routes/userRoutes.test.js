@@ -0,0 +1,58 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers/prisma');
+const { setStore } = require('../../src/middleware/rateLimit');
+const { MemoryStore } = require('../../src/utils/rateLimitStore');
+const userRoutes = require('../../src/routes/userRoutes');
+const { mockRequest, mockResponse } = require('../helpers/http');
+
+// The route's middleware before the controller (authentication runs at router level)
+const limitersOf = (method, path) => {
+    const layer = userRoutes.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+    return layer.route.stack.slice(0, -1).map(l => l.handle);
+};
+
+// Runs the limiters like Express would; true when the request reaches the controller
+const passes = async (method, path, user, body) => {
+    const res = mockResponse();
+    for (const limiter of limitersOf(method, path)) {
+        let next = false;
+        await limiter(mockRequest({ user, body }), res, () => {
+            next = true;
+        });
+        if (!next) return false;
+    }
+    return true;
+};
+
+beforeEach(() => setStore(new MemoryStore()));
+
+test('one user cannot send verification emails to new addresses without limit', async () => {
+    const amy = { userId: 'amy' };
+    const results = [];
+    for (let i = 0; i < 6; i++) results.push(await passes('put', '/email', amy, { email: `target${i}@example.com` }));
+
+    assert.deepEqual(results, [true, true, true, true, true, false]);
+});
+
+test('one address cannot be sent verification emails without limit, whoever asks and through either route', async () => {
+    const results = [];
+    for (const [path, userId] of [['/email', 'u1'], ['/me', 'u2'], ['/email', 'u3'], ['/me', 'u4']]) {
+        results.push(await passes('put', path, { userId }, { email: ' Victim@Example.com ' }));
+    }
+
+    assert.deepEqual(results, [true, true, true, false]);
+});
+
+test('profile updates without an email address are not counted', async () => {
+    for (let i = 0; i < 10; i++) assert.equal(await passes('put', '/me', { userId: 'amy' }, { name: `Amy ${i}` }), true);
+});
+
+test('password changes and account deletion share a limit per user', async () => {
+    const results = [];
+    for (let i = 0; i < 6; i++) results.push(await passes('put', '/me/password', { userId: 'amy' }, {}));
+    for (let i = 0; i < 5; i++) results.push(await passes('delete', '/me', { userId: 'amy' }, {}));
+
+    assert.deepEqual(results, [...Array(10).fill(true), false]);
+    assert.equal(await passes('delete', '/me', { userId: 'bob' }, {}), true);
+});
@@ -0,0 +1,231 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { db, resetDb } = require('../helpers/prisma');
+const accountService = require('../../src/services/accountService');
+const mailService = require('../../src/services/mailService');
+const authService = require('../../src/services/authService');
+
+const profile = { id: 'user-1', username: 'amy', name: 'Amy', email: null, role: 'USER', createdAt: new Date(0) };
+
+beforeEach(() => {
+    resetDb();
+    db.emailVerification = { deleteMany: async () => ({ count: 0 }), findFirst: async () => null };
+});
+
+test('updateProfile only records a new email as pending until it is verified', async (t) => {
+    const update = t.mock.fn(async () => profile);
+    let pending = null;
+    db.user = { findUnique: async ({ where }) => (where.email ? null : profile), update };
+    db.emailVerification = {
+        deleteMany: async () => ({ count: 0 }),
+        create: async ({ data }) => {
+            pending = data;
+            return { id: 'verification-1', ...data };
+        },
+        findFirst: async () => pending
+    };
+    t.mock.method(mailService, 'send', async () => ({}));
+
+    const result = await accountService.updateProfile('user-1', { email: 'Amy@Example.com' });
+
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(result.email, null);
+    assert.equal(result.pendingEmail, 'amy@example.com');
+});
+
+test('updateProfile refuses an email that belongs to someone else', async () => {
+    db.user = { findUnique: async ({ where }) => (where.email ? { id: 'user-2' } : profile) };
+
+    await assert.rejects(accountService.updateProfile('user-1', { email: 'bob@example.com' }), { message: 'Email already in use' });
+});
+
+test('updateProfile validates the name before changing anything', async (t) => {
+    const update = t.mock.fn(async () => profile);
+    db.user = { findUnique: async () => null, update };
+
+    await assert.rejects(accountService.updateProfile('user-1', { name: ' ', email: 'amy@example.com' }), /^Error: Invalid name/);
+    await assert.rejects(accountService.updateProfile('user-1', {}), /nothing to update/);
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test('updateProfile saves the trimmed name and returns the profile with permissions', async () => {
+    let saved;
+    db.user = {
+        findUnique: async () => ({ ...profile, ...saved }),
+        update: async ({ data }) => {
+            saved = data;
+            return profile;
+        }
+    };
+
+    const result = await accountService.updateProfile('user-1', { name: '  Amy Chen ' });
+    assert.deepEqual(saved, { name: 'Amy Chen' });
+    assert.equal(result.name, 'Amy Chen');
+    assert.ok(Array.isArray(result.permissions));
+});
+
+describe('deleteAccount', () => {
+    const groupEvents = require('../../src/realtime/groupEvents');
+    const notificationService = require('../../src/services/notificationService');
+    const eventHub = require('../../src/realtime/eventHub');
+
+    const password = 'correct horse';
+    const passwordHash = bcrypt.hashSync(password, 4);
+
+    let calls;
+    let locked;
+    let ledgerGroups;
+    let openGroups;
+    let inTransaction;
+
+    // Every other model method just records that it was called inside the transaction
+    const recorder = (model) => new Proxy({}, {
+        get: (target, method) => async (args) => {
+            calls.push({ model, method: String(method), args, inTransaction });
+            return method === 'findMany' ? [] : { count: 0 };
+        }
+    });
+
+    beforeEach((t) => {
+        calls = [];
+        inTransaction = false;
+        locked = [{ id: 'user-1', role: 'USER', deletedAt: null }];
+        ledgerGroups = [];
+        openGroups = [];
+
+        ['session', 'loginThrottle', 'emailVerification', 'friendRequest', 'userBlock', 'notification', 'notificationPreference',
+            'menuTemplate', 'menuTemplateShare', 'groupSchedule', 'groupInvite', 'paymentReminder', 'groupOrder', 'groupStatusEvent']
+            .forEach(model => {
+                db[model] = recorder(model);
+            });
+        db.user = {
+            findUnique: async () => ({ id: 'user-1', username: 'amy', role: locked[0].role, password: passwordHash, deletedAt: null }),
+            update: async (args) => calls.push({ model: 'user', method: 'update', args, inTransaction })
+        };
+        db.group = {
+            findMany: async ({ where }) => (where.status === 'OPEN' ? openGroups : ledgerGroups),
+            updateMany: async (args) => {
+                calls.push({ model: 'group', method: 'updateMany', args, inTransaction });
+                return { count: 1 };
+            },
+            findUnique: async ({ where }) => ({ ...openGroups.find(g => g.id === where.id), status: 'CLOSED' })
+        };
+        db.$queryRaw = async (strings) => {
+            calls.push({ model: 'raw', method: strings.join('?'), inTransaction });
+            return strings.join('?').includes('FROM "User"') ? locked : [];
+        };
+        db.$transaction = async (fn) => {
+            inTransaction = true;
+            try {
+                return await fn(db);
+            } finally {
+                inTransaction = false;
+            }
+        };
+
+        t.mock.method(groupEvents, 'publishStatusChanged', () => {});
+        t.mock.method(notificationService, 'notifyPaymentsDue', () => {});
+        t.mock.method(eventHub, 'close', () => 0);
+        t.mock.method(authService, 'loginLockedForSeconds', async () => 0);
+        t.mock.method(authService, 'recordFailedLogin', async () => 0);
+        t.mock.method(authService, 'clearFailedLogins', async () => {});
+    });
+
+    test('checks, closes the open groups and anonymises in one transaction, after locking the admin rows', async () => {
+        openGroups = [{ id: 'group-1', status: 'OPEN', creatorId: 'user-1' }];
+
+        const result = await accountService.deleteAccount('user-1', password);
+
+        assert.deepEqual(result.closedGroups, ['group-1']);
+        assert.ok(calls.every(call => call.inTransaction), 'every write runs inside the transaction');
+        assert.match(calls[0].method, /FROM "User"[\s\S]*"role" = 'ADMIN'[\s\S]*FOR UPDATE/);
+        const closing = calls.find(call => call.model === 'group' && call.method === 'updateMany');
+        assert.deepEqual(closing.args.where, { id: 'group-1', status: 'OPEN' });
+        const anonymised = calls.find(call => call.model === 'user' && call.method === 'update');
+        assert.equal(anonymised.args.data.username, 'deleted-user-1');
+        assert.equal(anonymised.args.data.email, null);
+        assert.equal(eventHub.close.mock.calls[0].arguments[0].userId, 'user-1');
+        assert.equal(groupEvents.publishStatusChanged.mock.callCount(), 1);
+    });
+
+    test('the last admin cannot delete their account', async () => {
+        locked = [{ id: 'user-1', role: 'ADMIN', deletedAt: null }];
+
+        await assert.rejects(accountService.deleteAccount('user-1', password), { message: 'Cannot delete account: you are the last admin' });
+        assert.ok(!calls.some(call => call.model === 'user'));
+    });
+
+    test('an admin can delete their account while another admin remains', async () => {
+        locked = [{ id: 'user-1', role: 'ADMIN', deletedAt: null }, { id: 'admin-2', role: 'ADMIN', deletedAt: null }];
+
+        await accountService.deleteAccount('user-1', password);
+        assert.ok(calls.some(call => call.model === 'user' && call.method === 'update'));
+    });
+
+    test('refused while members still owe them money, before anything is closed', async () => {
+        openGroups = [{ id: 'group-1', status: 'OPEN', creatorId: 'user-1' }];
+        ledgerGroups = [{
+            id: 'group-2',
+            title: 'Lunch',
+            creatorId: 'user-1',
+            adjustments: [],
+            products: [],
+            orders: [{ id: 'order-1', userId: 'bob', items: [{ name: 'Rice', price: 100, quantity: 1 }], payments: [] }]
+        }];
+
+        await assert.rejects(accountService.deleteAccount('user-1', password), /members still owe you money in "Lunch"/);
+        assert.ok(!calls.some(call => call.method === 'updateMany' && call.model === 'group'));
+        assert.ok(calls.some(call => /FROM "GroupOrder"[\s\S]*FOR UPDATE/.test(call.method)));
+    });
+
+    test('a wrong password deletes nothing', async () => {
+        await assert.rejects(accountService.deleteAccount('user-1', 'wrong'), { message: 'Current password is incorrect' });
+        assert.equal(calls.length, 0);
+    });
+});
+
+describe('password confirmation', () => {
+    const password = 'correct horse';
+    const user = { ...profile, password: bcrypt.hashSync(password, 4), deletedAt: null };
+    const meta = { ipAddress: '203.0.113.7' };
+
+    let lockedFor;
+
+    beforeEach((t) => {
+        lockedFor = 0;
+        db.user = { findUnique: async () => user, update: async () => user };
+        t.mock.method(authService, 'loginLockedForSeconds', async () => lockedFor);
+        t.mock.method(authService, 'recordFailedLogin', async () => 0);
+        t.mock.method(authService, 'clearFailedLogins', async () => {});
+        t.mock.method(authService, 'revokeAllSessions', async () => 2);
+    });
+
+    test('a wrong current password counts as a failed login from that address', async () => {
+        await assert.rejects(
+            accountService.changePassword('user-1', 'session-1', { currentPassword: 'guess', newPassword: 'new password 1' }, meta),
+            { message: 'Current password is incorrect' }
+        );
+        await assert.rejects(accountService.deleteAccount('user-1', 'guess', meta), { message: 'Current password is incorrect' });
+
+        assert.deepEqual(authService.recordFailedLogin.mock.calls.map(call => call.arguments), [['amy', meta.ipAddress], ['amy', meta.ipAddress]]);
+    });
+
+    test('while locked even the right password is refused, without checking it', async (t) => {
+        lockedFor = 60;
+        const compare = t.mock.method(bcrypt, 'compare');
+
+        await assert.rejects(
+            accountService.changePassword('user-1', 'session-1', { currentPassword: password, newPassword: 'new password 1' }, meta),
+            /^Error: Too many failed password attempts/
+        );
+        assert.equal(compare.mock.callCount(), 0);
+    });
+
+    test('the right password clears the failures', async () => {
+        const result = await accountService.changePassword('user-1', 'session-1', { currentPassword: password, newPassword: 'new password 1' }, meta);
+
+        assert.equal(result.revokedSessions, 2);
+        assert.deepEqual(authService.clearFailedLogins.mock.calls[0].arguments, ['amy', meta.ipAddress]);
+    });
+});
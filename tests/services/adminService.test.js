@@ -0,0 +1,187 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const { db, resetDb } = require('../helpers/prisma');
+const adminService = require('../../src/services/adminService');
+const paymentService = require('../../src/services/paymentService');
+
+let users;
+let audit;
+let transactionOptions;
+
+beforeEach(() => {
+    resetDb();
+    audit = [];
+    transactionOptions = null;
+    users = [
+        { id: 'ada', username: 'ada', role: 'ADMIN', deletedAt: null },
+        { id: 'bea', username: 'bea', role: 'ADMIN', deletedAt: null },
+        { id: 'sam', username: 'sam', role: 'USER', deletedAt: null }
+    ];
+
+    db.user = {
+        count: async ({ where }) => users.filter(u => u.role === where.role).length,
+        findUnique: async ({ where }) => {
+            const user = users.find(u => u.id === where.id);
+            return user ? { ...user } : null;
+        },
+        update: async ({ where, data }) => ({ ...Object.assign(users.find(u => u.id === where.id), data) })
+    };
+    db.adminAuditLog = { create: async ({ data }) => audit.push(data) };
+    db.$queryRaw = async (strings, targetId) => {
+        assert.match(strings.join('?'), /FROM "User"[\s\S]*"role" = 'ADMIN'[\s\S]*FOR UPDATE/);
+        return users.filter(u => u.id === targetId || (u.role === 'ADMIN' && !u.deletedAt)).map(({ id, role }) => ({ id, role }));
+    };
+    db.$transaction = async (fn, options) => {
+        transactionOptions = options;
+        return fn(db);
+    };
+});
+
+describe('bootstrapAdmin', () => {
+    beforeEach(() => {
+        process.env.ADMIN_BOOTSTRAP_TOKEN = 'let-me-in';
+        users.forEach(u => { u.role = 'USER'; });
+    });
+
+    test('promotes the first admin in a serializable transaction', async () => {
+        const user = await adminService.bootstrapAdmin('sam', 'let-me-in');
+
+        assert.equal(user.role, 'ADMIN');
+        assert.equal(transactionOptions.isolationLevel, Prisma.TransactionIsolationLevel.Serializable);
+        assert.equal(audit[0].action, 'BOOTSTRAP_ADMIN');
+    });
+
+    test('a bootstrap that loses a race to another one is told an admin already exists', async () => {
+        db.$transaction = async () => {
+            throw new Prisma.PrismaClientKnownRequestError('Transaction failed due to a write conflict', {
+                code: 'P2034',
+                clientVersion: Prisma.prismaVersion.client
+            });
+        };
+
+        await assert.rejects(adminService.bootstrapAdmin('sam', 'let-me-in'), { message: 'An admin already exists' });
+    });
+
+    test('refuses a wrong token and a second admin', async () => {
+        await assert.rejects(adminService.bootstrapAdmin('sam', 'guess'), { message: 'Invalid bootstrap token' });
+
+        users[0].role = 'ADMIN';
+        await assert.rejects(adminService.bootstrapAdmin('sam', 'let-me-in'), { message: 'An admin already exists' });
+    });
+});
+
+describe('setRole', () => {
+    test('demotes an admin while another one remains', async () => {
+        const user = await adminService.setRole('ada', 'bea', 'USER');
+
+        assert.equal(user.role, 'USER');
+        assert.deepEqual(audit[0].details, { fromRole: 'ADMIN', toRole: 'USER' });
+    });
+
+    test('counts the admins it locked, so the second of two demotions is refused', async () => {
+        await adminService.setRole('ada', 'bea', 'USER');
+
+        await assert.rejects(adminService.setRole('bea', 'ada', 'SUPPORT'), { message: 'Invalid role: cannot remove the last admin' });
+        assert.equal(users[0].role, 'ADMIN');
+    });
+
+    test('refuses unknown roles and users', async () => {
+        await assert.rejects(adminService.setRole('ada', 'sam', 'ROOT'), /^Error: Invalid role/);
+        await assert.rejects(adminService.setRole('ada', 'nobody', 'SUPPORT'), { message: 'User not found' });
+    });
+});
+
+describe('getStats', () => {
+    test('counts with SQL aggregates and walks the unpaid ledgers in batches', async (t) => {
+        db.user = { count: async ({ where } = {}) => (where ? 1 : 3) };
+        db.group = {
+            groupBy: async () => [{ status: 'OPEN', _count: { _all: 4 } }, { status: 'CLOSED', _count: { _all: 2 } }],
+            count: async ({ where }) => (where.archivedAt ? 1 : 3)
+        };
+        db.$queryRaw = async () => [];
+        t.mock.method(paymentService, 'eachGroupLedger', async (where, callback) => {
+            [250, 0, 100].forEach(totalOutstanding => callback({ costs: { totalOutstanding } }));
+        });
+
+        const stats = await adminService.getStats({ days: 1 });
+
+        assert.deepEqual(stats.users, { total: 3, disabled: 1 });
+        assert.deepEqual(stats.groups, { open: 4, active: 3, closed: 2, archived: 1 });
+        assert.deepEqual(stats.outstanding, { amount: 350, groups: 2 });
+    });
+});
+
+describe('group actions', () => {
+    const groupEvents = require('../../src/realtime/groupEvents');
+    const notificationService = require('../../src/services/notificationService');
+    const groupLifecycleService = require('../../src/services/groupLifecycleService');
+
+    let group;
+    let steps;
+    let inTransaction;
+
+    beforeEach((t) => {
+        steps = [];
+        inTransaction = false;
+        group = { id: 'group-1', status: 'OPEN', archivedAt: null };
+
+        db.group = {
+            findUnique: async () => group,
+            update: async ({ data }) => {
+                steps.push(`update${inTransaction ? ' (tx)' : ''}`);
+                return { ...group, ...data };
+            }
+        };
+        db.adminAuditLog = { create: async ({ data }) => steps.push(`audit ${data.action}${inTransaction ? ' (tx)' : ''}`) };
+        db.$transaction = async (fn) => {
+            inTransaction = true;
+            try {
+                return await fn(db);
+            } finally {
+                inTransaction = false;
+            }
+        };
+
+        t.mock.method(groupLifecycleService, '_transition', async (tx, current, { reason }) => {
+            steps.push(`close ${reason}${inTransaction ? ' (tx)' : ''}`);
+            return { ...current, status: 'CLOSED' };
+        });
+        t.mock.method(groupEvents, 'publishStatusChanged', () => {});
+        t.mock.method(groupEvents, 'publishGroupUpdated', () => {});
+        t.mock.method(notificationService, 'notifyPaymentsDue', () => {});
+    });
+
+    test('a forced close is audited after it happens, in the same transaction', async () => {
+        const closed = await adminService.forceCloseGroup('ada', 'group-1');
+
+        assert.equal(closed.status, 'CLOSED');
+        assert.deepEqual(steps, ['close ADMIN_CLOSE (tx)', 'audit FORCE_CLOSE_GROUP (tx)']);
+        assert.equal(groupEvents.publishStatusChanged.mock.callCount(), 1);
+    });
+
+    test('a close that fails is not audited', async () => {
+        groupLifecycleService._transition.mock.mockImplementation(async () => null);
+
+        await assert.rejects(adminService.forceCloseGroup('ada', 'group-1'), { message: 'Group status changed, please retry' });
+        assert.deepEqual(steps, []);
+        assert.equal(groupEvents.publishStatusChanged.mock.callCount(), 0);
+    });
+
+    test('archiving closes, archives and audits in one transaction', async () => {
+        const archived = await adminService.setArchived('ada', 'group-1', true);
+
+        assert.ok(archived.archivedAt);
+        assert.deepEqual(steps, ['close ADMIN_CLOSE (tx)', 'update (tx)', 'audit ARCHIVE_GROUP (tx)']);
+    });
+
+    test('an archive that fails is not audited', async () => {
+        db.group.update = async () => {
+            throw new Error('connection lost');
+        };
+
+        await assert.rejects(adminService.setArchived('ada', 'group-1', true), /connection lost/);
+        assert.ok(!steps.some(step => step.startsWith('audit')));
+        assert.equal(groupEvents.publishGroupUpdated.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,102 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db, resetDb } = require('../helpers/prisma');
+const authService = require('../../src/services/authService');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sessionRow = (overrides = {}) => ({
+    id: 'session-1',
+    refreshTokenHash: hash('current-secret'),
+    userAgent: 'old-agent',
+    ipAddress: '10.0.0.1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    user: { id: 'user-1', username: 'amy', name: 'Amy', role: 'USER', disabledAt: null },
+    ...overrides
+});
+
+beforeEach(() => resetDb());
+
+test('refreshSession rotates the refresh token and signs an access token for the session', async (t) => {
+    const updateMany = t.mock.fn(async () => ({ count: 1 }));
+    db.session = { findUnique: async () => sessionRow(), updateMany };
+
+    const result = await authService.refreshSession('session-1.current-secret', { userAgent: 'new-agent' });
+
+    const [sessionId, newSecret] = result.refreshToken.split('.');
+    assert.equal(sessionId, 'session-1');
+    assert.notEqual(newSecret, 'current-secret');
+
+    const { where, data } = updateMany.mock.calls[0].arguments[0];
+    assert.deepEqual(where, { id: 'session-1', refreshTokenHash: hash('current-secret'), revokedAt: null });
+    assert.equal(data.refreshTokenHash, hash(newSecret));
+    assert.equal(data.userAgent, 'new-agent');
+    assert.equal(data.ipAddress, '10.0.0.1');
+
+    const payload = jwt.decode(result.accessToken);
+    assert.equal(payload.sessionId, 'session-1');
+    assert.equal(payload.userId, 'user-1');
+    assert.equal(payload.role, 'USER');
+});
+
+test('presenting an already-rotated refresh token revokes the session', async (t) => {
+    const update = t.mock.fn(async () => ({}));
+    const updateMany = t.mock.fn(async () => ({ count: 1 }));
+    db.session = { findUnique: async () => sessionRow(), update, updateMany };
+
+    await assert.rejects(authService.refreshSession('session-1.stolen-old-secret'), { message: 'Invalid refresh token' });
+
+    assert.equal(update.mock.callCount(), 1);
+    assert.ok(update.mock.calls[0].arguments[0].data.revokedAt instanceof Date);
+    assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('only one of two concurrent refreshes with the same token wins', async () => {
+    db.session = { findUnique: async () => sessionRow(), updateMany: async () => ({ count: 0 }) };
+
+    await assert.rejects(authService.refreshSession('session-1.current-secret'), { message: 'Invalid refresh token' });
+});
+
+test('refreshSession refuses malformed, revoked, expired and disabled sessions', async () => {
+    await assert.rejects(authService.refreshSession('no-separator'), { message: 'Invalid refresh token' });
+    await assert.rejects(authService.refreshSession(undefined), { message: 'Invalid refresh token' });
+
+    db.session = { findUnique: async () => null };
+    await assert.rejects(authService.refreshSession('missing.secret'), { message: 'Invalid refresh token' });
+
+    db.session = { findUnique: async () => sessionRow({ revokedAt: new Date() }) };
+    await assert.rejects(authService.refreshSession('session-1.current-secret'), { message: 'Invalid refresh token' });
+
+    db.session = { findUnique: async () => sessionRow({ expiresAt: new Date(Date.now() - 1000) }) };
+    await assert.rejects(authService.refreshSession('session-1.current-secret'), { message: 'Refresh token expired' });
+
+    db.session = { findUnique: async () => sessionRow({ user: { ...sessionRow().user, disabledAt: new Date() } }) };
+    await assert.rejects(authService.refreshSession('session-1.current-secret'), { message: 'Account disabled' });
+});
+
+test('createSession stores only the hash of the refresh token secret', async (t) => {
+    const create = t.mock.fn(async ({ data }) => ({ id: 'session-2', ...data }));
+    db.session = { create };
+
+    const { refreshToken, sessionId } = await authService.createSession({ id: 'user-1', username: 'amy', role: 'USER' });
+
+    const [id, secret] = refreshToken.split('.');
+    assert.equal(id, sessionId);
+    const { data } = create.mock.calls[0].arguments[0];
+    assert.equal(data.refreshTokenHash, hash(secret));
+    assert.ok(!JSON.stringify(data).includes(secret));
+});
+
+test('getActiveSession ignores revoked and expired sessions', async () => {
+    db.session = { findUnique: async () => sessionRow({ revokedAt: new Date() }) };
+    assert.equal(await authService.getActiveSession('session-1'), null);
+
+    db.session = { findUnique: async () => sessionRow({ expiresAt: new Date(Date.now() - 1) }) };
+    assert.equal(await authService.getActiveSession('session-1'), null);
+
+    db.session = { findUnique: async () => sessionRow() };
+    assert.equal((await authService.getActiveSession('session-1')).id, 'session-1');
+});
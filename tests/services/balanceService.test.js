@@ -0,0 +1,73 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const balanceService = require('../../src/services/balanceService');
+const userService = require('../../src/services/userService');
+const paymentService = require('../../src/services/paymentService');
+const notificationService = require('../../src/services/notificationService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+const ledger = (id, creatorId, userId, balanceDue) => ({
+    group: { id, title: `Group ${id}`, creatorId, orders: [{ id: `${id}-${userId}`, userId }] },
+    costs: { byOrderId: { [`${id}-${userId}`]: { balanceDue } } }
+});
+
+let ledgers;
+let payments;
+let synced;
+let notified;
+
+beforeEach((t) => {
+    resetDb();
+    // bob owes amy 120 for g1, amy owes bob 80 for g2: amy receives the net 40
+    ledgers = [ledger('g1', 'amy', 'bob', 120), ledger('g2', 'bob', 'amy', 80)];
+    payments = [];
+    synced = [];
+    notified = [];
+
+    db.group = { findMany: async () => ledgers.map(l => ({ id: l.group.id })) };
+    db.$queryRaw = async () => [];
+    db.payment = { create: async ({ data }) => payments.push(data) };
+
+    t.mock.method(userService, 'areFriends', async () => true);
+    t.mock.method(paymentService, 'getGroupLedgers', async () => ledgers);
+    t.mock.method(paymentService, 'syncGroupPaymentStatuses', async (groupId, tx) => {
+        synced.push([groupId, tx ? 'tx' : 'after']);
+        return { byOrderId: {} };
+    });
+    t.mock.method(groupEvents, 'publishPaymentUpdated', async () => {});
+    t.mock.method(notificationService, 'notify', async (userIds, type, groupId) => notified.push([userIds, type, groupId]));
+});
+
+test('settleUp pays off every unsettled order between the two users', async () => {
+    const result = await balanceService.settleUp('amy', 'bob', { method: 'CASH', note: 'dinner', expectedNet: 40 });
+
+    assert.equal(result.net, 40);
+    assert.deepEqual(payments.map(p => [p.groupOrderId, p.amount, p.method, p.note, p.recordedById]), [
+        ['g1-bob', 120, 'CASH', 'Settle up: dinner', 'amy'],
+        ['g2-amy', 80, 'CASH', 'Settle up: dinner', 'amy']
+    ]);
+    assert.deepEqual(result.settledOrders.map(o => [o.orderId, o.amount]), [['g1-bob', 120], ['g2-amy', 80]]);
+    assert.deepEqual(synced, [['g1', 'tx'], ['g2', 'tx'], ['g1', 'after'], ['g2', 'after']]);
+    assert.deepEqual(notified, [[['bob'], 'PAYMENT_RECORDED', 'g1'], [['bob'], 'PAYMENT_RECORDED', 'g2']]);
+});
+
+test('only the user receiving the net amount can settle up', async () => {
+    await assert.rejects(balanceService.settleUp('bob', 'amy'), { message: 'Only the user receiving the net amount can settle up' });
+    assert.deepEqual(payments, []);
+});
+
+test('settleUp refuses when the balance changed since it was shown', async () => {
+    await assert.rejects(balanceService.settleUp('amy', 'bob', { expectedNet: 100 }), { message: 'Balance changed, please review it again' });
+    assert.deepEqual(payments, []);
+});
+
+test('settleUp needs friends with something to settle and a known method', async () => {
+    await assert.rejects(balanceService.settleUp('amy', 'bob', { method: 'GOLD' }), /^Error: Invalid payment: method must be one of/);
+
+    ledgers = [];
+    await assert.rejects(balanceService.settleUp('amy', 'bob'), { message: 'Nothing to settle' });
+
+    userService.areFriends.mock.mockImplementation(async () => false);
+    await assert.rejects(balanceService.settleUp('amy', 'bob'), { message: 'Not friends' });
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, uniqueViolation } = require('../helpers/prisma');
+const groupInviteService = require('../../src/services/groupInviteService');
+const userService = require('../../src/services/userService');
+const paymentService = require('../../src/services/paymentService');
+const groupMemberService = require('../../src/services/groupMemberService');
+const notificationService = require('../../src/services/notificationService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+const code = groupInviteService._format({ id: 'invite-1' }).code;
+
+let invite;
+let group;
+let members;
+let useCount;
+let created;
+
+beforeEach((t) => {
+    resetDb();
+    created = [];
+    members = [];
+    useCount = 0;
+    group = { id: 'group-1', title: 'Lunch', creatorId: 'amy', status: 'OPEN', endTime: new Date(Date.now() + 60 * 60 * 1000) };
+    invite = { id: 'invite-1', groupId: 'group-1', group, revokedAt: null, expiresAt: null, maxUses: 2, useCount: 0 };
+
+    db.groupInvite = { findUnique: async ({ where }) => (where.id === invite.id ? invite : null) };
+    db.groupOrder = {
+        findUnique: async ({ where }) => members.find(m => m.userId === where.groupId_userId.userId) || null,
+        create: async ({ data }) => {
+            const order = { id: `order-${data.userId}`, ...data };
+            created.push(order);
+            return order;
+        }
+    };
+    db.user = { findUnique: async () => ({ name: 'Bob' }) };
+    // The conditional UPDATE only counts a use while one is left
+    db.$executeRaw = async () => {
+        if (invite.maxUses !== null && useCount >= invite.maxUses) return 0;
+        useCount++;
+        return 1;
+    };
+
+    t.mock.method(userService, 'getBlockedUserIds', async () => []);
+    t.mock.method(paymentService, 'syncGroupPaymentStatuses', async () => ({}));
+    t.mock.method(groupMemberService, 'getUserIdsWith', async () => ['amy']);
+    t.mock.method(notificationService, 'notify', () => {});
+    t.mock.method(groupEvents, 'publishGroupUpdated', () => {});
+    t.mock.method(groupEvents, 'publishToUsers', () => {});
+});
+
+test('a redemption joins the group through the invite and counts one use', async () => {
+    const result = await groupInviteService.redeemInvite('bob', code);
+
+    assert.deepEqual(result, { groupId: 'group-1', orderId: 'order-bob', alreadyMember: false });
+    assert.equal(created[0].joinedViaInviteId, 'invite-1');
+    assert.equal(useCount, 1);
+});
+
+test('a member redeeming again is told they are already in, without using the invite', async () => {
+    members.push({ id: 'order-bob', userId: 'bob' });
+
+    const result = await groupInviteService.redeemInvite('bob', code);
+
+    assert.equal(result.alreadyMember, true);
+    assert.equal(useCount, 0);
+});
+
+test('a second redemption racing the first one reports the existing membership instead of failing', async () => {
+    db.groupOrder.create = async () => {
+        members.push({ id: 'order-bob', userId: 'bob' });
+        throw uniqueViolation('groupId_userId');
+    };
+
+    const result = await groupInviteService.redeemInvite('bob', code);
+
+    assert.deepEqual(result, { groupId: 'group-1', orderId: 'order-bob', alreadyMember: true });
+});
+
+test('refuses revoked, expired and used up invites, and closed groups', async () => {
+    invite.revokedAt = new Date();
+    await assert.rejects(groupInviteService.redeemInvite('bob', code), { message: 'Invite is revoked' });
+
+    invite.revokedAt = null;
+    invite.expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(groupInviteService.redeemInvite('bob', code), { message: 'Invite is expired' });
+
+    invite.expiresAt = null;
+    invite.useCount = 2;
+    await assert.rejects(groupInviteService.redeemInvite('bob', code), { message: 'Invite is used up' });
+
+    invite.useCount = 0;
+    group.status = 'CLOSED';
+    await assert.rejects(groupInviteService.redeemInvite('bob', code), { message: 'Group is closed' });
+    assert.equal(created.length, 0);
+});
+
+test('the use limit holds when redemptions pass the first check at the same time', async () => {
+    await Promise.allSettled(['bob', 'cat', 'dan'].map(userId => groupInviteService.redeemInvite(userId, code)));
+
+    assert.equal(useCount, 2);
+    assert.equal(created.length, 2);
+});
+
+test('a forged code is not found', async () => {
+    await assert.rejects(groupInviteService.redeemInvite('bob', 'invite-1.forged-signature-xx'), { message: 'Invite not found' });
+});
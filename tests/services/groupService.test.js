@@ -0,0 +1,177 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const groupService = require('../../src/services/groupService');
+const groupMemberService = require('../../src/services/groupMemberService');
+const paymentService = require('../../src/services/paymentService');
+const notificationService = require('../../src/services/notificationService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+describe('removeMember', () => {
+    let orders;
+    let deleted;
+    let payments;
+
+    beforeEach((t) => {
+        resetDb();
+        deleted = [];
+        payments = 0;
+        orders = [
+            { id: 'o-amy', userId: 'amy', role: 'OWNER' },
+            { id: 'o-col', userId: 'col', role: 'CO_ORGANISER' },
+            { id: 'o-tia', userId: 'tia', role: 'TREASURER' },
+            { id: 'o-bob', userId: 'bob', role: 'PARTICIPANT', joinedViaInviteId: 'invite-1' },
+            { id: 'o-pat', userId: 'pat', role: 'PARTICIPANT' }
+        ];
+
+        db.group = { findUnique: async () => ({ id: 'group-1', title: 'Lunch', creatorId: 'amy', orders }) };
+        db.payment = { count: async () => payments };
+        db.paymentClaim = { count: async () => 0 };
+        db.userOrder = { deleteMany: async ({ where }) => deleted.push(['items', where.groupOrderId]) };
+        db.groupOrder = {
+            deleteMany: async ({ where }) => {
+                deleted.push(['order', where.id]);
+                return { count: 1 };
+            }
+        };
+
+        t.mock.method(paymentService, 'syncGroupPaymentStatuses', async () => ({}));
+        t.mock.method(groupMemberService, 'getMembers', async () => ({ members: [] }));
+        t.mock.method(notificationService, 'notify', () => {});
+        t.mock.method(groupEvents, 'publishGroupUpdated', () => {});
+        t.mock.method(groupEvents, 'publishToUsers', () => {});
+        t.mock.method(groupEvents, 'closeGroupStreams', () => {});
+    });
+
+    test('a co-organiser removes a member who joined through an invite link, and their streams close', async () => {
+        await groupService.removeMember('col', 'group-1', 'bob');
+
+        assert.deepEqual(deleted, [['items', 'o-bob'], ['order', 'o-bob']]);
+        assert.deepEqual(groupEvents.closeGroupStreams.mock.calls[0].arguments, ['group-1', ['bob'], 'REMOVED_FROM_GROUP']);
+        assert.equal(paymentService.syncGroupPaymentStatuses.mock.callCount(), 1);
+    });
+
+    test('needs MANAGE_GROUP', async () => {
+        await assert.rejects(groupService.removeMember('tia', 'group-1', 'bob'), { message: 'Not authorized' });
+        await assert.rejects(groupService.removeMember('pat', 'group-1', 'bob'), { message: 'Not authorized' });
+        assert.equal(deleted.length, 0);
+    });
+
+    test('organisers, the creator and oneself are not removed this way', async () => {
+        await assert.rejects(groupService.removeMember('amy', 'group-1', 'col'), /change their role to participant first/);
+        await assert.rejects(groupService.removeMember('col', 'group-1', 'amy'), /creator stays in the group/);
+        await assert.rejects(groupService.removeMember('col', 'group-1', 'col'), /cannot remove yourself/);
+        await assert.rejects(groupService.removeMember('col', 'group-1', 'nobody'), { message: 'Member not found' });
+        assert.equal(deleted.length, 0);
+    });
+
+    test('members with payments on record stay', async () => {
+        payments = 1;
+
+        await assert.rejects(groupService.removeMember('amy', 'group-1', 'pat'), /payments recorded/);
+        assert.equal(deleted.length, 0);
+    });
+});
+
+describe('getDashboardGroups', () => {
+    let findManyArgs;
+    let counted;
+
+    beforeEach(() => {
+        resetDb();
+        findManyArgs = null;
+        counted = 0;
+        db.group = {
+            findMany: async (args) => {
+                findManyArgs = args;
+                return [];
+            },
+            count: async () => {
+                counted++;
+                return 0;
+            }
+        };
+    });
+
+    test('role filters use the user\'s membership role, not who created the group', () => {
+        const organiser = groupService._buildDashboardQuery('amy', { role: 'creator' });
+        assert.deepEqual(organiser.where.AND[2], { orders: { some: { userId: 'amy', role: { in: ['OWNER', 'CO_ORGANISER'] } } } });
+
+        const participant = groupService._buildDashboardQuery('amy', { role: 'participant' });
+        assert.deepEqual(participant.where.AND[2], { orders: { some: { userId: 'amy', role: { notIn: ['OWNER', 'CO_ORGANISER'] } } } });
+    });
+
+    test('without paging every matching group is loaded, and limit and cursor are ignored', async () => {
+        const result = await groupService.getDashboardGroups('amy', { limit: '0', cursor: 'g9' }, { paginated: false });
+
+        assert.equal(findManyArgs.take, undefined);
+        assert.equal(findManyArgs.cursor, undefined);
+        assert.deepEqual(findManyArgs.orderBy, [{ createdAt: 'desc' }, { id: 'desc' }]);
+        assert.equal(counted, 0);
+        assert.deepEqual(result, { groups: [], totalCount: 0, nextCursor: null });
+    });
+
+    test('a page loads one extra group to tell whether there is a next page', async () => {
+        await groupService.getDashboardGroups('amy', { limit: '5' });
+
+        assert.equal(findManyArgs.take, 6);
+        assert.equal(counted, 1);
+        await assert.rejects(groupService.getDashboardGroups('amy', { limit: '0' }), /^Error: Invalid query: limit/);
+    });
+});
+
+describe('updateGroup member sync', () => {
+    let orders;
+    let deleted;
+    let payments;
+    let groupUpdates;
+
+    beforeEach((t) => {
+        resetDb();
+        deleted = [];
+        payments = 0;
+        groupUpdates = 0;
+        orders = [
+            { id: 'o-amy', userId: 'amy', role: 'OWNER' },
+            { id: 'o-bob', userId: 'bob', role: 'PARTICIPANT' },
+            { id: 'o-ivy', userId: 'ivy', role: 'PARTICIPANT', joinedViaInviteId: 'invite-1' }
+        ];
+        const group = { id: 'group-1', title: 'Lunch', creatorId: 'amy', endTime: new Date('2026-10-20T12:00:00Z'), orders };
+
+        db.group = { update: async () => groupUpdates++ };
+        db.groupOrder = {
+            findMany: async () => orders,
+            createMany: async () => ({ count: 0 }),
+            deleteMany: async ({ where }) => deleted.push(['order', where.id.in])
+        };
+        db.userOrder = { deleteMany: async ({ where }) => deleted.push(['items', where.groupOrderId.in]) };
+        db.payment = { count: async () => payments };
+        db.paymentClaim = { count: async () => 0 };
+        db.groupMenu = { findMany: async () => [] };
+
+        t.mock.method(groupMemberService, 'assertCan', async () => group);
+        t.mock.method(groupService, '_assertNotBlocked', async () => {});
+        t.mock.method(paymentService, 'syncGroupPaymentStatuses', async () => ({}));
+        t.mock.method(notificationService, 'notify', () => {});
+        t.mock.method(groupEvents, 'publishGroupUpdated', () => {});
+        t.mock.method(groupEvents, 'publishToUsers', () => {});
+        t.mock.method(groupEvents, 'closeGroupStreams', () => {});
+    });
+
+    const edit = { title: 'Lunch', startTime: '2026-10-20T09:00:00Z', endTime: '2026-10-20T12:00:00Z', invitedUserIds: [] };
+
+    test('drops an uninvited participant, but not one who joined through an invite link', async () => {
+        await groupService.updateGroup('amy', 'group-1', edit);
+
+        assert.deepEqual(deleted, [['items', ['o-bob']], ['order', ['o-bob']]]);
+        assert.deepEqual(groupEvents.closeGroupStreams.mock.calls[0].arguments, ['group-1', ['bob'], 'REMOVED_FROM_GROUP']);
+    });
+
+    test('refuses to drop a participant whose payments would be deleted with their order', async () => {
+        payments = 1;
+
+        await assert.rejects(groupService.updateGroup('amy', 'group-1', edit), /^Error: Cannot remove member/);
+        assert.equal(deleted.length, 0);
+        assert.equal(groupEvents.closeGroupStreams.mock.callCount(), 0);
+    });
+});
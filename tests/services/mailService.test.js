@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mailService = require('../../src/services/mailService');
+
+test('the log transport logs the recipient and subject but never the body', async (t) => {
+    delete process.env.MAIL_TRANSPORT;
+    const log = t.mock.method(console, 'log', () => {});
+    mailService.setTransport(null);
+
+    await mailService.send({
+        to: 'amy@example.com',
+        subject: '[IpaidUpay] Confirm your email address',
+        text: 'Open http://localhost:2758/verify-email/secret-token',
+        html: '<a href="http://localhost:2758/verify-email/secret-token">Confirm</a>'
+    });
+
+    const output = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(output, /amy@example\.com/);
+    assert.match(output, /Confirm your email address/);
+    assert.ok(!output.includes('secret-token'));
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const notificationService = require('../../src/services/notificationService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+let preferences;
+let created;
+let pushed;
+
+// Applies the `has` filters notify builds to the stored preferences, as Postgres would
+const matches = (preference, condition) => Object.entries(condition)
+    .every(([field, filter]) => preference[field].includes(filter.has));
+
+beforeEach((t) => {
+    resetDb();
+    preferences = [
+        { userId: 'amy', mutedTypes: ['PAYMENT_DUE'], mutedGroupIds: [] },
+        { userId: 'bob', mutedTypes: [], mutedGroupIds: ['group-1'] },
+        { userId: 'cat', mutedTypes: [], mutedGroupIds: [] }
+    ];
+    created = [];
+    pushed = [];
+
+    db.notificationPreference = {
+        findMany: async ({ where }) => preferences
+            .filter(p => where.userId.in.includes(p.userId) && where.OR.some(c => matches(p, c)))
+            .map(p => ({ userId: p.userId })),
+        findUnique: async ({ where }) => preferences.find(p => p.userId === where.userId) || null,
+        upsert: async ({ where, update, create }) => {
+            const existing = preferences.find(p => p.userId === where.userId);
+            if (existing) Object.assign(existing, update);
+            else preferences.push({ mutedTypes: [], mutedGroupIds: [], ...create });
+        }
+    };
+    db.notification = {
+        createManyAndReturn: async ({ data }) => data.map((row, i) => {
+            const notification = { id: `n-${created.length + i}`, readAt: null, createdAt: new Date(), ...row };
+            created.push(notification);
+            return notification;
+        })
+    };
+    t.mock.method(groupEvents, 'publishToUsers', (userIds, event, payload) => pushed.push([userIds, event, payload.type]));
+});
+
+test('notify skips users who muted the type or the group', async () => {
+    await notificationService.notify(['amy', 'bob', 'cat', 'cat', null], 'PAYMENT_DUE', 'group-1', { title: 'Lunch', balanceDue: 100 });
+
+    assert.deepEqual(created.map(n => n.userId), ['cat']);
+    assert.deepEqual(pushed, [[['cat'], 'notification', 'PAYMENT_DUE']]);
+});
+
+test('a muted group only silences notifications about that group', async () => {
+    await notificationService.notify(['amy', 'bob'], 'GROUP_INVITED', 'group-2', { title: 'Dinner' });
+    await notificationService.notify(['amy', 'bob'], 'GROUP_INVITED', null, { title: 'Dinner' });
+
+    assert.deepEqual(created.map(n => [n.userId, n.groupId]), [['amy', 'group-2'], ['bob', 'group-2'], ['amy', null], ['bob', null]]);
+});
+
+test('nothing is stored when every recipient muted the notification', async () => {
+    db.notification.createManyAndReturn = async () => assert.fail('should not create notifications');
+
+    await notificationService.notify(['amy'], 'PAYMENT_DUE', 'group-3', { title: 'Lunch', balanceDue: 50 });
+    await notificationService.notify(['bob'], 'MEMBER_JOINED', 'group-1', { title: 'Lunch', name: 'Cat' });
+    assert.deepEqual(pushed, []);
+});
+
+test('notify logs failures instead of throwing', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    db.notificationPreference.findMany = async () => {
+        throw new Error('connection lost');
+    };
+
+    await notificationService.notify(['cat'], 'GROUP_DELETED', 'group-1', { title: 'Lunch' });
+
+    assert.equal(logged.mock.callCount(), 1);
+    assert.deepEqual(created, []);
+});
+
+test('updatePreferences replaces the muted lists without duplicates', async () => {
+    const result = await notificationService.updatePreferences('cat', { mutedTypes: ['GROUP_CLOSING_SOON', 'GROUP_CLOSING_SOON'], mutedGroupIds: ['group-1'] });
+
+    assert.deepEqual(result.mutedTypes, ['GROUP_CLOSING_SOON']);
+    assert.deepEqual(result.mutedGroupIds, ['group-1']);
+
+    // Leaving a list out keeps it as it was
+    const unmuted = await notificationService.updatePreferences('cat', { mutedTypes: [] });
+    assert.deepEqual([unmuted.mutedTypes, unmuted.mutedGroupIds], [[], ['group-1']]);
+
+    await notificationService.notify(['cat'], 'GROUP_CLOSING_SOON', 'group-1', { title: 'Lunch', endTime: new Date() });
+    assert.deepEqual(created, []);
+});
+
+test('updatePreferences rejects unknown types and non-array groups', async () => {
+    await assert.rejects(notificationService.updatePreferences('cat', { mutedTypes: ['SPAM'] }), /^Error: Invalid preferences: mutedTypes must be a list of GROUP_INVITED, /);
+    await assert.rejects(notificationService.updatePreferences('cat', { mutedGroupIds: 'group-1' }), { message: 'Invalid preferences: mutedGroupIds must be an array' });
+    assert.deepEqual(preferences.find(p => p.userId === 'cat').mutedTypes, []);
+});
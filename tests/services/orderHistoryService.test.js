@@ -0,0 +1,72 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const orderHistoryService = require('../../src/services/orderHistoryService');
+const orderService = require('../../src/services/orderService');
+const paymentService = require('../../src/services/paymentService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+const order = { id: 'order-1', userId: 'bob', groupId: 'group-1' };
+const rice = { menuId: 'rice', name: 'Rice', price: 80, quantity: 1 };
+
+let events;
+let calls;
+
+beforeEach(() => {
+    resetDb();
+    events = [];
+    calls = [];
+
+    db.orderHistoryEvent = {
+        findFirst: async () => {
+            calls.push('history.findFirst');
+            return events.length > 0 ? { version: Math.max(...events.map(e => e.version)) } : null;
+        },
+        create: async ({ data }) => {
+            calls.push('history.create');
+            events.push(data);
+            return data;
+        }
+    };
+});
+
+test('each change of the items is recorded as the next version, and unchanged items are not', async () => {
+    await orderHistoryService.recordItemsUpdate(db, order, 'bob', [], [rice]);
+    await orderHistoryService.recordItemsUpdate(db, order, 'bob', [rice], [{ ...rice, quantity: 2 }]);
+    const unchanged = await orderHistoryService.recordItemsUpdate(db, order, 'bob', [rice], [rice]);
+
+    assert.equal(unchanged, null);
+    assert.deepEqual(events.map(e => e.version), [1, 2]);
+});
+
+test('updateOrder locks the order row before reading the previous items and picking the version', async (t) => {
+    const now = Date.now();
+    db.group = {
+        findFirst: async () => ({ id: 'group-1', status: 'OPEN', startTime: new Date(now - 60000), endTime: new Date(now + 60000) })
+    };
+    db.groupOrder = {
+        upsert: async () => order,
+        update: async () => order,
+        findUnique: async () => ({ ...order, items: [], updatedAt: new Date(now) })
+    };
+    db.userOrder = {
+        findMany: async () => {
+            calls.push('items.findMany');
+            return [rice];
+        },
+        deleteMany: async () => ({ count: 1 })
+    };
+    db.$queryRaw = async (strings, ...values) => {
+        calls.push(`lock ${strings.join('?').trim()} ${values.join(',')}`);
+        return [];
+    };
+    t.mock.method(paymentService, 'syncGroupPaymentStatuses', async () => ({
+        byOrderId: { 'order-1': { adjustments: [], amountDue: 0, paidAmount: 0, balanceDue: 0, paymentState: 'PAID' } }
+    }));
+    t.mock.method(groupEvents, 'publishOrderUpdated', () => {});
+
+    await orderService.updateOrder('bob', 'group-1', []);
+
+    assert.equal(calls[0], 'lock SELECT "id" FROM "GroupOrder" WHERE "id" = ? FOR UPDATE order-1');
+    assert.deepEqual(calls.slice(1), ['items.findMany', 'history.findFirst', 'history.create']);
+});
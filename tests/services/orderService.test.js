@@ -0,0 +1,100 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const orderService = require('../../src/services/orderService');
+const orderHistoryService = require('../../src/services/orderHistoryService');
+const paymentService = require('../../src/services/paymentService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+const order = { id: 'order-bob', userId: 'bob', groupId: 'group-1' };
+const tart = { id: 'tart', name: '蛋塔', price: 35, stock: 10, maxPerUser: 3, optionGroups: [] };
+const tea = { id: 'tea', name: 'Milk Tea', price: 50, stock: null, maxPerUser: null, optionGroups: [] };
+
+let saved;
+let orderedByOthers;
+
+beforeEach((t) => {
+    resetDb();
+    saved = null;
+    orderedByOthers = 0;
+    const now = Date.now();
+
+    db.group = {
+        findFirst: async () => ({ id: 'group-1', status: 'OPEN', startTime: new Date(now - 60000), endTime: new Date(now + 60000) })
+    };
+    db.groupOrder = {
+        upsert: async () => order,
+        update: async () => order,
+        findUnique: async () => ({ ...order, items: saved || [], updatedAt: new Date(now) })
+    };
+    db.groupMenu = { findMany: async () => [tart, tea] };
+    db.userOrder = {
+        findMany: async () => [],
+        deleteMany: async () => ({ count: 0 }),
+        createMany: async ({ data }) => {
+            saved = data;
+            return { count: data.length };
+        },
+        groupBy: async () => [{ menuId: 'tart', _sum: { quantity: orderedByOthers } }]
+    };
+    db.$queryRaw = async () => [];
+
+    t.mock.method(orderHistoryService, 'recordItemsUpdate', async () => null);
+    t.mock.method(paymentService, 'syncGroupPaymentStatuses', async () => ({
+        byOrderId: { 'order-bob': { adjustments: [], amountDue: 0, paidAmount: 0, balanceDue: 0, paymentState: 'PAID' } }
+    }));
+    t.mock.method(groupEvents, 'publishOrderUpdated', () => {});
+});
+
+test('menu items take the menu price whatever the client sends', async () => {
+    await orderService.updateOrder('bob', 'group-1', [{ menuId: 'tart', name: '蛋塔', price: 0, quantity: 2 }]);
+
+    assert.deepEqual(saved.map(({ menuId, price, quantity }) => ({ menuId, price, quantity })), [{ menuId: 'tart', price: 35, quantity: 2 }]);
+});
+
+test('an unknown menuId is refused instead of becoming a custom item without limits', async () => {
+    await assert.rejects(
+        orderService.updateOrder('bob', 'group-1', [{ menuId: 'x', name: '蛋塔', price: 0, quantity: 100 }]),
+        /^Error: Invalid item: "蛋塔" is not on the menu/
+    );
+    await assert.rejects(orderService.updateOrder('bob', 'group-1', [{ productId: 'x', quantity: 1 }]), /^Error: Invalid item/);
+    assert.equal(saved, null);
+});
+
+test('custom items may not pass for a menu product spelt differently', async () => {
+    for (const name of [' 蛋塔 ', 'milk tea', 'ＭＩＬＫ　ＴＥＡ']) {
+        await assert.rejects(orderService.updateOrder('bob', 'group-1', [{ name, price: 0, quantity: 5 }]), /is on the menu/);
+    }
+    assert.equal(saved, null);
+});
+
+test('custom items need a name and a price of 0 or more', async () => {
+    await assert.rejects(orderService.updateOrder('bob', 'group-1', [{ name: 'Napkins', price: -5, quantity: 1 }]), /^Error: Invalid item/);
+    await assert.rejects(orderService.updateOrder('bob', 'group-1', [{ name: ' ', price: 5, quantity: 1 }]), /^Error: Invalid item/);
+
+    await orderService.updateOrder('bob', 'group-1', [{ name: 'Napkins', price: '5', quantity: 1 }]);
+    assert.deepEqual(saved.map(({ name, price, menuId }) => ({ name, price, menuId })), [{ name: 'Napkins', price: 5, menuId: null }]);
+});
+
+test('the per-person cap counts every line of the same product', async () => {
+    await assert.rejects(
+        orderService.updateOrder('bob', 'group-1', [{ menuId: 'tart', quantity: 2 }, { name: '蛋塔', quantity: 2 }]),
+        { message: 'Quantity limit exceeded: "蛋塔" allows at most 3 per person' }
+    );
+});
+
+test('stock is what the other members have not ordered yet', async () => {
+    orderedByOthers = 8;
+
+    await assert.rejects(orderService.updateOrder('bob', 'group-1', [{ menuId: 'tart', quantity: 3 }]), { message: 'Out of stock: only 2 "蛋塔" left' });
+    await orderService.updateOrder('bob', 'group-1', [{ menuId: 'tart', quantity: 2 }]);
+    assert.equal(saved[0].quantity, 2);
+});
+
+test('products without limits are not checked against stock', async (t) => {
+    t.mock.method(db.userOrder, 'groupBy');
+
+    await orderService.updateOrder('bob', 'group-1', [{ menuId: 'tea', quantity: 40 }]);
+
+    assert.equal(db.userOrder.groupBy.mock.callCount(), 0);
+});
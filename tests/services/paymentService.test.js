@@ -0,0 +1,44 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, uniqueViolation } = require('../helpers/prisma');
+const paymentService = require('../../src/services/paymentService');
+
+const order = { id: 'order-1', userId: 'bob', groupId: 'group-1', group: { id: 'group-1', creatorId: 'amy', title: 'Lunch' } };
+
+beforeEach(() => {
+    resetDb();
+    db.groupOrder = { findUnique: async () => order };
+    db.paymentClaim = { findFirst: async () => null };
+});
+
+test('createClaim refuses a second pending claim', async () => {
+    db.paymentClaim.findFirst = async () => ({ id: 'claim-1', status: 'PENDING' });
+
+    await assert.rejects(paymentService.createClaim('bob', 'order-1', { amount: 100 }), { message: 'Payment already claimed, waiting for confirmation' });
+});
+
+test('createClaim reports a claim created at the same moment as already claimed', async () => {
+    db.paymentClaim.create = async () => {
+        throw uniqueViolation(['groupOrderId']);
+    };
+
+    await assert.rejects(paymentService.createClaim('bob', 'order-1', { amount: 100 }), { message: 'Payment already claimed, waiting for confirmation' });
+});
+
+test('eachGroupLedger loads the groups a page at a time by ID', async () => {
+    const ids = Array.from({ length: 150 }, (_, i) => `g${String(i).padStart(3, '0')}`);
+    const pages = [];
+    db.group = {
+        findMany: async ({ take, cursor }) => {
+            const start = cursor ? ids.indexOf(cursor.id) + 1 : 0;
+            pages.push(start);
+            return ids.slice(start, start + take).map(id => ({ id, creatorId: 'amy', orders: [], adjustments: [], products: [] }));
+        }
+    };
+
+    const seen = [];
+    await paymentService.eachGroupLedger({}, ({ group }) => seen.push(group.id));
+
+    assert.deepEqual(pages, [0, 100]);
+    assert.deepEqual(seen, ids);
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const reminderService = require('../../src/services/reminderService');
+const mailService = require('../../src/services/mailService');
+
+// Bob owes NT$120 in Amy's group
+const group = {
+    id: 'group-1',
+    title: 'Lunch',
+    creatorId: 'amy',
+    creator: { id: 'amy', name: 'Amy' },
+    adjustments: [],
+    products: [],
+    orders: [
+        { id: 'order-amy', userId: 'amy', items: [], payments: [], user: { id: 'amy', name: 'Amy', email: 'amy@example.com' } },
+        {
+            id: 'order-bob',
+            userId: 'bob',
+            items: [{ name: 'Rice', price: 120, quantity: 1 }],
+            payments: [],
+            user: { id: 'bob', name: 'Bob', email: 'bob@example.com' }
+        }
+    ]
+};
+
+let reminders;
+let locks;
+
+beforeEach(() => {
+    resetDb();
+    reminders = [];
+    locks = [];
+
+    db.$queryRaw = async (strings, ...values) => {
+        locks.push([strings.join('?'), values]);
+        return [];
+    };
+    db.paymentReminder = {
+        findFirst: async ({ where }) => reminders.find(r => r.groupOrderId === where.groupOrderId && where.status.in.includes(r.status)) || null,
+        count: async ({ where }) => reminders.filter(r => r.userId === where.userId && where.status.in.includes(r.status)).length,
+        create: async ({ data }) => {
+            const row = { id: `r${reminders.length + 1}`, createdAt: new Date(), ...data };
+            reminders.push(row);
+            return row;
+        },
+        update: async ({ where, data }) => Object.assign(reminders.find(r => r.id === where.id), data)
+    };
+});
+
+test('the reminder is recorded as SENDING under a lock before the email goes out, then marked SENT', async (t) => {
+    const send = t.mock.method(mailService, 'send', async () => {
+        assert.equal(reminders.length, 1);
+        assert.equal(reminders[0].status, 'SENDING');
+        return {};
+    });
+
+    const result = await reminderService._deliver(group, { trigger: 'MANUAL', actorId: 'amy' });
+
+    assert.equal(send.mock.callCount(), 1);
+    assert.deepEqual(result.sent.map(r => r.orderId), ['order-bob']);
+    assert.equal(reminders[0].status, 'SENT');
+    assert.equal(reminders[0].balanceDue, 120);
+    assert.match(locks[0][0], /FROM "User" WHERE "id" = \? FOR UPDATE/);
+    assert.deepEqual(locks[0][1], ['bob']);
+});
+
+test('a reminder still being sent counts against the limit, so it is not sent twice', async (t) => {
+    const send = t.mock.method(mailService, 'send', async () => ({}));
+    reminders.push({ id: 'r0', groupOrderId: 'order-bob', userId: 'bob', status: 'SENDING', createdAt: new Date() });
+
+    const result = await reminderService._deliver(group, { trigger: 'AUTO' });
+
+    assert.equal(send.mock.callCount(), 0);
+    assert.deepEqual(result.skipped.map(r => r.reason), ['RECENTLY_REMINDED']);
+});
+
+test('a failed send marks the recorded reminder FAILED', async (t) => {
+    t.mock.method(mailService, 'send', async () => {
+        throw new Error('SMTP down');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const result = await reminderService._deliver(group, { trigger: 'MANUAL', actorId: 'amy' });
+
+    assert.deepEqual(result.failed.map(r => r.error), ['SMTP down']);
+    assert.equal(reminders.length, 1);
+    assert.equal(reminders[0].status, 'FAILED');
+    assert.equal(reminders[0].error, 'SMTP down');
+});
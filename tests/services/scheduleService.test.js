@@ -0,0 +1,134 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb } = require('../helpers/prisma');
+const scheduleService = require('../../src/services/scheduleService');
+const groupService = require('../../src/services/groupService');
+const groupLifecycleService = require('../../src/services/groupLifecycleService');
+const groupMemberService = require('../../src/services/groupMemberService');
+const paymentService = require('../../src/services/paymentService');
+const userService = require('../../src/services/userService');
+const notificationService = require('../../src/services/notificationService');
+const groupEvents = require('../../src/realtime/groupEvents');
+
+// A weekly Tuesday schedule, with one group generated for every Tuesday below
+const schedule = {
+    id: 'schedule-1',
+    creatorId: 'owner-1',
+    title: 'Lunch',
+    status: 'ACTIVE',
+    frequency: 'WEEKLY',
+    weekdays: [2],
+    monthWeek: null,
+    monthWeekday: null,
+    startTimeOfDay: '10:00',
+    endTimeOfDay: '11:30',
+    timezone: 'Asia/Taipei',
+    startsOn: null,
+    endsOn: null,
+    skipDates: [],
+    createAheadHours: 0,
+    invitedUserIds: [],
+    products: [{ key: 'rice-key', name: 'Rice', price: 80, stock: null, maxPerUser: null, optionGroups: [] }]
+};
+
+const futureGroup = (id, occurrenceDate) => ({
+    id,
+    status: 'OPEN',
+    scheduleId: schedule.id,
+    occurrenceDate,
+    startTime: new Date('2099-01-01T00:00:00Z'),
+    products: [{ id: `${id}-rice`, name: 'Rice', price: 80, scheduleProductKey: 'rice-key' }]
+});
+
+let groups;
+let ordered; // groupId -> number of ordered items
+
+beforeEach(() => {
+    resetDb();
+    groups = [futureGroup('g-kept', '2099-01-06'), futureGroup('g-empty', '2099-01-13'), futureGroup('g-ordered', '2099-01-20')];
+    ordered = { 'g-ordered': 2 };
+
+    db.groupSchedule = {
+        findUnique: async () => ({ ...schedule }),
+        update: async ({ data }) => ({ ...schedule, ...data })
+    };
+    db.group = { findMany: async ({ where }) => (where.startTime ? groups : []) };
+    db.userOrder = { count: async ({ where }) => ordered[where.order.groupId] || 0 };
+    db.groupOrder = { count: async () => 0 };
+    db.payment = { count: async () => 0 };
+    db.paymentClaim = { count: async () => 0 };
+});
+
+test('dropped dates delete groups nobody ordered in, and close and report the others', async (t) => {
+    const deleteGroup = t.mock.method(groupService, 'deleteGroup', async () => {});
+    const setStatus = t.mock.method(groupLifecycleService, 'setStatus', async (group, status) => ({ ...group, status }));
+    t.mock.method(groupService, 'updateGroup', async () => ({}));
+
+    const result = await scheduleService.updateSchedule('owner-1', schedule.id, {
+        skipDates: ['2099-01-13', '2099-01-20'],
+        applyToFuture: true
+    });
+
+    assert.deepEqual(result.updatedGroupIds, ['g-kept']);
+    assert.deepEqual(result.removedGroupIds, ['g-empty']);
+    assert.deepEqual(result.closedGroupIds, ['g-ordered']);
+    assert.deepEqual(deleteGroup.mock.calls.map(call => call.arguments[1]), ['g-empty']);
+    assert.equal(setStatus.mock.calls[0].arguments[0].id, 'g-ordered');
+    assert.equal(setStatus.mock.calls[0].arguments[1], 'CLOSED');
+});
+
+test('a renamed product keeps its menu item, matched by key rather than by name', async (t) => {
+    const updateGroup = t.mock.method(groupService, 'updateGroup', async () => ({}));
+    groups = [groups[0]];
+
+    await scheduleService.updateSchedule('owner-1', schedule.id, {
+        products: [
+            { key: 'rice-key', name: 'Chicken rice', price: 90 },
+            { name: 'Rice', price: 80 }
+        ],
+        applyToFuture: true
+    });
+
+    const [renamed, added] = updateGroup.mock.calls[0].arguments[2].products;
+    assert.equal(renamed.id, 'g-kept-rice');
+    assert.equal(renamed.name, 'Chicken rice');
+    // Same name as the old item, but a different product: created anew with its own key
+    assert.equal(added.id, undefined);
+    assert.ok(added.key && added.key !== 'rice-key');
+});
+
+test('a generated group deleted by its owner is not generated again', async (t) => {
+    // 10:30 in Taipei on the Tuesday of g-empty, while its occurrence is running
+    const now = new Date('2099-01-13T02:30:00Z');
+    let skipDates = [];
+
+    t.mock.method(groupMemberService, 'assertCan', async () => ({ ...futureGroup('g-empty', '2099-01-13'), title: 'Lunch', orders: [] }));
+    t.mock.method(paymentService, 'syncGroupPaymentStatuses', async () => ({}));
+    t.mock.method(notificationService, 'notify', () => {});
+    t.mock.method(groupEvents, 'publishToUsers', () => {});
+    t.mock.method(groupEvents, 'closeGroupStreams', () => {});
+    t.mock.method(userService, 'getBlockedUserIds', async () => []);
+    const createGroup = t.mock.method(groupService, 'createGroup', async () => ({}));
+    db.groupOrder = { findFirst: async () => null, findMany: async () => [], deleteMany: async () => ({}) };
+    db.group.delete = async () => ({});
+    db.groupMenu = { deleteMany: async () => ({}) };
+    db.userOrder.deleteMany = async () => ({});
+    db.payment.deleteMany = async () => ({});
+    db.paymentClaim.deleteMany = async () => ({});
+    db.$executeRaw = async (strings, date, scheduleId) => {
+        assert.match(strings.join('?'), /UPDATE "GroupSchedule"\s+SET "skipDates"/);
+        assert.equal(scheduleId, schedule.id);
+        skipDates = [...new Set([...skipDates, date])].sort();
+        return 1;
+    };
+
+    await groupService.deleteGroup('owner-1', 'g-empty');
+    assert.deepEqual(skipDates, ['2099-01-13']);
+
+    await scheduleService.generateForSchedule({ ...schedule, skipDates }, now);
+    assert.equal(createGroup.mock.callCount(), 0);
+
+    // Without the skipped date the scheduler would have created it again
+    await scheduleService.generateForSchedule(schedule, now);
+    assert.equal(createGroup.mock.callCount(), 1);
+});
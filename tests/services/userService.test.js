@@ -0,0 +1,168 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { db, resetDb, uniqueViolation } = require('../helpers/prisma');
+const userService = require('../../src/services/userService');
+const mailService = require('../../src/services/mailService');
+
+const amy = { id: 'user-1', username: 'amy', name: 'Amy', email: 'old@example.com' };
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+let verifications;
+let users;
+
+beforeEach(() => {
+    resetDb();
+    verifications = [];
+    users = [{ ...amy }];
+
+    db.user = {
+        findUnique: async ({ where }) => users.find(u => (where.id ? u.id === where.id : u.email === where.email)) || null,
+        update: async ({ where, data }) => {
+            if (data.email && users.some(u => u.email === data.email && u.id !== where.id)) throw uniqueViolation(['email']);
+            const user = users.find(u => u.id === where.id);
+            Object.assign(user, data);
+            return { ...user };
+        }
+    };
+    db.emailVerification = {
+        create: async ({ data }) => {
+            const row = { id: `v${verifications.length + 1}`, usedAt: null, ...data };
+            verifications.push(row);
+            return row;
+        },
+        delete: async ({ where }) => {
+            verifications = verifications.filter(v => v.id !== where.id);
+        },
+        deleteMany: async ({ where }) => {
+            verifications = verifications.filter(v => v.userId !== where.userId || (where.usedAt === null && v.usedAt));
+            return { count: 0 };
+        },
+        findUnique: async ({ where }) => verifications.find(v => v.tokenHash === where.tokenHash) || null,
+        updateMany: async ({ where, data }) => {
+            const row = verifications.find(v => v.id === where.id && v.usedAt === null);
+            if (!row) return { count: 0 };
+            Object.assign(row, data);
+            return { count: 1 };
+        }
+    };
+});
+
+const tokenFrom = (mail) => mail.text.match(/\/verify-email\/(\S+)/)[1];
+
+test('a new email is only mailed a link and stays pending; the link makes it active once', async (t) => {
+    const send = t.mock.method(mailService, 'send', async () => ({}));
+
+    const pending = await userService.updateEmail('user-1', ' New@Example.com ');
+    assert.equal(pending.email, 'old@example.com');
+    assert.equal(pending.pendingEmail, 'new@example.com');
+    assert.equal(users[0].email, 'old@example.com');
+
+    const mail = send.mock.calls[0].arguments[0];
+    assert.equal(mail.to, 'new@example.com');
+    const token = tokenFrom(mail);
+    // Only the hash is stored
+    assert.equal(verifications[0].tokenHash, sha256(token));
+
+    const verified = await userService.verifyEmail(token);
+    assert.equal(verified.email, 'new@example.com');
+    assert.equal(users[0].email, 'new@example.com');
+
+    await assert.rejects(userService.verifyEmail(token), { message: 'Invalid or expired verification link' });
+});
+
+test('expired and unknown links are refused', async (t) => {
+    const send = t.mock.method(mailService, 'send', async () => ({}));
+    await userService.updateEmail('user-1', 'new@example.com');
+    verifications[0].expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(userService.verifyEmail(tokenFrom(send.mock.calls[0].arguments[0])), /Invalid or expired/);
+    await assert.rejects(userService.verifyEmail('nope'), /Invalid or expired/);
+    await assert.rejects(userService.verifyEmail(undefined), /Invalid or expired/);
+});
+
+test('a newer request replaces the earlier link', async (t) => {
+    const send = t.mock.method(mailService, 'send', async () => ({}));
+    await userService.updateEmail('user-1', 'first@example.com');
+    await userService.updateEmail('user-1', 'second@example.com');
+
+    await assert.rejects(userService.verifyEmail(tokenFrom(send.mock.calls[0].arguments[0])), /Invalid or expired/);
+    assert.equal((await userService.verifyEmail(tokenFrom(send.mock.calls[1].arguments[0]))).email, 'second@example.com');
+});
+
+test('an address verified by someone else first is reported as already in use', async (t) => {
+    const send = t.mock.method(mailService, 'send', async () => ({}));
+    await userService.updateEmail('user-1', 'shared@example.com');
+    users.push({ id: 'user-2', username: 'bob', name: 'Bob', email: 'shared@example.com' });
+
+    await assert.rejects(userService.verifyEmail(tokenFrom(send.mock.calls[0].arguments[0])), { message: 'Email already in use' });
+});
+
+test('clearing the email takes effect right away', async () => {
+    const result = await userService.updateEmail('user-1', '');
+
+    assert.equal(result.email, null);
+    assert.equal(users[0].email, null);
+});
+
+test('a link that could not be sent is discarded', async (t) => {
+    t.mock.method(mailService, 'send', async () => {
+        throw new Error('SMTP down');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(userService.updateEmail('user-1', 'new@example.com'), { message: 'Could not send the verification email' });
+    assert.equal(verifications.length, 0);
+});
+
+describe('sendFriendRequest', () => {
+    let requests;
+
+    beforeEach(() => {
+        requests = [];
+        const pendingBetween = (a, b) => requests.find(r => r.status === 'PENDING' &&
+            ((r.senderId === a && r.receiverId === b) || (r.senderId === b && r.receiverId === a)));
+
+        db.user = {
+            // The target exists and the two are not friends yet
+            findFirst: async ({ where }) => (where.friends ? null : { id: where.id }),
+            update: async () => ({})
+        };
+        db.userBlock = { findMany: async () => [] };
+        db.friendRequest = {
+            findFirst: async ({ where }) => pendingBetween(where.OR[0].senderId, where.OR[0].receiverId) || null,
+            findUnique: async ({ where }) => requests.find(r => r.id === where.id) || null,
+            // Like the partial unique index: one PENDING request per pair of users
+            create: async ({ data }) => {
+                if (pendingBetween(data.senderId, data.receiverId)) throw uniqueViolation('FriendRequest_pair_pending_key');
+                const request = { id: `request-${requests.length + 1}`, status: 'PENDING', ...data };
+                requests.push(request);
+                return request;
+            },
+            update: async ({ where, data }) => Object.assign(requests.find(r => r.id === where.id), data)
+        };
+    });
+
+    test('a double click creates one request and reports the second as already sent', async () => {
+        const results = await Promise.allSettled([
+            userService.sendFriendRequest('amy', 'bob'),
+            userService.sendFriendRequest('amy', 'bob')
+        ]);
+
+        assert.equal(requests.length, 1);
+        assert.equal(results[0].status, 'fulfilled');
+        assert.equal(results[1].status, 'rejected');
+        assert.equal(results[1].reason.message, 'Friend request already sent');
+    });
+
+    test('two users asking each other at the same moment become friends', async () => {
+        const [first, second] = await Promise.all([
+            userService.sendFriendRequest('amy', 'bob'),
+            userService.sendFriendRequest('bob', 'amy')
+        ]);
+
+        assert.equal(requests.length, 1);
+        assert.equal(first.id, second.id);
+        assert.equal(requests[0].status, 'ACCEPTED');
+    });
+});
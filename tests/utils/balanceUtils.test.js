@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { collectDebts, netBalancesFor, buildSettlementPlan } = require('../../src/utils/balanceUtils');
+
+// One group created by `creatorId` with one order per participant and its outstanding balance
+const ledger = (id, creatorId, balances) => ({
+    group: {
+        id,
+        title: `Group ${id}`,
+        creatorId,
+        orders: Object.keys(balances).map(userId => ({ id: `${id}-${userId}`, userId }))
+    },
+    costs: {
+        byOrderId: Object.fromEntries(Object.entries(balances).map(([userId, balanceDue]) => [`${id}-${userId}`, { balanceDue }]))
+    }
+});
+
+test('collectDebts turns balances into debts to the creator and change owed back', () => {
+    const debts = collectDebts([ledger('g1', 'amy', { amy: 50, bob: 120, cat: -30, dan: 0 })]);
+
+    assert.deepEqual(debts.map(d => [d.debtorId, d.creditorId, d.amount, d.balanceDue]), [
+        ['bob', 'amy', 120, 120],
+        ['amy', 'cat', 30, -30]
+    ]);
+    assert.equal(debts[0].orderId, 'g1-bob');
+    assert.equal(debts[0].title, 'Group g1');
+});
+
+test('netBalancesFor nets opposing debts between the same two users', () => {
+    const debts = collectDebts([
+        ledger('g1', 'amy', { bob: 120 }),
+        ledger('g2', 'bob', { amy: 80 }),
+        ledger('g3', 'cat', { amy: 40 })
+    ]);
+
+    const balances = netBalancesFor(debts, 'amy');
+    const bob = balances.find(b => b.userId === 'bob');
+    const cat = balances.find(b => b.userId === 'cat');
+
+    assert.deepEqual([bob.owedToMe, bob.iOwe, bob.net, bob.debts.length], [120, 80, 40, 2]);
+    assert.deepEqual([cat.owedToMe, cat.iOwe, cat.net], [0, 40, -40]);
+    assert.deepEqual(netBalancesFor(debts, 'bob').map(b => [b.userId, b.net]), [['amy', -40]]);
+});
+
+test('netBalancesFor leaves out debts the user is not part of', () => {
+    const debts = collectDebts([ledger('g1', 'bob', { cat: 60 })]);
+
+    assert.deepEqual(netBalancesFor(debts, 'amy'), []);
+});
+
+test('buildSettlementPlan settles a chain of debts in fewer transfers', () => {
+    // bob owes amy 100 and amy owes cat 100: bob can pay cat directly
+    const debts = collectDebts([ledger('g1', 'amy', { bob: 100 }), ledger('g2', 'cat', { amy: 100 })]);
+
+    assert.deepEqual(buildSettlementPlan(debts), [{ fromUserId: 'bob', toUserId: 'cat', amount: 100 }]);
+});
+
+test('buildSettlementPlan needs at most one transfer less than the number of users', () => {
+    const debts = collectDebts([
+        ledger('g1', 'amy', { bob: 70, cat: 20, dan: 10 }),
+        ledger('g2', 'bob', { cat: 30, amy: 15 }),
+        ledger('g3', 'dan', { amy: 25, cat: -5 })
+    ]);
+
+    const plan = buildSettlementPlan(debts);
+    const positions = {};
+    debts.forEach(d => {
+        positions[d.debtorId] = (positions[d.debtorId] || 0) - d.amount;
+        positions[d.creditorId] = (positions[d.creditorId] || 0) + d.amount;
+    });
+    plan.forEach(t => {
+        positions[t.fromUserId] += t.amount;
+        positions[t.toUserId] -= t.amount;
+    });
+
+    assert.ok(plan.length <= 3);
+    assert.ok(plan.every(t => t.amount > 0));
+    assert.ok(Object.values(positions).every(p => p === 0));
+});
+
+test('buildSettlementPlan is empty when everything nets to zero', () => {
+    const debts = collectDebts([ledger('g1', 'amy', { bob: 50 }), ledger('g2', 'bob', { amy: 50 })]);
+
+    assert.deepEqual(buildSettlementPlan(debts), []);
+});
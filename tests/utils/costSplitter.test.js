@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitInteger, applyAdjustments, buildAdjustmentData } = require('../../src/utils/costSplitter');
+
+const order = (id, userId, subtotal) => ({ id, userId, items: subtotal ? [{ name: 'Item', price: subtotal, quantity: 1 }] : [] });
+const adjustment = (fields, index = 0) => ({ id: `adj-${index}`, ...buildAdjustmentData({ label: `Adjustment ${index}`, ...fields }, index) });
+
+test('splitInteger shares always add up to the total', () => {
+    assert.deepEqual(splitInteger(100, [1, 1, 1]), [34, 33, 33]);
+    assert.deepEqual(splitInteger(10, [1, 3]), [3, 7]);
+    assert.deepEqual(splitInteger(10, [0, 0]), [0, 0]);
+});
+
+test('fees and service charges are split equally or by subtotal', () => {
+    const orders = [order('a', 'amy', 100), order('b', 'bob', 300)];
+    const result = applyAdjustments(orders, [
+        adjustment({ kind: 'FEE', amount: 40 }, 0),
+        adjustment({ kind: 'SERVICE_CHARGE', percent: 10, splitRule: 'PROPORTIONAL' }, 1)
+    ]);
+
+    assert.equal(result.byOrderId.a.amountDue, 100 + 20 + 10);
+    assert.equal(result.byOrderId.b.amountDue, 300 + 20 + 30);
+    assert.equal(result.totalAmountDue, 480);
+});
+
+test('several discounts together never take the group total below zero', () => {
+    const orders = [order('a', 'amy', 100), order('b', 'bob', 100)];
+    const result = applyAdjustments(orders, [
+        adjustment({ kind: 'DISCOUNT', amount: 150 }, 0),
+        adjustment({ kind: 'DISCOUNT', amount: 150 }, 1)
+    ]);
+
+    assert.equal(result.totalAmountDue, 0);
+    assert.deepEqual(result.adjustments.map(a => a.amount), [-150, -50]);
+    Object.values(result.byOrderId).forEach(entry => assert.ok(entry.amountDue >= 0));
+});
+
+test('a discount share larger than an order is capped and the rest goes to the other orders', () => {
+    const orders = [order('a', 'amy', 20), order('b', 'bob', 200)];
+    const result = applyAdjustments(orders, [adjustment({ kind: 'DISCOUNT', amount: 100 })]);
+
+    assert.equal(result.byOrderId.a.amountDue, 0);
+    assert.equal(result.byOrderId.b.amountDue, 120);
+    assert.equal(result.adjustments[0].amount, -100);
+});
+
+test('an assigned discount is capped by what the assigned members owe', () => {
+    const orders = [order('a', 'amy', 30), order('b', 'bob', 200)];
+    const result = applyAdjustments(orders, [adjustment({ kind: 'DISCOUNT', amount: 100, splitRule: 'ASSIGNED', assignedUserIds: ['amy'] })]);
+
+    assert.equal(result.byOrderId.a.amountDue, 0);
+    assert.equal(result.byOrderId.b.amountDue, 200);
+    assert.equal(result.adjustments[0].amount, -30);
+    assert.equal(result.totalAmountDue, 200);
+});
+
+test('a discount can use up a fee added before it, but not more', () => {
+    const orders = [order('a', 'amy', 100)];
+    const result = applyAdjustments(orders, [
+        adjustment({ kind: 'FEE', amount: 50 }, 0),
+        adjustment({ kind: 'DISCOUNT', amount: 500 }, 1)
+    ]);
+
+    assert.equal(result.byOrderId.a.amountDue, 0);
+    assert.equal(result.adjustments[1].amount, -150);
+});
+
+test('"buy X get Y" and minimum subtotal discounts', () => {
+    const orders = [
+        { id: 'a', userId: 'amy', items: [{ name: 'Tart', menuId: 'tart', price: 35, quantity: 3 }] },
+        { id: 'b', userId: 'bob', items: [{ name: 'Tart', menuId: 'tart', price: 35, quantity: 1 }] }
+    ];
+    const products = [{ id: 'tart', price: 35 }];
+
+    const bogo = applyAdjustments(orders, [adjustment({ kind: 'DISCOUNT', menuId: 'tart', buyQuantity: 1, freeQuantity: 1 })], products);
+    assert.equal(bogo.adjustments[0].amount, -70);
+
+    const notReached = applyAdjustments(orders, [adjustment({ kind: 'DISCOUNT', amount: 50, minSubtotal: 500 })], products);
+    assert.equal(notReached.totalAmountDue, 140);
+});
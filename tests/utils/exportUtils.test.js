@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, buildShopRows, exportFileName } = require('../../src/utils/exportUtils');
+
+// CSV of a single cell, without the BOM and the line ending
+const cell = (value) => toCsv([[value]]).slice(1, -2);
+
+test('toCsv starts with a UTF-8 BOM and ends every row with CRLF', () => {
+    const csv = toCsv([['Item', 'Quantity'], ['珍珠奶茶', 5]]);
+
+    assert.equal(csv, '\uFEFFItem,Quantity\r\n珍珠奶茶,5\r\n');
+    assert.equal(Buffer.from(csv, 'utf8').subarray(0, 3).toString('hex'), 'efbbbf');
+});
+
+test('text starting with a formula character is not evaluated by spreadsheets', () => {
+    assert.equal(cell('=HYPERLINK("http://evil","x")'), `"'=HYPERLINK(""http://evil"",""x"")"`);
+    assert.equal(cell('+1'), `'+1`);
+    assert.equal(cell('-2+3'), `'-2+3`);
+    assert.equal(cell('@SUM(A1)'), `'@SUM(A1)`);
+    assert.equal(cell('\tcmd'), `'\tcmd`);
+    assert.equal(cell('\r=1'), `"'\r=1"`);
+});
+
+test('numbers are written as is, including negative ones', () => {
+    assert.equal(cell(-30), '-30');
+    assert.equal(cell(0), '0');
+    assert.equal(cell('Lunch = 100'), 'Lunch = 100');
+});
+
+test('commas, quotes and line breaks are quoted and empty values left blank', () => {
+    assert.equal(cell('L, 少糖'), '"L, 少糖"');
+    assert.equal(cell('6" sub'), '"6"" sub"');
+    assert.equal(cell('line 1\nline 2'), '"line 1\nline 2"');
+    assert.equal(toCsv([[null, undefined, '']]), '\uFEFF,,\r\n');
+});
+
+test('buildShopRows lists every option combination with a total row', () => {
+    const rows = buildShopRows({
+        totalGroupAmount: 300,
+        orderStats: [{ name: '珍珠奶茶', quantity: 5, variants: [{ label: 'L / 少糖', quantity: 3, totalPrice: 180 }, { label: '', quantity: 2, totalPrice: 120 }] }]
+    });
+
+    assert.deepEqual(rows, [
+        ['Item', 'Options', 'Quantity', 'Total price'],
+        ['珍珠奶茶', 'L / 少糖', 3, 180],
+        ['珍珠奶茶', '', 2, 120],
+        ['Total', '', 5, 300]
+    ]);
+});
+
+test('exportFileName replaces characters not allowed in file names', () => {
+    assert.equal(exportFileName('Lunch 10/21: "team"', 'orders.csv'), 'Lunch 10_21_ _team_-orders.csv');
+    assert.equal(exportFileName('', 'shop.txt'), 'group-shop.txt');
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, can, roleOf, permissionsOf, membershipWhere } = require('../../src/utils/groupPermissions');
+
+test('each role holds exactly its own permissions', () => {
+    assert.deepEqual(permissionsOf('OWNER'), ['MANAGE_GROUP', 'MANAGE_PAYMENTS', 'VIEW_HISTORY', 'MANAGE_ROLES', 'DELETE_GROUP']);
+    assert.deepEqual(permissionsOf('CO_ORGANISER'), ['MANAGE_GROUP', 'MANAGE_PAYMENTS', 'VIEW_HISTORY']);
+    assert.deepEqual(permissionsOf('TREASURER'), ['MANAGE_PAYMENTS', 'VIEW_HISTORY']);
+    assert.deepEqual(permissionsOf('PARTICIPANT'), []);
+    assert.deepEqual(permissionsOf(null), []);
+});
+
+test('non-members and unknown roles can do nothing', () => {
+    for (const role of [null, undefined, 'ADMIN']) {
+        assert.equal(can(role, 'MANAGE_GROUP'), false);
+    }
+    assert.ok(ROLES.every(role => can(role, 'DELETE_GROUP') === (role === 'OWNER')));
+});
+
+test('roleOf reads the membership from the loaded orders', () => {
+    const group = { creatorId: 'amy', orders: [{ userId: 'amy', role: 'CO_ORGANISER' }, { userId: 'bob', role: 'OWNER' }] };
+
+    assert.equal(roleOf(group, 'amy'), 'CO_ORGANISER', 'being the creator grants nothing by itself');
+    assert.equal(roleOf(group, 'bob'), 'OWNER');
+    assert.equal(roleOf(group, 'cat'), null);
+});
+
+test('membershipWhere matches the roles granting a permission', () => {
+    assert.deepEqual(membershipWhere('amy', 'MANAGE_PAYMENTS'), { userId: 'amy', role: { in: ['OWNER', 'CO_ORGANISER', 'TREASURER'] } });
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMenuImport } = require('../../src/utils/menuImport');
+
+test('CSV errors report the line the row starts on, counting blank lines and quoted line breaks', () => {
+    const csv = [
+        'name,price,stock',
+        '大麥克,75,10',
+        '',
+        '蛋塔,abc,',
+        '"Combo',
+        'meal",120,-1',
+        '大麥克,80,'
+    ].join('\r\n');
+
+    const { products, errors } = parseMenuImport('csv', `\uFEFF${csv}`);
+
+    assert.deepEqual(products.map(p => [p.name, p.price, p.stock]), [['大麥克', 75, 10]]);
+    assert.deepEqual(errors, [
+        { line: 4, message: 'price of "蛋塔" must be a non-negative integer' },
+        { line: 5, message: 'stock of "Combo\r\nmeal" must be a non-negative integer' },
+        { line: 7, message: 'duplicate item "大麥克" (first seen at line 2)' }
+    ]);
+});
+
+test('CSV without a header reads name, price, stock and maxPerUser in order', () => {
+    const { products, errors } = parseMenuImport('csv', '薯條,45,,2\n"雞塊, 6 塊",60\n');
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(products.map(p => [p.name, p.price, p.stock, p.maxPerUser]), [['薯條', 45, null, 2], ['雞塊, 6 塊', 60, null, null]]);
+});
+
+test('pasted lines skip comments and blank lines but keep their line numbers', () => {
+    const text = '# 早餐\n蛋塔, 35\n\n珍珠奶茶 NT$60\njust a name\n紅茶 -5\n';
+
+    const { products, errors } = parseMenuImport('text', text);
+
+    assert.deepEqual(products.map(p => [p.name, p.price]), [['蛋塔', 35], ['珍珠奶茶', 60]]);
+    assert.deepEqual(errors, [
+        { line: 5, message: 'expected "name price"' },
+        { line: 6, message: 'price of "紅茶" must be a non-negative integer' }
+    ]);
+});
+
+test('JSON errors report the item position instead of a line', () => {
+    const json = JSON.stringify({ products: [{ name: '可樂', price: 30 }, { price: 10 }, { name: '可樂', price: 35 }] });
+
+    const { products, errors } = parseMenuImport('json', json);
+
+    assert.deepEqual(products.map(p => p.name), ['可樂']);
+    assert.deepEqual(errors, [
+        { item: 2, message: 'name is required' },
+        { item: 3, message: 'duplicate item "可樂" (first seen at item 1)' }
+    ]);
+    assert.match(parseMenuImport('json', '[{').errors[0].message, /^Invalid JSON: /);
+});
+
+test('unknown formats and empty content are rejected', () => {
+    assert.throws(() => parseMenuImport('xml', '<menu/>'), { message: 'Invalid menu import: format must be one of csv, json, text' });
+    assert.throws(() => parseMenuImport('text', '  \n'), { message: 'Invalid menu import: content is empty' });
+});
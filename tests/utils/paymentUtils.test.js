@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { derivePaymentState, buildGroupLedger } = require('../../src/utils/paymentUtils');
+
+test('derivePaymentState compares what was paid with what is due', () => {
+    assert.equal(derivePaymentState(100, 0), 'UNPAID');
+    assert.equal(derivePaymentState(100, 40), 'PARTIAL');
+    assert.equal(derivePaymentState(100, 100), 'PAID');
+    assert.equal(derivePaymentState(100, 120), 'OVERPAID');
+});
+
+test('nothing due and nothing paid is PAID, even when the amount due is negative', () => {
+    assert.equal(derivePaymentState(0, 0), 'PAID');
+    assert.equal(derivePaymentState(-30, 0), 'PAID');
+    assert.equal(derivePaymentState(-30, 10), 'OVERPAID');
+});
+
+test('buildGroupLedger settles the creator and totals what the others still owe', () => {
+    const group = {
+        creatorId: 'amy',
+        adjustments: [],
+        products: [],
+        orders: [
+            { id: 'a', userId: 'amy', items: [{ price: 100, quantity: 1 }], payments: [] },
+            { id: 'b', userId: 'bob', items: [{ price: 80, quantity: 2 }], payments: [{ amount: 100 }, { amount: -10 }] },
+            { id: 'c', userId: 'cat', items: [], payments: [] }
+        ]
+    };
+
+    const ledger = buildGroupLedger(group);
+
+    assert.equal(ledger.byOrderId.a.paymentState, 'PAID');
+    assert.equal(ledger.byOrderId.b.paidAmount, 90);
+    assert.equal(ledger.byOrderId.b.balanceDue, 70);
+    assert.equal(ledger.byOrderId.b.paymentState, 'PARTIAL');
+    assert.equal(ledger.byOrderId.c.paymentState, 'PAID');
+    assert.equal(ledger.totalOutstanding, 70);
+    assert.equal(ledger.totalPaid, 90);
+});
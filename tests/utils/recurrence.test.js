@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScheduleData } = require('../../src/utils/recurrence');
+
+test('schedule products keep the key they were sent with, and new ones get a fresh key', () => {
+    const { products } = buildScheduleData({ products: [{ key: 'rice-key', name: 'Rice', price: 80 }, { name: 'Tea', price: 30 }] }, true);
+
+    assert.equal(products[0].key, 'rice-key');
+    assert.match(products[1].key, /^[0-9a-f-]{36}$/);
+});
+
+test('schedule product keys must be well-formed and unique', () => {
+    assert.throws(() => buildScheduleData({ products: [{ key: 'a b', name: 'Rice', price: 80 }] }, true), /key must be/);
+    assert.throws(
+        () => buildScheduleData({ products: [{ key: 'k', name: 'Rice', price: 80 }, { key: 'k', name: 'Tea', price: 30 }] }, true),
+        /keys must be unique/
+    );
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { maskSql, parseStatement, describeColumns, serializeRows } = require('../../src/utils/sqlConsole');
+
+test('maskSql blanks out comments, literals and quoted identifiers without changing the length', () => {
+    const sql = `SELECT 'a;b', "we;ird" -- DROP;\n/* DELETE; */ $x$ ; $x$ FROM t`;
+    const masked = maskSql(sql);
+
+    assert.equal(masked.length, sql.length);
+    assert.ok(!masked.includes(';'));
+    assert.ok(!masked.includes('DROP'));
+    assert.ok(masked.includes('FROM t'));
+});
+
+test('parseStatement identifies the statement and strips trailing semicolons', () => {
+    assert.deepEqual(
+        { ...parseStatement('  select * from "User";;  '), masked: undefined },
+        { statement: 'select * from "User"', keyword: 'SELECT', masked: undefined }
+    );
+    assert.equal(parseStatement('/* note */ DELETE FROM "Group" WHERE id = \'x;y\'').keyword, 'DELETE');
+    assert.equal(parseStatement('WITH t AS (SELECT 1) SELECT * FROM t').keyword, 'WITH');
+});
+
+test('parseStatement refuses a second statement, even after a literal containing a semicolon', () => {
+    assert.throws(() => parseStatement('SELECT 1; DROP TABLE "User"'), /only one statement/);
+    assert.throws(() => parseStatement('SELECT \';\'; DELETE FROM "User"'), /only one statement/);
+    assert.throws(() => parseStatement('SELECT 1 -- comment\n; SELECT 2'), /only one statement/);
+});
+
+test('parseStatement refuses empty input and input without a keyword', () => {
+    assert.throws(() => parseStatement(''), /query is required/);
+    assert.throws(() => parseStatement('   '), /query is required/);
+    assert.throws(() => parseStatement(/** @type {*} */ (42)), /query is required/);
+    assert.throws(() => parseStatement('(SELECT 1)'), /cannot tell which statement/);
+});
+
+test('describeColumns and serializeRows make raw rows JSON-safe', () => {
+    const rows = [
+        { id: 1n, name: null, data: Buffer.from('hi'), at: new Date(0) },
+        { id: 2n, name: 'Amy', data: null, at: null }
+    ];
+
+    assert.deepEqual(describeColumns(rows), [
+        { name: 'id', type: 'bigint' },
+        { name: 'name', type: 'string' },
+        { name: 'data', type: 'bytes' },
+        { name: 'at', type: 'datetime' }
+    ]);
+    assert.deepEqual(serializeRows(rows)[0], { id: '1', name: null, data: 'aGk=', at: new Date(0) });
+    assert.deepEqual(describeColumns([]), []);
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SYSTEM_PERMISSIONS, hasPermission, systemPermissionsOf } = require('../../src/utils/systemRoles');
+
+test('support reads everything but cannot change anything', () => {
+    const support = systemPermissionsOf('SUPPORT');
+
+    assert.ok(support.includes('QUERY_SQL'));
+    for (const permission of ['MANAGE_ROLES', 'MANAGE_USERS', 'MANAGE_GROUPS', 'WRITE_SQL']) {
+        assert.ok(!support.includes(permission), permission);
+    }
+});
+
+test('admins hold every permission and regular users none', () => {
+    assert.deepEqual(systemPermissionsOf('ADMIN'), Object.keys(SYSTEM_PERMISSIONS));
+    assert.deepEqual(systemPermissionsOf('USER'), []);
+    assert.equal(hasPermission(undefined, 'VIEW_STATS'), false);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrustProxy } = require('../../src/utils/trustProxy');
+
+test('whole numbers are hop counts, including 0', () => {
+    assert.equal(parseTrustProxy('0'), 0);
+    assert.equal(parseTrustProxy('1'), 1);
+    assert.equal(parseTrustProxy(' 2 '), 2);
+});
+
+test('true and false are booleans, and unset trusts no proxy', () => {
+    assert.equal(parseTrustProxy('true'), true);
+    assert.equal(parseTrustProxy('FALSE'), false);
+    assert.equal(parseTrustProxy(undefined), false);
+    assert.equal(parseTrustProxy(''), false);
+});
+
+test('anything else is a list of addresses', () => {
+    assert.deepEqual(parseTrustProxy('loopback'), ['loopback']);
+    assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8,192.168.1.1'), ['loopback', '10.0.0.0/8', '192.168.1.1']);
+});
+
+test('malformed lists are refused', () => {
+    assert.throws(() => parseTrustProxy('10.0.0.1,,10.0.0.2'), /Invalid TRUST_PROXY/);
+    assert.throws(() => parseTrustProxy('10.0.0.1 10.0.0.2'), /Invalid TRUST_PROXY/);
+});